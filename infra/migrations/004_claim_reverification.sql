@@ -0,0 +1,13 @@
+-- 004_claim_reverification.sql — claim re-verification schedule
+-- verify_claims.js re-checks claims whose next_check_at has passed
+-- (runner/intelligence/lib/reverify_schedule.js); NULL = never scheduled, due now.
+-- Run: psql $DATABASE_URL -f 004_claim_reverification.sql
+
+BEGIN;
+
+ALTER TABLE claim_verifications ADD COLUMN IF NOT EXISTS next_check_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_cv_next_check ON claim_verifications (next_check_at);
+CREATE INDEX IF NOT EXISTS idx_audit_created ON claim_audit_log (claim_id, created_at);
+
+COMMIT;
@@ -1,6 +1,7 @@
 'use strict';
 
 const { validateNarrativeAnalysis, NARRATIVE_TACTICS } = require('../lib/schemas');
+const narrative = require('../lib/narrative_tactics');
 
 /**
  * Parses a raw text analysis from the agent and converts it into a structured
@@ -36,7 +37,8 @@ function processObservation(rawAnalysisText) {
 
     switch (key) {
       case 'tactic':
-        analysis.tactic = value.toLowerCase().replace(/\s+/g, '_');
+        // Accept any taxonomy id, alias or name ("Fear-mongering" → fear_mongering).
+        analysis.tactic = narrative.resolve(value)?.id || value.toLowerCase().replace(/\s+/g, '_');
         break;
       case 'tactic_confidence':
         analysis.tactic_confidence = parseFloat(value);
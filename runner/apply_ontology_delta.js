@@ -9,6 +9,10 @@
  *   - Recomputes confidence and score from the full evidence_log after append
  *   - Adds new axes with proper initial state
  *   - Deletes ontology_delta.json after successful apply
+ *   - Appends every decision (accepted evidence, each gate rejection, drift-cap
+ *     clamps, recomputed scores, decay, axis creation/reaping) to the immutable
+ *     state/ontology_ledger.jsonl — see lib/ontology_ledger.js and
+ *     `node runner/ontology_ledger.js replay --as-of <date>`
  *
  * Stance detection: for each evidence entry with content >= 30 chars, calls Ollama
  * to confirm the pole_alignment is genuinely supported. Entries with confidence < 0.5
@@ -31,6 +35,32 @@
  *
  * Both "evidence" and "new_axes" are optional.
  * Unknown axis_ids in evidence are logged and skipped (not an error).
+ *
+ * Trust weight: the account's trust_graph.json trust_score, times its
+ * verification-record factor from state/source_reputation.json
+ * (lib/source_reputation.js weightFactor — below 1 once the account's claims
+ * are clearly refuted more often than not; the source's domain for non-X URLs),
+ * times its coordination factor from state/coordination_state.json
+ * (lib/coordination.js — below 1 for accounts in a flagged coordinated network).
+ * A flagged network counts at most once per axis per 24h: later entries from
+ * any of its accounts are rejected at the "coordinated" gate.
+ *
+ * Every evidence entry gets a verdict: { verdict: accepted|rejected, gate, reason,
+ * trust_weight, reputation_factor, coordination_factor, diversity_weight, effective_weight, stance_confidence, projected:
+ * { score_before, score_after, confidence_before, confidence_after, drift_capped } }.
+ * Real applies keep the last VERDICTS_KEEP of them in state/evidence_verdicts.json
+ * (read by the Telegram /why command and the website ontology page).
+ *
+ * Flags:
+ *   --dry-run        run the full gate pipeline (stance validation included) but
+ *                    write nothing: no ontology/state/ledger/verdict writes, the
+ *                    delta is left in place, no stance generation
+ *   --explain        print { dry_run, run_id, verdicts, axes } as JSON on stdout
+ *                    (human log lines move to stderr)
+ *   --delta <file>   read the delta from <file> instead of state/ontology_delta.json;
+ *                    the operator's file is never deleted, only the default one
+ *
+ * ONTOLOGY_PATH overrides state/ontology.json (tests run against a scratch copy).
  */
 
 "use strict";
@@ -38,18 +68,45 @@
 const fs   = require("fs");
 const path = require("path");
 
+const ARGS       = process.argv.slice(2);
+const DRY_RUN    = ARGS.includes("--dry-run");
+const EXPLAIN    = ARGS.includes("--explain");
+const DELTA_ARG  = ARGS.includes("--delta") ? ARGS[ARGS.indexOf("--delta") + 1] : null;
+
 const ROOT       = path.resolve(__dirname, "..");
-const ONTO       = path.join(ROOT, "state", "ontology.json");
-const DELTA      = path.join(ROOT, "state", "ontology_delta.json");
+const ONTO       = process.env.ONTOLOGY_PATH || path.join(ROOT, "state", "ontology.json");
+const DELTA      = DELTA_ARG ? path.resolve(DELTA_ARG) : path.join(ROOT, "state", "ontology_delta.json");
 const TRUST      = path.join(ROOT, "state", "trust_graph.json");
 const DRIFT_CAP  = path.join(ROOT, "state", "drift_cap_state.json");
 const AXIS_GUARD = path.join(ROOT, "state", "axis_creation_state.json");
 const DIVERSITY  = path.join(ROOT, "state", "diversity_state.json");
 const EVIDENCE_URL_QUEUE = path.join(ROOT, "state", "evidence_url_queue.jsonl");
+const VERDICTS   = path.join(ROOT, "state", "evidence_verdicts.json");
+const VERDICTS_KEEP = 500;
+
+// --explain owns stdout (the JSON report); the human log goes to stderr.
+if (EXPLAIN) console.log = (...args) => console.error(...args);
+
+/** Write a state file — a no-op under --dry-run, so every write goes through here. */
+function writeState(file, data) {
+  if (DRY_RUN) return;
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf-8");
+}
+
+/**
+ * Consume the agent's delta. Left in place under --dry-run so it can be
+ * explained again, and never removed when the operator named it with --delta.
+ */
+function removeDelta() {
+  if (!DRY_RUN && !DELTA_ARG) fs.unlinkSync(DELTA);
+}
 
 const { generate: llmGenerate } = require("./llm.js");
 const { parseOntologyDelta } = require("./lib/ontology_delta.js");
 const { OWN_HANDLES, createSelfEchoDetector } = require("./lib/self_echo.js");
+const ontologyLedger = require("./lib/ontology_ledger.js");
+const sourceReputation = require("./lib/source_reputation.js");
+const coordination = require("./lib/coordination.js");
 const crypto = require("crypto");
 
 // ── Diversity constraint (AGENTS.md §7) ───────────────────────────────────────
@@ -95,23 +152,29 @@ function usernameFromUrl(url) {
   return m ? m[1].toLowerCase() : null;
 }
 
-/** Return trust weight [0.5, 2.0] normalised so default trust = 1.0. */
-function trustWeight(username, trustMap) {
+/**
+ * Return trust weight normalised so default trust = 1.0: [0.5, 2.0] from the
+ * trust graph, then scaled by the source's reputation factor (0.5–1.5).
+ */
+function trustWeight(username, trustMap, reputationFactor = 1) {
   const score = username ? (trustMap.get(username) ?? DEFAULT_TRUST) : DEFAULT_TRUST;
   // Clamp to [1, 5], normalise, clamp weight to [0.5, 2.0]
-  return Math.min(2.0, Math.max(0.5, score / TRUST_NORM));
+  const weight = Math.min(2.0, Math.max(0.5, score / TRUST_NORM));
+  return parseFloat((weight * reputationFactor).toFixed(3));
 }
 
 // ── Daily drift cap state ─────────────────────────────────────────────────────
 // Tracks the score of each axis at the start of the current day.
 // Prevents axis scores from moving more than ±0.05 per axis per day.
 
-const DRIFT_CAP_PER_DAY = 0.05;
 const TODAY_DATE = new Date().toISOString().slice(0, 10); // "YYYY-MM-DD"
 
 // Belief-axis formation math (recency-weighted score + slow-saturating
-// confidence) lives in one place so the live path and the migration agree.
-const { computeAxisScoreConfidence } = require("./lib/belief_calibration.js");
+// confidence) and the daily drift-cap/decay guards live in one place so the
+// live path, the migration and the what-if simulator agree.
+const {
+  computeAxisScoreConfidence, DRIFT_CAP_PER_DAY, CONF_DECAY_PER_DAY,
+} = require("./lib/belief_calibration.js");
 
 function loadDriftCapState(axes) {
   let state = { date: TODAY_DATE, scores: {} };
@@ -122,24 +185,30 @@ function loadDriftCapState(axes) {
     } else {
       // New day — seed from current axis scores
       for (const a of axes) state.scores[a.id] = a.score ?? 0;
-      fs.writeFileSync(DRIFT_CAP, JSON.stringify(state, null, 2), "utf-8");
+      writeState(DRIFT_CAP, state);
     }
   } catch {
     // File missing — seed from current axis scores
     for (const a of axes) state.scores[a.id] = a.score ?? 0;
-    fs.writeFileSync(DRIFT_CAP, JSON.stringify(state, null, 2), "utf-8");
+    writeState(DRIFT_CAP, state);
   }
   return state;
 }
 
 function saveDriftCapState(state) {
-  fs.writeFileSync(DRIFT_CAP, JSON.stringify(state, null, 2), "utf-8");
+  writeState(DRIFT_CAP, state);
 }
 
-/** Clamp newScore so it does not move more than DRIFT_CAP_PER_DAY from baseScore. */
+/** Clamp newScore so it does not move more than DRIFT_CAP_PER_DAY from the start-of-day score. */
+function driftClamp(axisId, newScore, driftState) {
+  const base = driftState.scores[axisId] ?? 0;
+  return Math.min(base + DRIFT_CAP_PER_DAY, Math.max(base - DRIFT_CAP_PER_DAY, newScore));
+}
+
+/** driftClamp, logging when the cap actually bites. */
 function applyDriftCap(axisId, newScore, driftState) {
   const base = driftState.scores[axisId] ?? 0;
-  const clamped = Math.min(base + DRIFT_CAP_PER_DAY, Math.max(base - DRIFT_CAP_PER_DAY, newScore));
+  const clamped = driftClamp(axisId, newScore, driftState);
   if (clamped !== newScore) {
     console.log(
       `[apply_delta] drift cap hit on ${axisId}: ${newScore.toFixed(4)} → ${clamped.toFixed(4)}` +
@@ -161,12 +230,12 @@ function loadAxisGuardState() {
   } catch { /* ignore */ }
   // New day or missing file — reset
   const state = { date: TODAY_DATE, count: 0 };
-  fs.writeFileSync(AXIS_GUARD, JSON.stringify(state, null, 2), "utf-8");
+  writeState(AXIS_GUARD, state);
   return state;
 }
 
 function saveAxisGuardState(state) {
-  fs.writeFileSync(AXIS_GUARD, JSON.stringify(state, null, 2), "utf-8");
+  writeState(AXIS_GUARD, state);
 }
 
 /**
@@ -229,7 +298,7 @@ function loadDiversityState() {
 }
 
 function saveDiversityState(state) {
-  fs.writeFileSync(DIVERSITY, JSON.stringify(state, null, 2), "utf-8");
+  writeState(DIVERSITY, state);
 }
 
 /**
@@ -302,9 +371,26 @@ function recordDiversity(axisId, poleAlignment, diversityState) {
 
 if (!fs.existsSync(DELTA)) {
   // Nothing to do — agent chose not to update ontology this cycle
+  if (DRY_RUN || DELTA_ARG) console.error(`[apply_delta] no delta at ${DELTA}`);
   process.exit(0);
 }
 
+// ── Verdict persistence ───────────────────────────────────────────────────────
+// Rolling window of the last VERDICTS_KEEP verdicts so the bot and website can
+// show why evidence was rejected without parsing the whole ledger.
+
+function saveVerdicts(runId, ts, list) {
+  if (DRY_RUN || !list.length) return;
+  try {
+    let prior = [];
+    try { prior = JSON.parse(fs.readFileSync(VERDICTS, "utf-8")).verdicts || []; } catch { /* first run */ }
+    const merged = [...prior, ...list.map(v => ({ run_id: runId, ts, ...v }))].slice(-VERDICTS_KEEP);
+    fs.writeFileSync(VERDICTS, JSON.stringify({ updated_at: ts, verdicts: merged }, null, 2), "utf-8");
+  } catch (e) {
+    console.log(`[apply_delta] could not persist verdicts: ${e.message}`);
+  }
+}
+
 // ── Stance validation via Ollama ──────────────────────────────────────────────
 
 async function validateStance(axis, content, poleAlignment) {
@@ -348,6 +434,8 @@ confidence is 0.0–1.0 (1.0 = clearly supports the claimed alignment).`;
 
 // ── Load trust graph ──────────────────────────────────────────────────────────
 const trustMap = loadTrustMap();
+const reputationLedger = sourceReputation.load();
+const coordinationLedger = coordination.load();
 
 // ── Load files ────────────────────────────────────────────────────────────────
 
@@ -364,7 +452,8 @@ try {
   }
 } catch (e) {
   console.error(`[apply_delta] could not parse ontology_delta.json: ${e.message}`);
-  fs.unlinkSync(DELTA);
+  if (!DRY_RUN) ontologyLedger.append({ type: "delta_rejected", gate: "unparseable", reason: e.message });
+  removeDelta();
   process.exit(0);
 }
 
@@ -373,12 +462,20 @@ try {
   onto = JSON.parse(fs.readFileSync(ONTO, "utf-8"));
 } catch (e) {
   console.error(`[apply_delta] could not parse ontology.json: ${e.message}`);
-  fs.unlinkSync(DELTA);
+  removeDelta();
   process.exit(1);
 }
 
 if (!Array.isArray(onto.axes)) onto.axes = [];
 
+// Open the ledger run before anything mutates onto — the first run ever also
+// snapshots the pre-apply ontology as the replay genesis. A dry run records nothing.
+const ledger = DRY_RUN
+  ? { id: "dry-run", record() {}, finish() {} }
+  : ontologyLedger.startRun(onto);
+const verdicts = [];        // one per delta evidence entry, in delta order
+const axisProjections = []; // one per axis recomputed this run
+
 const now = new Date().toISOString();
 let evidenceAdded      = 0;
 let evidenceRejected   = 0;
@@ -386,6 +483,7 @@ let evidencePaused     = 0;
 let evidenceDampened   = 0;
 let evidenceSelfEcho   = 0;
 let evidenceDeduped    = 0;
+let evidenceCoordinated = 0;
 let evidenceInvalid    = 0;
 let axesAdded          = 0;
 let axesCapped         = 0;
@@ -419,29 +517,61 @@ const recentClaimIds = new Set(
   )
 );
 let evidenceClaimDeduped = 0;
+const projectedState = new Map(); // axis_id → {score, confidence} after the last accepted entry
 
 
 
-for (const entry of (delta.evidence || [])) {
+for (const [index, entry] of (delta.evidence || []).entries()) {
   const { axis_id, source, content, timestamp, pole_alignment } = entry;
+  const sourceStr  = (source || "").trim();
+  const sourceUser = usernameFromUrl(sourceStr);
+  const repFactor  = sourceReputation.weightFactor(sourceReputation.lookup(reputationLedger, { url: sourceStr }));
+  const cib        = coordination.lookup(coordinationLedger, sourceUser);
+  const rawWeight  = trustWeight(sourceUser, trustMap, repFactor * (cib ? cib.factor : 1));
+
+  const verdict = {
+    index,
+    axis_id:           axis_id || null,
+    source:            sourceStr,
+    content:           String(content || "").slice(0, 200),
+    pole_alignment:    pole_alignment || null,
+    verdict:           "rejected",
+    gate:              null,
+    reason:            null,
+    trust_weight:      rawWeight,
+    reputation_factor: repFactor,
+    coordination_factor: cib ? cib.factor : 1,
+    diversity_weight:  null,
+    effective_weight:  null,
+    stance_confidence: null,
+    projected:         null,
+  };
+  verdicts.push(verdict);
+  const reject = (gate, reason) => {
+    verdict.gate = gate;
+    verdict.reason = reason;
+    ledger.record("evidence_rejected", { ...verdict });
+  };
 
   if (!axis_id || !pole_alignment) {
     console.log(`[apply_delta] skipping malformed evidence entry (missing axis_id or pole_alignment)`);
+    reject("malformed", "missing axis_id or pole_alignment");
     continue;
   }
 
   const axis = axisById[axis_id];
   if (!axis) {
     console.log(`[apply_delta] unknown axis_id "${axis_id}" — skipping evidence entry`);
+    reject("unknown_axis", `unknown axis_id "${axis_id}"`);
     continue;
   }
 
   // ── Invalid source check (#12) ─────────────────────────────────────────────
   // Reject internal/non-URL sources — they cannot be validated or retrieved later
-  const sourceStr = (source || "").trim();
   if (INVALID_SOURCES.has(sourceStr) || (!sourceStr.startsWith("http://") && !sourceStr.startsWith("https://"))) {
     console.log(`[apply_delta] invalid source rejected for ${axis_id}: "${sourceStr.slice(0, 80)}"`);
     evidenceInvalid++;
+    reject("invalid_source", `non-URL or internal source "${sourceStr.slice(0, 80)}"`);
     continue;
   }
 
@@ -450,6 +580,7 @@ for (const entry of (delta.evidence || [])) {
   if (seenSourcesThisRun.has(sourceStr)) {
     console.log(`[apply_delta] source dedup: "${sourceStr.slice(0, 80)}" already used this session`);
     evidenceDeduped++;
+    reject("source_dedup", "source already used this session");
     continue;
   }
   seenSourcesThisRun.add(sourceStr);
@@ -460,18 +591,19 @@ for (const entry of (delta.evidence || [])) {
     if (recentClaimIds.has(claimFp)) {
       console.log("[apply_delta] claim dedup: fp " + claimFp + " already seen in 6h window");
       evidenceClaimDeduped++;
+      reject("claim_dedup", `claim fingerprint ${claimFp} already seen in 6h window`);
       continue;
     }
     recentClaimIds.add(claimFp);
     entry.claim_id = claimFp;
   }
 
-  const sourceUser = usernameFromUrl(sourceStr);
   if (sourceUser && OWN_HANDLES.has(sourceUser)) {
     console.log(
       `[apply_delta] self-echo rejected: source ${sourceStr} is Sebastian's own post`
     );
     evidenceSelfEcho++;
+    reject("self_echo", `source is own post (@${sourceUser})`);
     continue;
   }
 
@@ -483,15 +615,33 @@ for (const entry of (delta.evidence || [])) {
       `(score=${selfEchoMatch.score.toFixed(3)})`
     );
     evidenceSelfEcho++;
+    reject("self_echo",
+      `content mirrors ${selfEchoMatch.source_type} ${selfEchoMatch.reference} (score=${selfEchoMatch.score.toFixed(3)})`);
     continue;
   }
 
+  // ── Coordinated network gate ───────────────────────────────────────────────
+  // A flagged network speaks with one (downweighted) voice per axis per day, so
+  // twenty sock puppets can't add up to twenty pieces of evidence.
+  if (cib) {
+    const dayAgo = Date.now() - 24 * 3_600_000;
+    const counted = (axis.evidence_log || []).some(e =>
+      e.coordination_network === cib.network && Date.parse(e.timestamp || 0) >= dayAgo);
+    if (counted) {
+      console.log(`[apply_delta] coordinated: @${sourceUser} is in ${cib.network}, already counted on ${axis_id} in 24h`);
+      evidenceCoordinated++;
+      reject("coordinated", `@${sourceUser} in network ${cib.network} (score ${cib.score}) already counted on this axis in 24h`);
+      continue;
+    }
+  }
+
   // ── Stance validation ───────────────────────────────────────────────────────
   let stanceConf = null;
   if ((content || "").length >= STANCE_MIN_CHARS) {
     const result = await validateStance(axis, content, pole_alignment);
     if (result !== null) {
       stanceConf = result.confidence;
+      verdict.stance_confidence = parseFloat(stanceConf.toFixed(3));
       if (stanceConf < STANCE_MIN_CONF) {
         console.log(
           `[apply_delta] stance rejected (conf=${stanceConf.toFixed(2)}): ` +
@@ -499,6 +649,7 @@ for (const entry of (delta.evidence || [])) {
           `on "${axis.label}" — ${result.reasoning}`
         );
         evidenceRejected++;
+        reject("stance_validation", `conf=${stanceConf.toFixed(2)} < ${STANCE_MIN_CONF}: ${result.reasoning}`);
         continue;
       }
     }
@@ -508,12 +659,14 @@ for (const entry of (delta.evidence || [])) {
 
   // ── Diversity constraint (AGENTS.md §7) ───────────────────────────────────
   const divCheck = checkDiversity(axis_id, pole_alignment, diversityState);
+  verdict.diversity_weight = divCheck.weight;
   if (divCheck.action === "pause") {
     console.log(
       `[apply_delta] diversity PAUSED on ${axis_id}: ${divCheck.reason} — ` +
       `"${(content || "").slice(0, 50)}"`
     );
     evidencePaused++;
+    reject("diversity_pause", divCheck.reason);
     continue;
   }
   if (divCheck.action === "dampen") {
@@ -524,7 +677,6 @@ for (const entry of (delta.evidence || [])) {
   }
 
   // Compute trust weight from source URL account
-  const rawWeight  = trustWeight(sourceUser, trustMap);
   const weight     = parseFloat((rawWeight * divCheck.weight).toFixed(3));
 
   const logEntry = {
@@ -535,15 +687,43 @@ for (const entry of (delta.evidence || [])) {
     pole_alignment: pole_alignment,
     trust_weight:   parseFloat(weight.toFixed(3)),
     ...(entry.claim_id ? { claim_id: entry.claim_id } : {}),
+    ...(cib ? { coordination_network: cib.network } : {}),
   };
   if (stanceConf !== null) logEntry.stance_confidence = parseFloat(stanceConf.toFixed(3));
 
+  // Projected effect of THIS entry: the axis as left by the previous accepted
+  // entry (or the file) → recomputed with this one appended, drift cap applied.
+  const prior = projectedState.get(axis.id) || { score: axis.score ?? 0, confidence: axis.confidence ?? 0 };
   axis.evidence_log.push(logEntry);
+  const proj = computeAxisScoreConfidence(axis.evidence_log);
+  const projScore = parseFloat(driftClamp(axis.id, proj.score, driftState).toFixed(4));
+  projectedState.set(axis.id, { score: projScore, confidence: proj.confidence });
+
+  Object.assign(verdict, {
+    verdict:          "accepted",
+    gate:             divCheck.action === "dampen" ? "diversity_dampen" : null,
+    reason:           divCheck.reason,
+    effective_weight: weight,
+    projected: {
+      score_before:      prior.score,
+      score_after:       projScore,
+      confidence_before: prior.confidence,
+      confidence_after:  proj.confidence,
+      drift_capped:      projScore !== proj.score,
+    },
+  });
+  ledger.record("evidence_applied", {
+    axis_id: axis.id, index, entry: logEntry,
+    trust_weight_raw: rawWeight, diversity_weight: divCheck.weight,
+    ...(divCheck.action === "dampen" ? { gate: "diversity_dampen", reason: divCheck.reason } : {}),
+  });
   // Queue source URL for Arweave archiving (issue #14)
-  try {
-    fs.appendFileSync(EVIDENCE_URL_QUEUE,
-      JSON.stringify({ url: sourceStr, axis_id: axis.id, ts: now }) + "\n");
-  } catch { /* non-blocking */ }
+  if (!DRY_RUN) {
+    try {
+      fs.appendFileSync(EVIDENCE_URL_QUEUE,
+        JSON.stringify({ url: sourceStr, axis_id: axis.id, ts: now }) + "\n");
+    } catch { /* non-blocking */ }
+  }
   evidenceAdded++;
   axis.last_updated = now;
   axesUpdated.add(axis.id);
@@ -563,10 +743,22 @@ for (const axis of onto.axes) {
   if (!log.length) continue;
 
   const { score: rawScore, confidence } = computeAxisScoreConfidence(log);
+  const scoreBefore = axis.score ?? 0;
+  const confidenceBefore = axis.confidence ?? 0;
   // Apply daily drift cap — score cannot move more than ±0.05 from start-of-day value
   axis.score = parseFloat(applyDriftCap(axis.id, rawScore, driftState).toFixed(4));
   axis.confidence = confidence;
   if (axis.score !== rawScore) axesCapped++;
+  ledger.record("axis_scored", {
+    axis_id: axis.id, score_before: scoreBefore, raw_score: rawScore,
+    score: axis.score, confidence: axis.confidence,
+    drift_base: driftState.scores[axis.id] ?? 0, drift_cap: DRIFT_CAP_PER_DAY,
+    drift_capped: axis.score !== rawScore,
+  });
+  axisProjections.push({
+    axis_id: axis.id, score_before: scoreBefore, raw_score: rawScore, score_after: axis.score,
+    confidence_before: confidenceBefore, confidence_after: axis.confidence, drift_capped: axis.score !== rawScore,
+  });
 
   // ── Stamp score_after + confidence_after on newly added evidence entries ──
   // Walk backwards through evidence_log to find entries added this cycle (those
@@ -584,7 +776,7 @@ for (const axis of onto.axes) {
 // Used by buildCoreContext() to enrich axis context in all reply/chat prompts.
 // Non-blocking: a failed LLM call leaves the existing stance (or no stance).
 const STANCE_GEN_MIN_CONF = 0.40;
-const stanceGenAxes = onto.axes.filter(
+const stanceGenAxes = DRY_RUN ? [] : onto.axes.filter(
   a => axesUpdated.has(a.id) && (a.confidence || 0) >= STANCE_GEN_MIN_CONF
 );
 for (const axis of stanceGenAxes) {
@@ -620,6 +812,7 @@ Return ONLY the sentence.`;
     const cleaned = stance.replace(/^["']|["']$/g, "").trim();
     if (cleaned.length > 10 && cleaned.length < 200) {
       axis.current_stance = cleaned;
+      ledger.record("stance_generated", { axis_id: axis.id, stance: cleaned });
       console.log(`[apply_delta] stance generated for ${axis.id}: "${cleaned.slice(0, 80)}"`);
     }
   } catch { /* non-fatal */ }
@@ -629,7 +822,7 @@ Return ONLY the sentence.`;
 saveDriftCapState(driftState);
 
 // ── Confidence decay for axes not updated this run (#2) ───────────────────────
-// Axes with no new evidence lose 0.002 confidence per elapsed calendar day.
+// Axes with no new evidence lose CONF_DECAY_PER_DAY (0.002) confidence per elapsed calendar day.
 // Gated by axis.last_decayed_at (YYYY-MM-DD): at most one decay tick per day,
 // regardless of how many times apply_ontology_delta.js runs.
 let axesDecayed = 0;
@@ -640,10 +833,11 @@ for (const axis of onto.axes) {
   if (axis.last_decayed_at === TODAY_DATE) continue; // already decayed today
   const daysSince = (Date.now() - new Date(axis.last_updated).getTime()) / ONE_DAY_MS;
   if (daysSince < 1) continue; // less than 1 day stale — no decay yet
-  // Apply exactly one tick (0.002) per calendar day
-  const newConf = parseFloat(Math.max(0, (axis.confidence || 0) - 0.002).toFixed(4));
+  // Apply exactly one tick (CONF_DECAY_PER_DAY) per calendar day
+  const newConf = parseFloat(Math.max(0, (axis.confidence || 0) - CONF_DECAY_PER_DAY).toFixed(4));
   if (newConf < axis.confidence) {
     console.log(`[apply_delta] decay ${axis.id}: confidence ${axis.confidence} → ${newConf} (${Math.floor(daysSince)}d since last evidence)`);
+    ledger.record("axis_decayed", { axis_id: axis.id, from: axis.confidence, to: newConf });
     axis.confidence = newConf;
     axis.last_decayed_at = TODAY_DATE;
     axesDecayed++;
@@ -658,11 +852,13 @@ saveDiversityState(diversityState);
 for (const raw of (delta.new_axes || [])) {
   if (!raw.id || !raw.label || !raw.left_pole || !raw.right_pole) {
     console.log(`[apply_delta] skipping malformed new_axis (missing required fields)`);
+    ledger.record("axis_rejected", { gate: "malformed", axis_id: raw.id, reason: "missing required fields" });
     continue;
   }
 
   if (axisById[raw.id]) {
     console.log(`[apply_delta] axis "${raw.id}" already exists — skipping new_axis`);
+    ledger.record("axis_rejected", { gate: "axis_exists", axis_id: raw.id, reason: "axis already exists" });
     continue;
   }
 
@@ -672,6 +868,7 @@ for (const raw of (delta.new_axes || [])) {
       `[apply_delta] axis creation guard: daily limit (${MAX_AXES_PER_DAY}) reached — ` +
       `skipping new axis "${raw.id}"`
     );
+    ledger.record("axis_rejected", { gate: "axis_daily_limit", axis_id: raw.id, reason: `daily limit ${MAX_AXES_PER_DAY} reached` });
     continue;
   }
 
@@ -683,6 +880,10 @@ for (const raw of (delta.new_axes || [])) {
       `"${nearDuplicate.id}" (Jaccard >= ${AXIS_SIMILARITY_THRESHOLD}) — ` +
       `attach evidence to existing axis instead of creating a new one`
     );
+    ledger.record("axis_rejected", {
+      gate: "axis_near_duplicate", axis_id: raw.id,
+      reason: `semantically similar to ${nearDuplicate.id}`,
+    });
     continue;
   }
 
@@ -701,6 +902,7 @@ for (const raw of (delta.new_axes || [])) {
 
   onto.axes.push(newAxis);
   axisById[newAxis.id] = newAxis;
+  ledger.record("axis_created", { axis_id: newAxis.id, axis: newAxis });
   axesAdded++;
   axisGuardState.count++;
 }
@@ -718,6 +920,7 @@ onto.axes = onto.axes.filter(a => {
   const ageHours = age / (1000 * 60 * 60);
   if (ageHours >= REAP_HOURS && (a.evidence_log || []).length === 0) {
     reaped.push(a);
+    ledger.record("axis_reaped", { axis_id: a.id, reason: `0 evidence after ${REAP_HOURS}h` });
     return false;
   }
   return true;
@@ -726,7 +929,7 @@ if (reaped.length > 0) {
   let graveyard = [];
   try { graveyard = JSON.parse(fs.readFileSync(GRAVEYARD, "utf-8")); } catch {}
   graveyard.push(...reaped.map(a => ({ ...a, reaped_at: now })));
-  fs.writeFileSync(GRAVEYARD, JSON.stringify(graveyard, null, 2), "utf-8");
+  writeState(GRAVEYARD, graveyard);
   console.log(`[apply_delta] reaped ${reaped.length} dead axis(es): ${reaped.map(a => a.id).join(", ")}`);
 }
 
@@ -734,24 +937,40 @@ if (reaped.length > 0) {
 
 onto.last_updated = now;
 
-fs.writeFileSync(ONTO, JSON.stringify(onto, null, 2), "utf-8");
-fs.unlinkSync(DELTA);
+writeState(ONTO, onto);
+removeDelta();
+saveVerdicts(ledger.id, now, verdicts);
+ledger.finish({
+  added: evidenceAdded, rejected_stance: evidenceRejected, self_echo: evidenceSelfEcho,
+  deduped: evidenceDeduped, claim_deduped: evidenceClaimDeduped, invalid: evidenceInvalid,
+  coordinated: evidenceCoordinated,
+  paused: evidencePaused, dampened: evidenceDampened, capped: axesCapped,
+  decayed: axesDecayed, axes_added: axesAdded, reaped: reaped.length,
+});
 
+const dryMsg    = DRY_RUN ? " (dry run — nothing written)" : "";
 const rejMsg    = evidenceRejected ? `, ${evidenceRejected} rejected by stance check` : "";
 const echoMsg   = evidenceSelfEcho ? `, ${evidenceSelfEcho} rejected as self-echo` : "";
 const dedupMsg  = evidenceDeduped  ? `, ${evidenceDeduped} deduped (same source)` : "";
 const claimMsg  = evidenceClaimDeduped ? `, ${evidenceClaimDeduped} claim-deduped` : "";
 const invMsg    = evidenceInvalid  ? `, ${evidenceInvalid} invalid source` : "";
+const cibMsg    = evidenceCoordinated ? `, ${evidenceCoordinated} rejected as coordinated` : "";
 const cappedMsg = axesCapped ? `, ${axesCapped} drift-capped` : "";
 const reapMsg   = reaped.length ? `, ${reaped.length} reaped` : "";
 const pausedMsg = evidencePaused ? `, ${evidencePaused} paused by diversity` : "";
 const dampenMsg = evidenceDampened ? `, ${evidenceDampened} dampened by diversity` : "";
 const decayMsg  = axesDecayed ? `, ${axesDecayed} axes confidence-decayed` : "";
 console.log(
-  `[apply_delta] applied: ${evidenceAdded} evidence entry(ies)${rejMsg}${echoMsg}${dedupMsg}${claimMsg}${invMsg}${pausedMsg}${dampenMsg}${cappedMsg}${reapMsg}${decayMsg}, ${axesAdded} new axis(es)` +
-  ` — total axes: ${onto.axes.length} (axes created today: ${axisGuardState.count}/${MAX_AXES_PER_DAY})`
+  `[apply_delta] applied: ${evidenceAdded} evidence entry(ies)${rejMsg}${echoMsg}${dedupMsg}${claimMsg}${invMsg}${cibMsg}${pausedMsg}${dampenMsg}${cappedMsg}${reapMsg}${decayMsg}, ${axesAdded} new axis(es)` +
+  ` — total axes: ${onto.axes.length} (axes created today: ${axisGuardState.count}/${MAX_AXES_PER_DAY})${dryMsg}`
 );
 
+if (EXPLAIN) {
+  process.stdout.write(JSON.stringify({
+    dry_run: DRY_RUN, run_id: ledger.id, generated_at: now, verdicts, axes: axisProjections,
+  }, null, 2) + "\n");
+}
+
 })().catch(err => {
   console.error(`[apply_delta] fatal: ${err.message}`);
   process.exit(1);
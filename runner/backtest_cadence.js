@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * runner/backtest_cadence.js — replay past cycles through alternative cadence
+ * policies. Read-only: never writes cadence.json.
+ *
+ * runner/cadence.js turns four environmental signals into the next cycle
+ * interval, but a rule change could only be judged by shipping it. This
+ * rebuilds the timeline from the archives —
+ *   - cycles:      runner/orchestrator.log (one JSON line per finished cycle)
+ *   - signals:     state/cadence_history.jsonl + cadence.json history (what the
+ *                  cadence engine assessed, and when)
+ *   - bursts:      state/signal_log.jsonl (signal_detector cross-axis spikes) +
+ *                  landmarks/<id>/event.json (landmark detection windows)
+ * — and replays each policy over it: start where the log starts, ask the
+ * policy for an interval using the signals assessed at that moment, advance by
+ * max(interval, that period's cycle duration), repeat. Runs the orchestrator
+ * was not up for (gaps over GAP_BREAK_SEC) split the log into segments; every
+ * policy replays the same segments, so downtime counts against none of them.
+ *
+ * A POLICY is a function (signals, ctx) → seconds, the same shape as
+ * cadence.autoInterval. `signals` is the assessment {signal_density,
+ * belief_velocity, post_pressure, staleness}; `ctx` is { at, hour, quiet }
+ * (ms timestamp, local hour, outside the posting window); with no assessment
+ * in the 6h before a moment the signals are neutral (all medium, pressure low).
+ * Results are clamped to cadence's [MIN_INTERVAL, MAX_INTERVAL] like the live
+ * engine.
+ *
+ * Per policy it reports:
+ *   intervals     — distribution (p10/p50/p90, mean) + a bucketed histogram
+ *   missed bursts — bursts no cycle started within --window seconds of
+ *                   (default 1800), and the median reaction latency
+ *   wasted quiet  — cycles started in quiet hours (outside TWEET_START–
+ *                   TWEET_END, local like the orchestrator) with neither high
+ *                   signal density nor high belief velocity and no burst
+ *                   within the window: a cycle spent with nothing to absorb
+ * The logged cycles themselves are the first row ("logged"), so a policy is
+ * compared against what actually happened as well as against `current`.
+ *
+ * Usage:
+ *   node runner/backtest_cadence.js [--policy current,fixed,quiet_slow,burst_fast]
+ *     [--policy-file <module.js>] [--since YYYY-MM-DD] [--window 1800]
+ *     [--log <orchestrator.log>] [--json <report.json>]
+ *
+ *   --policy-file loads extra policies: a module exporting one function (named
+ *   after the file) or an object of named functions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./lib/config');
+const { autoInterval, MIN_INTERVAL, MAX_INTERVAL, CADENCE_PATH, CADENCE_ARCHIVE } = require('./cadence');
+
+const ROOT = path.join(__dirname, '..');
+const SIGNAL_LOG = path.join(config.STATE_DIR, 'signal_log.jsonl');
+const LANDMARKS_DIR = path.join(ROOT, 'landmarks');
+const GAP_BREAK_SEC = 2 * 3600;     // longer than this between cycles = the loop was down
+const BURST_WINDOW_SEC = 1800;
+const MAX_STEPS = 200_000;          // per replay — a policy returning 0 still terminates
+const ASSESSMENT_TTL_SEC = 6 * 3600; // an older assessment says nothing about now — neutral signals instead
+const NEUTRAL = { signal_density: 'medium', belief_velocity: 'medium', post_pressure: 'low', staleness: 'medium' };
+const HIST_BUCKETS = [900, 1200, 1500, 1800, 2400, 3000, 3600];
+
+// ── Policies ────────────────────────────────────────────────────────────────
+
+const POLICIES = {
+  /** The live rule. */
+  current: (s) => autoInterval(s),
+  /** No cadence engine at all: the configured default every time. */
+  fixed: () => config.BROWSE_INTERVAL,
+  /** Live rule by day; as slow as allowed in quiet hours. */
+  quiet_slow: (s, ctx) => (ctx.quiet ? MAX_INTERVAL : autoInterval(s)),
+  /** Live rule, but as fast as allowed whenever density or velocity is high. */
+  burst_fast: (s) => (s.signal_density === 'high' || s.belief_velocity === 'high' ? MIN_INTERVAL : autoInterval(s)),
+};
+
+// ── Loading ─────────────────────────────────────────────────────────────────
+
+function readJsonl(fp) {
+  const out = [];
+  let lines = [];
+  try { lines = fs.readFileSync(fp, 'utf-8').split('\n').filter(Boolean); } catch { return out; }
+  for (const line of lines) { try { out.push(JSON.parse(line)); } catch {} }
+  return out;
+}
+
+/** Finished cycles → [{ start, durationSec, type, cycle }] (ms), oldest first. */
+function loadCycles(file = config.ORCHESTRATOR_LOG_PATH) {
+  return readJsonl(file)
+    .filter((e) => e.ts && e.cycle != null && Number.isFinite(Date.parse(e.ts)))
+    .map((e) => {
+      const durationSec = Math.max(0, Number(e.durationSec) || 0);
+      return { start: Date.parse(e.ts) - durationSec * 1000, durationSec, type: e.type || null, cycle: e.cycle };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+/** Every cadence assessment on record → [{ ts, signals }], oldest first, deduped by ts. */
+function loadAssessments() {
+  let live = [];
+  try { live = JSON.parse(fs.readFileSync(CADENCE_PATH, 'utf-8')).history || []; } catch {}
+  const byTs = new Map();
+  for (const h of [...readJsonl(CADENCE_ARCHIVE), ...live]) {
+    const ts = Date.parse(h && h.ts);
+    if (Number.isFinite(ts) && h.assessment) byTs.set(ts, { ts, signals: { ...NEUTRAL, ...h.assessment } });
+  }
+  return [...byTs.values()].sort((a, b) => a.ts - b.ts);
+}
+
+/** signal_detector spikes + landmark windows → [{ ts, source, label }], oldest first. */
+function loadBursts() {
+  const bursts = readJsonl(SIGNAL_LOG)
+    .filter((s) => Number.isFinite(Date.parse(s.ts)))
+    .map((s) => ({ ts: Date.parse(s.ts), source: 'signal', label: `${s.spike_count} axes (${s.strength || '?'})` }));
+  let dirs = [];
+  try { dirs = fs.readdirSync(LANDMARKS_DIR); } catch {}
+  for (const d of dirs) {
+    try {
+      const ev = JSON.parse(fs.readFileSync(path.join(LANDMARKS_DIR, d, 'event.json'), 'utf-8'));
+      const ts = Number(ev.windowTs) || Date.parse(ev.date);
+      if (Number.isFinite(ts)) bursts.push({ ts, source: 'landmark', label: ev.headline || (ev.topKeywords || []).slice(0, 3).join(', ') || d });
+    } catch {}
+  }
+  return bursts.sort((a, b) => a.ts - b.ts);
+}
+
+// ── Replay ──────────────────────────────────────────────────────────────────
+
+function isQuiet(hour, { start = config.TWEET_START, end = config.TWEET_END } = {}) {
+  if (start <= 0 && end >= 24) return false;
+  return start <= end ? hour < start || hour >= end : hour < start && hour >= end;
+}
+
+/** Latest element with ts ≤ at (list sorted by `key`), or null. */
+function latestAt(list, at, key = 'ts') {
+  let lo = 0, hi = list.length - 1, hit = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid][key] <= at) { hit = list[mid]; lo = mid + 1; } else hi = mid - 1;
+  }
+  return hit;
+}
+
+/** The signals cadence had assessed at `at` (neutral when none is recent enough). */
+function signalsAt(assessments, at) {
+  const a = latestAt(assessments, at);
+  return a && at - a.ts <= ASSESSMENT_TTL_SEC * 1000 ? a.signals : { ...NEUTRAL };
+}
+
+/** Split logged cycles wherever the loop was down. → [{ from, to, cycles }] */
+function segments(cycles, gapSec = GAP_BREAK_SEC) {
+  const out = [];
+  for (const c of cycles) {
+    const seg = out[out.length - 1];
+    if (seg && (c.start - seg.to) / 1000 <= gapSec) { seg.to = c.start; seg.cycles.push(c); }
+    else out.push({ from: c.start, to: c.start, cycles: [c] });
+  }
+  return out;
+}
+
+/** Cycle start times one policy would have produced over the logged segments. */
+function replay(policy, { segs, assessments, quietHours }) {
+  const starts = [];
+  for (const seg of segs) {
+    const run = [];
+    let t = seg.from;
+    for (let i = 0; t <= seg.to && i < MAX_STEPS; i++) {
+      run.push(t);
+      const hour = new Date(t).getHours();
+      const want = Number(policy(signalsAt(assessments, t), { at: t, hour, quiet: isQuiet(hour, quietHours) }));
+      const interval = Math.max(MIN_INTERVAL, Math.min(MAX_INTERVAL, Number.isFinite(want) ? want : config.BROWSE_INTERVAL));
+      const busy = (latestAt(seg.cycles, t, 'start') || seg.cycles[0]).durationSec;
+      t += Math.max(interval, busy) * 1000;
+    }
+    starts.push(run);
+  }
+  return starts;
+}
+
+const pct = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null);
+
+/** Metrics for one set of cycle starts (one array per segment). Pure. */
+function score(runs, { segs, assessments, bursts, windowSec = BURST_WINDOW_SEC, quietHours }) {
+  const intervals = runs.flatMap((r) => r.slice(1).map((t, i) => Math.round((t - r[i]) / 1000))).sort((a, b) => a - b);
+  const histogram = {};
+  for (const edge of [...HIST_BUCKETS, Infinity]) histogram[edge === Infinity ? `>${HIST_BUCKETS[HIST_BUCKETS.length - 1] / 60}m` : `≤${edge / 60}m`] = 0;
+  for (const s of intervals) {
+    const edge = HIST_BUCKETS.find((b) => s <= b);
+    histogram[edge ? `≤${edge / 60}m` : `>${HIST_BUCKETS[HIST_BUCKETS.length - 1] / 60}m`]++;
+  }
+
+  // Bursts count only while the loop was up (inside a segment).
+  const starts = runs.flat().sort((a, b) => a - b);
+  const live = bursts.filter((b) => segs.some((s) => b.ts >= s.from && b.ts <= s.to));
+  const latencies = [], missed = [];
+  for (const b of live) {
+    const next = starts.find((t) => t >= b.ts);
+    const lat = next == null ? null : Math.round((next - b.ts) / 1000);
+    if (lat == null || lat > windowSec) missed.push({ ...b, latencySec: lat });
+    if (lat != null) latencies.push(lat);
+  }
+  latencies.sort((a, b) => a - b);
+
+  let quiet = 0, wasted = 0;
+  for (const t of starts) {
+    if (!isQuiet(new Date(t).getHours(), quietHours)) continue;
+    quiet++;
+    const s = signalsAt(assessments, t);
+    const busy = s.signal_density === 'high' || s.belief_velocity === 'high';
+    const nearBurst = bursts.some((b) => Math.abs(b.ts - t) <= windowSec * 1000);
+    if (!busy && !nearBurst) wasted++;
+  }
+
+  const mean = intervals.length ? Math.round(intervals.reduce((s, x) => s + x, 0) / intervals.length) : null;
+  return {
+    cycles: starts.length,
+    intervals: { n: intervals.length, min: intervals[0] ?? null, p10: pct(intervals, 0.1), p50: pct(intervals, 0.5), p90: pct(intervals, 0.9), max: intervals[intervals.length - 1] ?? null, mean, histogram },
+    bursts: { total: live.length, missed: missed.length, median_latency_sec: pct(latencies, 0.5), missed_list: missed },
+    quiet: { cycles: quiet, wasted },
+  };
+}
+
+/**
+ * Backtest named policies against the logged timeline. Pure given its inputs.
+ * @returns {{ segments:number, span:{from,to}, rows:[{ policy, ...score }] }}
+ */
+function backtest({ cycles, assessments = [], bursts = [], policies = { current: POLICIES.current }, windowSec = BURST_WINDOW_SEC, quietHours } = {}) {
+  const segs = segments(cycles);
+  const ctx = { segs, assessments, bursts, windowSec, quietHours };
+  const rows = [{ policy: 'logged', ...score(segs.map((s) => s.cycles.map((c) => c.start)), ctx) }];
+  for (const [name, fn] of Object.entries(policies)) rows.push({ policy: name, ...score(replay(fn, ctx), ctx) });
+  return {
+    segments: segs.length,
+    span: segs.length ? { from: new Date(segs[0].from).toISOString(), to: new Date(segs[segs.length - 1].to).toISOString() } : null,
+    rows,
+  };
+}
+
+module.exports = { POLICIES, backtest, replay, segments, score, isQuiet, loadCycles, loadAssessments, loadBursts };
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+
+  const policies = {};
+  for (const name of (flag('--policy') || Object.keys(POLICIES).join(',')).split(',').map((s) => s.trim()).filter(Boolean)) {
+    if (!POLICIES[name]) { console.error(`[backtest] unknown policy "${name}" (built in: ${Object.keys(POLICIES).join(', ')})`); process.exit(2); }
+    policies[name] = POLICIES[name];
+  }
+  const file = flag('--policy-file');
+  if (file) {
+    let mod;
+    try { mod = require(path.resolve(file)); }
+    catch (e) { console.error(`[backtest] could not load ${file}: ${e.message}`); process.exit(1); }
+    if (typeof mod === 'function') policies[path.basename(file, '.js')] = mod;
+    else for (const [k, v] of Object.entries(mod || {})) if (typeof v === 'function') policies[k] = v;
+  }
+
+  const since = flag('--since') ? Date.parse(flag('--since')) : -Infinity;
+  const windowSec = Number(flag('--window')) || BURST_WINDOW_SEC;
+  const logPath = flag('--log') || config.ORCHESTRATOR_LOG_PATH;
+  const cycles = loadCycles(logPath).filter((c) => c.start >= since);
+  if (!cycles.length) { console.error(`[backtest] no cycles in ${logPath}${flag('--since') ? ` since ${flag('--since')}` : ''}`); process.exit(1); }
+  const assessments = loadAssessments();
+  const bursts = loadBursts();
+
+  const r = backtest({ cycles, assessments, bursts, policies, windowSec });
+  console.log(`[backtest] ${cycles.length} logged cycles in ${r.segments} segment(s), ${r.span.from.slice(0, 16)} → ${r.span.to.slice(0, 16)} | ` +
+    `${assessments.length} cadence assessments | ${bursts.length} bursts | window ${windowSec}s | quiet = outside ${config.TWEET_START}:00–${config.TWEET_END}:00`);
+  if (!assessments.length) console.log('[backtest] no cadence history archived yet — policies see neutral signals');
+
+  const m = (s) => (s == null ? '   -' : `${Math.round(s / 60)}m`.padStart(4));
+  console.log(`\n${'policy'.padEnd(12)} ${'cycles'.padStart(6)}  p10  p50  p90 mean  ${'missed bursts'.padEnd(14)} ${'react'.padStart(5)}  wasted quiet`);
+  for (const row of r.rows) {
+    const i = row.intervals, b = row.bursts, q = row.quiet;
+    console.log(`${row.policy.padEnd(12)} ${String(row.cycles).padStart(6)} ${m(i.p10)} ${m(i.p50)} ${m(i.p90)} ${m(i.mean)}  ` +
+      `${`${b.missed}/${b.total}`.padEnd(14)} ${m(b.median_latency_sec).padStart(5)}  ${q.wasted}/${q.cycles}`);
+  }
+  console.log('\nintervals:');
+  for (const row of r.rows) {
+    console.log(`  ${row.policy.padEnd(12)} ${Object.entries(row.intervals.histogram).map(([k, v]) => `${k}:${v}`).join('  ')}`);
+  }
+  const missed = r.rows.find((x) => x.policy === 'logged').bursts.missed_list;
+  if (missed.length) {
+    console.log('\nbursts the logged cycles missed:');
+    for (const b of missed.slice(-10)) console.log(`  ${new Date(b.ts).toISOString().slice(0, 16)} ${b.source.padEnd(8)} ${b.latencySec == null ? 'never' : m(b.latencySec)}  ${b.label}`);
+  }
+
+  const out = flag('--json');
+  if (out) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify({ generated_at: new Date().toISOString(), log: logPath, window_sec: windowSec, ...r }, null, 2));
+    console.log(`\n[backtest] wrote ${out}`);
+  }
+}
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * runner/bluesky_post.js — hunter adapter: drain the 'bluesky' outbox channel.
+ *
+ * Thin wrapper that wires hunter's outbound gates + posts_log into the generic
+ * `helmstack-social` Bluesky engine (tools/helmstack-social/src/bluesky.js, AT
+ * Protocol XRPC — no browser). Claims the next due 'bluesky' item (lib/outbox:
+ * priority, then newest; budget-checked in the claim) and posts it:
+ *   kind 'post'   → a post
+ *   kind 'reply'  → a reply to meta.replyTo (bsky.app URL or at:// URI)
+ *   kind 'thread' → an outbox thread (enqueueThread); parts post in order,
+ *                   each replying to the last, resuming at the first unposted
+ *                   part after a failure (lib/outbox drainParts)
+ *
+ * Bluesky caps a post at 300 graphemes, so a post or reply that is still over
+ * it after gating is split into a reply chain and the row becomes a thread
+ * (outbox.splitIntoThread) — from then on it resumes part by part like any
+ * thread. Thread parts are expected to fit already; an over-long one rejects.
+ *
+ * A part that links one of our articles or reports (CARD_URL_RE, or
+ * meta.cardUrl) gets a link card. Every posted URL goes back to the outbox row
+ * and into posts_log.json as bluesky_* so measurement can pick it up.
+ *
+ * Env: BLUESKY_HANDLE, BLUESKY_APP_PASSWORD (required), BLUESKY_SERVICE
+ * (default https://bsky.social), BLUESKY_DRY_RUN=1.
+ * Exit 0 = posted / nothing due / dry-run / rejected, 1 = transient failure.
+ */
+
+"use strict";
+
+const { Bluesky, graphemeLength, blueskySplit } = require("../tools/helmstack-social/src");
+const { passOutbound } = require("./lib/outbound_gates");
+const { logChannel } = require("./posts_log");
+const outbox = require("./lib/outbox");
+const { withArtifact } = require("./lib/cost_meter");
+
+const CYCLE = Number.parseInt(process.env.CYCLE_NUMBER || "", 10) || null;
+const DRY_RUN = process.env.BLUESKY_DRY_RUN === "1";
+const LIMIT = 300;
+// Our long-form pages — the ones worth a card. Anything else stays a faceted link.
+const CARD_URL_RE = /^https?:\/\/(?:www\.)?sebastianhunter\.fun\/(?:articles|report)\/[^\s]+/;
+const tag = "bluesky_post";
+const log = (m) => console.log(`[${tag}] ${m}`);
+
+/** The URL to card for this text: meta.cardUrl if it appears, else the first article/report link. */
+function cardUrlFor(text, meta = {}) {
+  const urls = (String(text || "").match(/https?:\/\/[^\s<>"']+/g) || []).map((u) => u.replace(/[.,;:!?)\]'"]+$/, ""));
+  if (meta.cardUrl && urls.includes(meta.cardUrl)) return meta.cardUrl;
+  return urls.find((u) => CARD_URL_RE.test(u)) || null;
+}
+
+/** Gate each text; {ok, texts} (gated, possibly fact-corrected) or {ok:false, reason}. */
+async function gateAll(texts) {
+  const out = [];
+  for (const [i, text] of texts.entries()) {
+    const g = await passOutbound(text, { tag });
+    if (!g.ok) return { ok: false, reason: texts.length > 1 ? `part ${i + 1}: ${g.reason}` : g.reason };
+    out.push(g.text);
+  }
+  return { ok: true, texts: out };
+}
+
+async function drainThread(bs, item, textByIdx) {
+  const meta = item.meta || {};
+  return outbox.drainParts(item.id, async ({ part, replyTo }) => {
+    const text = textByIdx.get(part.idx);
+    const opts = { dryRun: DRY_RUN, embedUrl: cardUrlFor(text, meta) };
+    // replyTo = the previous part's URL, or meta.replyTo for part 1 (nextPart).
+    const res = replyTo ? await bs.reply(replyTo, text, opts) : await bs.post(text, opts);
+    if (res.dryRun) return { dryRun: true };
+    return res.ok || res.posted ? { ok: true, url: res.url } : { ok: false, reason: res.reason };
+  }, {
+    log,
+    onPosted: (part, { url, replyTo }) => logChannel({
+      channel: "bluesky",
+      type: part.idx > 0 ? "bluesky_thread_reply" : meta.replyTo ? "bluesky_reply" : "bluesky_thread",
+      content: textByIdx.get(part.idx), url, reply_to: replyTo, cycle: CYCLE, outbox_id: item.id,
+    }),
+  });
+}
+
+async function drain(bs, item) {
+  const meta = item.meta || {};
+
+  if (item.kind === "thread") {
+    const parts = outbox.threadParts(item.id);
+    const pending = parts.filter((p) => p.status !== "posted");
+    const partsPosted = parts.length - pending.length;
+    const gated = await gateAll(pending.map((p) => p.text));
+    if (!gated.ok) return { rejected: gated.reason, partsPosted };
+    const long = gated.texts.findIndex((t) => graphemeLength(t) > LIMIT);
+    if (long !== -1) {
+      return { rejected: `part ${pending[long].idx + 1}: too_long (${graphemeLength(gated.texts[long])} > ${LIMIT} graphemes)`, partsPosted };
+    }
+    return drainThread(bs, item, new Map(pending.map((p, i) => [p.idx, gated.texts[i]])));
+  }
+
+  const isReply = item.kind === "reply";
+  if (isReply && !meta.replyTo) return { rejected: "reply without meta.replyTo" };
+  const gated = await gateAll([item.text]);
+  if (!gated.ok) return { rejected: gated.reason };
+  const text = gated.texts[0];
+
+  if (graphemeLength(text) > LIMIT) {
+    const parts = blueskySplit(text, LIMIT);
+    outbox.splitIntoThread(item.id, parts);
+    log(`outbox #${item.id}: ${graphemeLength(text)} graphemes — split into a ${parts.length}-part chain`);
+    return drainThread(bs, { ...item, kind: "thread" }, new Map(parts.map((t, i) => [i, t])));
+  }
+
+  const opts = { dryRun: DRY_RUN, embedUrl: cardUrlFor(text, meta) };
+  const res = isReply ? await bs.reply(meta.replyTo, text, opts) : await bs.post(text, opts);
+  if (res.dryRun) { outbox.release(item.id, "dry_run"); return { dryRun: true }; }
+  if (!(res.ok || res.posted)) {
+    if (res.reason === "reply_target_unresolved") return { rejected: res.reason };
+    outbox.markFailed(item.id, res.reason || "post_failed");
+    return { ok: false, reason: res.reason };
+  }
+  outbox.markPosted(item.id, { url: res.url });
+  logChannel({
+    channel: "bluesky", type: isReply ? "bluesky_reply" : "bluesky_post",
+    content: text, url: res.url, reply_to: isReply ? meta.replyTo : null, cycle: CYCLE, outbox_id: item.id,
+  });
+  return { ok: true, urls: [res.url] };
+}
+
+async function main() {
+  const { item, blocked } = outbox.claimNext("bluesky", { kinds: ["post", "reply", "thread"] });
+  if (blocked) { log(`Bluesky budget: ${blocked.reason} — next slot ${blocked.retryAt}`); return 0; }
+  if (!item) { log("no due Bluesky item in outbox — nothing to do"); return 0; }
+
+  const bs = new Bluesky({ log });
+  if (!(await bs.sessionOk())) {
+    log("Bluesky login failed or PDS unreachable (BLUESKY_HANDLE / BLUESKY_APP_PASSWORD / BLUESKY_SERVICE)");
+    outbox.markFailed(item.id, "no_session");
+    return 1;
+  }
+  log(`posting outbox #${item.id} (${item.kind})`);
+
+  // The gates' LLM calls are costed to this outbox item.
+  const r = await withArtifact({ type: item.kind, id: `outbox-${item.id}` }, () => drain(bs, item));
+  if (r.rejected) {
+    // A gate that rejects a resumed part can't unpost the live ones — leave it
+    // failed (visible half-thread) rather than rejected.
+    if (r.partsPosted) outbox.markFailed(item.id, `gate on resume: ${r.rejected}`);
+    else outbox.markRejected(item.id, r.rejected);
+    log(`outbox #${item.id} rejected: ${r.rejected}`);
+    return 0;
+  }
+  if (r.dryRun) { log("dry run — not posted"); return 0; }
+  if (!r.ok) { log(`outbox #${item.id} failed: ${r.reason}`); return 1; }
+  log(`outbox #${item.id} posted: ${r.urls.filter(Boolean).join(" ")}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code)).catch((err) => { log(`error: ${err.message}`); process.exit(1); });
+}
+
+module.exports = { main, cardUrlFor };
@@ -2,9 +2,12 @@
 /**
  * runner/builder_pipeline.js — META cycle build→test→merge pipeline
  *
- * Called by the orchestrator after the builder agent writes files to staging/.
- * Reads staging/manifest.json, validates guardrails, applies changes on a
- * feature branch, runs smoke tests, and auto-merges or rolls back.
+ * Launched by the orchestrator, detached, at the end of a META cycle, after the
+ * builder agent wrote files to staging/. Reads staging/manifest.json, validates
+ * guardrails, applies changes on a feature branch, runs smoke tests, and
+ * auto-merges or rolls back. While it runs, its pid is in
+ * runner/builder_pipeline.pid and the orchestrator holds the next cycle: the
+ * working tree is on the feature branch until the pipeline is done.
  *
  * Flow:
  *   1. Read staging/manifest.json
@@ -12,8 +15,15 @@
  *   3. Create feature branch: meta/<proposal_id>
  *   4. Copy staging files to their real paths
  *   5. Run smoke tests (syntax check, import check, custom test_commands)
- *   6. On pass: commit, merge to main, push, cleanup
- *   7. On fail: abandon branch, log failure, cleanup
+ *   6. Run runner/tests/run_tests.js in the sandbox against a snapshot copy of
+ *      state/, with V8 coverage. Its "META regression tests" section runs every
+ *      runner/tests/meta/*.test.js, the proposal's own (manifest.tests) included. Diff the changed lines
+ *      against what the tests ran (lib/coverage_diff.js); a changed module
+ *      with no covered line blocks the merge.
+ *   7. On pass: commit, merge to main, push, cleanup
+ *      then open a canary window (lib/meta_canary.js): runner/meta_canary.js
+ *      reverts the merge if the next cycles regress against the baseline
+ *   8. On fail: abandon branch, log failure, cleanup
  *
  * Exit codes:
  *   0 = merged successfully
@@ -35,6 +45,12 @@ const HISTORY_PATH  = path.join(ROOT, "state", "proposal_history.json");
 
 const { PROTECTED_FILES } = require("./lib/prompts/builder");
 const { createBranch, mergeBranch, deleteBranch, commitAndPushBranch } = require("./lib/git");
+const config = require("./lib/config");
+const { executeSandboxedTests } = require("./lib/sandbox");
+const coverageDiff = require("./lib/coverage_diff");
+const metaCanary = require("./lib/meta_canary");
+
+const META_TESTS_DIR = "runner/tests/meta/";
 
 function log(msg) {
   console.log(`[builder_pipeline] ${msg}`);
@@ -96,6 +112,17 @@ function validateManifest(manifest) {
     }
   }
 
+  // Proposal regression tests: standalone scripts under runner/tests/meta/,
+  // shipped as files of the proposal so they stay in the suite after merge
+  const shipped = new Set(files.filter(f => f.action !== 'infra_trigger').map(f => f.path));
+  for (const t of (manifest.tests || [])) {
+    if (!isSafeRelativePath(t) || !t.startsWith(META_TESTS_DIR) || !t.endsWith(".test.js")) {
+      errors.push(`Invalid test path: ${t} (must be ${META_TESTS_DIR}<name>.test.js)`);
+    } else if (!shipped.has(t)) {
+      errors.push(`Test not in files: ${t}`);
+    }
+  }
+
   // Check staged files exist and line count
   for (const f of files) {
     if (f.action === 'infra_trigger') continue;  // not a code file
@@ -341,6 +368,62 @@ function runSmokeTests(manifest, exportSnap) {
   return failures;
 }
 
+// ── Sandboxed tests + coverage diff ─────────────────────────────────────────
+
+/** Changed line numbers per file: `git diff -U0` against HEAD, or every line of a new file. */
+function changedLinesFor(paths, snapshot) {
+  const changed = {};
+  for (const relPath of paths) {
+    const absPath = path.join(ROOT, relPath);
+    if (!fs.existsSync(absPath)) continue;
+    if (!snapshot.get(relPath)?.existed) {
+      const count = fs.readFileSync(absPath, "utf-8").split("\n").length;
+      changed[relPath] = Array.from({ length: count }, (_, i) => i + 1);
+      continue;
+    }
+    const diff = execFileSync("git", ["-C", ROOT, "diff", "-U0", "--no-color", "HEAD", "--", relPath], {
+      encoding: "utf-8",
+      timeout: 15000,
+    });
+    Object.assign(changed, coverageDiff.changedLines(diff));
+  }
+  return changed;
+}
+
+/**
+ * Run the suite in the sandbox (it runs the proposal's own tests from
+ * runner/tests/meta/ too), then check that every changed module had at least
+ * one changed line executed.
+ * Returns { failures, summary }.
+ */
+async function runSandboxedTests(manifest, filesChanged, snapshot) {
+  const commands = [{ script: "runner/tests/run_tests.js", args: ["--ci"] }];
+  const run = await executeSandboxedTests({ label: `meta-${manifest.proposal_id}`, commands });
+  if (run.status === "error") {
+    return { failures: [`Sandboxed tests could not run: ${run.error}`], summary: null };
+  }
+  if (run.state_skipped?.length) log(`state files left out of the test snapshot: ${run.state_skipped.join(", ")}`);
+
+  const failures = [];
+  for (const r of run.results) {
+    if (r.timed_out) failures.push(`Test timed out: ${r.command}`);
+    else if (r.code !== 0) failures.push(`Test failed: ${r.command} — ${(r.stderr_tail || r.stdout_tail).trim().slice(-400)}`);
+  }
+  if (failures.length) return { failures, summary: null };
+
+  const report = coverageDiff.diff({
+    changed: changedLinesFor(filesChanged, snapshot),
+    coverage: run.coverage,
+    readSource: rel => { try { return fs.readFileSync(path.join(ROOT, rel), "utf-8"); } catch { return null; } },
+  });
+  const summary = coverageDiff.format(report);
+  log(`coverage of changed lines: ${summary}`);
+  for (const rel of report.uncovered) {
+    failures.push(`No test coverage for changed code in ${rel} — add a regression test under ${META_TESTS_DIR} that exercises it`);
+  }
+  return { failures, summary };
+}
+
 // ── Apply staging files to real paths ───────────────────────────────────────
 
 function snapshotTargetFiles(paths) {
@@ -474,6 +557,7 @@ function appendHistory(proposal, status, notes, filesChanged, meta = {}) {
     resolved_at: new Date().toISOString(),
     resolution_notes: notes,
     files_changed: filesChanged || [],
+    test_coverage: meta.testCoverage || null,
     branch_name: meta.branchName || null,
     merge_commit: meta.mergeCommit || null,
     pushed_to_origin: meta.pushedToOrigin ?? null,
@@ -505,6 +589,13 @@ function rollbackLocalMain(branchName, preMergeHead) {
 // ── Main ────────────────────────────────────────────────────────────────────
 
 (async function main() {
+  fs.writeFileSync(config.BUILDER_PIDFILE, String(process.pid));
+  process.on("exit", () => {
+    try {
+      if (fs.readFileSync(config.BUILDER_PIDFILE, "utf-8").trim() === String(process.pid)) fs.rmSync(config.BUILDER_PIDFILE, { force: true });
+    } catch {}
+  });
+
   // 1. Load manifest
   const manifest = loadJson(MANIFEST);
   if (!manifest) {
@@ -569,6 +660,7 @@ function rollbackLocalMain(branchName, preMergeHead) {
 
   let branchCreated = false;
   let snapshot = null;
+  let testCoverage = null;
 
   try {
     // 4. Create feature branch
@@ -593,14 +685,25 @@ function rollbackLocalMain(branchName, preMergeHead) {
 
     log("smoke tests passed");
 
-    // 7. Commit on feature branch
+    // 7. Sandboxed test suite + coverage gate
+    log("running sandboxed tests...");
+    const sandboxed = await runSandboxedTests(manifest, filesChanged, snapshot);
+    testCoverage = sandboxed.summary;
+    if (sandboxed.failures.length > 0) {
+      log("sandboxed tests FAILED:");
+      for (const f of sandboxed.failures) log(`  - ${f}`);
+      throw new Error(`Sandboxed tests failed: ${sandboxed.failures.join("; ")}`);
+    }
+    log("sandboxed tests passed");
+
+    // 8. Commit on feature branch
     commitAndPushBranch({
       branch: branchName,
       paths: filesChanged,
       message: `meta: ${proposal.title} [${proposal.id}]`,
     });
 
-    // 8. Merge to main
+    // 9. Merge to main
     log("merging to main...");
     mergeBranch(branchName);
     const mergeCommit = execFileSync("git", ["-C", ROOT, "rev-parse", "HEAD"], {
@@ -608,7 +711,7 @@ function rollbackLocalMain(branchName, preMergeHead) {
       timeout: 10000,
     }).trim();
 
-    // 9. Push main
+    // 10. Push main
     let pushedToOrigin = true;
     let pushError = "";
     let localRollbackOk = true;
@@ -627,7 +730,7 @@ function rollbackLocalMain(branchName, preMergeHead) {
       }
     }
 
-    // 10. Clean up branch on successful publish only
+    // 11. Clean up branch on successful publish only
     if (pushedToOrigin) {
       deleteBranch(branchName);
 
@@ -636,15 +739,24 @@ function rollbackLocalMain(branchName, preMergeHead) {
       if (infraTriggered) log('infra request queued for operator approval');
     }
 
-    // 11. Update proposal + history
+    // 12. Update proposal + history
     if (pushedToOrigin) {
       updateProposal("merged", "Successfully built, tested, and merged");
       appendHistory(proposal, "merged", "All tests passed, auto-merged", filesChanged, {
         branchName,
         mergeCommit,
         pushedToOrigin: true,
+        testCoverage,
       });
       log(`proposal ${proposal.id} merged successfully`);
+
+      // 13. Open the canary window — meta_canary.js reverts on regression
+      try {
+        const c = metaCanary.start({ proposal, mergeCommit });
+        log(`canary opened: ${c.cycles_needed} cycles vs ${c.baseline.cycles}-cycle baseline`);
+      } catch (e) {
+        log(`canary start failed: ${e.message}`);
+      }
     } else {
       const rollbackNotes = localRollbackOk
         ? "Local main rolled back to pre-merge state."
@@ -655,6 +767,7 @@ function rollbackLocalMain(branchName, preMergeHead) {
         branchName,
         mergeCommit,
         pushedToOrigin: false,
+        testCoverage,
       });
       log(`proposal ${proposal.id} failed after push error`);
       process.exitCode = 1;
@@ -674,7 +787,7 @@ function rollbackLocalMain(branchName, preMergeHead) {
     }
 
     updateProposal("failed", `Pipeline error: ${e.message}`);
-    appendHistory(proposal, "failed", `Pipeline error: ${e.message}`, filesChanged, { branchName });
+    appendHistory(proposal, "failed", `Pipeline error: ${e.message}`, filesChanged, { branchName, testCoverage });
     cleanStaging();
     process.exit(1);
   }
@@ -15,7 +15,13 @@
  *   - cycle_interval_sec: clamped to [900, 3600]
  *   - next_cycle_type: only "BROWSE", "TWEET", "QUOTE", or null
  *   - max 3 consecutive type overrides before forced reset
- *   - history capped at 24 entries
+ *   - history capped at 24 entries (every entry is also appended to
+ *     state/cadence_history.jsonl, the long record runner/backtest_cadence.js
+ *     replays)
+ *
+ * The signals → interval rule is a policy function, `autoInterval(signals,
+ * ctx)`. Alternatives with the same signature can be replayed against past
+ * cycles with runner/backtest_cadence.js before one replaces it.
  */
 
 const fs = require('fs');
@@ -23,6 +29,7 @@ const path = require('path');
 const config = require('./lib/config');
 
 const CADENCE_PATH = path.join(config.STATE_DIR, 'cadence.json');
+const CADENCE_ARCHIVE = path.join(config.STATE_DIR, 'cadence_history.jsonl');
 
 // ── Defaults & guardrails ───────────────────────────────────────────────────
 
@@ -261,6 +268,11 @@ function assess() {
   };
 
   fs.writeFileSync(CADENCE_PATH, JSON.stringify(output, null, 2) + '\n');
+  try {
+    const signals = { ...assessment };
+    delete signals.focus_note; // prose, not a signal
+    fs.appendFileSync(CADENCE_ARCHIVE, JSON.stringify({ ts: now, assessment: signals, directives }) + '\n');
+  } catch {}
   console.log(`[cadence] assessed: density=${assessment.signal_density} velocity=${assessment.belief_velocity} pressure=${assessment.post_pressure} staleness=${assessment.staleness}`);
   console.log(`[cadence] directives: interval=${directives.cycle_interval_sec}s type=${directives.next_cycle_type || 'auto'} depth=${directives.browse_depth} eagerness=${directives.post_eagerness}`);
 
@@ -273,6 +285,9 @@ function assess() {
  * Suggest a cycle interval based on environmental signals.
  * High signal density + high velocity → shorter cycles (faster absorption).
  * Low density + high staleness → longer cycles (save resources).
+ *
+ * This is the live cadence POLICY: (signals, ctx) → seconds, where ctx is
+ * { at, hour } in the backtest. It ignores ctx; alternatives may not.
  */
 function autoInterval(signals) {
   let score = 0;
@@ -338,7 +353,10 @@ function consumeOverride() {
 
 // ── Exports ─────────────────────────────────────────────────────────────────
 
-module.exports = { assess, readDirectives, consumeOverride };
+module.exports = {
+  assess, readDirectives, consumeOverride, autoInterval,
+  MIN_INTERVAL, MAX_INTERVAL, CADENCE_PATH, CADENCE_ARCHIVE,
+};
 
 // CLI mode
 if (require.main === module) {
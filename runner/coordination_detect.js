@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * runner/coordination_detect.js — "Is the discourse I ingest being manufactured?"
+ *
+ * Mechanical analysis (no LLM). Loads the last --hours (default 72) of posts
+ * from the scraper index (scraper/db.js, replies included, with each author's
+ * first_seen) and the permanent posts archive (state/posts_archive/*.jsonl,
+ * deduplicated by id), then runs lib/coordination.js detect(): near-duplicate
+ * text, fresh-account bursts, hashtag rings and co-engagement, merged into
+ * flagged networks with their evidence.
+ *
+ * Writes: state/coordination_state.json — read by apply_ontology_delta.js,
+ * which downweights evidence from flagged accounts.
+ * Called once per day from daily.js reports(), next to capture_detection.js.
+ * Non-fatal: exits 0 on any error.
+ *
+ * Usage:
+ *   node runner/coordination_detect.js [--hours 72] [--dry-run]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadScraperDb } = require('./lib/db_backend');
+const coordination = require('./lib/coordination');
+const postsArchive = require('./lib/posts_archive');
+
+const OUT_PATH    = coordination.COORDINATION_PATH;
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+(async function main() {
+  try {
+    const hours = Number(arg('--hours', 72)) || 72;
+    const fromMs = Date.now() - hours * 3600_000;
+
+    let dbRows = [];
+    try {
+      dbRows = await Promise.resolve(loadScraperDb().postsSince(fromMs));
+    } catch (err) {
+      console.error(`[coordination] scraper db unavailable: ${err.message}`);
+    }
+    const byId = new Map();
+    for (const row of postsArchive.readSince(fromMs)) byId.set(String(row.id), row);
+    // Scraper rows win: they carry parent_id and the author's first_seen.
+    for (const row of dbRows) byId.set(String(row.id), { ...byId.get(String(row.id)), ...row });
+
+    const result = coordination.detect([...byId.values()]);
+    const state = { ...result, window_hours: hours };
+
+    if (!process.argv.includes('--dry-run')) fs.writeFileSync(OUT_PATH, JSON.stringify(state, null, 2));
+    console.log(
+      `[coordination] ${result.stats.posts} posts, ${result.stats.accounts} accounts, ` +
+      `links ${JSON.stringify(result.stats.links)} → ${result.networks.length} flagged network(s)`
+    );
+    for (const n of result.networks.slice(0, 10)) {
+      const kinds = Object.entries(n.kinds).map(([k, c]) => `${k}×${c}`).join(', ');
+      console.log(`[coordination]   ${n.id} score=${n.score} accounts=${n.accounts.length} (${kinds}): @${n.accounts.slice(0, 6).join(', @')}`);
+    }
+  } catch (err) {
+    console.error(`[coordination] failed: ${err.message}`);
+  }
+  process.exit(0); // non-fatal
+})();
@@ -19,12 +19,22 @@
  *   5. SYNTH  — cited report + structured self-assessment {confidence_pct,
  *               compromised}; researchAndPublish gates publishing on it and the
  *               short answer's certainty is matched to the confidence.
+ *   6. CITE   — every citation is mapped back to the finding it came from
+ *               (lib/citation_check); a load-bearing claim citing a URL the job
+ *               never retrieved, or a source that lacks its numbers/entities,
+ *               also fails the publish gate.
  *
  * All inference (plan, url-selection, synthesis) runs on the Claude terminal via
  * reason() (THINK_BACKEND=claude), falling back to the local brain.
  *
+ * Every run is a durable JOB (lib/research_jobs, state/research_jobs/<id>.json)
+ * checkpointed per stage and per tool step; a crashed, killed or quota-stopped
+ * job resumes from its last completed stage, and a cancel requested from
+ * Telegram (/dr cancel <id>) stops it at the next checkpoint.
+ *
  * Usage:
- *   node runner/deep_research.js "<question>" [--plan-only] [--max-fetch=4]
+ *   node runner/deep_research.js "<question>" [--plan-only] [--max-fetch=4] [--job=<id>]
+ *   node runner/deep_research.js --job=<id>      # resume job <id>
  */
 
 const fs = require('fs');
@@ -36,10 +46,10 @@ if (fs.existsSync(path.join(ROOT, '.env'))) {
     if (m && process.env[m[1]] === undefined) process.env[m[1]] = m[2].trim();
   }
 }
-const https = require('https');
 const { reason } = require('./lib/compose');
-const { fetchPageText, searchWeb } = require('./lib/helmstack_fetch');
-const { recallText } = require('./lib/recall');
+const tools = require('./lib/research_tools');
+const jobs = require('./lib/research_jobs');
+const { checkCitations, summarize: summarizeCitations } = require('./lib/citation_check');
 const log = (m) => console.log(`[deep_research] ${m}`);
 
 const TODAY = () => new Date().toISOString().slice(0, 10);
@@ -55,186 +65,11 @@ const SOURCE_RUBRIC =
   '- T4 SEO content farms, "learn/guide" listicles, AI-generated blogs, sites selling a product in the topic area — UNRELIABLE. ' +
   'A load-bearing claim sourced only from T4 must be independently corroborated or dropped; never recommend a T4 product/site as a solution.';
 
-/** Plain https GET → parsed JSON (follows one redirect). Resolves null on error. */
-function httpJson(url, { timeoutMs = 15000 } = {}) {
-  return new Promise((resolve) => {
-    const req = https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'application/json' } }, (res) => {
-      if ([301, 302, 307, 308].includes(res.statusCode) && res.headers.location) {
-        res.resume(); return resolve(httpJson(res.headers.location, { timeoutMs }));
-      }
-      let raw = ''; res.on('data', (c) => (raw += c));
-      res.on('end', () => { try { resolve(JSON.parse(raw)); } catch { resolve(null); } });
-    });
-    req.setTimeout(timeoutMs, () => { req.destroy(); resolve(null); });
-    req.on('error', () => resolve(null));
-  });
-}
-
-// ── Tool registry: the retrieval primitives the plan can call ─────────────────
-const TOOLS = {
-  async recall(input) {
-    const t = await recallText(input, { maxChars: 1200 }).catch(() => '');
-    return t || '(no memory match)';
-  },
-  async posts(input) {
-    try {
-      const { loadScraperDb } = require('./lib/db_backend');
-      // Sanitize for FTS5: punctuation like the "." in "pump.fun" is a syntax
-      // error in a MATCH query, so reduce to bare word tokens (OR-joined).
-      const terms = String(input).toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter((w) => w.length > 1);
-      const q = terms.length ? terms.slice(0, 8).join(' OR ') : String(input);
-      const rows = await loadScraperDb().search(q, 8);
-      if (!rows || !rows.length) return `(no observed posts matching "${input}")`;
-      return rows.map((r) => `@${r.username}: ${(r.text || '').slice(0, 200)}`).join('\n');
-    } catch (e) { return `(posts search error: ${e.message})`; }
-  },
-  async search(input) {
-    const res = await searchWeb(input, { max: 6 });
-    if (!res.length) return { text: `(no web results for "${input}")`, urls: [] };
-    return {
-      text: res.map((r, i) => `${i + 1}. ${r.title}\n   ${r.url}\n   ${r.snippet}`).join('\n'),
-      urls: res.map((r) => r.url),
-    };
-  },
-  async fetch(input) {
-    const t = await fetchPageText(input, { maxChars: 3500 });
-    return t || `(could not fetch ${input})`;
-  },
-  // On-chain rug/holder-concentration analysis for a Solana token mint, via the
-  // RugCheck API (structured: authorities, top-holder concentration + insider
-  // flags, LP lock, liquidity, risk flags) — the reliable source for this, vs
-  // scraping explorer SPAs. Input: a Solana mint address.
-  async rugcheck(input) {
-    const mint = (String(input).match(/[1-9A-HJ-NP-Za-km-z]{32,44}/) || [])[0];
-    if (!mint) return '(rugcheck: no valid mint address in input)';
-    const r = await httpJson(`https://api.rugcheck.xyz/v1/tokens/${mint}/report`);
-    if (!r || typeof r !== 'object') return `(rugcheck: no data for ${mint})`;
-    const holders = (r.topHolders || []).slice(0, 12).map((h) =>
-      `${(h.pct != null ? h.pct.toFixed(2) : '?')}%${h.insider ? ' [insider]' : ''}${h.owner || h.address ? ' ' + String(h.owner || h.address).slice(0, 6) : ''}`);
-    return JSON.stringify({
-      mint,
-      score_normalised: r.score_normalised,
-      rugged: r.rugged,
-      mintAuthorityRenounced: r.mintAuthority == null,   // renounced = good (can't mint more)
-      freezeAuthorityRenounced: r.freezeAuthority == null, // renounced = good (can't freeze holders)
-      creator: r.creator,
-      creatorBalancePct: r.creatorBalance != null && r.token && r.token.supply ? +(100 * r.creatorBalance / r.token.supply).toFixed(2) : undefined,
-      totalHolders: r.totalHolders,
-      totalLPProviders: r.totalLPProviders,
-      totalMarketLiquidity: r.totalMarketLiquidity,
-      lpLocked: (r.markets || []).map((m) => m.lp && m.lp.lpLockedPct).filter((x) => x != null),
-      graphInsidersDetected: r.graphInsidersDetected,   // # insider CLUSTERS RugCheck detected
-      insiderNetworks: (r.insiderNetworks || []).map((n) => ({ size: n.size, pct: n.tokenAmountPct, type: n.type })),
-      risks: (r.risks || []).map((x) => `${x.name} [${x.level}]${x.value ? ' ' + x.value : ''}`),
-      topHolders: holders,
-    }, null, 1);
-  },
-  // Live "what's the current meta / what's trending" signal for a chain (default
-  // Solana). GeckoTerminal gives trending pools + newest launches (the actual
-  // "trenches"); DexScreener boosts show what's being paid to promote right now.
-  // This is the authoritative source for meta/trending questions — generic web
-  // search and CoinMarketCap/CoinGecko are stale and high-level by comparison.
-  // Input: a chain name ("solana" default; also eth/base/bsc).
-  async trending(input) {
-    const key = (String(input || '').toLowerCase().match(/solana|sol|eth|ethereum|base|bsc/) || ['solana'])[0];
-    const net = ({ sol: 'solana', ethereum: 'eth' }[key]) || key;
-    const num = (x) => (x == null || x === '' ? null : +(+x).toPrecision(4));
-    const gt = (p) => httpJson(`https://api.geckoterminal.com/api/v2/networks/${net}/${p}`, { timeoutMs: 12000 });
-    const fmt = (p) => {
-      const a = p.attributes || {};
-      const pc = a.price_change_percentage || {};
-      const baseId = (((p.relationships || {}).base_token || {}).data || {}).id || '';
-      const mint = baseId.includes('_') ? baseId.slice(baseId.indexOf('_') + 1) : baseId;  // "solana_<mint>" → mint
-      return {
-        token: a.name,
-        mint: mint || undefined,                        // real mint → feeds rugcheck in refinement
-        pumpfun: /pump$/i.test(baseId) || undefined,   // pump.fun mints end in "pump"
-        priceUsd: num(a.base_token_price_usd),
-        chg_h1_pct: num(pc.h1), chg_h24_pct: num(pc.h24),
-        volH24: num(a.volume_usd && a.volume_usd.h24),
-        fdv: num(a.fdv_usd || a.market_cap_usd),
-        ageMin: a.pool_created_at ? Math.round((Date.now() - Date.parse(a.pool_created_at)) / 60000) : null,
-      };
-    };
-    const [trend, fresh, boosts] = await Promise.all([
-      gt('trending_pools?page=1'),
-      gt('new_pools?page=1'),
-      httpJson('https://api.dexscreener.com/token-boosts/top/v1', { timeoutMs: 10000 }),
-    ]);
-    // Resolve boosted (paid-promotion) token names on this chain — a meta signal.
-    let boosted = [];
-    const addrs = (Array.isArray(boosts) ? boosts : []).filter((b) => b.chainId === net).slice(0, 20).map((b) => b.tokenAddress);
-    if (addrs.length) {
-      const tok = await httpJson(`https://api.dexscreener.com/latest/dex/tokens/${addrs.join(',')}`, { timeoutMs: 10000 });
-      const seen = new Set();
-      for (const pr of ((tok && tok.pairs) || [])) {
-        const b = pr.baseToken || {};
-        if (!b.symbol || seen.has(b.symbol)) continue;
-        seen.add(b.symbol);
-        boosted.push({ token: `${b.name} (${b.symbol})`, mint: b.address || undefined, pumpfun: /pump$/i.test(b.address || '') || undefined, priceUsd: num(pr.priceUsd), chg_h24_pct: num(pr.priceChange && pr.priceChange.h24), volH24: num(pr.volume && pr.volume.h24) });
-        if (boosted.length >= 12) break;
-      }
-    }
-    const out = {
-      network: net,
-      source: 'live: GeckoTerminal trending/new pools + DexScreener boosts',
-      trending_pools: (trend && trend.data ? trend.data.slice(0, 12).map(fmt) : []),
-      newest_launches: (fresh && fresh.data ? fresh.data.slice(0, 10).map(fmt) : []),
-      boosted_promoted: boosted,
-    };
-    if (!out.trending_pools.length && !out.newest_launches.length && !boosted.length) return `(trending: no live data for ${net})`;
-    return JSON.stringify(out, null, 1);
-  },
-  // Live X/Twitter search — recent posts matching a query, for real-time TRADER
-  // SENTIMENT / "what are people saying / why is X trending". Scrapes x.com/search
-  // (latest) via the HelmStack browser. This is the source for live sentiment; the
-  // 'posts' tool only covers Sebastian's OWN observed feed, and web 'search' with
-  // site:x.com is unreliable. Input: a query or cashtag (e.g. "$ANSEM", "pump.fun meta").
-  async xsearch(input) {
-    try {
-      const x = await getXEngine();
-      if (!x) return '(xsearch: HelmStack X browser unavailable)';
-      if (!(await x.sessionOk())) return '(xsearch: X session not present in HelmStack)';
-      // Serialize tab use: under parallel branches, two xsearch calls navigating
-      // the one shared tab at once would corrupt each other.
-      const posts = await withXLock(() => x.searchX(String(input), { limit: 15, mode: 'live' }));
-      if (!posts || !posts.length) return `(no live X posts for "${input}")`;
-      return posts.slice(0, 15)
-        .map((p) => `@${p.username}: ${String(p.text || '').replace(/\s+/g, ' ').slice(0, 220)}`)
-        .join('\n');
-    } catch (e) { return `(xsearch error: ${e.message})`; }
-  },
-};
-
-// Lazily-opened, reused HelmStack X browser tab for xsearch (a dedicated tab so it
-// doesn't hijack the scraper/reply shared tab). Cached for the life of the process.
-let _xEngine = null;
-// Mutex so only one xsearch drives the shared browser tab at a time.
-let _xLock = Promise.resolve();
-function withXLock(fn) {
-  const run = _xLock.then(fn, fn);
-  _xLock = run.then(() => {}, () => {});
-  return run;
-}
-async function getXEngine() {
-  if (_xEngine !== null) return _xEngine || null;
-  try {
-    const { HelmStackClient, X } = require('../tools/helmstack-social/src');
-    const x = new X(new HelmStackClient(), { ownHandle: process.env.X_USERNAME || 'SebastianHunts', dedicatedTab: true, log: () => {} });
-    await x.ensureTab();
-    _xEngine = x;
-  } catch (e) { log(`xsearch engine init failed: ${e.message}`); _xEngine = false; }
-  return _xEngine || null;
-}
-
-const TOOL_DESCR =
-  'recall — Sebastian\'s own memory / past observations (semantic+FTS); input: a query.\n' +
-  'posts  — full-text search of the X feed Sebastian has ALREADY observed (his own memory of X); input: keywords.\n' +
-  'xsearch — LIVE X/Twitter search (recent posts) for real-time trader SENTIMENT / "what are people saying now / why is X trending"; input: a query or cashtag (e.g. "$ANSEM"). Use this for current discourse — do NOT use web search with site:x.com (unreliable).\n' +
-  'search — web search (returns titles/URLs/snippets); input: a search query.\n' +
-  'fetch  — read the page text of ONE specific URL; input: an https URL.\n' +
-  'rugcheck — on-chain analysis of a SOLANA TOKEN MINT via RugCheck: risk score, mint/freeze authority (null=renounced), top-holder concentration + insider flags, INSIDER CLUSTER count (graphInsidersDetected/insiderNetworks), LP lock, liquidity, holder count. Input: a Solana mint address. Use this for any token rug/cluster/holder-concentration question — do NOT scrape explorer pages for this.\n' +
-  'trending — LIVE trending tokens, newest launches ("trenches"), and paid-promoted tokens on a chain (default Solana) via GeckoTerminal + DexScreener: names, price, 1h/24h change, 24h volume, FDV, age, and a pump.fun flag. This is the AUTHORITATIVE source for "what is the current meta / what is trending / what is hot / pump.fun trenches" questions — always prefer it over web search/CoinMarketCap/CoinGecko, which are stale and high-level. Input: a chain name (default "solana").';
+// ── Tools: the retrieval primitives the plan can call ─────────────────────────
+// One module per tool in runner/research_tools/, registered in
+// lib/research_tools (input schema, planner description, per-tool quota,
+// result-cache TTL). Every call goes through tools.call(), which never throws.
+const TOOL_NAMES = () => tools.names().join('|');
 
 // ── Stage A+B: context pass + triage ─────────────────────────────────────────
 // Cheap grounding BEFORE any planning: what is this question actually about, are
@@ -244,9 +79,9 @@ const TOOL_DESCR =
 // memecoin?) and publishes confident filler.
 async function contextTriage(question) {
   const [rec, po, se] = await Promise.all([
-    TOOLS.recall(question).catch(() => '(recall unavailable)'),
-    TOOLS.posts(question).catch(() => '(posts unavailable)'),
-    TOOLS.search(question).then((r) => (r && r.text) || String(r)).catch(() => '(search unavailable)'),
+    tools.call('recall', question),
+    tools.call('posts', question),
+    tools.call('search', question).then((r) => (r && r.text) || String(r)),
   ]);
   const prompt =
 `Today is ${TODAY()}. You are Sebastian Hunter's research intake. Decide whether this QUESTION is researchable as asked, and build a short context brief for the planner.
@@ -283,7 +118,7 @@ Output ONLY JSON (no fences):
 async function plan(question, context) {
   const prompt =
 `Today is ${TODAY()}. You are Sebastian Hunter's research planner. Draft an explicit plan to answer the QUESTION using ONLY these tools:
-${TOOL_DESCR}
+${tools.describe()}
 
 ${SOURCE_RUBRIC}
 
@@ -302,7 +137,7 @@ Output ONLY JSON (no fences):
 {
   "goal": "restate what a good answer must establish",
   "approach": "1-2 sentence strategy — name which instrument answers this and why",
-  "steps": [ {"tool":"recall|posts|xsearch|search|fetch|rugcheck|trending","input":"the query, URL, mint, or chain","rationale":"why this step"} ],
+  "steps": [ {"tool":"${TOOL_NAMES()}","input":"the query, URL, mint, or chain","rationale":"why this step"} ],
   "success_criteria": "what would make the answer confident",
   "caveats": "what could make this unknowable or uncertain"
 }`;
@@ -310,15 +145,27 @@ Output ONLY JSON (no fences):
   return JSON.parse(raw);
 }
 
-async function execute(steps) {
+// With a job, each step is checkpointed as it lands (stage `key`): a resumed
+// run replays the recorded steps and only calls tools for the rest.
+async function execute(steps, { job = null, key = null } = {}) {
   const findings = [];
   const discoveredUrls = [];
-  for (const s of steps) {
-    if (!TOOLS[s.tool]) { findings.push({ ...s, result: `(unknown tool ${s.tool})` }); continue; }
-    log(`step: ${s.tool}("${String(s.input).slice(0, 70)}")`);
-    let out = await TOOLS[s.tool](s.input);
-    if (s.tool === 'search' && out && out.urls) { discoveredUrls.push(...out.urls); out = out.text; }
-    findings.push({ tool: s.tool, input: s.input, result: String(out).slice(0, 3500) });
+  const done = key ? jobs.stepResults(job, key) : [];
+  for (const [i, s] of steps.entries()) {
+    if (i < done.length) { findings.push(done[i].finding); discoveredUrls.push(...(done[i].urls || [])); continue; }
+    jobs.checkCancelled(job);
+    let urls = [];
+    let finding;
+    if (!tools.has(s.tool)) finding = { ...s, result: `(unknown tool ${s.tool})` };
+    else {
+      log(`step: ${s.tool}("${String(s.input).slice(0, 70)}")`);
+      let out = await tools.call(s.tool, s.input);
+      if (s.tool === 'search' && out && out.urls) { urls = out.urls; out = out.text; }
+      finding = { tool: s.tool, input: s.input, result: String(out).slice(0, 3500) };
+    }
+    findings.push(finding);
+    discoveredUrls.push(...urls);
+    if (key) jobs.stepDone(job, key, { finding, urls });
   }
   return { findings, discoveredUrls: [...new Set(discoveredUrls)] };
 }
@@ -331,7 +178,7 @@ async function adaptiveFetch(question, findings, urls, maxFetch) {
   ).then((r) => { try { return JSON.parse(r); } catch { return []; } }).catch(() => []);
   const chosen = (Array.isArray(pick) ? pick : []).filter((u) => /^https?:\/\//.test(u)).slice(0, maxFetch);
   const out = [];
-  for (const u of chosen) { log(`fetch: ${u.slice(0, 70)}`); out.push({ tool: 'fetch', input: u, result: (await TOOLS.fetch(u)).slice(0, 3500) }); }
+  for (const u of chosen) { log(`fetch: ${u.slice(0, 70)}`); out.push({ tool: 'fetch', input: u, result: String(await tools.call('fetch', u)).slice(0, 3500) }); }
   return out;
 }
 
@@ -348,7 +195,7 @@ async function gapSteps(question, plan, findings) {
 QUESTION: ${question}
 
 TOOLS AVAILABLE:
-${TOOL_DESCR}
+${tools.describe()}
 
 ${SOURCE_RUBRIC}
 
@@ -362,14 +209,14 @@ Produce four things:
 4. tool_gaps — info needs that NO available tool can answer, with what capability would (only genuine gaps — not laziness).
 
 Output ONLY JSON (no fences):
-{"remaining_gaps":["..."],"steps":[{"tool":"recall|posts|xsearch|search|fetch|rugcheck|trending","input":"the query, URL, mint, or chain","rationale":"which gap this closes"}],"marked_terms":[{"term":"..","why":"why it matters / what is unclear"}],"verify_points":[{"claim":"complete factual statement","source":"url or tool that produced it","importance":1}],"tool_gaps":[{"need":"what we could not find out","suggested_tool":"what capability would answer it"}]}
+{"remaining_gaps":["..."],"steps":[{"tool":"${TOOL_NAMES()}","input":"the query, URL, mint, or chain","rationale":"which gap this closes"}],"marked_terms":[{"term":"..","why":"why it matters / what is unclear"}],"verify_points":[{"claim":"complete factual statement","source":"url or tool that produced it","importance":1}],"tool_gaps":[{"need":"what we could not find out","suggested_tool":"what capability would answer it"}]}
 Return empty arrays for anything that does not apply.`;
   const empty = { steps: [], marked_terms: [], verify_points: [], tool_gaps: [] };
   const raw = await reason(prompt, { maxTokens: 1300, tag: 'dr-gap' });
   try {
     const j = JSON.parse(String(raw).replace(/```(?:json)?/gi, '').match(/\{[\s\S]*\}/)[0]);
     return {
-      steps: Array.isArray(j.steps) ? j.steps.filter((s) => s && TOOLS[s.tool]).slice(0, 5) : [],
+      steps: Array.isArray(j.steps) ? j.steps.filter((s) => s && tools.has(s.tool)).slice(0, 5) : [],
       marked_terms: Array.isArray(j.marked_terms) ? j.marked_terms.filter((t) => t && t.term).slice(0, 3) : [],
       verify_points: Array.isArray(j.verify_points) ? j.verify_points.filter((v) => v && v.claim).slice(0, 4) : [],
       tool_gaps: Array.isArray(j.tool_gaps) ? j.tool_gaps.filter((g) => g && g.need).slice(0, 3) : [],
@@ -395,7 +242,7 @@ async function resolveMarks(question, ledger, { maxVerify = 3, maxTermLookups =
   const found = [];
   for (const t of ledger.marked_terms.slice(0, maxTermLookups)) {
     log(`resolve term: "${t.term}"`);
-    const out = await TOOLS.search(`what is "${t.term}" — credibility, who runs it`).catch(() => null);
+    const out = await tools.call('search', `what is "${t.term}" — credibility, who runs it`);
     found.push({ tool: 'search', input: `term check: ${t.term} (${t.why || 'unclear'})`, result: String((out && out.text) || out || '(no results)').slice(0, 2000) });
   }
   const toVerify = ledger.verify_points
@@ -419,8 +266,9 @@ async function resolveMarks(question, ledger, { maxVerify = 3, maxTermLookups =
 // ── Stage F: tool gaps → capability feedback ─────────────────────────────────
 // No autonomous tool creation (runtime-built code is both untrustworthy and an
 // injection amplifier). Recurring gaps in state/tool_gaps.json are the signal
-// for a human/Claude session to build the tool, add it to TOOLS here, and
-// register it in lib/capabilities.js.
+// for a human/Claude session to build the tool as a runner/research_tools/
+// module (picked up by lib/research_tools on the next run) and list it in
+// lib/capabilities.js.
 function recordToolGaps(question, gaps) {
   if (!gaps || !gaps.length) return;
   const p = path.join(ROOT, 'state', 'tool_gaps.json');
@@ -487,33 +335,47 @@ Set "compromised": true when the research could not actually address the questio
   return { report: String(raw), assessment: { key_finding: '', confidence_pct: null, compromised: false, compromised_why: '', open_questions: [] } };
 }
 
+// ── Post-synthesis: citation integrity ───────────────────────────────────────
+// Every citation in the report is mapped back to the finding it claims to come
+// from (lib/citation_check): URLs this job never retrieved, and claims whose key
+// numbers/entities are not in the cited text, are flagged. researchAndPublish
+// withholds the page when a load-bearing one fails.
+function citationCheck(report, findings, assessment = {}) {
+  const check = checkCitations(report, findings, { keyFinding: assessment.key_finding || '', toolNames: [...tools.names(), 'verify'] });
+  log(`citations: ${summarizeCitations(check)}`);
+  return check;
+}
+
 // ── Flat path (trivial/standard tiers) ────────────────────────────────────────
 // plan → execute → refine (rounds accumulate the marks ledger) → resolve marks
 // (term lookups + claim verification) → record tool gaps → calibrated synthesis.
-async function flatResearch(question, { maxFetch = 4, maxRounds = 2, context = null, maxVerify = 3 } = {}) {
-  const p = await plan(question, context);
+// Every stage is a job checkpoint (lib/research_jobs); the ledger is rebuilt
+// from the checkpointed critic passes on resume.
+async function flatResearch(question, { maxFetch = 4, maxRounds = 2, context = null, maxVerify = 3, job = null } = {}) {
+  const p = await jobs.stage(job, 'plan', () => plan(question, context));
   log(`plan: ${(p.steps || []).length} step(s) — ${p.approach || ''}`);
-  const { findings, discoveredUrls } = await execute(p.steps || []);
-  const fetched = await adaptiveFetch(question, findings, discoveredUrls, maxFetch);
+  const { findings, discoveredUrls } = await jobs.stage(job, 'execute', () => execute(p.steps || [], { job, key: 'execute' }));
+  const fetched = await jobs.stage(job, 'fetch', () => adaptiveFetch(question, findings, discoveredUrls, maxFetch));
   let all = [...findings, ...fetched];
   const ledger = { marked_terms: [], verify_points: [], tool_gaps: [] };
+  if (job) job.ledger = ledger;
   for (let round = 1; round <= maxRounds; round++) {
-    const critic = await gapSteps(question, p, all);
+    const critic = await jobs.stage(job, `critic-${round}`, () => gapSteps(question, p, all));
     mergeLedger(ledger, critic);
     if (!critic.steps.length) { log(`refine: no researchable gaps left (round ${round})`); break; }
     log(`refine round ${round}: ${critic.steps.length} follow-up step(s) — ${critic.steps.map((g) => g.tool).join(', ')}`);
-    const gr = await execute(critic.steps);
-    const gf = await adaptiveFetch(question, gr.findings, gr.discoveredUrls, Math.max(2, maxFetch - 1));
+    const gr = await jobs.stage(job, `execute-${round}`, () => execute(critic.steps, { job, key: `execute-${round}` }));
+    const gf = await jobs.stage(job, `fetch-${round}`, () => adaptiveFetch(question, gr.findings, gr.discoveredUrls, Math.max(2, maxFetch - 1)));
     all = [...all, ...gr.findings, ...gf];
   }
   if (ledger.marked_terms.length || ledger.verify_points.length) {
     log(`marks: ${ledger.marked_terms.length} term(s), ${ledger.verify_points.length} claim(s) to verify`);
-    const resolved = await resolveMarks(question, ledger, { maxVerify });
+    const resolved = await jobs.stage(job, 'resolve', () => resolveMarks(question, ledger, { maxVerify }));
     if (resolved.length) all = [...all, ...resolved];
   }
-  recordToolGaps(question, ledger.tool_gaps);
-  const { report, assessment } = await synthesize(question, p, all, { context, ledger });
-  return { plan: p, findings: all, report, assessment };
+  await jobs.stage(job, 'tool_gaps', () => recordToolGaps(question, ledger.tool_gaps));
+  const { report, assessment } = await jobs.stage(job, 'synth', () => synthesize(question, p, all, { context, ledger }));
+  return { plan: p, findings: all, report, assessment, citations: citationCheck(report, all, assessment) };
 }
 
 // ══ Hierarchical decomposition engine (deep tier) ═════════════════════════════
@@ -521,7 +383,6 @@ async function flatResearch(question, { maxFetch = 4, maxRounds = 2, context = n
 // order → update a living doc (JSON + Markdown) → synthesize from the tree.
 // See docs/deep-research-decomposition.md.
 
-const JOBS_DIR = path.join(ROOT, 'state', 'research_jobs');
 const cleanJson = (raw) => { const m = String(raw).replace(/```(?:json)?/gi, '').match(/[[{][\s\S]*[}\]]/); return m ? JSON.parse(m[0]) : null; };
 
 // Cheap complexity gate. trivial|standard → flat path; deep → tree path.
@@ -549,7 +410,7 @@ function normalizeTree(root, maxDepth, maxNodes) {
     node.findings = [];
     node.answer = null;
     node.research_areas = Array.isArray(node.research_areas) ? node.research_areas : [];
-    node.tools_hint = (Array.isArray(node.tools_hint) ? node.tools_hint : []).filter((t) => TOOLS[t]);
+    node.tools_hint = (Array.isArray(node.tools_hint) ? node.tools_hint : []).filter((t) => tools.has(t));
     node.depends_on = Array.isArray(node.depends_on) ? node.depends_on : [];
     let kids = Array.isArray(node.children) ? node.children : [];
     if (depth >= maxDepth) kids = [];              // enforce ≤ maxDepth levels
@@ -565,7 +426,7 @@ async function decompose(question, { maxDepth = 3, maxNodes = 24 } = {}) {
 QUESTION: ${question}
 
 TOOLS available at the leaves:
-${TOOL_DESCR}
+${tools.describe()}
 
 Rules:
 - Nest UP TO ${maxDepth} levels — but only split a node when its parts are genuinely separable. Prefer 3-6 top-level parts.
@@ -591,7 +452,7 @@ async function reviewPlan(question, root) {
   const prompt =
 `Review this research PLAN before any execution.
 QUESTION: ${question}
-TOOLS: ${TOOL_DESCR}
+TOOLS: ${tools.describe()}
 
 PLAN:
 ${renderOutline(root)}
@@ -623,15 +484,15 @@ QUESTION: ${node.question}
 DIRECTION: ${node.direction || ''}
 SUGGESTED TOOLS: ${(node.tools_hint || []).join(', ') || '(any)'}
 RESOLVES WHEN: ${node.success_criterion || ''}
-TOOLS: ${TOOL_DESCR}
-Output ONLY JSON: {"steps":[{"tool":"recall|posts|xsearch|search|fetch|rugcheck|trending","input":"..","rationale":".."}]}`;
+TOOLS: ${tools.describe()}
+Output ONLY JSON: {"steps":[{"tool":"${TOOL_NAMES()}","input":"..","rationale":".."}]}`;
   try {
     const j = cleanJson(await reason(prompt, { maxTokens: 700, tag: 'dr-leaf' }));
     return (j && Array.isArray(j.steps) ? j.steps : [])
       // Drop steps whose input is a planning placeholder (e.g. "<mint_address_of_top_candidate>")
       // — those values only exist after earlier tools run; the runtime-refinement
       // round below re-issues them with the real values.
-      .filter((s) => s && TOOLS[s.tool] && !/<[^>]+>|\bTBD\b|placeholder|mint_address|_(of|for)_|top.?candidate/i.test(String(s.input || '')))
+      .filter((s) => s && tools.has(s.tool) && !/<[^>]+>|\bTBD\b|placeholder|mint_address|_(of|for)_|top.?candidate/i.test(String(s.input || '')))
       .slice(0, 4);
   } catch { return []; }
 }
@@ -684,29 +545,36 @@ async function runChildren(children, worker) {
 }
 
 // Post-order execution: children first (in parallel, dependency-ordered), then
-// this node's own work under the global concurrency limiter.
+// this node's own work under the global concurrency limiter. A node answered in
+// an earlier run of the job is kept as is (resume); a leaf cut off mid-way
+// replays its checkpointed plan and steps (stages keyed `node-<id>-…`, node ids
+// being stable in the saved tree). A cancel stops every branch at its next node.
 async function researchNode(node, root, job, persist, maxFetch) {
   if (node.status === 'unresolvable') { await persist(); return node; }
+  if (node.status === 'answered') return node;
+  jobs.checkCancelled(job);
   node.status = 'running'; await persist();
   const kids = node.children || [];
   if (kids.length) await runChildren(kids, (c) => researchNode(c, root, job, persist, maxFetch));
 
   await withLimit(async () => {
+    jobs.checkCancelled(job);
     if (kids.length === 0) {   // LEAF → run tools
-      const steps = await leafSteps(node);
+      const at = `node-${node.id}`;
+      const steps = await jobs.stage(job, `${at}-steps`, () => leafSteps(node));
       log(`  [${node.id}] ${node.title}: ${steps.length} step(s)`);
-      const { findings, discoveredUrls } = await execute(steps);
+      const { findings, discoveredUrls } = await jobs.stage(job, `${at}-execute`, () => execute(steps, { job, key: `${at}-execute` }));
       const fetched = await adaptiveFetch(node.question, findings, discoveredUrls, Math.min(2, maxFetch));
       node.findings = [...findings, ...fetched];
       // Runtime refinement: now that real data exists (e.g. mints surfaced by
       // 'trending', URLs by 'search'), issue the follow-ups that needed those
       // concrete values — this is what closes data-dependent steps like rugcheck.
-      const critic = await gapSteps(node.question, { success_criteria: node.success_criterion }, node.findings);
+      const critic = await jobs.stage(job, `${at}-critic`, () => gapSteps(node.question, { success_criteria: node.success_criterion }, node.findings));
       if (job.ledger) mergeLedger(job.ledger, critic);
       const follow = critic.steps;
       if (follow.length) {
         log(`  [${node.id}] refine: ${follow.length} follow-up step(s) — ${follow.map((s) => s.tool).join(', ')}`);
-        const fr = await execute(follow.slice(0, 3));
+        const fr = await jobs.stage(job, `${at}-refine`, () => execute(follow.slice(0, 3), { job, key: `${at}-refine` }));
         const ff = await adaptiveFetch(node.question, fr.findings, fr.discoveredUrls, 1);
         node.findings = [...node.findings, ...fr.findings, ...ff];
       }
@@ -720,7 +588,7 @@ async function researchNode(node, root, job, persist, maxFetch) {
 
 function renderMarkdown(job) {
   const mark = { pending: '[ ]', running: '[~]', answered: '[x]', unresolvable: '[!]' };
-  const lines = [`# Research: ${job.question}`, ``, `tier: ${job.tier} · status: ${job.status} · nodes: ${flattenNodes(job.root).length}`, ``];
+  const lines = [`# Research: ${job.question}`, ``, `tier: ${job.tier} · status: ${job.status} · stage: ${job.stage} · nodes: ${flattenNodes(job.root).length}`, ``];
   for (const n of flattenNodes(job.root)) {
     const indent = '  '.repeat(n.id.split('.').length - 1);
     lines.push(`${indent}- ${mark[n.status] || '[ ]'} **${n.title}**`);
@@ -729,37 +597,45 @@ function renderMarkdown(job) {
   return lines.join('\n');
 }
 
-async function treeResearch(question, { maxFetch = 3, maxDepth = 3, maxNodes = 24, context = null, maxVerify = 3 } = {}) {
-  if (!fs.existsSync(JOBS_DIR)) fs.mkdirSync(JOBS_DIR, { recursive: true });
-  const jobId = `${new Date().toISOString().replace(/[:.]/g, '-')}_${question.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40)}`;
-  const job = { job_id: jobId, question, tier: 'deep', status: 'planning', root: null, ledger: { marked_terms: [], verify_points: [], tool_gaps: [] } };
+// `job` is the run's lib/research_jobs record and doubles as the living doc
+// (root + ledger, with a Markdown twin). Re-opened, it skips decompose/review
+// if they ran and every node already answered.
+async function treeResearch(question, { maxFetch = 3, maxDepth = 3, maxNodes = 24, context = null, maxVerify = 3, job = null } = {}) {
+  const own = !job;
+  if (own) job = jobs.open({ question, opts: { tier: 'deep' } });
+  job.tier = 'deep';
+  if (!job.ledger) job.ledger = { marked_terms: [], verify_points: [], tool_gaps: [] };
   const persist = async () => {
-    try {
-      fs.writeFileSync(path.join(JOBS_DIR, `${jobId}.json`), JSON.stringify(job, null, 2));
-      if (job.root) fs.writeFileSync(path.join(JOBS_DIR, `${jobId}.md`), renderMarkdown(job));
-    } catch (e) { log(`persist failed (non-fatal): ${e.message}`); }
+    jobs.save(job);
+    try { if (job.root) fs.writeFileSync(path.join(jobs.JOBS_DIR, `${job.job_id}.md`), renderMarkdown(job)); }
+    catch (e) { log(`persist failed (non-fatal): ${e.message}`); }
   };
 
-  log(`decomposing (deep tier)…`);
-  job.root = await decompose(question, { maxDepth, maxNodes });
-  job.status = 'reviewing'; await persist();
-  job.root = await reviewPlan(question, job.root);
-  log(`plan: ${flattenNodes(job.root).length} node(s) after review`);
-  job.status = 'running'; await persist();
+  await jobs.stage(job, 'decompose', async () => {
+    log(`decomposing (deep tier)…`);
+    job.root = await decompose(question, { maxDepth, maxNodes });
+    return true;
+  });
+  await jobs.stage(job, 'review', async () => {
+    job.root = await reviewPlan(question, job.root);
+    log(`plan: ${flattenNodes(job.root).length} node(s) after review`);
+    return true;
+  });
+  job.stage = 'nodes'; await persist();
 
   await researchNode(job.root, job.root, job, persist, maxFetch);
 
   let allFindings = flattenNodes(job.root).flatMap((n) => n.findings || []);
   if (job.ledger.marked_terms.length || job.ledger.verify_points.length) {
     log(`marks: ${job.ledger.marked_terms.length} term(s), ${job.ledger.verify_points.length} claim(s) to verify`);
-    const resolved = await resolveMarks(question, job.ledger, { maxVerify });
+    const resolved = await jobs.stage(job, 'resolve', () => resolveMarks(question, job.ledger, { maxVerify }));
     if (resolved.length) allFindings = [...allFindings, ...resolved];
   }
-  recordToolGaps(question, job.ledger.tool_gaps);
-  const { report, assessment } = await synthesizeTree(question, job.root, { context, ledger: job.ledger, extraFindings: allFindings.filter((f) => f.tool === 'verify' || String(f.input).startsWith('term check:')) });
-  job.status = 'done'; await persist();
-  log(`done → ${path.join(JOBS_DIR, jobId + '.md')}`);
-  return { job, plan: job.root, findings: allFindings, report, assessment };
+  await jobs.stage(job, 'tool_gaps', () => recordToolGaps(question, job.ledger.tool_gaps));
+  const { report, assessment } = await jobs.stage(job, 'synth', () => synthesizeTree(question, job.root, { context, ledger: job.ledger, extraFindings: allFindings.filter((f) => f.tool === 'verify' || String(f.input).startsWith('term check:')) }));
+  if (own) jobs.finish(job, 'done'); else await persist();
+  log(`done → ${path.join(jobs.JOBS_DIR, job.job_id + '.md')}`);
+  return { job, plan: job.root, findings: allFindings, report, assessment, citations: citationCheck(report, allFindings, assessment) };
 }
 
 // Assemble the report from the resolved tree (structure already established).
@@ -803,12 +679,49 @@ Set "compromised": true when the research could not actually address the questio
   return { report: String(raw), assessment: { key_finding: '', confidence_pct: null, compromised: false, compromised_why: '', open_questions: [] } };
 }
 
+// One research JOB (lib/research_jobs): the id is the running research id
+// (asResearchJob), so a job that already has checkpoints — interrupted, failed,
+// or named with --job=<id> — resumes after its last completed stage instead of
+// starting over. Plan-only runs are not checkpointed.
 async function deepResearch(question, { maxFetch = 4, planOnly = false, maxRounds = 2, tier: forcedTier, allowTree = true, triage = true, maxVerify = 3 } = {}) {
   log(`question: ${question}`);
+  // Budget: an exhausted deep_research budget refuses the whole job up front
+  // (every dr-* call would be refused anyway, a few stages in). Mid-job, the
+  // per-call gate in lib/compose stops the job once the cap is crossed.
+  const budgets = require('./lib/cost_budget');
+  const budget = budgets.check('dr-triage');
+  if (budget.action === 'refuse') { log(`${budget.reason} — not researching`); throw budgets.budgetError(budget, 'deep_research'); }
+  const cur = meter.currentArtifact();
+  const job = planOnly ? null : jobs.open({
+    id: cur && cur.type === 'report' && cur.id ? cur.id : jobs.newId(),
+    question, opts: { maxFetch, maxRounds, tier: forcedTier || null, allowTree, triage, maxVerify },
+  });
+  if (job) log(`job: ${job.job_id}`);
+  try {
+    const res = await runResearch(question, { maxFetch, planOnly, maxRounds, forcedTier: forcedTier || (job && job.opts.tier), allowTree, triage, maxVerify, job });
+    if (job) {
+      const a = res.assessment || {};
+      jobs.finish(job, res.bailed ? 'bailed' : 'done', {
+        summary: { key_finding: a.key_finding || '', confidence_pct: a.confidence_pct ?? null, citations: res.citations ? res.citations.counts : null },
+      });
+      return { ...res, jobId: job.job_id };
+    }
+    return res;
+  } catch (e) {
+    if (job) {
+      const cancelled = e.code === 'RESEARCH_CANCELLED';
+      jobs.finish(job, cancelled ? 'cancelled' : 'failed', { error: String(e.message || e).slice(0, 300) });
+      log(cancelled ? `job ${job.job_id} cancelled at ${job.stage}` : `job ${job.job_id} failed at ${job.stage} — resumable with --job=${job.job_id}`);
+    }
+    throw e;
+  }
+}
+
+async function runResearch(question, { maxFetch, planOnly, maxRounds, forcedTier, allowTree, triage, maxVerify, job }) {
   // Stage A+B: ground the question, then triage — proceed / reformulate / bail.
   let context = null;
   if (triage) {
-    const t = await contextTriage(question);
+    const t = await jobs.stage(job, 'triage', () => contextTriage(question));
     if (t) {
       if (t.verdict === 'bail') {
         log(`triage: bail — ${t.clarify || 'question underspecified'}`);
@@ -827,14 +740,14 @@ async function deepResearch(question, { maxFetch = 4, planOnly = false, maxRound
     }
   }
   if (planOnly) return { plan: await plan(question, context) };
-  let tier = forcedTier || await classify(question);
+  let tier = forcedTier || await jobs.stage(job, 'tier', () => classify(question));
   // Gate: the deep tree tier is multi-minute + many-call. Callers that run inline
   // in a latency-sensitive path (X mention auto-reply) pass allowTree=false, which
   // downgrades deep→standard so they stay on the fast flat path.
   if (tier === 'deep' && !allowTree) { log('tier: deep → standard (tree gated off for this caller)'); tier = 'standard'; }
   log(`tier: ${tier}`);
-  if (tier === 'deep') return treeResearch(question, { maxFetch: Math.min(3, maxFetch), context, maxVerify });
-  return flatResearch(question, { maxFetch, maxRounds, context, maxVerify });
+  if (tier === 'deep') return treeResearch(question, { maxFetch: Math.min(3, maxFetch), context, maxVerify, job });
+  return flatResearch(question, { maxFetch, maxRounds, context, maxVerify, job });
 }
 
 /** Turn research findings into publishable report blocks (with rug-check viz). */
@@ -890,18 +803,20 @@ async function researchAndPublish(question, { maxFetch = 3, publish = true, sour
   const { findings, report } = res;
   const a = res.assessment || {};
   const conf = a.confidence_pct;
+  const cites = res.citations || citationCheck(report, findings || [], a);
   const shortAnswer = await reason(
     `Given this research, write ONE X reply (max 240 chars) that answers the question in Sebastian Hunter's voice — specific, no filler. Research confidence: ${conf != null ? `${conf}%` : 'unstated'}${a.key_finding ? `; key finding: ${a.key_finding}` : ''}. Match the reply's certainty to that confidence — ≥70: state the key finding directly; 40-69: state the best-supported finding with its ONE main caveat; <40: say plainly what could and could not be established. Never claim more certainty than the evidence supports. Question: ${question}\n\nResearch report:\n${report.slice(0, 2500)}\n\nReply text only (no quotes):`,
     { maxTokens: 200, tag: 'dr-reply' }
   ).then((t) => String(t).trim().replace(/^["']|["']$/g, '')).catch(() => '');
 
-  // Publish gate: a compromised or low-confidence pass is not worth a public
-  // report page under Sebastian's name — answer inline with honest uncertainty,
-  // publish nothing.
+  // Publish gate: a compromised or low-confidence pass — or one whose load-bearing
+  // claims cite sources it never retrieved or that don't say what it claims — is
+  // not worth a public report page under Sebastian's name. Answer inline with
+  // honest uncertainty, publish nothing.
   const MIN_PUBLISH_CONF = Number(process.env.DR_MIN_PUBLISH_CONF || 40);
-  const publishable = publish && !a.compromised && (conf == null || conf >= MIN_PUBLISH_CONF);
+  const publishable = publish && !a.compromised && (conf == null || conf >= MIN_PUBLISH_CONF) && cites.ok;
   if (publish && !publishable) {
-    log(`publish gate: WITHHELD (confidence=${conf != null ? conf + '%' : '?'}${a.compromised ? `, compromised: ${a.compromised_why || 'yes'}` : ''})`);
+    log(`publish gate: WITHHELD (confidence=${conf != null ? conf + '%' : '?'}${a.compromised ? `, compromised: ${a.compromised_why || 'yes'}` : ''}${cites.ok ? '' : `, citations: ${summarizeCitations(cites)}`})`);
   }
   let url = null;
   if (publishable) {
@@ -912,7 +827,7 @@ async function researchAndPublish(question, { maxFetch = 3, publish = true, sour
       url = await publishReport({ title: question.slice(0, 120), summary: shortAnswer, kind, source, blocks });
     } catch (e) { log(`publish failed: ${e.message}`); }
   }
-  return { shortAnswer, url, report, findings, bailed: false, published: !!url, confidence: conf };
+  return { shortAnswer, url, report, findings, bailed: false, published: !!url, confidence: conf, citations: cites.counts };
 }
 
 /**
@@ -1097,11 +1012,40 @@ async function researchAndDeliver(question, { format = 'auto', maxFetch = 4, sou
   return { ...r, format: 'report', posted: false };
 }
 
-module.exports = { deepResearch, researchAndPublish, researchToThread, researchToArticle, researchAndDeliver, chooseFormat, plan, TOOLS, classify, decompose, reviewPlan, treeResearch, flatResearch, contextTriage };
+// Cost attribution: each public entry runs as ONE research job. Every LLM call
+// inside it — triage through delivery prose — lands on cost-ledger rows as
+// artifact 'report' + the job's research id, and the result carries
+// `researchId` for lib/cost_meter artifactCost('report', id). A nested entry
+// (researchAndDeliver → researchToThread) joins the job it runs inside.
+// The research id is also the lib/research_jobs job id: `opts.jobId` names one
+// (CLI --job, Telegram /dr resume), and a failed or interrupted job for the same
+// question from the last day is picked up again instead of starting over.
+const meter = require('./lib/cost_meter');
+function asResearchJob(fn) {
+  return (...args) => {
+    const cur = meter.currentArtifact();
+    const opts = args[1] || {};
+    const inJob = cur && cur.type === 'report' && cur.id ? cur.id : null;
+    const prior = inJob || opts.jobId || opts.planOnly ? null : jobs.resumable(args[0]);
+    const researchId = inJob || opts.jobId || (prior && prior.job_id) || jobs.newId();
+    return meter.withArtifact({ type: 'report', id: researchId }, () => fn(...args))
+      .then((r) => (r && typeof r === 'object' ? { ...r, researchId } : r));
+  };
+}
+
+module.exports = {
+  deepResearch: asResearchJob(deepResearch),
+  researchAndPublish: asResearchJob(researchAndPublish),
+  researchToThread: asResearchJob(researchToThread),
+  researchToArticle: asResearchJob(researchToArticle),
+  researchAndDeliver: asResearchJob(researchAndDeliver),
+  chooseFormat, plan, tools, classify, decompose, reviewPlan, researchNode, treeResearch, flatResearch, contextTriage,
+};
 
 // ── CLI ───────────────────────────────────────────────────────────────────────
 if (require.main === module) {
   (async () => {
+    const api = module.exports;
     const args = process.argv.slice(2);
     const planOnly = args.includes('--plan-only');
     const dry = args.includes('--dry');
@@ -1109,11 +1053,13 @@ if (require.main === module) {
     if (args.includes('--thread')) fmt = 'thread';
     const mf = (args.find((a) => a.startsWith('--max-fetch=')) || '').split('=')[1];
     const forcedTier = (args.find((a) => a.startsWith('--tier=')) || '').split('=')[1];   // trivial|standard|deep
-    const question = args.filter((a) => !a.startsWith('--')).join(' ').trim();
-    if (!question) { console.error('usage: node runner/deep_research.js "<question>" [--plan-only] [--tier=deep] [--max-fetch=N] [--format=report|thread|article|auto | --thread] [--dry]'); process.exit(2); }
+    const jobId = (args.find((a) => a.startsWith('--job=')) || '').split('=')[1] || undefined; // resume (or name) a research job
+    const prior = jobId ? jobs.load(jobId) : null;
+    const question = args.filter((a) => !a.startsWith('--')).join(' ').trim() || (prior && prior.question) || '';
+    if (!question) { console.error('usage: node runner/deep_research.js "<question>" [--plan-only] [--tier=deep] [--max-fetch=N] [--format=report|thread|article|auto | --thread] [--dry] [--job=<id>]\n       node runner/deep_research.js --job=<id>   # resume an interrupted/failed job'); process.exit(2); }
     try {
       if (fmt) {
-        const t = await researchAndDeliver(question, { format: fmt, maxFetch: mf ? Number(mf) : 4, live: !dry, source: 'cli' });
+        const t = await api.researchAndDeliver(question, { format: fmt, maxFetch: mf ? Number(mf) : 4, live: !dry, source: 'cli', jobId });
         console.log(`\n=== DELIVER (${t.format || 'none'}) ===`);
         if (t.bailed) console.log(`(bailed) ${t.clarify}`);
         else if (t.gated) console.log(`(withheld by quality gate — confidence ${t.confidence != null ? t.confidence + '%' : '?'})`);
@@ -1130,7 +1076,7 @@ if (require.main === module) {
         }
         process.exit(0);
       }
-      const res = await deepResearch(question, { planOnly, tier: forcedTier || undefined, maxFetch: mf ? Number(mf) : 4 });
+      const res = await api.deepResearch(question, { planOnly, tier: forcedTier || undefined, maxFetch: mf ? Number(mf) : 4, jobId });
       if (planOnly) { console.log('\n=== PLAN ===\n' + JSON.stringify(res.plan, null, 2)); }
       else {
         const a = res.assessment || {};
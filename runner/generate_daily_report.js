@@ -2,11 +2,13 @@
 /**
  * runner/generate_daily_report.js — produce daily/belief_report_YYYY-MM-DD.md
  *
- * Reads: state/ontology.json, state/snapshots/<yesterday>.json, journals/<today>_*.html
+ * Reads: state/ontology.json, state/snapshots/<yesterday>.json, journals/<today>_*.html,
+ *        state/narrative_arcs.json
  * Writes: daily/belief_report_YYYY-MM-DD.md
  *
  * Includes delta narratives for axes that moved > 0.03 since yesterday,
- * with the top 3 evidence summaries driving the change.
+ * with the top 3 evidence summaries driving the change, and the narrative
+ * arcs (threat → solution → skepticism) active in the last ARC_DAYS days.
  *
  * Called once per day from run.sh at the daily-maintenance trigger.
  * Non-fatal: exits 0 on any error after logging.
@@ -16,12 +18,14 @@
 
 const fs   = require("fs");
 const path = require("path");
+const narrativeArcs = require("./lib/narrative_arcs");
 
 const ROOT        = path.resolve(__dirname, "..");
 const DAILY_DIR   = path.join(ROOT, "daily");
 const ONTO        = path.join(ROOT, "state", "ontology.json");
 const SNAPSHOTS   = path.join(ROOT, "state", "snapshots");
 const JOURNALS    = path.join(ROOT, "journals");
+const ARC_DAYS    = 7;
 
 const today     = new Date().toISOString().slice(0, 10);
 const yesterday = new Date(Date.now() - 86_400_000).toISOString().slice(0, 10);
@@ -127,6 +131,15 @@ function recentEvidence(axis, n = 3) {
       ].join("\n");
     }).join("\n\n");
 
+    // Narrative arcs that reached the solution stage and are still moving
+    const arcCutoff = new Date(Date.now() - ARC_DAYS * 86_400_000).toISOString();
+    const arcs = (narrativeArcs.load().arcs || [])
+      .filter(a => a.stage !== "threat" && a.last_ts >= arcCutoff)
+      .slice(0, 8);
+    const arcSection = arcs.length
+      ? arcs.map(a => "```\n" + narrativeArcs.formatTimeline(a, { windows: true }) + "\n```").join("\n\n")
+      : `_No topic moved from threat framing to a proposed solution in the last ${ARC_DAYS} days._`;
+
     const highConf = [...axes]
       .filter(a => (a.confidence || 0) > 0)
       .sort((a, b) => (b.confidence || 0) - (a.confidence || 0))
@@ -159,6 +172,12 @@ ${deltaSection}
 
 ---
 
+## Narrative arcs
+
+${arcSection}
+
+---
+
 ## Full ontology snapshot
 
 ${axesLines || "(no axes yet)"}
@@ -169,7 +188,7 @@ ${axesLines || "(no axes yet)"}
 `;
 
     fs.writeFileSync(outPath, report, "utf-8");
-    console.log(`[daily_report] written: daily/belief_report_${today}.md (${axes.length} axes, ${deltas.length} moved)`);
+    console.log(`[daily_report] written: daily/belief_report_${today}.md (${axes.length} axes, ${deltas.length} moved, ${arcs.length} arcs)`);
   } catch (err) {
     console.error(`[daily_report] failed: ${err.message}`);
     process.exit(0); // non-fatal
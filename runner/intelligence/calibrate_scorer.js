@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+/**
+ * runner/intelligence/calibrate_scorer.js — calibration report for claim_scorer weights
+ *
+ * claim_scorer.js combines six components with fixed WEIGHTS; nothing checked
+ * whether a 0.6 actually means "usually true". This scores every claim with a
+ * known outcome and reports how well confidence tracks it:
+ *
+ *   labels       — human verdicts (state/claim_labels.json, --label), deep
+ *                  investigation verdicts, and supported/refuted statuses that
+ *                  held through ≥ --min-held-days of re-verification
+ *                  (lib/calibration.js labelFor)
+ *   brier        — mean (P(true) − outcome)², against the base-rate baseline;
+ *                  P(true) is confidence, or 1 − confidence for a claim the web
+ *                  search refuted (lib/calibration.js probTrue)
+ *   reliability  — P(true) bins vs the observed true rate, plus ECE
+ *   threshold    — how often claims at P(true) ≥ STATUS_THRESHOLDS.supported were true
+ *   ablations    — Brier with each component dropped (rest renormalized)
+ *   fitted       — weights minimizing Brier, fitted on 80% of the labels and
+ *                  checked on the held-out 20% (split by claim id hash)
+ *
+ * Resolved statuses come partly from the scorer itself (supported needs a web
+ * confirmation), so the web_search component looks better on them than it is;
+ * human and investigation labels are independent of it. The per-source counts
+ * say which kind dominates a run.
+ *
+ * DRY RUN by design: the fitted set is written to
+ * state/claim_scorer_weights.proposed.json for review and never applied here.
+ * To apply a reviewed set:
+ *   node runner/intelligence/rescore_all.js --weights <file> --no-search [--dry-run]
+ *
+ * Usage:
+ *   node runner/intelligence/calibrate_scorer.js [--bins 10] [--min-held-days 7]
+ *     [--out <proposal.json>] [--json <report.json>]
+ *   node runner/intelligence/calibrate_scorer.js --label <claim_id>=true|false [--note "…"]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../lib/config');
+const { loadVerificationDb } = require('../lib/db_backend');
+const { WEIGHTS, STATUS_THRESHOLDS } = require('./claim_scorer');
+const { timelineOf } = require('./lib/reverify_schedule');
+const { labelFor, probTrue, brier, reliability, ece, ablations, fitWeights } = require('./lib/calibration');
+
+const LABELS_PATH = path.join(config.STATE_DIR, 'claim_labels.json');
+const PROPOSAL_PATH = path.join(config.STATE_DIR, 'claim_scorer_weights.proposed.json');
+const MIN_FIT_LABELS = 30;
+
+function log(msg) { console.log(`[calibrate] ${msg}`); }
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+function readLabels() {
+  try { return JSON.parse(fs.readFileSync(LABELS_PATH, 'utf-8')); } catch { return {}; }
+}
+
+/** --label <claim_id>=true|false — record a reviewed verdict. */
+function addLabel(spec) {
+  const m = String(spec).match(/^(.+)=(true|false)$/i);
+  if (!m) throw new Error('--label expects <claim_id>=true|false');
+  const labels = readLabels();
+  labels[m[1]] = { label: m[2].toLowerCase() === 'true', note: arg('--note'), at: new Date().toISOString() };
+  fs.writeFileSync(LABELS_PATH, JSON.stringify(labels, null, 2));
+  log(`labelled ${m[1]} = ${m[2].toLowerCase()} (${Object.keys(labels).length} human labels)`);
+}
+
+const isHoldout = (id) => crypto.createHash('md5').update(String(id)).digest()[0] % 5 === 0;
+
+async function loadExamples({ minHeldDays }) {
+  const vdb = loadVerificationDb();
+  const rows = await Promise.resolve(vdb.getAllVerifications());
+  let audit = {};
+  if (typeof vdb.getTimelines === 'function') audit = await Promise.resolve(vdb.getTimelines());
+  const human = readLabels();
+
+  const examples = [];
+  for (const row of rows) {
+    if (!row.scoring_breakdown || !Object.keys(row.scoring_breakdown).length) continue;
+    let investigation = null;
+    if (row.investigation_id && typeof vdb.getInvestigation === 'function') {
+      try { investigation = vdb.getInvestigation(row.investigation_id); } catch {}
+    }
+    const l = labelFor(row, { human: human[row.claim_id], investigation, timeline: timelineOf(audit[row.claim_id]), minHeldDays });
+    if (l) examples.push({ claim_id: row.claim_id, breakdown: row.scoring_breakdown, label: l.label, source: l.source });
+  }
+  return { examples, total: rows.length };
+}
+
+function report(examples, { bins }) {
+  const baseRate = examples.reduce((s, e) => s + e.label, 0) / examples.length;
+  const diagram = reliability(examples, WEIGHTS, bins);
+  const atThreshold = examples.filter(e => probTrue(e.breakdown, WEIGHTS) >= STATUS_THRESHOLDS.supported);
+  const out = {
+    labels: examples.length,
+    by_source: examples.reduce((acc, e) => { acc[e.source] = (acc[e.source] || 0) + 1; return acc; }, {}),
+    base_rate: +baseRate.toFixed(3),
+    weights: WEIGHTS,
+    brier: brier(examples, WEIGHTS),
+    brier_baseline: +(baseRate * (1 - baseRate)).toFixed(4),
+    reliability: diagram,
+    ece: ece(diagram),
+    threshold: {
+      supported: STATUS_THRESHOLDS.supported,
+      n: atThreshold.length,
+      observed: atThreshold.length ? +(atThreshold.reduce((s, e) => s + e.label, 0) / atThreshold.length).toFixed(3) : null,
+    },
+    ablations: ablations(examples, WEIGHTS),
+    fitted: null,
+  };
+
+  if (examples.length >= MIN_FIT_LABELS) {
+    const train = examples.filter(e => !isHoldout(e.claim_id));
+    const test = examples.filter(e => isHoldout(e.claim_id));
+    const weights = fitWeights(train, { start: WEIGHTS });
+    out.fitted = {
+      weights,
+      train: { n: train.length, brier_current: brier(train, WEIGHTS), brier_fitted: brier(train, weights) },
+      holdout: { n: test.length, brier_current: brier(test, WEIGHTS), brier_fitted: brier(test, weights) },
+      ece_fitted: ece(reliability(examples, weights, bins)),
+    };
+  }
+  return out;
+}
+
+function printReport(r) {
+  const pct = (x) => (x == null ? '   —' : `${Math.round(x * 100)}%`.padStart(4));
+  log(`${r.labels} labelled claims (${Object.entries(r.by_source).map(([k, v]) => `${k} ${v}`).join(', ')}), ${pct(r.base_rate).trim()} true`);
+  console.log(`\nBrier ${r.brier} (base-rate baseline ${r.brier_baseline}) · ECE ${r.ece}`);
+  console.log(`At ≥${r.threshold.supported} confidence: ${r.threshold.n} claims, ${pct(r.threshold.observed).trim()} true\n`);
+
+  console.log('reliability   n  pred  true');
+  for (const b of r.reliability) {
+    const bar = b.n ? '█'.repeat(Math.round(b.observed * 20)).padEnd(20) : ''.padEnd(20);
+    const mark = b.n ? ' '.repeat(Math.min(20, Math.round(b.mean_pred * 20))) + '^' : '';
+    console.log(`${b.lo.toFixed(1)}–${b.hi.toFixed(1)} ${String(b.n).padStart(5)}  ${pct(b.mean_pred)}  ${pct(b.observed)}  ${bar}|`);
+    if (b.n) console.log(`${' '.repeat(27)}${mark}`);
+  }
+  console.log('  (█ observed true rate, ^ mean confidence — a calibrated bin has ^ at the end of its bar)');
+
+  console.log('\nablation (Brier without the component; + = it helps)');
+  for (const a of r.ablations) console.log(`  ${a.component.padEnd(17)} ${String(a.brier).padEnd(7)} ${a.delta >= 0 ? '+' : ''}${a.delta}`);
+
+  if (!r.fitted) {
+    console.log(`\nfitted weights: need ${MIN_FIT_LABELS}+ labels (have ${r.labels})`);
+    return;
+  }
+  const f = r.fitted;
+  console.log('\ncomponent         current  fitted');
+  for (const k of Object.keys(r.weights)) console.log(`  ${k.padEnd(17)} ${r.weights[k].toFixed(3)}    ${f.weights[k].toFixed(3)}`);
+  console.log(`Brier train (n=${f.train.n}): ${f.train.brier_current} → ${f.train.brier_fitted}`);
+  console.log(`Brier holdout (n=${f.holdout.n}): ${f.holdout.brier_current} → ${f.holdout.brier_fitted}`);
+}
+
+async function main() {
+  const label = arg('--label');
+  if (label) return addLabel(label);
+
+  const bins = Number(arg('--bins', 10)) || 10;
+  const minHeldDays = Number(arg('--min-held-days', 7));
+  const { examples, total } = await loadExamples({ minHeldDays });
+  if (!examples.length) {
+    log(`no labelled claims among ${total} verifications — label some with --label <claim_id>=true|false`);
+    return;
+  }
+  const r = report(examples, { bins });
+  printReport(r);
+
+  const json = arg('--json');
+  if (json) {
+    fs.writeFileSync(path.resolve(json), JSON.stringify({ generated_at: new Date().toISOString(), ...r }, null, 2));
+    log(`wrote ${json}`);
+  }
+  if (r.fitted) {
+    const out = path.resolve(arg('--out', PROPOSAL_PATH));
+    fs.writeFileSync(out, JSON.stringify({
+      generated_at: new Date().toISOString(),
+      weights: r.fitted.weights,
+      current: r.weights,
+      labels: r.labels,
+      by_source: r.by_source,
+      train: r.fitted.train,
+      holdout: r.fitted.holdout,
+    }, null, 2));
+    log(`proposed weights written to ${path.relative(process.cwd(), out)} — NOT applied`);
+    log(`review, then: node runner/intelligence/rescore_all.js --weights ${path.relative(process.cwd(), out)} --no-search --dry-run`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[calibrate] FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { report, isHoldout };
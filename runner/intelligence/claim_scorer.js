@@ -4,13 +4,23 @@
  *
  * Pure scoring module with no side effects. Computes a 0.0–1.0 confidence score
  * from six weighted components: source tier, NewsGuard, corroboration, evidence
- * quality, cross-source agreement, and web search results.
+ * quality, cross-source agreement, and web search results. Source tier follows
+ * the source's verification record when a reputation entry is passed in
+ * (lib/source_reputation.js).
  *
  * Exports:
- *   scoreClaim(claim, sourceData)  → { confidence, breakdown, suggested_status }
- *   WEIGHTS                        → { source_tier, newsguard, ... }
+ *   scoreClaim(claim, sourceData, { weights })  → { confidence, breakdown, suggested_status }
+ *   combine(breakdown, weights)    → confidence (the weighted sum alone)
+ *   suggestStatus(breakdown, confidence, claim) → status
+ *   WEIGHTS                        → the active weights { source_tier, newsguard, ... }
+ *   DEFAULT_WEIGHTS                → the shipped weights
+ *   loadWeights(file) / validateWeights(w)
  *   STATUS_THRESHOLDS              → { supported, refuted }
  *
+ * The active weights are DEFAULT_WEIGHTS unless state/claim_scorer_weights.json
+ * holds a reviewed set — written by `rescore_all.js --weights <file>` from a
+ * calibrate_scorer.js proposal. Weights are non-negative and sum to 1.
+ *
  * Usage:
  *   node runner/intelligence/claim_scorer.js --test   # run built-in tests
  */
@@ -21,7 +31,7 @@ const fs = require('fs');
 const path = require('path');
 
 // ── Weights ─────────────────────────────────────────────────────────────────
-const WEIGHTS = {
+const DEFAULT_WEIGHTS = {
   source_tier:      0.30,
   newsguard:        0.15,
   corroboration:    0.20,
@@ -30,6 +40,38 @@ const WEIGHTS = {
   web_search:       0.10,
 };
 
+const WEIGHTS_PATH = process.env.CLAIM_SCORER_WEIGHTS_PATH || path.resolve(__dirname, '../../state/claim_scorer_weights.json');
+
+function validateWeights(w) {
+  const errors = [];
+  if (!w || typeof w !== 'object') return { ok: false, errors: ['not an object'] };
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    if (typeof w[key] !== 'number' || !Number.isFinite(w[key]) || w[key] < 0) errors.push(`${key}: expected a non-negative number`);
+  }
+  const extra = Object.keys(w).filter(k => !(k in DEFAULT_WEIGHTS));
+  if (extra.length) errors.push(`unknown components: ${extra.join(', ')}`);
+  const sum = Object.keys(DEFAULT_WEIGHTS).reduce((s, k) => s + (Number(w[k]) || 0), 0);
+  if (Math.abs(sum - 1) > 0.01) errors.push(`weights sum to ${sum.toFixed(3)}, expected 1`);
+  return { ok: errors.length === 0, errors };
+}
+
+/** Read a weight set: a bare { component: weight } object or a proposal file's { weights }. Throws if invalid. */
+function loadWeights(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const w = raw && raw.weights ? raw.weights : raw;
+  const v = validateWeights(w);
+  if (!v.ok) throw new Error(`invalid weights in ${file}: ${v.errors.join('; ')}`);
+  return Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(k => [k, w[k]]));
+}
+
+const WEIGHTS = (() => {
+  if (!fs.existsSync(WEIGHTS_PATH)) return DEFAULT_WEIGHTS;
+  try { return loadWeights(WEIGHTS_PATH); } catch (e) {
+    console.error(`[claim_scorer] ${e.message} — using default weights`);
+    return DEFAULT_WEIGHTS;
+  }
+})();
+
 // ── Thresholds ──────────────────────────────────────────────────────────────
 const STATUS_THRESHOLDS = {
   supported: 0.60,   // >= this + web search confirms → supported
@@ -38,20 +80,12 @@ const STATUS_THRESHOLDS = {
 
 // ── High-tier domains (derived from source_registry.json) ───────────────────
 // Built dynamically from tier 1-2 accounts in the registry.
-// Maps handle → likely website domain so grounding metadata can be matched.
-// Falls back to a small seed set for domains that don't map 1:1 from handles.
-
-const HANDLE_TO_DOMAIN = {
-  reuters: 'reuters.com', ap: 'apnews.com', apnews: 'apnews.com',
-  bbc: 'bbc.com', bbcbreaking: 'bbc.com', cnn: 'cnn.com',
-  foxnews: 'foxnews.com', ajenglish: 'aljazeera.com', aljazeera: 'aljazeera.com',
-  nytimes: 'nytimes.com', washingtonpost: 'washingtonpost.com',
-  theguardian: 'theguardian.com', wsj: 'wsj.com', ft: 'ft.com',
-  axios: 'axios.com', politico: 'politico.com', thehill: 'thehill.com',
-  haaretz: 'haaretz.com', timesofisrael: 'timesofisrael.com',
-  cbsnews: 'cbsnews.com', nbcnews: 'nbcnews.com', skynews: 'news.sky.com',
-  dailymail: 'dailymail.co.uk',
-};
+// Maps handle → likely website domain so grounding metadata can be matched
+// (HANDLE_TO_DOMAIN lives in lib/source_reputation.js, which keys reputation
+// by domain too). Falls back to a small seed set for domains that don't map
+// 1:1 from handles.
+
+const { HANDLE_TO_DOMAIN, estimate: estimateReputation } = require('../lib/source_reputation');
 
 // Additional known-credible domains not tied to a Twitter handle
 const SEED_DOMAINS = [
@@ -234,6 +268,16 @@ function applyWebSearchBoost(breakdown, claim) {
 
 // ── Main scorer ─────────────────────────────────────────────────────────────
 
+/** Weighted sum of a breakdown (|web_search|, so a strong refutation counts as strong evidence). */
+function combine(breakdown, weights = WEIGHTS) {
+  let confidence = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    const componentScore = key === 'web_search' ? Math.abs(breakdown[key] || 0) : (breakdown[key] || 0);
+    confidence += componentScore * weight;
+  }
+  return Math.round(confidence * 1000) / 1000;  // 3 decimal places
+}
+
 /**
  * Score a claim and return confidence + breakdown + suggested status.
  *
@@ -249,15 +293,23 @@ function applyWebSearchBoost(breakdown, claim) {
  * @param {object} sourceData — optional enrichment from source_registry:
  *   - ng_score {number|null}
  *   - credibility_tier {number|null} — overrides claim.source_tier if present
+ *   - reputation {object|null} — the source's lib/source_reputation.js ledger
+ *     entry; source_tier becomes its posterior mean (tier prior + verified
+ *     outcomes, this claim's own excluded)
+ *
+ * @param {object} [opts]
+ *   - weights {object} — a weight set to use instead of the active WEIGHTS
  *
  * @returns {{ confidence: number, breakdown: object, suggested_status: string }}
  */
-function scoreClaim(claim, sourceData = {}) {
+function scoreClaim(claim, sourceData = {}, { weights = WEIGHTS } = {}) {
   const tier = sourceData.credibility_tier || claim.source_tier || null;
   const ngScore = sourceData.ng_score ?? null;
 
   const breakdown = {
-    source_tier:      scoreSourceTier(tier),
+    source_tier:      sourceData.reputation
+      ? estimateReputation(sourceData.reputation, { exclude: claim.claim_id, tier }).mean
+      : scoreSourceTier(tier),
     newsguard:        scoreNewsGuard(ngScore),
     corroboration:    scoreCorroboration(claim.corroborating_count),
     evidence_quality: scoreEvidenceQuality(claim.cited_url, claim.cited_domain),
@@ -268,22 +320,25 @@ function scoreClaim(claim, sourceData = {}) {
   // Apply web search boost before computing weighted sum
   applyWebSearchBoost(breakdown, { ...claim, source_tier: tier });
 
+  // Compute weighted sum (use absolute value of web_search for the weight calc)
+  const confidence = combine(breakdown, weights);
+  const suggested_status = suggestStatus(breakdown, confidence, claim);
+
+  return { confidence, breakdown, suggested_status };
+}
+
+/**
+ * Status for a scored breakdown. `claim` supplies the corroborating /
+ * contradicting counts for 'contested'.
+ */
+function suggestStatus(breakdown, confidence, claim = {}) {
   // Web search refutation overrides the normal scoring
   const webRefuted = breakdown.web_search < 0;
 
-  // Compute weighted sum (use absolute value of web_search for the weight calc)
-  let confidence = 0;
-  for (const [key, weight] of Object.entries(WEIGHTS)) {
-    const componentScore = key === 'web_search' ? Math.abs(breakdown[key]) : breakdown[key];
-    confidence += componentScore * weight;
-  }
-  confidence = Math.round(confidence * 1000) / 1000;  // 3 decimal places
-
   // Determine suggested status
   // Key principle: "refuted" requires active refutation evidence, not just low confidence.
   // A claim with no data is "unverified", not "refuted".
   let suggested_status = 'unverified';
-  const hasWebEvidence = breakdown.web_search !== 0;
 
   if (webRefuted) {
     suggested_status = 'refuted';
@@ -297,12 +352,14 @@ function scoreClaim(claim, sourceData = {}) {
   } else if (claim.contradicting_count > 0 && claim.corroborating_count > 0) {
     suggested_status = 'contested';
   }
-
-  return { confidence, breakdown, suggested_status };
+  return suggested_status;
 }
 
 // ── Exports ─────────────────────────────────────────────────────────────────
-module.exports = { scoreClaim, WEIGHTS, STATUS_THRESHOLDS, HIGH_TIER_DOMAINS };
+module.exports = {
+  scoreClaim, combine, suggestStatus, WEIGHTS, DEFAULT_WEIGHTS, WEIGHTS_PATH, loadWeights, validateWeights,
+  STATUS_THRESHOLDS, HIGH_TIER_DOMAINS,
+};
 
 // ── Built-in tests ──────────────────────────────────────────────────────────
 if (process.argv.includes('--test')) {
@@ -373,5 +430,15 @@ if (process.argv.includes('--test')) {
   const weightKeys = Object.keys(WEIGHTS).sort();
   assert(JSON.stringify(keys) === JSON.stringify(weightKeys), 'breakdown keys match weight keys');
 
+  // Test 7: A source whose claims keep getting refuted loses source_tier weight
+  const at = new Date().toISOString();
+  const reputation = { tier: 2, outcomes: [1, 2, 3, 4, 5].map(i => ({ claim_id: `r${i}`, outcome: 0, at })) };
+  const r7 = scoreClaim({ claim_id: 'c7', source_tier: 2 }, { credibility_tier: 2, reputation });
+  const r7own = scoreClaim({ claim_id: 'r1', source_tier: 2 }, { credibility_tier: 2, reputation });
+  const r7fresh = scoreClaim({ claim_id: 'c7', source_tier: 2 }, { credibility_tier: 2, reputation: { tier: 2, outcomes: [] } });
+  assert(r7fresh.breakdown.source_tier === 0.8, `no outcomes → tier score (got ${r7fresh.breakdown.source_tier})`);
+  assert(r7.breakdown.source_tier < 0.5, `refuted record lowers source tier (got ${r7.breakdown.source_tier})`);
+  assert(r7own.breakdown.source_tier > r7.breakdown.source_tier, 'a claim is not scored on its own outcome');
+
   console.log('\nAll tests passed.');
 }
@@ -4,50 +4,29 @@
  * runner/intelligence/export.js
  *
  * Reads state/intelligence.db + state/ontology.json
- * Writes state/intelligence_export.json
+ * Writes state/intelligence/<topic>.json per topic (topics.js) and
+ * state/intelligence/index.json listing them — read by web/app/intelligence/[topic].
  *
  * Structure:
- *   topic, topic_label, generated_at, source_count, claim_count
+ *   topic, topic_label, topic_title, topic_kind, generated_at, source_count, claim_count
+ *   category_order: [catId…, 'misc']
  *   categories: { <catId>: { label, claim_count, claims[] } }
  *   contradictions: []
  *   source_summary: { tier_1..tier_5: { count, handles[] } }
  *   axis_scores: { <axis_id>: { score, confidence, label, left_pole, right_pole } }
  *   sebastians_take: { article_refs[], summary }
  *
- * Usage: node runner/intelligence/export.js [--topic iran-us-israel]
+ * Usage: node runner/intelligence/export.js [--topic <id>]   # default: every topic
  */
 
 const fs = require('fs');
 const path = require('path');
 const config = require('../lib/config');
 const db = require('./db');
-const { TOPICS } = require('./topics');
+const topics = require('./topics');
 
-const TOPIC_ID = 'iran-us-israel';
 const MAX_PER_CATEGORY = 50;
-const EXPORT_PATH = path.join(config.STATE_DIR, 'intelligence_export.json');
-
-const CATEGORY_ORDER = [
-  'military_action',
-  'nuclear',
-  'diplomatic',
-  'casualties_humanitarian',
-  'proxy_regional',
-  'threats_claims',
-  'internal_politics',
-  'misc',
-];
-
-const CATEGORY_LABELS = {
-  military_action: 'Military Action',
-  nuclear: 'Nuclear Program',
-  diplomatic: 'Diplomacy & Negotiations',
-  casualties_humanitarian: 'Casualties & Humanitarian',
-  proxy_regional: 'Proxy Forces & Regional',
-  threats_claims: 'Threats & Claims',
-  internal_politics: 'Internal Politics',
-  misc: 'Miscellaneous',
-};
+const EXPORT_DIR = path.join(config.STATE_DIR, 'intelligence');
 
 function log(msg) {
   console.log(`[export] ${msg}`);
@@ -75,12 +54,8 @@ function getAxisScores(topicConfig) {
 
 // ── Sebastian's take from recent articles ─────────────────────────────────────
 const ARTICLES_DIR = path.join(config.PROJECT_ROOT, 'articles');
-const IRAN_KEYWORDS = [
-  'iran', 'israel', 'idf', 'nuclear', 'tehran', 'gaza', 'hezbollah',
-  'hamas', 'houthi', 'war', 'strike', 'missile', 'uranium', 'natanz',
-];
 
-function getSebastiansTake() {
+function getSebastiansTake(topicConfig) {
   if (!fs.existsSync(ARTICLES_DIR)) return { article_refs: [], summary: '' };
 
   const files = fs.readdirSync(ARTICLES_DIR)
@@ -93,7 +68,7 @@ function getSebastiansTake() {
   for (const file of files) {
     const content = fs.readFileSync(path.join(ARTICLES_DIR, file), 'utf8');
     const lower = content.toLowerCase();
-    const hits = IRAN_KEYWORDS.filter(kw => lower.includes(kw)).length;
+    const hits = topicConfig.article_keywords.filter(kw => lower.includes(kw)).length;
     if (hits >= 2) {
       relevant.push({ file, content, hits });
     }
@@ -131,10 +106,10 @@ function getSebastiansTake() {
 }
 
 // ── Build contradictions from claim groups ────────────────────────────────────
-function buildContradictions() {
+function buildContradictions(topicId) {
   const groups = db.prepare(
     'SELECT * FROM claim_groups WHERE topic = ? ORDER BY min_tier ASC'
-  ).all(TOPIC_ID);
+  ).all(topicId);
 
   const contradictions = [];
 
@@ -194,11 +169,11 @@ function buildContradictions() {
 }
 
 // ── Build source summary by tier ──────────────────────────────────────────────
-function buildSourceSummary() {
+function buildSourceSummary(topicId) {
   // Get sources that appear in claims
   const sourcesInClaims = db.prepare(`
     SELECT DISTINCT source_handle FROM claims WHERE topic = ? AND source_handle IS NOT NULL
-  `).all(TOPIC_ID).map(r => r.source_handle);
+  `).all(topicId).map(r => r.source_handle);
 
   const summary = { tier_1: null, tier_2: null, tier_3: null, tier_4: null, tier_5: null };
 
@@ -232,25 +207,22 @@ function buildSourceSummary() {
 }
 
 // ── Main ─────────────────────────────────────────────────────────────────────
-function main() {
-  const topicConfig = TOPICS[TOPIC_ID];
-  if (!topicConfig) {
-    log(`ERROR: topic '${TOPIC_ID}' not found`);
-    process.exit(1);
-  }
-
-  const totalClaims = db.prepare('SELECT COUNT(*) c FROM claims WHERE topic = ?').get(TOPIC_ID).c;
+function exportTopic(topicConfig) {
+  const topicId = topicConfig.id;
+  const totalClaims = db.prepare('SELECT COUNT(*) c FROM claims WHERE topic = ?').get(topicId).c;
   const sources = db.prepare(
     'SELECT COUNT(DISTINCT source_handle) c FROM claims WHERE topic = ? AND source_handle IS NOT NULL'
-  ).get(TOPIC_ID).c;
+  ).get(topicId).c;
 
-  log(`Building export: ${totalClaims} claims, ${sources} sources`);
+  log(`Building export ${topicId}: ${totalClaims} claims, ${sources} sources`);
 
   // ── Categories ──────────────────────────────────────────────────────────
   const categories = {};
+  const categoryOrder = topics.categoryOrder(topicConfig);
+  const categoryLabels = topics.categoryLabels(topicConfig);
 
-  for (const catId of CATEGORY_ORDER) {
-    const label = CATEGORY_LABELS[catId] || catId;
+  for (const catId of categoryOrder) {
+    const label = categoryLabels[catId] || catId;
     const claims = db.prepare(`
       SELECT
         c.id, c.claim_text, c.stance, c.axis_id,
@@ -268,13 +240,13 @@ function main() {
         c.corroborating_count DESC,
         c.observed_at DESC
       LIMIT ${MAX_PER_CATEGORY}
-    `).all(TOPIC_ID, catId);
+    `).all(topicId, catId);
 
     categories[catId] = {
       label,
       claim_count: db.prepare(
         'SELECT COUNT(*) c FROM claims WHERE topic = ? AND category = ?'
-      ).get(TOPIC_ID, catId).c,
+      ).get(topicId, catId).c,
       claims: claims.map(c => ({
         id: c.id,
         claim_text: c.claim_text,
@@ -297,25 +269,28 @@ function main() {
   }
 
   // ── Contradictions ───────────────────────────────────────────────────────
-  const contradictions = buildContradictions();
+  const contradictions = buildContradictions(topicId);
   log(`Contradictions found: ${contradictions.length}`);
 
   // ── Source summary ───────────────────────────────────────────────────────
-  const source_summary = buildSourceSummary();
+  const source_summary = buildSourceSummary(topicId);
 
   // ── Axis scores ──────────────────────────────────────────────────────────
   const axis_scores = getAxisScores(topicConfig);
 
   // ── Sebastian's take ─────────────────────────────────────────────────────
-  const sebastians_take = getSebastiansTake();
+  const sebastians_take = getSebastiansTake(topicConfig);
 
   // ── Write output ─────────────────────────────────────────────────────────
   const output = {
-    topic: TOPIC_ID,
+    topic: topicId,
     topic_label: topicConfig.label,
+    topic_title: topicConfig.title,
+    topic_kind: topicConfig.kind,
     generated_at: new Date().toISOString(),
     source_count: sources,
     claim_count: totalClaims,
+    category_order: categoryOrder,
     categories,
     contradictions,
     source_summary,
@@ -323,10 +298,43 @@ function main() {
     sebastians_take,
   };
 
-  fs.writeFileSync(EXPORT_PATH, JSON.stringify(output, null, 2));
-  const size = Math.round(fs.statSync(EXPORT_PATH).size / 1024);
-  log(`Written ${EXPORT_PATH} (${size}KB)`);
+  const outPath = path.join(EXPORT_DIR, `${topicId}.json`);
+  fs.writeFileSync(outPath, JSON.stringify(output, null, 2));
+  const size = Math.round(fs.statSync(outPath).size / 1024);
+  log(`Written ${outPath} (${size}KB)`);
+
+  return {
+    id: topicId, label: topicConfig.label, title: topicConfig.title, kind: topicConfig.kind,
+    claim_count: totalClaims, source_count: sources, generated_at: output.generated_at,
+  };
+}
+
+// index.json lists every topic with an export; a --topic run refreshes its own
+// entry and keeps the others.
+function writeIndex(entries) {
+  const indexPath = path.join(EXPORT_DIR, 'index.json');
+  let prev = [];
+  try { prev = JSON.parse(fs.readFileSync(indexPath, 'utf8')).topics || []; } catch {}
+  const known = new Set(topics.ids());
+  const byId = new Map(prev.filter(t => known.has(t.id)).map(t => [t.id, t]));
+  for (const e of entries) byId.set(e.id, e);
+  const order = topics.ids();
+  const list = [...byId.values()].sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+  fs.writeFileSync(indexPath, JSON.stringify({ generated_at: new Date().toISOString(), topics: list }, null, 2));
+  log(`Written ${indexPath} (${list.length} topics)`);
+}
+
+function main() {
+  const argIdx = process.argv.indexOf('--topic');
+  const only = argIdx !== -1 ? process.argv[argIdx + 1] : null;
+  const selected = only ? [topics.get(only)].filter(Boolean) : topics.list();
+  if (!selected.length) {
+    log(only ? `ERROR: topic '${only}' not found` : 'ERROR: no topics defined');
+    process.exit(1);
+  }
 
+  fs.mkdirSync(EXPORT_DIR, { recursive: true });
+  writeIndex(selected.map(exportTopic));
   db.close();
 }
 
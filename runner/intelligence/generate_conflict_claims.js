@@ -3,7 +3,7 @@
 /**
  * runner/intelligence/generate_conflict_claims.js
  *
- * Extracts claims about the iran-us-israel topic from:
+ * Extracts claims about each intelligence topic (topics.js) from:
  *   - state/ontology.json evidence_log entries
  *   - state/feed_digest.txt (recent feed)
  *   - state/browse_notes.md (recent browse sessions)
@@ -21,7 +21,11 @@
  *   - Clears tables before writing (idempotent re-runs)
  *   - Embedding-based grouping (not Jaccard) → catches more contradictions
  *
- * Usage: node runner/intelligence/generate_conflict_claims.js [--topic iran-us-israel]
+ * Topics come from data/intelligence_topics.json + Telegram-added ones; each is
+ * cleared and rebuilt independently (a topic's categories, axes and LLM prompts
+ * all come from its definition).
+ *
+ * Usage: node runner/intelligence/generate_conflict_claims.js [--topic <id>]   # default: every topic
  */
 
 const fs = require('fs');
@@ -29,12 +33,15 @@ const path = require('path');
 const crypto = require('crypto');
 const config = require('../lib/config');
 const db = require('./db');
-const { matchesTopic, matchCategories } = require('./topics');
+const topics = require('./topics');
+const { matchesTopic, matchCategories } = topics;
 
 let llm;
 try { llm = require('../llm'); } catch { llm = null; }
 
-const TOPIC_ID = 'iran-us-israel';
+// The original single topic. Its claim ids predate multi-topic and are kept
+// unprefixed — claim_verifications rows reference them.
+const LEGACY_TOPIC_ID = 'iran-us-israel';
 const MAX_LLM_CALLS = 2000;
 
 const STOPWORDS = new Set([
@@ -76,50 +83,39 @@ function handleFromUrl(url) {
 }
 
 // ── LLM categorization ────────────────────────────────────────────────────────
-const CATEGORY_LABELS = {
-  nuclear: 'Nuclear Program',
-  military_action: 'Military Action',
-  diplomatic: 'Diplomacy & Negotiations',
-  casualties_humanitarian: 'Casualties & Humanitarian',
-  proxy_regional: 'Proxy Forces & Regional',
-  threats_claims: 'Threats & Claims',
-  internal_politics: 'Internal Politics',
-  misc: 'Miscellaneous',
-};
-
-async function llmCategorize(claimText) {
+async function llmCategorize(topic, claimText) {
   if (!llm) return 'misc';
-  const prompt = `Categorize this claim about Iran / US / Israel into one of these categories:
-nuclear, military_action, diplomatic, casualties_humanitarian, proxy_regional, threats_claims, internal_politics, misc
+  const cats = topics.categoryOrder(topic);
+  const prompt = `Categorize this claim about ${topic.title} into one of these categories:
+${cats.join(', ')}
 
 Claim: "${claimText}"
 
 Reply with only the category name. No explanation.`;
   try {
     const resp = await llm.generate(prompt, { temperature: 0, maxTokens: 20 });
-    const cat = resp.trim().toLowerCase().replace(/[^a-z_]/g, '');
-    return CATEGORY_LABELS.hasOwnProperty(cat) ? cat : 'misc';
+    const cat = resp.trim().toLowerCase().replace(/[^a-z0-9_]/g, '');
+    return cats.includes(cat) ? cat : 'misc';
   } catch {
     return 'misc';
   }
 }
 
 // ── LLM axis assignment ───────────────────────────────────────────────────────
-const AXIS_IDS = [
-  'axis_geopolitical_rhetoric_v1',
-  'axis_national_sovereignty_v_intl_law_v1',
-  'axis_global_power_realignments_v1',
-  'axis_religion_politics_war_v1',
-];
-
-async function llmAssignAxis(claimText) {
-  if (!llm) return null;
+/** "- <axis_id> (<hint>)" per topic axis — the topic's own hint, else the ontology poles. */
+function axisLines(topic, ontology) {
+  return topic.topic_axes.map((id) => {
+    const axis = (ontology.axes || []).find(a => a.id === id);
+    const hint = topic.axis_hints[id] || (axis && axis.left_pole ? `${axis.left_pole} vs ${axis.right_pole}` : axis && axis.label);
+    return `- ${id}${hint ? ` (${hint})` : ''}`;
+  }).join('\n');
+}
+
+async function llmAssignAxis(topic, axesText, claimText) {
+  if (!llm || !topic.topic_axes.length) return null;
   const prompt = `Which single ontology axis is most relevant to this claim?
 Axes:
-- axis_geopolitical_rhetoric_v1 (hawkish vs diplomatic framing)
-- axis_national_sovereignty_v_intl_law_v1 (sovereignty vs international law priority)
-- axis_global_power_realignments_v1 (US-led vs multipolarity)
-- axis_religion_politics_war_v1 (religion as driver in conflict vs secular politics)
+${axesText}
 
 Claim: "${claimText}"
 
@@ -127,22 +123,21 @@ Reply with only the axis ID. If none fit, reply "none".`;
   try {
     const resp = await llm.generate(prompt, { temperature: 0, maxTokens: 30 });
     const axis = resp.trim().replace(/['"]/g, '');
-    return AXIS_IDS.includes(axis) ? axis : null;
+    return topic.topic_axes.includes(axis) ? axis : null;
   } catch {
     return null;
   }
 }
 
 // ── Extract claims from ontology evidence ─────────────────────────────────────
-function extractFromOntology() {
-  const ontology = JSON.parse(fs.readFileSync(config.ONTOLOGY_PATH, 'utf8'));
+function extractFromOntology(topic, ontology) {
   const claims = [];
 
   for (const axis of (ontology.axes || [])) {
     for (const ev of (axis.evidence_log || [])) {
       const content = ev.content || '';
       if (!content || content.length < 30) continue;
-      if (!matchesTopic(TOPIC_ID, content)) continue;
+      if (!matchesTopic(topic, content)) continue;
 
       claims.push({
         text: content.slice(0, 500),
@@ -161,18 +156,18 @@ function extractFromOntology() {
 }
 
 /** Extract claims from a text block (feed_digest, browse_notes) */
-function extractFromText(text, label) {
+function extractFromText(topic, text, label) {
   if (!text || !text.trim()) return [];
   const claims = [];
 
   // Split on newlines and extract sentences that look like claims
   const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 50);
   for (const line of lines) {
-    if (!matchesTopic(TOPIC_ID, line)) continue;
+    if (!matchesTopic(topic, line)) continue;
     // Basic sentence splitting
     const sentences = line.split(/(?<=[.!?])\s+/).filter(s => s.length > 30 && s.length < 400);
     for (const s of sentences) {
-      if (!matchesTopic(TOPIC_ID, s)) continue;
+      if (!matchesTopic(topic, s)) continue;
       claims.push({
         text: s,
         source_url: null,
@@ -278,27 +273,22 @@ function groupByJaccard(claims) {
 }
 
 // ── Main ─────────────────────────────────────────────────────────────────────
-async function main() {
+async function generateTopic(topic, ontology, sourceTexts) {
+  const topicId = topic.id;
+  log(`── ${topicId}: ${topic.label}`);
   // Clear existing data for idempotent re-runs
   log('Clearing existing claims and groups...');
-  db.exec(`DELETE FROM claims WHERE topic = '${TOPIC_ID}'`);
-  db.exec(`DELETE FROM claim_groups WHERE topic = '${TOPIC_ID}'`);
+  db.prepare('DELETE FROM claims WHERE topic = ?').run(topicId);
+  db.prepare('DELETE FROM claim_groups WHERE topic = ?').run(topicId);
 
   // ── Step 1: Extract ────────────────────────────────────────────────────────
   let allClaims = [];
 
-  allClaims.push(...extractFromOntology());
-
-  // Feed digest
-  if (fs.existsSync(config.FEED_DIGEST_PATH)) {
-    const feedText = fs.readFileSync(config.FEED_DIGEST_PATH, 'utf8');
-    allClaims.push(...extractFromText(feedText, 'feed_digest'));
-  }
+  allClaims.push(...extractFromOntology(topic, ontology));
 
-  // Browse notes
-  if (fs.existsSync(config.BROWSE_NOTES_PATH)) {
-    const notesText = fs.readFileSync(config.BROWSE_NOTES_PATH, 'utf8');
-    allClaims.push(...extractFromText(notesText, 'browse_notes'));
+  // Feed digest + browse notes
+  for (const [label, text] of Object.entries(sourceTexts)) {
+    allClaims.push(...extractFromText(topic, text, label));
   }
 
   log(`Total raw candidates: ${allClaims.length}`);
@@ -309,12 +299,13 @@ async function main() {
 
   // ── Step 3: Categorize ────────────────────────────────────────────────────
   let llmCallsUsed = 0;
+  const axesText = axisLines(topic, ontology);
   for (const c of allClaims) {
-    const keywordCat = matchCategories(TOPIC_ID, c.text);
+    const keywordCat = matchCategories(topic, c.text);
     if (keywordCat !== 'misc') {
       c.category = keywordCat;
     } else if (llmCallsUsed < MAX_LLM_CALLS) {
-      c.category = await llmCategorize(c.text);
+      c.category = await llmCategorize(topic, c.text);
       llmCallsUsed++;
     } else {
       c.category = 'misc';
@@ -322,7 +313,7 @@ async function main() {
 
     // Assign axis if not already known
     if (!c.axis_id && llmCallsUsed < MAX_LLM_CALLS) {
-      c.axis_id = await llmAssignAxis(c.text);
+      c.axis_id = await llmAssignAxis(topic, axesText, c.text);
       llmCallsUsed++;
     }
   }
@@ -407,11 +398,13 @@ async function main() {
 
   const writeAll = db.transaction(() => {
     for (const c of allClaims) {
+      // The same sentence can belong to two topics — scope ids by topic.
+      const scope = topicId === LEGACY_TOPIC_ID ? '' : `${topicId}:`;
       c.id = crypto.createHash('sha256')
-        .update(`${c.source_url || ''}:${c.text.slice(0, 100)}`)
+        .update(`${scope}${c.source_url || ''}:${c.text.slice(0, 100)}`)
         .digest('hex')
         .slice(0, 16);
-      insertClaim.run({ ...c, topic: TOPIC_ID, claim_text: c.text, now });
+      insertClaim.run({ ...c, topic: topicId, claim_text: c.text, now });
     }
 
     // Multi-claim groups only
@@ -428,7 +421,7 @@ async function main() {
       const groupId = crypto.randomUUID().replace(/-/g, '').slice(0, 16);
       insertGroup.run({
         group_id: groupId,
-        topic: TOPIC_ID,
+        topic: topicId,
         category: topCat,
         canonical_text: canonical,
         min_tier: minTier,
@@ -443,13 +436,30 @@ async function main() {
   writeAll();
 
   // ── Summary ───────────────────────────────────────────────────────────────
-  const total = db.prepare('SELECT COUNT(*) c FROM claims WHERE topic = ?').get(TOPIC_ID).c;
+  const total = db.prepare('SELECT COUNT(*) c FROM claims WHERE topic = ?').get(topicId).c;
   const byCat = db.prepare(
     'SELECT category, COUNT(*) c FROM claims WHERE topic = ? GROUP BY category ORDER BY c DESC'
-  ).all(TOPIC_ID);
+  ).all(topicId);
   log(`Final: ${total} total claims`);
   for (const row of byCat) log(`  ${row.category}: ${row.c}`);
+}
+
+async function main() {
+  const argIdx = process.argv.indexOf('--topic');
+  const only = argIdx !== -1 ? process.argv[argIdx + 1] : null;
+  const selected = only ? [topics.get(only)].filter(Boolean) : topics.list();
+  if (!selected.length) {
+    log(only ? `ERROR: topic '${only}' not found` : 'no topics defined');
+    process.exitCode = 1;
+    return db.close();
+  }
+
+  const ontology = JSON.parse(fs.readFileSync(config.ONTOLOGY_PATH, 'utf8'));
+  const texts = {};
+  if (fs.existsSync(config.FEED_DIGEST_PATH)) texts.feed_digest = fs.readFileSync(config.FEED_DIGEST_PATH, 'utf8');
+  if (fs.existsSync(config.BROWSE_NOTES_PATH)) texts.browse_notes = fs.readFileSync(config.BROWSE_NOTES_PATH, 'utf8');
 
+  for (const topic of selected) await generateTopic(topic, ontology, texts);
   db.close();
 }
 
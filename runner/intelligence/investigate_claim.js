@@ -26,6 +26,7 @@ const { scoreClaim }          = require('./claim_scorer');
 const { exportVerificationData, filterStableUrls } = require('./lib/verification_export');
 const { loadSourceData }      = require('./lib/source_data');
 const buildInvestigatePrompt  = require('../lib/prompts/investigate');
+const narrative               = require('../lib/narrative_tactics');
 
 const RESULT_FILE = path.join(config.STATE_DIR, 'investigation_result.json');
 const SCRATCH_FILE = path.join(config.STATE_DIR, 'investigation_scratch.json');
@@ -135,6 +136,14 @@ async function run() {
   const existing = vdb.getVerification(claimId);
   const priorSummary = existing?.web_search_summary || null;
 
+  // Rhetorical tactics in the claim wording, plus what the ledger holds on the source
+  const tactics = narrative.detect(claimText, { minConfidence: narrative.RECORD_MIN_CONFIDENCE });
+  const narrativeContext = [
+    ...tactics.map(t => `  claim uses ${t.name} ("${t.match}", confidence ${t.confidence})`),
+    ...(handle ? narrative.summarize(narrative.query({ actor: handle, sinceMs: Date.now() - 30 * 86400_000 })).tactics
+      .slice(0, 3).map(t => `  @${handle} logged for ${t.name} ×${t.count} in the last 30 days`) : []),
+  ].join('\n');
+
   // Clean up any previous result file
   try { fs.unlinkSync(RESULT_FILE); } catch {}
   try { fs.unlinkSync(SCRATCH_FILE); } catch {}
@@ -146,6 +155,7 @@ async function run() {
     sourceUrl: opts.sourceUrl,
     priorSummary,
     category: opts.category,
+    narrativeContext,
   });
 
   // Run the agent with BUILDER_CREDENTIALS
@@ -269,6 +279,12 @@ async function run() {
     // Link investigation to claim
     vdb.linkInvestigation(claimId, invId);
 
+    // Tactics in the claim wording go to the shared narrative ledger
+    narrative.record(narrative.entriesFor(
+      [{ id: claimId, text: claimText, url: opts.sourceUrl, actor: handle }],
+      { source: 'intelligence' },
+    ));
+
     // Audit log
     vdb.logAudit({
       claim_id:            claimId,
@@ -305,6 +321,7 @@ async function run() {
     supporting:        evidenceData.supporting_count,
     contradicting:     evidenceData.contradicting_count,
     attribution_depth: (result.attribution_chain || []).length,
+    narrative_tactics: tactics.map(t => t.tactic),
     duration_seconds:  durationSec,
     lens_url:          `https://sebastianhunter.fun/veritas-lens#${claimId}`,
     cached:            false,
@@ -0,0 +1,141 @@
+/**
+ * runner/intelligence/lib/calibration.js — does a claim_scorer confidence mean what it says?
+ *
+ * Pure functions over labelled examples { breakdown, label } (label 1 = the
+ * claim turned out true, 0 = false). combine() is confidence in the verdict,
+ * not in the claim: it takes |web_search|, so a strongly refuted claim scores
+ * high. The probability the claim is true is therefore signed — combine() when
+ * web_search ≥ 0, 1 − combine() when the search refuted it. Used by
+ * calibrate_scorer.js.
+ *
+ * Exports:
+ *   probTrue(breakdown, weights) → P(claim is true) in [0, 1]
+ *   labelFor(row, { human, investigation, timeline, minHeldDays, now }) → { label, source } | null
+ *   brier(examples, weights) → mean squared error of confidence vs label
+ *   reliability(examples, weights, bins) → [{ lo, hi, n, mean_pred, observed }]  + ece()
+ *   ablations(examples, weights) → [{ component, brier, delta }]   (delta > 0 = the component helps)
+ *   fitWeights(examples, { start, iterations }) → weights minimizing Brier on the simplex
+ */
+
+'use strict';
+
+const { combine } = require('../claim_scorer');
+
+const DAY_MS = 86400_000;
+const VERDICT_LABEL = { supported: 1, refuted: 0 };
+const INVESTIGATION_LABEL = { confirmed: 1, refuted: 0 };
+
+/**
+ * Ground truth for one claim_verifications row, strongest source first:
+ *   human          — a reviewed verdict (state/claim_labels.json)
+ *   investigation  — a deep investigation's confirmed / refuted verdict
+ *   resolved       — supported / refuted, and still so after `minHeldDays`
+ *                    of re-verification (the timeline's last change is older)
+ * Anything else (open, expired, a fresh verdict) is not a label.
+ */
+function labelFor(row, { human = null, investigation = null, timeline = [], minHeldDays = 7, now = Date.now() } = {}) {
+  if (human && (human.label === true || human.label === false)) return { label: human.label ? 1 : 0, source: 'human' };
+  if (investigation && investigation.overall_verdict in INVESTIGATION_LABEL) {
+    return { label: INVESTIGATION_LABEL[investigation.overall_verdict], source: 'investigation' };
+  }
+  if (!(row.status in VERDICT_LABEL)) return null;
+  const last = timeline.length ? timeline[timeline.length - 1].at : row.last_verified_at || row.created_at;
+  if (now - new Date(last).getTime() < minHeldDays * DAY_MS) return null;
+  return { label: VERDICT_LABEL[row.status], source: 'resolved' };
+}
+
+const refutes = breakdown => (Number(breakdown.web_search) || 0) < 0;
+
+function probTrue(breakdown, weights) {
+  const c = Math.min(1, Math.max(0, combine(breakdown, weights)));
+  return refutes(breakdown) ? 1 - c : c;
+}
+
+const predict = (ex, weights) => probTrue(ex.breakdown, weights);
+
+function brier(examples, weights) {
+  if (!examples.length) return null;
+  const sum = examples.reduce((s, ex) => s + (predict(ex, weights) - ex.label) ** 2, 0);
+  return Math.round((sum / examples.length) * 10000) / 10000;
+}
+
+/** Equal-width confidence bins; empty bins are kept (n = 0) so every diagram has the same rows. */
+function reliability(examples, weights, bins = 10) {
+  const out = Array.from({ length: bins }, (_, i) => ({ lo: i / bins, hi: (i + 1) / bins, n: 0, sum_pred: 0, sum_label: 0 }));
+  for (const ex of examples) {
+    const p = predict(ex, weights);
+    const b = out[Math.min(bins - 1, Math.floor(p * bins))];
+    b.n++; b.sum_pred += p; b.sum_label += ex.label;
+  }
+  return out.map(b => ({
+    lo: +b.lo.toFixed(3), hi: +b.hi.toFixed(3), n: b.n,
+    mean_pred: b.n ? +(b.sum_pred / b.n).toFixed(3) : null,
+    observed: b.n ? +(b.sum_label / b.n).toFixed(3) : null,
+  }));
+}
+
+/** Expected calibration error: bin-size-weighted |mean_pred − observed|. */
+function ece(diagram) {
+  const total = diagram.reduce((s, b) => s + b.n, 0);
+  if (!total) return null;
+  const e = diagram.reduce((s, b) => s + (b.n ? (b.n / total) * Math.abs(b.mean_pred - b.observed) : 0), 0);
+  return Math.round(e * 10000) / 10000;
+}
+
+/** The weights with `component` removed and the rest renormalized to sum to 1. */
+function without(weights, component) {
+  const rest = Object.entries(weights).filter(([k]) => k !== component);
+  const sum = rest.reduce((s, [, w]) => s + w, 0);
+  return Object.fromEntries([[component, 0], ...rest.map(([k, w]) => [k, sum > 0 ? w / sum : 1 / rest.length])]);
+}
+
+function ablations(examples, weights) {
+  const base = brier(examples, weights);
+  return Object.keys(weights).map((component) => {
+    const b = brier(examples, without(weights, component));
+    return { component, brier: b, delta: b == null ? null : Math.round((b - base) * 10000) / 10000 };
+  }).sort((a, b) => (b.delta ?? 0) - (a.delta ?? 0));
+}
+
+/** Euclidean projection onto { w ≥ 0, Σw = 1 } (sort-based, Duchi et al. 2008). */
+function projectSimplex(v) {
+  const u = [...v].sort((a, b) => b - a);
+  let css = 0, theta = 0;
+  for (let i = 0; i < u.length; i++) {
+    css += u[i];
+    const t = (css - 1) / (i + 1);
+    if (u[i] - t > 0) theta = t;
+  }
+  return v.map(x => Math.max(0, x - theta));
+}
+
+/**
+ * Projected gradient descent on Brier over the weight simplex, starting from
+ * `start` (the active weights). On the simplex 1 − Σ wⱼxⱼ = Σ wⱼ(1 − xⱼ), so a
+ * refuted example stays linear with its components flipped. Deterministic;
+ * rounded to 3 decimals, and the rounding remainder goes to the largest weight
+ * so the set still sums to 1.
+ */
+function fitWeights(examples, { start, iterations = 2000, rate = 0.5 } = {}) {
+  const keys = Object.keys(start);
+  const X = examples.map((ex) => {
+    const x = keys.map(k => (k === 'web_search' ? Math.abs(ex.breakdown[k] || 0) : (ex.breakdown[k] || 0)));
+    return refutes(ex.breakdown) ? x.map(v => 1 - v) : x;
+  });
+  const y = examples.map(ex => ex.label);
+  let w = keys.map(k => start[k]);
+  for (let it = 0; it < iterations; it++) {
+    const grad = keys.map(() => 0);
+    for (let i = 0; i < X.length; i++) {
+      const err = X[i].reduce((s, x, j) => s + x * w[j], 0) - y[i];
+      for (let j = 0; j < keys.length; j++) grad[j] += (2 * err * X[i][j]) / X.length;
+    }
+    w = projectSimplex(w.map((wj, j) => wj - rate * grad[j]));
+  }
+  const rounded = w.map(x => Math.round(x * 1000) / 1000);
+  const top = rounded.indexOf(Math.max(...rounded));
+  rounded[top] = Math.round((rounded[top] + 1 - rounded.reduce((s, x) => s + x, 0)) * 1000) / 1000;
+  return Object.fromEntries(keys.map((k, j) => [k, rounded[j]]));
+}
+
+module.exports = { labelFor, probTrue, brier, reliability, ece, ablations, fitWeights, projectSimplex };
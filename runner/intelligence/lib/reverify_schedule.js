@@ -0,0 +1,87 @@
+/**
+ * runner/intelligence/lib/reverify_schedule.js — when to re-check a claim, and what its history says
+ *
+ * A verdict is a snapshot: "supported" on Monday can be refuted by Thursday's
+ * reporting. verify_claims.js re-runs the web check on claims whose
+ * next_check_at has passed; this module decides that time.
+ *
+ * The interval is half the time the current status has held (a verdict that
+ * survived a week is re-checked in 3.5 days, one that survived a month in two
+ * weeks), clamped per status — open claims often, settled ones rarely:
+ *
+ *   unverified   6h – 48h        contested   12h – 72h
+ *   supported    3d – 60d        refuted      3d – 60d        expired  never
+ *
+ * Fast-moving categories (topic expiry_hours below the 30-day default) scale
+ * the interval down by expiry / 720, floored at 0.25 — a 72h military_action
+ * claim is re-checked four times as often as a structural one.
+ *
+ * Exports:
+ *   nextCheckAt(claim, { timeline, expiryRules, now }) → ISO string | null
+ *   timelineOf(auditRows) → [{ at, from, to, confidence, method, notes }]   (oldest first)
+ *   flipsOf(timeline) → the supported ↔ refuted transitions
+ *   reverifyQuota(searchesUsed, { perCycle, cap }) → how many due claims to re-check now
+ */
+
+'use strict';
+
+const HOUR_MS = 3600_000;
+const DEFAULT_EXPIRY_HOURS = 720;
+
+const INTERVAL_HOURS = {
+  unverified: { min: 6,  max: 48 },
+  contested:  { min: 12, max: 72 },
+  supported:  { min: 72, max: 1440 },
+  refuted:    { min: 72, max: 1440 },
+};
+
+const VERDICTS = new Set(['supported', 'refuted']);
+
+/** Audit-log rows (any order) → status timeline, oldest first. */
+function timelineOf(auditRows) {
+  return (auditRows || [])
+    .map(r => ({
+      at:         r.created_at,
+      from:       r.old_status || null,
+      to:         r.new_status,
+      confidence: r.confidence_score ?? null,
+      method:     r.verification_method || null,
+      notes:      r.notes || null,
+    }))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+}
+
+/** Transitions where a verdict reversed: supported → refuted or refuted → supported. */
+function flipsOf(timeline) {
+  return (timeline || []).filter(t => VERDICTS.has(t.from) && VERDICTS.has(t.to) && t.from !== t.to);
+}
+
+/**
+ * When `claim` (a claim_verifications row) should next be re-verified.
+ * `timeline` is its timelineOf(); the last transition into the current status
+ * marks how long that status has held (created_at when there is none).
+ */
+function nextCheckAt(claim, { timeline = [], expiryRules = {}, now = Date.now() } = {}) {
+  const bounds = INTERVAL_HOURS[claim.status];
+  if (!bounds) return null;
+
+  const lastChange = [...timeline].reverse().find(t => t.to === claim.status);
+  const since = new Date((lastChange && lastChange.at) || claim.created_at || now).getTime();
+  const heldHours = Math.max(0, (now - since) / HOUR_MS);
+
+  const expiry = expiryRules[claim.category] || DEFAULT_EXPIRY_HOURS;
+  const pace = Math.min(1, Math.max(0.25, expiry / DEFAULT_EXPIRY_HOURS));
+  const hours = Math.min(bounds.max, Math.max(bounds.min, heldHours / 2)) * pace;
+
+  return new Date(now + hours * HOUR_MS).toISOString();
+}
+
+/**
+ * Re-checks are web searches too, so they share the cycle's search budget:
+ * whatever the new claims left of `perCycle`, at most `cap`.
+ */
+function reverifyQuota(searchesUsed, { perCycle, cap }) {
+  return Math.max(0, Math.min(cap, perCycle - searchesUsed));
+}
+
+module.exports = { nextCheckAt, timelineOf, flipsOf, reverifyQuota, INTERVAL_HOURS };
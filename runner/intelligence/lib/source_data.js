@@ -2,16 +2,19 @@
  * runner/intelligence/lib/source_data.js — load source credibility data
  *
  * Checks intelligence.db sources table first, falls back to source_registry.json.
+ * Adds the handle's reputation ledger entry (lib/source_reputation.js) when it
+ * has verified claims on record.
  * Used by both the batch pipeline and on-demand verification.
  *
  * Exports:
- *   loadSourceData(handle, idb, stateDir, isPostgres) → Promise<{credibility_tier, ng_score}>
+ *   loadSourceData(handle, idb, stateDir, isPostgres) → Promise<{credibility_tier, ng_score, reputation}>
  */
 
 'use strict';
 
 const fs   = require('fs');
 const path = require('path');
+const reputation = require('../../lib/source_reputation');
 
 /**
  * Load credibility data for a source handle.
@@ -20,11 +23,17 @@ const path = require('path');
  * @param {object} [idb] - intelligence DB instance (optional)
  * @param {string} stateDir - path to state/ directory
  * @param {boolean} [isPostgres=false] - whether idb is a pg client
- * @returns {Promise<{credibility_tier?: number, ng_score?: number}>}
+ * @returns {Promise<{credibility_tier?: number, ng_score?: number, reputation?: object}>}
  */
 async function loadSourceData(handle, idb, stateDir, isPostgres = false) {
   if (!handle) return {};
   handle = handle.replace(/^@/, '').toLowerCase();
+  const data = await loadCredibility(handle, idb, stateDir, isPostgres);
+  const entry = reputation.lookup(reputation.load(), { handle });
+  return entry ? { ...data, reputation: entry } : data;
+}
+
+async function loadCredibility(handle, idb, stateDir, isPostgres) {
 
   // Try intelligence.db first
   if (idb) {
@@ -4,6 +4,10 @@
  * Reads all verifications from the DB and writes state/verification_export.json.
  * Used by both the batch pipeline and on-demand verification.
  *
+ * Each claim carries its status timeline (claim_audit_log, oldest first) and
+ * next re-check; the top-level `flips` lists verdict reversals (supported ↔
+ * refuted), newest first.
+ *
  * Exports:
  *   exportVerificationData(vdb, exportPath) → void
  */
@@ -11,6 +15,7 @@
 'use strict';
 
 const fs = require('fs');
+const { timelineOf, flipsOf } = require('./reverify_schedule');
 
 function log(msg) { console.log(`[verification_export] ${msg}`); }
 
@@ -49,61 +54,78 @@ async function exportVerificationData(vdb, exportPath) {
   try {
     const all = await Promise.resolve(vdb.getAllVerifications());
     const visible = all.filter(c => !c.is_suppressed);
-    const stats = { total: visible.length, supported: 0, refuted: 0, contested: 0, unverified: 0, expired: 0 };
+    const stats = { total: visible.length, supported: 0, refuted: 0, contested: 0, unverified: 0, expired: 0, flipped: 0 };
     for (const c of visible) { stats[c.status] = (stats[c.status] || 0) + 1; }
 
+    let auditByClaim = {};
+    if (typeof vdb.getTimelines === 'function') {
+      try { auditByClaim = await Promise.resolve(vdb.getTimelines()); } catch {}
+    }
+    const flips = [];
+
+    const claims = visible.map(c => {
+      const claim = {
+        claim_id:           c.claim_id,
+        claim_text:         c.claim_text,
+        status:             c.status,
+        confidence_score:   c.confidence_score,
+        display_score:      Math.round(computeDisplayScore(c) * 1000) / 1000,
+        scoring_breakdown:  c.scoring_breakdown,
+        source_handle:      c.source_handle,
+        source_tier:        c.source_tier,
+        evidence_urls:      filterStableUrls(c.evidence_urls),
+        tweet_url:          c.tweet_url,
+        category:           c.category,
+        related_axis_id:    c.related_axis_id,
+        verification_count: c.verification_count,
+        verified_at:        c.last_verified_at,
+        created_at:         c.created_at,
+        original_source:    c.original_source || null,
+        claim_date:         c.claim_date || null,
+        supporting_sources: c.supporting_sources || [],
+        dissenting_sources: c.dissenting_sources || [],
+        framing_analysis:   c.framing_analysis || null,
+        web_search_summary: c.web_search_summary || null,
+        investigation_depth: c.investigation_depth || 'quick',
+        next_check_at:      c.next_check_at || null,
+        timeline:           timelineOf(auditByClaim[c.claim_id]),
+      };
+      const claimFlips = flipsOf(claim.timeline);
+      claim.flip_count = claimFlips.length;
+      if (claimFlips.length) {
+        stats.flipped++;
+        for (const f of claimFlips) flips.push({ claim_id: c.claim_id, claim_text: c.claim_text, from: f.from, to: f.to, at: f.at });
+      }
+
+      // Include investigation data if available
+      if (c.investigation_id && typeof vdb.getInvestigation === 'function') {
+        try {
+          const inv = vdb.getInvestigation(c.investigation_id);
+          if (inv) {
+            claim.investigation = {
+              investigation_id: inv.investigation_id,
+              sub_questions:    inv.sub_questions || [],
+              attribution_chain: inv.attribution_chain || [],
+              supporting_evidence: inv.supporting_evidence || [],
+              contradicting_evidence: inv.contradicting_evidence || [],
+              overall_verdict:  inv.overall_verdict,
+              summary:          inv.summary,
+              key_finding:      inv.key_finding,
+              duration_seconds: inv.duration_seconds,
+              created_at:       inv.created_at,
+            };
+          }
+        } catch {}
+      }
+
+      return claim;
+    });
+
     const exportData = {
       generated_at: new Date().toISOString(),
       stats,
-      claims: visible.map(c => {
-        const claim = {
-          claim_id:           c.claim_id,
-          claim_text:         c.claim_text,
-          status:             c.status,
-          confidence_score:   c.confidence_score,
-          display_score:      Math.round(computeDisplayScore(c) * 1000) / 1000,
-          scoring_breakdown:  c.scoring_breakdown,
-          source_handle:      c.source_handle,
-          source_tier:        c.source_tier,
-          evidence_urls:      filterStableUrls(c.evidence_urls),
-          tweet_url:          c.tweet_url,
-          category:           c.category,
-          related_axis_id:    c.related_axis_id,
-          verification_count: c.verification_count,
-          verified_at:        c.last_verified_at,
-          created_at:         c.created_at,
-          original_source:    c.original_source || null,
-          claim_date:         c.claim_date || null,
-          supporting_sources: c.supporting_sources || [],
-          dissenting_sources: c.dissenting_sources || [],
-          framing_analysis:   c.framing_analysis || null,
-          web_search_summary: c.web_search_summary || null,
-          investigation_depth: c.investigation_depth || 'quick',
-        };
-
-        // Include investigation data if available
-        if (c.investigation_id && typeof vdb.getInvestigation === 'function') {
-          try {
-            const inv = vdb.getInvestigation(c.investigation_id);
-            if (inv) {
-              claim.investigation = {
-                investigation_id: inv.investigation_id,
-                sub_questions:    inv.sub_questions || [],
-                attribution_chain: inv.attribution_chain || [],
-                supporting_evidence: inv.supporting_evidence || [],
-                contradicting_evidence: inv.contradicting_evidence || [],
-                overall_verdict:  inv.overall_verdict,
-                summary:          inv.summary,
-                key_finding:      inv.key_finding,
-                duration_seconds: inv.duration_seconds,
-                created_at:       inv.created_at,
-              };
-            }
-          } catch {}
-        }
-
-        return claim;
-      }),
+      flips: flips.sort((a, b) => String(b.at).localeCompare(String(a.at))),
+      claims,
     };
 
     fs.writeFileSync(exportPath, JSON.stringify(exportData, null, 2), 'utf-8');
@@ -3,9 +3,16 @@
  * One-off script: re-run web search on all verified claims to populate
  * structured supporting/dissenting sources with URLs + excerpts.
  *
+ * Also how a reviewed weight set goes live: --weights scores with that set
+ * (e.g. a calibrate_scorer.js proposal) and, unless --dry-run, installs it as
+ * state/claim_scorer_weights.json so later verification cycles use it too.
+ * --no-search re-weights the stored score breakdowns without any web calls —
+ * all a weight change needs. Status changes are written to the audit log.
+ *
  * Usage:
  *   node runner/intelligence/rescore_all.js              # run
  *   node runner/intelligence/rescore_all.js --dry-run    # preview only
+ *   node runner/intelligence/rescore_all.js --weights <file> --no-search [--dry-run]
  *
  * Rate limiting: 2s delay between web searches to respect Gemini limits.
  */
@@ -13,9 +20,10 @@
 'use strict';
 
 const fs = require('fs');
+const path = require('path');
 const config = require('../lib/config');
 const { loadIntelligenceDb, loadVerificationDb, usePostgres } = require('../lib/db_backend');
-const { scoreClaim } = require('./claim_scorer');
+const { scoreClaim, combine, suggestStatus, loadWeights, WEIGHTS, WEIGHTS_PATH } = require('./claim_scorer');
 const { webSearchVerify } = require('./lib/web_search');
 const { exportVerificationData, filterStableUrls } = require('./lib/verification_export');
 const { loadSourceData } = require('./lib/source_data');
@@ -24,6 +32,8 @@ const idb = loadIntelligenceDb();
 const vdb = loadVerificationDb();
 const DB_IS_PG = usePostgres();
 const isDryRun = process.argv.includes('--dry-run');
+const noSearch = process.argv.includes('--no-search');
+const weightsArg = process.argv.includes('--weights') ? process.argv[process.argv.indexOf('--weights') + 1] : null;
 
 function log(msg) { console.log(`[rescore_all] ${msg}`); }
 
@@ -36,8 +46,64 @@ function handleFromUrl(url) {
   return match ? match[1].toLowerCase() : null;
 }
 
+/**
+ * Re-weight every stored breakdown with `weights`. Contested needs the
+ * corroborating/contradicting counts the verification row doesn't keep, so a
+ * contested claim the new weights would call unverified stays contested.
+ */
+async function reweight(all, weights) {
+  const changes = {};
+  let moved = 0;
+  let delta = 0;
+  let scored = 0;
+  for (const claim of all) {
+    if (claim.status === 'expired' || !claim.scoring_breakdown || !Object.keys(claim.scoring_breakdown).length) continue;
+    const confidence = combine(claim.scoring_breakdown, weights);
+    let status = suggestStatus(claim.scoring_breakdown, confidence, claim);
+    if (status === 'unverified' && claim.status === 'contested') status = 'contested';
+    scored++;
+    delta += Math.abs(confidence - claim.confidence_score);
+    if (status !== claim.status) {
+      moved++;
+      const key = `${claim.status} → ${status}`;
+      changes[key] = (changes[key] || 0) + 1;
+    }
+    if (isDryRun) continue;
+    await Promise.resolve(vdb.setScore(claim.claim_id, confidence, claim.scoring_breakdown, status));
+    if (status !== claim.status) {
+      await Promise.resolve(vdb.logAudit({
+        claim_id: claim.claim_id,
+        claim_source: claim.claim_source || 'intelligence',
+        old_status: claim.status,
+        new_status: status,
+        confidence_score: confidence,
+        scoring_breakdown: claim.scoring_breakdown,
+        verification_method: 'rescore',
+        notes: weightsArg ? `Re-weighted with ${path.basename(weightsArg)}` : 'Re-weighted',
+      }));
+    }
+  }
+  log(`${scored} claims re-weighted: mean |Δconfidence| ${scored ? (delta / scored).toFixed(3) : 0}, ${moved} status change(s)`);
+  for (const [k, n] of Object.entries(changes).sort((a, b) => b[1] - a[1])) log(`  ${k}: ${n}`);
+}
+
+function installWeights(weights) {
+  fs.writeFileSync(WEIGHTS_PATH, JSON.stringify({ applied_at: new Date().toISOString(), source: weightsArg, weights }, null, 2));
+  log(`weights installed: ${path.relative(process.cwd(), WEIGHTS_PATH)}`);
+}
+
 async function run() {
-  const all = vdb.getAllVerifications();
+  const weights = weightsArg ? loadWeights(path.resolve(weightsArg)) : WEIGHTS;
+  if (weightsArg) log(`weights from ${weightsArg}: ${Object.entries(weights).map(([k, w]) => `${k} ${w}`).join(', ')}`);
+  const all = await Promise.resolve(vdb.getAllVerifications());
+
+  if (noSearch) {
+    await reweight(all, weights);
+    if (isDryRun) { log('[dry-run] nothing written'); return; }
+    if (weightsArg) installWeights(weights);
+    await exportVerificationData(vdb, config.VERIFICATION_EXPORT_PATH);
+    return;
+  }
   log(`${all.length} claims to re-verify`);
 
   let searched = 0;
@@ -71,7 +137,7 @@ async function run() {
         evidence_domains: searchData.evidence_domains || [],
       };
 
-      const result = scoreClaim(claimObj, sourceData);
+      const result = scoreClaim(claimObj, sourceData, { weights });
 
       log(`  -> ${searchData.web_search_result} | confidence ${result.confidence.toFixed(3)} -> ${result.suggested_status} | ${(searchData.supporting_sources||[]).length} supporting, ${(searchData.dissenting_sources||[]).length} dissenting`);
 
@@ -97,6 +163,19 @@ async function run() {
           framing_analysis: searchData.framing_analysis || null,
           created_at: claim.created_at,
         });
+        if (result.suggested_status !== claim.status) {
+          vdb.logAudit({
+            claim_id: claim.claim_id,
+            claim_source: claim.claim_source || 'intelligence',
+            old_status: claim.status,
+            new_status: result.suggested_status,
+            confidence_score: result.confidence,
+            scoring_breakdown: result.breakdown,
+            verification_method: 'rescore',
+            evidence_urls: searchData.evidence_urls || null,
+            notes: searchData.summary || null,
+          });
+        }
         updated++;
       }
     } catch (err) {
@@ -108,7 +187,8 @@ async function run() {
   }
 
   if (!isDryRun) {
-    exportVerificationData(vdb, config.VERIFICATION_EXPORT_PATH);
+    if (weightsArg) installWeights(weights);
+    await exportVerificationData(vdb, config.VERIFICATION_EXPORT_PATH);
     log(`done: ${searched} searched, ${updated} updated, ${errors} errors`);
   } else {
     log(`[dry-run] would update ${searched} claims`);
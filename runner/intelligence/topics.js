@@ -3,115 +3,94 @@
 /**
  * runner/intelligence/topics.js
  *
- * Topic definitions for the intelligence pipeline.
- * Each topic has: id, label, keyword matchers, categories, and relevant ontology axes.
+ * Topic definitions for the intelligence pipeline, loaded from data rather than
+ * code so a new conflict or election is a definition, not a fork:
+ *
+ *   data/intelligence_topics.json     — shipped topics (reviewed, in git)
+ *   state/intelligence_topics.json    — topics added from Telegram (/topic add);
+ *                                       an id here overrides the shipped one
+ *
+ * Each topic:
+ *   { id, label, title?, kind?, keywords[], article_keywords?[],
+ *     topic_axes[], axis_hints?: { <axis_id>: 'short description' },
+ *     categories: { <catId>: { label, keywords[], expiry_hours? } } }
+ *
+ * Category key order is the display order; 'misc' is implicit and always last.
+ * Every topic runs through generate_conflict_claims.js (extraction, grouping,
+ * contradictions), verify_claims.js and export.js → state/intelligence/<id>.json,
+ * rendered by web/app/intelligence/[topic].
+ *
+ *   list() / get(id) / ids()
+ *   matchesTopic(topic, text) / matchCategories(topic, text)   // topic = id or object
+ *   categoryOrder(topic) / categoryLabels(topic) / expiryRules() -> { catId: hours }
+ *   parseDefinition(text) -> def          validate(def, { axisIds }) -> { ok, errors }
+ *   saveTopic(def) / removeTopic(id)      // state file only
  */
 
-const TOPICS = {
-  'iran-us-israel': {
-    id: 'iran-us-israel',
-    label: 'Iran / US / Israel: Conflict Intelligence',
-    keywords: [
-      'iran', 'iranian', 'irgc', 'khamenei', 'raisi', 'pezeshkian', 'tehran',
-      'israel', 'israeli', 'idf', 'netanyahu', 'mossad', 'tel aviv',
-      'hezbollah', 'hamas', 'houthi', 'houthis', 'ansarallah',
-      'gaza', 'west bank', 'rafah', 'golan', 'lebanon',
-      'nuclear', 'uranium', 'enrichment', 'natanz', 'fordow', 'centrifuge',
-      'us strike', 'pentagon', 'centcom', 'sanctions', 'regime change',
-      'proxy', 'axis of resistance', 'us air force', 'b-2', 'bunker buster',
-      'war', 'ceasefire', 'hostage', 'captive', 'prisoner',
-    ],
-    topic_axes: [
-      'axis_geopolitical_rhetoric_v1',
-      'axis_national_sovereignty_v_intl_law_v1',
-      'axis_global_power_realignments_v1',
-      'axis_religion_politics_war_v1',
-    ],
-    categories: {
-      nuclear: {
-        label: 'Nuclear Program',
-        keywords: [
-          'nuclear', 'uranium', 'enrichment', 'natanz', 'fordow', 'centrifuge',
-          'breakout', 'iaea', 'npt', 'bomb', 'warhead', 'fissile', 'plutonium',
-          'reactor', 'enriched', 'proliferation', 'inspectors', 'safeguards',
-          'jcpoa', 'deal', 'enrichment level', 'percent',
-        ],
-      },
-      military_action: {
-        label: 'Military Action',
-        keywords: [
-          'strike', 'attack', 'bomb', 'missile', 'drone', 'air force',
-          'military', 'troops', 'invasion', 'offensive', 'defense', 'idf operation',
-          'airstrike', 'shelling', 'rocket', 'intercept', 'arrow', 'iron dome',
-          'centcom', 'b-2', 'bunker', 'explosion', 'destroyed', 'hit', 'targeted',
-          'retaliation', 'escalation', 'ground operation', 'navy', 'carrier',
-        ],
-      },
-      diplomatic: {
-        label: 'Diplomacy & Negotiations',
-        keywords: [
-          'diplomatic', 'diplomacy', 'talks', 'negotiat', 'deal', 'agreement',
-          'ceasefire', 'truce', 'peace', 'envoy', 'ambassador', 'un security',
-          'resolution', 'veto', 'sanctions', 'lifting sanctions', 'normalization',
-          'two-state', 'accord', 'mediation', 'qatar', 'oman', 'switzerland',
-          'foreign minister', 'secretary of state', 'state department',
-        ],
-      },
-      casualties_humanitarian: {
-        label: 'Casualties & Humanitarian',
-        keywords: [
-          'killed', 'dead', 'casualties', 'civilian', 'wounded', 'injur',
-          'hospital', 'aid', 'humanitarian', 'famine', 'starvation', 'blockade',
-          'displacement', 'refugee', 'unrwa', 'icrc', 'red cross', 'death toll',
-          'mass grave', 'genocide', 'war crime', 'civilian deaths', 'bodies',
-          'children killed', 'massacre', 'hostage', 'captive', 'prisoner',
-        ],
-      },
-      proxy_regional: {
-        label: 'Proxy Forces & Regional',
-        keywords: [
-          'hezbollah', 'hamas', 'houthi', 'houthis', 'ansarallah',
-          'pij', 'islamic jihad', 'popular mobilization', 'pmu', 'hashd',
-          'proxy', 'axis of resistance', 'red sea', 'strait of hormuz',
-          'shipping', 'tanker', 'oil', 'maritime', 'corridor',
-          'lebanon', 'syria', 'iraq', 'yemen', 'west bank', 'gaza tunnel',
-          'kataib', 'militia', 'armed group',
-        ],
-      },
-      threats_claims: {
-        label: 'Threats & Claims',
-        keywords: [
-          'threat', 'warn', 'ultimatum', 'declar', 'vow', 'pledg',
-          'retaliat', 'revenge', 'promised', 'will attack', 'prepare',
-          'claim', 'assert', 'allege', 'deny', 'accus',
-          'propaganda', 'disinformation', 'false flag', 'fabricat',
-          'intelligence', 'spy', 'covert', 'sabotage',
-        ],
-      },
-      internal_politics: {
-        label: 'Internal Politics',
-        keywords: [
-          'election', 'coalition', 'cabinet', 'parliament', 'knesset',
-          'protest', 'demonstration', 'opposition', 'government', 'minister',
-          'political', 'domestic', 'public opinion', 'approval', 'poll',
-          'reform', 'hardliner', 'moderate', 'conservative', 'revolutionary guard',
-          'supreme leader', 'president', 'prime minister', 'netanyahu trial',
-          'corruption', 'judicial', 'constitution',
-        ],
-      },
-    },
-  },
-};
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+
+const TOPICS_PATH = process.env.INTEL_TOPICS_PATH || path.join(config.PROJECT_ROOT, 'data', 'intelligence_topics.json');
+const STATE_TOPICS_PATH = process.env.INTEL_STATE_TOPICS_PATH || path.join(config.STATE_DIR, 'intelligence_topics.json');
+const ID_RE = /^[a-z0-9][a-z0-9-]{1,48}$/;
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')) || {}; } catch { return {}; }
+}
+
+const cleanList = (xs) => [...new Set((xs || []).map((k) => String(k).trim().toLowerCase()).filter(Boolean))];
+
+function normalize(id, raw, origin) {
+  const categories = {};
+  for (const [catId, cat] of Object.entries(raw.categories || {})) {
+    if (catId === 'misc') continue;
+    categories[catId] = {
+      label: cat.label || catId,
+      keywords: cleanList(cat.keywords),
+      ...(cat.expiry_hours ? { expiry_hours: Number(cat.expiry_hours) } : {}),
+    };
+  }
+  return {
+    id,
+    label: raw.label || id,
+    title: raw.title || raw.label || id,
+    kind: raw.kind || 'topic',
+    keywords: cleanList(raw.keywords),
+    article_keywords: cleanList(raw.article_keywords && raw.article_keywords.length ? raw.article_keywords : raw.keywords),
+    topic_axes: [...new Set(raw.topic_axes || [])],
+    axis_hints: raw.axis_hints || {},
+    categories,
+    origin,
+    ...(raw.created_at ? { created_at: raw.created_at } : {}),
+  };
+}
+
+/** All topics, shipped first (in file order), then Telegram-added ones. */
+function list() {
+  const merged = new Map();
+  for (const [file, origin] of [[TOPICS_PATH, 'data'], [STATE_TOPICS_PATH, 'state']]) {
+    for (const [id, raw] of Object.entries(readJson(file))) {
+      if (!ID_RE.test(id) || !raw || typeof raw !== 'object') continue;
+      merged.set(id, normalize(id, raw, origin));
+    }
+  }
+  return [...merged.values()];
+}
+
+const get = (id) => list().find((t) => t.id === id) || null;
+const ids = () => list().map((t) => t.id);
+const resolve = (topic) => (typeof topic === 'string' ? get(topic) : topic);
 
 /**
  * Check a text against a topic's keywords.
  * Returns true if ≥1 keyword matches.
  */
-function matchesTopic(topicId, text) {
-  const topic = TOPICS[topicId];
-  if (!topic) return false;
-  const lower = text.toLowerCase();
-  return topic.keywords.some(kw => lower.includes(kw));
+function matchesTopic(topic, text) {
+  const t = resolve(topic);
+  if (!t) return false;
+  const lower = String(text || '').toLowerCase();
+  return t.keywords.some(kw => lower.includes(kw));
 }
 
 /**
@@ -121,15 +100,15 @@ function matchesTopic(topicId, text) {
  * Scoring: count how many keywords match per category,
  * return the category with the most hits.
  */
-function matchCategories(topicId, text) {
-  const topic = TOPICS[topicId];
-  if (!topic) return 'misc';
-  const lower = text.toLowerCase();
+function matchCategories(topic, text) {
+  const t = resolve(topic);
+  if (!t) return 'misc';
+  const lower = String(text || '').toLowerCase();
 
   let bestCat = 'misc';
   let bestScore = 0;
 
-  for (const [catId, cat] of Object.entries(topic.categories)) {
+  for (const [catId, cat] of Object.entries(t.categories)) {
     const score = cat.keywords.filter(kw => lower.includes(kw)).length;
     if (score > bestScore) {
       bestScore = score;
@@ -140,4 +119,117 @@ function matchCategories(topicId, text) {
   return bestCat;
 }
 
-module.exports = { TOPICS, matchesTopic, matchCategories };
+function categoryOrder(topic) {
+  const t = resolve(topic);
+  return [...Object.keys(t ? t.categories : {}), 'misc'];
+}
+
+function categoryLabels(topic) {
+  const t = resolve(topic);
+  const labels = {};
+  for (const [catId, cat] of Object.entries(t ? t.categories : {})) labels[catId] = cat.label;
+  labels.misc = 'Miscellaneous';
+  return labels;
+}
+
+/**
+ * Claim expiry by category, for verify_claims. Verification rows carry the
+ * category, not the topic, so the first topic defining a category wins.
+ */
+function expiryRules() {
+  const rules = {};
+  for (const t of list()) {
+    for (const [catId, cat] of Object.entries(t.categories)) {
+      if (cat.expiry_hours && !(catId in rules)) rules[catId] = cat.expiry_hours;
+    }
+  }
+  return rules;
+}
+
+// ── Telegram definitions ──────────────────────────────────────────────────────
+
+/**
+ * Parse a line-based definition (the body of /topic add):
+ *
+ *   <id>
+ *   label: US 2028 Presidential Election
+ *   kind: election
+ *   keywords: primary, caucus, electoral college, …
+ *   axes: axis_a_v1, axis_b_v1
+ *   category polling: poll, survey, margin of error
+ *   category campaign_finance (Campaign Finance): super pac, fundraising
+ */
+function parseDefinition(text) {
+  const lines = String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  const def = { id: '', keywords: [], topic_axes: [], categories: {} };
+  const split = (v) => v.split(',').map((s) => s.trim()).filter(Boolean);
+  for (const [i, line] of lines.entries()) {
+    const cat = line.match(/^category\s+([a-z0-9_]+)\s*(?:\(([^)]*)\))?\s*:\s*(.*)$/i);
+    if (cat) {
+      const id = cat[1].toLowerCase();
+      def.categories[id] = { label: cat[2] ? cat[2].trim() : id.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()), keywords: split(cat[3]) };
+      continue;
+    }
+    const kv = line.match(/^(label|title|kind|keywords|axes)\s*:\s*(.*)$/i);
+    if (kv) {
+      const key = kv[1].toLowerCase();
+      if (key === 'keywords') def.keywords = split(kv[2]);
+      else if (key === 'axes') def.topic_axes = split(kv[2]);
+      else def[key] = kv[2].trim();
+      continue;
+    }
+    if (i === 0 && !def.id) def.id = line.toLowerCase();
+  }
+  return def;
+}
+
+/** Structural checks; `axisIds` (ontology axis ids) rejects axes that don't exist. */
+function validate(def, { axisIds = null } = {}) {
+  const errors = [];
+  if (!ID_RE.test(def.id || '')) errors.push('id must be lowercase letters, digits and dashes (2–49 chars)');
+  if (!cleanList(def.keywords).length) errors.push('keywords: at least one is required');
+  const cats = Object.entries(def.categories || {});
+  if (!cats.length) errors.push('at least one category is required');
+  for (const [catId, cat] of cats) {
+    if (catId === 'misc') errors.push("category 'misc' is reserved");
+    else if (!cleanList(cat.keywords).length) errors.push(`category ${catId}: no keywords`);
+  }
+  if (axisIds) {
+    const known = new Set(axisIds);
+    const unknown = (def.topic_axes || []).filter((a) => !known.has(a));
+    if (unknown.length) errors.push(`unknown axes: ${unknown.join(', ')}`);
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+function writeState(data) {
+  fs.mkdirSync(path.dirname(STATE_TOPICS_PATH), { recursive: true });
+  const tmp = `${STATE_TOPICS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, STATE_TOPICS_PATH);
+}
+
+/** Add or replace a Telegram-defined topic. Throws on an invalid definition. */
+function saveTopic(def, opts = {}) {
+  const v = validate(def, opts);
+  if (!v.ok) throw new Error(v.errors.join('; '));
+  const data = readJson(STATE_TOPICS_PATH);
+  const { id, ...rest } = def;
+  data[id] = { ...rest, created_at: (data[id] && data[id].created_at) || new Date().toISOString() };
+  writeState(data);
+  return get(id);
+}
+
+/** Remove a Telegram-defined topic. Shipped topics can only be changed in data/. */
+function removeTopic(id) {
+  const data = readJson(STATE_TOPICS_PATH);
+  if (!data[id]) return { ok: false, reason: get(id) ? 'shipped topic — edit data/intelligence_topics.json' : 'no such topic' };
+  delete data[id];
+  writeState(data);
+  return { ok: true };
+}
+
+module.exports = {
+  list, get, ids, matchesTopic, matchCategories, categoryOrder, categoryLabels, expiryRules,
+  parseDefinition, validate, saveTopic, removeTopic, TOPICS_PATH, STATE_TOPICS_PATH,
+};
@@ -5,6 +5,9 @@
  * Extends intelligence.db with claim_verifications and claim_audit_log tables.
  * Provides CRUD helpers used by verify_claims.js.
  *
+ * claim_audit_log is the claim's status timeline (one row per transition);
+ * next_check_at is when verify_claims re-verifies it (lib/reverify_schedule.js).
+ *
  * Uses the same better-sqlite3 singleton from db.js.
  */
 
@@ -118,6 +121,8 @@ try {
   if (!cols.includes('investigation_id'))   db.exec('ALTER TABLE claim_verifications ADD COLUMN investigation_id TEXT');
   if (!cols.includes('investigation_depth')) db.exec("ALTER TABLE claim_verifications ADD COLUMN investigation_depth TEXT DEFAULT 'quick'");
   if (!cols.includes('is_suppressed'))      db.exec('ALTER TABLE claim_verifications ADD COLUMN is_suppressed INTEGER DEFAULT 0');
+  if (!cols.includes('next_check_at'))      db.exec('ALTER TABLE claim_verifications ADD COLUMN next_check_at TEXT');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_cv_next_check ON claim_verifications(next_check_at)');
 } catch {}
 
 // ── Investigation table (deep research results) ─────────────────────────────
@@ -215,6 +220,30 @@ const stmts = {
     SELECT * FROM claim_audit_log WHERE claim_id = ? ORDER BY created_at DESC
   `),
 
+  getTimelines: db.prepare(`
+    SELECT * FROM claim_audit_log ORDER BY claim_id, created_at ASC, id ASC
+  `),
+
+  // Re-verification queue: never-scheduled claims first, then the most overdue
+  getDueForReverification: db.prepare(`
+    SELECT * FROM claim_verifications
+    WHERE  status != 'expired'
+      AND  COALESCE(is_suppressed, 0) = 0
+      AND  (next_check_at IS NULL OR next_check_at <= ?)
+    ORDER  BY next_check_at IS NOT NULL, next_check_at ASC, confidence_score DESC
+    LIMIT  ?
+  `),
+
+  setScore: db.prepare(`
+    UPDATE claim_verifications
+    SET confidence_score = ?, scoring_breakdown = ?, status = ?, updated_at = ?
+    WHERE claim_id = ?
+  `),
+
+  setNextCheck: db.prepare(`
+    UPDATE claim_verifications SET next_check_at = ? WHERE claim_id = ?
+  `),
+
   markTweetPosted: db.prepare(`
     UPDATE claim_verifications SET tweet_posted = 1, tweet_url = ?, updated_at = ? WHERE claim_id = ?
   `),
@@ -370,6 +399,28 @@ function getAuditLog(claimId) {
   });
 }
 
+/** Every claim's audit rows, oldest first: { claim_id: [rows] } — one query for the web export. */
+function getTimelines() {
+  const byClaim = {};
+  for (const row of stmts.getTimelines.all()) {
+    (byClaim[row.claim_id] = byClaim[row.claim_id] || []).push(row);
+  }
+  return byClaim;
+}
+
+function getDueForReverification(limit = 5, nowIso = new Date().toISOString()) {
+  return stmts.getDueForReverification.all(nowIso, limit).map(parseRow);
+}
+
+/** Re-weight a claim in place — no new verification (count and last_verified_at unchanged). */
+function setScore(claimId, confidence, breakdown, status) {
+  stmts.setScore.run(confidence, JSON.stringify(breakdown), status, new Date().toISOString(), claimId);
+}
+
+function setNextCheck(claimId, nextCheckAt) {
+  stmts.setNextCheck.run(nextCheckAt, claimId);
+}
+
 function markTweetPosted(claimId, tweetUrl) {
   stmts.markTweetPosted.run(tweetUrl, new Date().toISOString(), claimId);
 }
@@ -518,6 +569,10 @@ module.exports = {
   getUnverified,
   getAllVerifications,
   getAuditLog,
+  getTimelines,
+  getDueForReverification,
+  setNextCheck,
+  setScore,
   markTweetPosted,
   markExpired,
   setWatchTweetUrl,
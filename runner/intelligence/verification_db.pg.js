@@ -139,6 +139,35 @@ async function getAuditLog(claimId) {
   });
 }
 
+async function getTimelines() {
+  const { rows } = await query('SELECT * FROM claim_audit_log ORDER BY claim_id, created_at ASC, id ASC');
+  const byClaim = {};
+  for (const row of rows) (byClaim[row.claim_id] = byClaim[row.claim_id] || []).push(row);
+  return byClaim;
+}
+
+async function getDueForReverification(limit = 5, nowIso = new Date().toISOString()) {
+  const { rows } = await query(`
+    SELECT * FROM claim_verifications
+    WHERE  status != 'expired'
+      AND  (next_check_at IS NULL OR next_check_at <= $1)
+    ORDER  BY next_check_at ASC NULLS FIRST, confidence_score DESC
+    LIMIT  $2
+  `, [nowIso, limit]);
+  return rows.map(parseRow);
+}
+
+async function setScore(claimId, confidence, breakdown, status) {
+  await query(
+    'UPDATE claim_verifications SET confidence_score = $1, scoring_breakdown = $2, status = $3, updated_at = $4 WHERE claim_id = $5',
+    [confidence, JSON.stringify(breakdown), status, new Date().toISOString(), claimId]
+  );
+}
+
+async function setNextCheck(claimId, nextCheckAt) {
+  await query('UPDATE claim_verifications SET next_check_at = $1 WHERE claim_id = $2', [nextCheckAt, claimId]);
+}
+
 async function markTweetPosted(claimId, tweetUrl) {
   await query(
     'UPDATE claim_verifications SET tweet_posted = 1, tweet_url = $1, updated_at = $2 WHERE claim_id = $3',
@@ -207,6 +236,10 @@ module.exports = {
   getUnverified,
   getAllVerifications,
   getAuditLog,
+  getTimelines,
+  getDueForReverification,
+  setNextCheck,
+  setScore,
   markTweetPosted,
   markExpired,
   recallVerifications,
@@ -6,6 +6,19 @@
  * Scores unverified/contested claims, runs web searches on top priority,
  * updates statuses, writes audit trail, and exports for web.
  *
+ * Re-verification: every claim in claim_verifications carries a next_check_at
+ * (lib/reverify_schedule.js — open claims every few hours, settled verdicts
+ * every few days to weeks). Each cycle re-runs the web check on up to
+ * REVERIFY_PER_CYCLE due claims, whatever their status, out of the searches
+ * left in WEB_SEARCH_PER_CYCLE after the new claims. A verdict that flips
+ * (supported ↔ refuted) is sent to Telegram; the audit log is the timeline
+ * veritas-lens shows.
+ *
+ * Source reputation: after the verdicts are in, the per-source ledger
+ * (lib/source_reputation.js) is rebuilt from every supported/refuted claim, so
+ * the next cycle's source tier — and apply_ontology_delta.js trust weights —
+ * reflect which handles keep being refuted.
+ *
  * Non-fatal: exits 0 on any error to avoid blocking the pipeline.
  *
  * Usage:
@@ -20,10 +33,13 @@ const config = require('../lib/config');
 const { loadIntelligenceDb, loadVerificationDb, usePostgres } = require('../lib/db_backend');
 
 const { scoreClaim }              = require('./claim_scorer');
+const topics                      = require('./topics');
 const { webSearchVerify }         = require('./lib/web_search');
 const { exportVerificationData }  = require('./lib/verification_export');
 const { loadSourceData }          = require('./lib/source_data');
 const { investigateClaimSync }    = require('../lib/verify_claim');
+const { nextCheckAt, timelineOf, reverifyQuota } = require('./lib/reverify_schedule');
+const sourceReputation            = require('../lib/source_reputation');
 const { execSync }                = require('child_process');
 
 const idb = loadIntelligenceDb();
@@ -63,19 +79,11 @@ function pushExport() {
 // ── Configuration ───────────────────────────────────────────────────────────
 const MAX_CLAIMS_PER_CYCLE   = 15;
 const WEB_SEARCH_PER_CYCLE   = 8;
+const REVERIFY_PER_CYCLE     = 5;
 const STALE_HOURS            = 48;
 const MAX_INVESTIGATIONS_PER_DAY = 2;
 const INVESTIGATION_COOLDOWN_MS  = 12 * 3600_000; // 12h between investigations
-const EXPIRY_RULES = {
-  military_action:         72,
-  casualties_humanitarian: 72,
-  threats_claims:          72,
-  nuclear:                 168,
-  diplomatic:              168,
-  proxy_regional:          168,
-  internal_politics:       720,
-  misc:                    720,
-};
+// Per-category expiry comes from the topic definitions (categories.*.expiry_hours).
 const DEFAULT_EXPIRY_HOURS = 720;
 
 // ── Load claims from both sources ───────────────────────────────────────────
@@ -198,11 +206,12 @@ function writeVerificationDraft(claim, result, searchData) {
 async function processExpiry() {
   const now = Date.now();
   const all = await Promise.resolve(vdb.getAllVerifications());
+  const expiryRules = topics.expiryRules();
   let expired = 0;
 
   for (const claim of all) {
     if (claim.status === 'expired' || claim.status === 'supported' || claim.status === 'refuted') continue;
-    const expiryHours = EXPIRY_RULES[claim.category] || DEFAULT_EXPIRY_HOURS;
+    const expiryHours = expiryRules[claim.category] || DEFAULT_EXPIRY_HOURS;
     const age = now - new Date(claim.created_at).getTime();
     if (age > expiryHours * 3600_000) {
       if (!isDryRun) {
@@ -236,7 +245,9 @@ function updateTrackerClaim(claimId, newStatus, notes) {
 
 const { filterStableUrls } = require('./lib/verification_export');
 
-function persistResult({ claim, result, sourceData, handle, oldStatus }) {
+const VERDICTS = new Set(['supported', 'refuted']);
+
+function persistResult({ claim, result, sourceData, handle, oldStatus, method }) {
   const searchData = claim._searchData;
   const statusChanged = result.suggested_status !== oldStatus;
   // Resolve the authoritative tier the same way the scorer does (claim_scorer.js:256):
@@ -273,7 +284,7 @@ function persistResult({ claim, result, sourceData, handle, oldStatus }) {
       new_status:          result.suggested_status,
       confidence_score:    result.confidence,
       scoring_breakdown:   result.breakdown,
-      verification_method: searchData ? 'web_search' : 'auto_score',
+      verification_method: method || (searchData ? 'web_search' : 'auto_score'),
       evidence_urls:       searchData?.evidence_urls || null,
       notes:               searchData?.summary || `Auto-scored: ${result.confidence.toFixed(3)}`,
     });
@@ -286,6 +297,86 @@ function persistResult({ claim, result, sourceData, handle, oldStatus }) {
       log(`tracker updated: ${claim.claim_id} → ${result.suggested_status}`);
     }
   }
+  const flipped = statusChanged && VERDICTS.has(oldStatus) && VERDICTS.has(result.suggested_status);
+  return flipped ? { claim, from: oldStatus, to: result.suggested_status, confidence: result.confidence } : null;
+}
+
+// ── Re-verification schedule ────────────────────────────────────────────────
+
+/** Set next_check_at for each claim id from its status, category and timeline. */
+async function scheduleNextChecks(claimIds) {
+  const expiryRules = topics.expiryRules();
+  for (const id of claimIds) {
+    const row = await Promise.resolve(vdb.getVerification(id));
+    if (!row) continue;
+    const timeline = timelineOf(await Promise.resolve(vdb.getAuditLog(id)));
+    await Promise.resolve(vdb.setNextCheck(id, nextCheckAt(row, { timeline, expiryRules })));
+  }
+}
+
+/**
+ * Re-run the web check on claims whose next_check_at has passed (any status
+ * but expired), skipping the ones this cycle already handled. `searchesUsed`
+ * is this cycle's web searches so far; re-checks only spend what's left of
+ * WEB_SEARCH_PER_CYCLE. Returns the persisted rows' flips.
+ */
+async function reverifyDue(handledIds, searchesUsed = 0) {
+  const quota = reverifyQuota(searchesUsed, { perCycle: WEB_SEARCH_PER_CYCLE, cap: REVERIFY_PER_CYCLE });
+  if (!quota) return { checked: [], flips: [] };
+  const due = (await Promise.resolve(vdb.getDueForReverification(quota + handledIds.size)))
+    .filter(r => !handledIds.has(r.claim_id))
+    .slice(0, quota);
+  if (!due.length) return { checked: [], flips: [] };
+
+  const rows = [];
+  for (const row of due) {
+    log(`re-verifying (${row.status}, due ${row.next_check_at || 'never scheduled'}): "${(row.claim_text || '').slice(0, 80)}"`);
+    const handle = row.source_handle || null;
+    const sourceData = await loadSourceData(handle, idb, config.STATE_DIR, DB_IS_PG);
+    const claim = { ...row, claim_source: row.claim_source || 'intelligence' };
+    const searchData = await webSearchVerify(row.claim_text);
+    if (searchData) {
+      claim.web_search_result = searchData.web_search_result;
+      claim.evidence_urls = searchData.evidence_urls || [];
+      claim.evidence_domains = searchData.evidence_domains || [];
+      claim._searchData = searchData;
+    } else {
+      // No fresh evidence: keep the previous web verdict in the score
+      claim.web_search_result = row.scoring_breakdown?.web_search > 0 ? row.scoring_breakdown.web_search : null;
+      claim.evidence_urls = row.evidence_urls || [];
+    }
+    const result = scoreClaim(claim, sourceData);
+    log(`  ${row.status} → ${result.suggested_status} (${result.confidence.toFixed(3)})`);
+    rows.push({ claim, result, sourceData, handle, oldStatus: row.status, method: 'reverify' });
+  }
+
+  const flips = [];
+  await Promise.resolve(vdb.runTransaction(() => {
+    for (const r of rows) {
+      const flip = persistResult(r);
+      if (flip) flips.push(flip);
+    }
+  }));
+  return { checked: rows.map(r => r.claim.claim_id), flips };
+}
+
+function notifyFlips(flips) {
+  if (!flips.length) return;
+  const { sendTelegram } = require('../lib/notify');
+  const lines = flips.map(f =>
+    `• <b>${f.from} → ${f.to}</b> (${Math.round(f.confidence * 100)}%): ${String(f.claim.claim_text || '').slice(0, 160).replace(/[<>&]/g, '')}`);
+  sendTelegram(`🔁 <b>Verdict flip${flips.length > 1 ? 's' : ''}</b>\n${lines.join('\n')}\nhttps://sebastianhunter.fun/veritas-lens`);
+}
+
+/** Rebuild state/source_reputation.json from every settled verdict. */
+async function refreshReputation() {
+  try {
+    const ledger = sourceReputation.refresh(await Promise.resolve(vdb.getAllVerifications()));
+    const flagged = Object.entries(ledger.sources).filter(([, e]) => sourceReputation.weightFactor(e) < 1);
+    log(`source reputation: ${Object.keys(ledger.sources).length} sources${flagged.length ? `, downweighted: ${flagged.map(([k]) => k).join(', ')}` : ''}`);
+  } catch (e) {
+    log(`source reputation refresh failed: ${e.message}`);
+  }
 }
 
 // ── Deep investigation cadence ──────────────────────────────────────────────
@@ -405,6 +496,10 @@ async function run() {
   if (allClaims.length === 0) {
     log('no unverified claims to process');
     if (!isDryRun) {
+      const re = await reverifyDue(new Set());
+      await scheduleNextChecks(re.checked);
+      notifyFlips(re.flips);
+      await refreshReputation();
       await exportVerificationData(vdb, config.VERIFICATION_EXPORT_PATH);
       pushExport();
     }
@@ -474,21 +569,34 @@ async function run() {
 
   // 5. Persist results
   if (!isDryRun) {
+    const flips = [];
     vdb.runTransaction(() => {
       for (const row of results) {
-        persistResult(row);
+        const flip = persistResult(row);
+        if (flip) flips.push(flip);
       }
     });
 
     log(`scored ${results.length} claims, web-searched ${webSearchCount}`);
 
-    // 6. Process expiry
+    // 6. Re-verify claims due on their decay schedule, then reschedule everything touched
+    const handled = new Set(results.map(r => r.claim.claim_id));
+    const re = await reverifyDue(handled, webSearchCount);
+    flips.push(...re.flips);
+    log(`re-verified ${re.checked.length} due claims${flips.length ? `, ${flips.length} verdict flip(s)` : ''}`);
+
+    // 7. Process expiry
     await processExpiry();
+    await scheduleNextChecks([...handled, ...re.checked]);
+    notifyFlips(flips);
+
+    // 8. Rebuild the source reputation ledger from the settled verdicts
+    await refreshReputation();
 
-    // 7. Deep investigation on high-priority contested/unverified claims (max 2/day)
+    // 9. Deep investigation on high-priority contested/unverified claims (max 2/day)
     await maybeInvestigate(results);
 
-    // 8. Export for web
+    // 10. Export for web
     await exportVerificationData(vdb, config.VERIFICATION_EXPORT_PATH);
     pushExport();
   } else {
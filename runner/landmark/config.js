@@ -45,6 +45,20 @@ const DEDUP_WINDOW_MS = 12 * 60 * 60 * 1000;
 /** Minimum time between any two landmark mints (4h) */
 const COOLDOWN_MS = 4 * 60 * 60 * 1000;
 
+// ── Topic discovery ───────────────────────────────────────────────────────────
+
+/**
+ * A landmark keyword cluster becomes a proposed intelligence topic once it has
+ * recurred on DISCOVERY_MIN_DAYS distinct days within the last
+ * DISCOVERY_WINDOW_DAYS (topic_discovery.js). One-day spikes stay landmarks.
+ */
+const DISCOVERY_MIN_DAYS     = 3;
+const DISCOVERY_WINDOW_DAYS  = 7;
+/** Clusters unseen this long are forgotten */
+const DISCOVERY_FORGET_DAYS  = 14;
+/** An event joins a cluster when it shares this many top keywords with it */
+const DISCOVERY_MIN_OVERLAP  = 2;
+
 // ── Gate-based landmark tiers ─────────────────────────────────────────────────
 
 /**
@@ -135,6 +149,7 @@ const PATHS = {
   LANDMARK_LOG:    path.join(ROOT, "state", "landmark_log.json"),
   ARWEAVE_LOG:     path.join(ROOT, "state", "arweave_log.json"),
   LANDMARKS_DIR:   path.join(ROOT, "landmarks"),
+  TOPIC_DISCOVERY: path.join(ROOT, "state", "topic_discovery.json"),
 };
 
 module.exports = {
@@ -153,6 +168,10 @@ module.exports = {
   SENTIMENT_MULTIPLIER,
   DEDUP_WINDOW_MS,
   COOLDOWN_MS,
+  DISCOVERY_MIN_DAYS,
+  DISCOVERY_WINDOW_DAYS,
+  DISCOVERY_FORGET_DAYS,
+  DISCOVERY_MIN_OVERLAP,
   COLLECT_PRICE_SOL,
   LANDMARK_TIERS,
   STOP,
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * runner/landmark/topic_discovery.js — propose intelligence topics from landmarks
+ *
+ * Landmark detection finds spikes; the intelligence pipeline tracks topics. A
+ * spike that keeps coming back — the same keyword cluster landmarking day after
+ * day — is a story worth tracking, and until now nothing connected the two.
+ *
+ * Daily stage (lib/daily.js, before the intelligence pipeline):
+ *   1. detect     — landmark events of the last 24h (detect.js, same signals)
+ *   2. cluster    — each event joins the cluster it shares ≥DISCOVERY_MIN_OVERLAP
+ *                   top keywords with, else starts one; per-day sightings kept
+ *   3. score      — persistence = distinct days seen in the last
+ *                   DISCOVERY_WINDOW_DAYS; clusters already covered by an
+ *                   intelligence topic are skipped
+ *   4. draft      — a cluster seen on ≥DISCOVERY_MIN_DAYS days gets a draft topic
+ *                   definition: keywords from the cluster, categories proposed by
+ *                   the LLM from its sample posts (single-category fallback),
+ *                   axes = the ontology axes its landmarks impacted
+ *   5. queue      — the draft waits in state/topic_discovery.json and is sent to
+ *                   Telegram; /topic approve <id> saves it as an intelligence
+ *                   topic (runner/intelligence/topics) and the claim pipeline
+ *                   picks it up, /topic reject <id> retires the cluster
+ *
+ * Usage: node runner/landmark/topic_discovery.js [--dry-run]
+ *   --dry-run   detect + score + draft, print, write nothing, notify nobody
+ */
+
+"use strict";
+
+const fs   = require("fs");
+const path = require("path");
+const {
+  DISCOVERY_MIN_DAYS,
+  DISCOVERY_WINDOW_DAYS,
+  DISCOVERY_FORGET_DAYS,
+  DISCOVERY_MIN_OVERLAP,
+  PATHS,
+} = require("./config");
+const topics = require("../intelligence/topics");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SAMPLES = 8;
+const MAX_KEYWORDS = 15;
+
+function log(msg) { console.log(`[topic_discovery] ${msg}`); }
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+function load() {
+  try {
+    const s = JSON.parse(fs.readFileSync(PATHS.TOPIC_DISCOVERY, "utf-8"));
+    return { clusters: s.clusters || [], proposals: s.proposals || {} };
+  } catch {
+    return { clusters: [], proposals: {} };
+  }
+}
+
+function save(store) {
+  fs.writeFileSync(PATHS.TOPIC_DISCOVERY, JSON.stringify(store, null, 2));
+}
+
+// ── Clustering ────────────────────────────────────────────────────────────────
+
+const dayOf = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+function topKeywords(cluster, n = MAX_KEYWORDS) {
+  return Object.entries(cluster.keywords)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, n)
+    .map(([kw]) => kw);
+}
+
+/**
+ * Fold landmark events into the store's clusters. An event already recorded
+ * (same window) is ignored, so overlapping runs don't inflate persistence.
+ * Clusters whose proposal was rejected still match: they absorb the story's
+ * later sightings, so it can't return as a new cluster. Returns the clusters
+ * touched.
+ */
+function recordEvents(store, events, now = Date.now()) {
+  const touched = new Set();
+  for (const evt of events) {
+    const kws = (evt.topKeywords || []).map(k => k.toLowerCase());
+    if (!kws.length) continue;
+    const windowTs = evt.windowTs || new Date(evt.date).getTime();
+
+    let cluster = null;
+    let best = 0;
+    for (const c of store.clusters) {
+      const top = new Set(topKeywords(c));
+      const overlap = kws.filter(k => top.has(k)).length;
+      if (overlap >= DISCOVERY_MIN_OVERLAP && overlap > best) { cluster = c; best = overlap; }
+    }
+    if (!cluster) {
+      cluster = {
+        id: `tc_${windowTs.toString(36)}`, keywords: {}, days: {}, axes: [], samples: [],
+        seen_windows: [], first_seen: new Date(windowTs).toISOString(), last_seen: null, proposal: null,
+      };
+      store.clusters.push(cluster);
+    }
+    if (cluster.seen_windows.includes(windowTs)) continue;
+    cluster.seen_windows = [...cluster.seen_windows, windowTs].slice(-50);
+
+    for (const k of kws) cluster.keywords[k] = (cluster.keywords[k] || 0) + 1;
+    const day = dayOf(windowTs);
+    const d = cluster.days[day] || { events: 0, posts: 0, max_signals: 0 };
+    cluster.days[day] = {
+      events: d.events + 1,
+      posts: d.posts + (evt.postCount || 0),
+      max_signals: Math.max(d.max_signals, evt.signalCount || 0),
+    };
+    cluster.axes = [...new Set([...cluster.axes, ...(evt.stats?.axesImpacted || [])])];
+    for (const p of evt.samplePosts || []) {
+      if (p.text && !cluster.samples.includes(p.text)) cluster.samples.push(p.text);
+    }
+    cluster.samples = cluster.samples.slice(-MAX_SAMPLES);
+    if (!cluster.last_seen || new Date(windowTs) > new Date(cluster.last_seen)) cluster.last_seen = new Date(windowTs).toISOString();
+    touched.add(cluster);
+  }
+
+  // Forget clusters that went quiet (proposed ones stay for their proposal's record).
+  store.clusters = store.clusters.filter(c =>
+    c.proposal || now - new Date(c.last_seen || c.first_seen).getTime() < DISCOVERY_FORGET_DAYS * DAY_MS);
+  return [...touched];
+}
+
+/** Distinct days seen within the last DISCOVERY_WINDOW_DAYS, and a 0–1 score. */
+function persistence(cluster, now = Date.now()) {
+  const since = dayOf(now - (DISCOVERY_WINDOW_DAYS - 1) * DAY_MS);
+  const days = Object.keys(cluster.days).filter(d => d >= since).sort();
+  const events = days.reduce((s, d) => s + cluster.days[d].events, 0);
+  return {
+    days: days.length,
+    events,
+    first_day: days[0] || null,
+    last_day: days[days.length - 1] || null,
+    score: +(days.length / DISCOVERY_WINDOW_DAYS).toFixed(2),
+  };
+}
+
+/**
+ * The intelligence topic that already tracks this cluster, or null: one whose
+ * keywords match at least half of the cluster's sample posts (the posts the
+ * claim pipeline would pick up), or half its top keywords when it has no samples.
+ */
+function coveredBy(cluster, topicList = topics.list()) {
+  const texts = cluster.samples.length ? cluster.samples : topKeywords(cluster, 6);
+  for (const t of topicList) {
+    const hits = texts.filter(x => topics.matchesTopic(t, x)).length;
+    if (hits && hits >= Math.ceil(texts.length / 2)) return t.id;
+  }
+  return null;
+}
+
+// ── Drafting ──────────────────────────────────────────────────────────────────
+
+const slug = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+
+function uniqueId(base, taken) {
+  let id = slug(base) || "topic";
+  if (id.length < 2) id = `topic-${id}`;
+  let n = 2;
+  const root = id;
+  while (taken.has(id)) id = `${root}-${n++}`;
+  return id;
+}
+
+function parseJson(text) {
+  const m = String(text || "").match(/\{[\s\S]*\}/);
+  if (!m) return null;
+  try { return JSON.parse(m[0]); } catch { return null; }
+}
+
+/**
+ * Draft a topic definition for `cluster`. `generate(prompt)` (llm.generate)
+ * proposes the label and categories; without it, or on a bad answer, the draft
+ * has one category holding the cluster keywords — still valid, to be refined
+ * with /topic add before approving if needed.
+ */
+async function draftDefinition(cluster, { generate = null, axisIds = null, takenIds = new Set() } = {}) {
+  const keywords = topKeywords(cluster);
+  const unigrams = keywords.filter(k => !k.includes(" "));
+  const axes = cluster.axes.filter(a => !axisIds || axisIds.includes(a));
+  let proposed = null;
+
+  if (generate) {
+    const prompt = `These keywords kept landmarking in a social feed over several days:
+${keywords.join(", ")}
+
+Sample posts:
+${cluster.samples.slice(0, 6).map(t => `- ${t.replace(/\s+/g, " ").slice(0, 200)}`).join("\n")}
+
+Propose an intelligence topic to track this story. Reply with JSON only:
+{"label": "short topic name", "kind": "conflict|election|policy|market|other",
+ "keywords": ["lowercase matcher", ...],
+ "categories": {"snake_case_id": {"label": "Category Label", "keywords": ["lowercase matcher", ...]}, ...}}
+3-6 categories; keywords are lowercase substrings that identify the topic / category in a post.`;
+    try { proposed = parseJson(await generate(prompt, { timeoutMs: 90_000, tag: "topic_discovery" })); } catch {}
+  }
+
+  const categories = {};
+  for (const [id, cat] of Object.entries(proposed?.categories || {})) {
+    const catId = id.toLowerCase().replace(/[^a-z0-9_]/g, "_");
+    const kws = (cat?.keywords || []).map(k => String(k).toLowerCase().trim()).filter(Boolean);
+    if (catId && catId !== "misc" && kws.length) categories[catId] = { label: cat.label || catId, keywords: kws };
+  }
+  if (!Object.keys(categories).length) categories.developments = { label: "Developments", keywords };
+
+  const label = (proposed?.label && String(proposed.label).trim()) || unigrams.slice(0, 3).join(" / ");
+  return {
+    id: uniqueId(unigrams.slice(0, 2).join("-") || label, takenIds),
+    label,
+    kind: (proposed?.kind && String(proposed.kind).toLowerCase()) || "topic",
+    keywords: [...new Set([...keywords, ...((proposed?.keywords || []).map(k => String(k).toLowerCase().trim()))])].filter(Boolean),
+    topic_axes: axes,
+    categories,
+  };
+}
+
+/**
+ * Draft + queue a proposal for every cluster persistent enough, not yet
+ * proposed and not covered by an existing topic. Returns the new proposals.
+ */
+async function proposeDue(store, { now = Date.now(), topicList = topics.list(), axisIds = null, generate = null } = {}) {
+  const out = [];
+  const taken = new Set([...topicList.map(t => t.id), ...Object.keys(store.proposals)]);
+  for (const cluster of store.clusters) {
+    if (cluster.proposal) continue;
+    const p = persistence(cluster, now);
+    if (p.days < DISCOVERY_MIN_DAYS) continue;
+    const covered = coveredBy(cluster, topicList);
+    if (covered) { cluster.covered_by = covered; continue; }
+
+    const def = await draftDefinition(cluster, { generate, axisIds, takenIds: taken });
+    const check = topics.validate(def, { axisIds });
+    if (!check.ok) { log(`draft for ${cluster.id} invalid: ${check.errors.join("; ")}`); continue; }
+    taken.add(def.id);
+    const proposal = {
+      id: def.id, status: "pending", def, persistence: p, cluster_id: cluster.id,
+      proposed_at: new Date(now).toISOString(), decided_at: null,
+    };
+    store.proposals[def.id] = proposal;
+    cluster.proposal = def.id;
+    out.push(proposal);
+  }
+  return out;
+}
+
+// ── Approval (Telegram) ───────────────────────────────────────────────────────
+
+const pending = (store = load()) => Object.values(store.proposals).filter(p => p.status === "pending");
+
+/** Save a pending proposal as an intelligence topic. Returns { ok, topic?, reason? }. */
+function approve(id, { axisIds = null } = {}) {
+  const store = load();
+  const p = store.proposals[id];
+  if (!p) return { ok: false, reason: "no such proposal" };
+  if (p.status !== "pending") return { ok: false, reason: `already ${p.status}` };
+  if (topics.get(p.def.id)) return { ok: false, reason: `a topic '${p.def.id}' already exists` };
+  const topic = topics.saveTopic(p.def, { axisIds });
+  p.status = "approved";
+  p.decided_at = new Date().toISOString();
+  save(store);
+  return { ok: true, topic };
+}
+
+/** Retire a pending proposal; its cluster is never proposed again. */
+function reject(id) {
+  const store = load();
+  const p = store.proposals[id];
+  if (!p) return { ok: false, reason: "no such proposal" };
+  if (p.status !== "pending") return { ok: false, reason: `already ${p.status}` };
+  p.status = "rejected";
+  p.decided_at = new Date().toISOString();
+  save(store);
+  return { ok: true };
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** Telegram HTML for a proposal; every drafted field is escaped (parse_mode HTML). */
+function formatProposal(p) {
+  const d = p.def;
+  const id = escapeHtml(d.id);
+  return `🛰 <b>Topic proposal</b> <code>${id}</code> — ${escapeHtml(d.label)}\n` +
+    `Seen ${p.persistence.days} of the last ${DISCOVERY_WINDOW_DAYS} days (${p.persistence.events} landmark windows)\n` +
+    `Keywords: ${escapeHtml(d.keywords.slice(0, 10).join(", "))}\n` +
+    `Categories: ${escapeHtml(Object.values(d.categories).map(c => c.label).join(", "))}\n` +
+    `Axes: ${d.topic_axes.length ? escapeHtml(d.topic_axes.join(", ")) : "none"}\n` +
+    `/topic approve ${id} · /topic reject ${id}`;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+  const { detect } = require("./detect");
+  const db = require(path.join(PATHS.ROOT, "scraper", "db.js"));
+  const events = detect(db.raw(), { candidateMs: DAY_MS });
+  log(`${events.length} landmark event(s) in the last 24h`);
+
+  const store = load();
+  const touched = recordEvents(store, events);
+  for (const c of touched) {
+    const p = persistence(c);
+    log(`cluster ${c.id} [${topKeywords(c, 5).join(", ")}]: ${p.days}/${DISCOVERY_WINDOW_DAYS} days`);
+  }
+
+  let axisIds = null;
+  try { axisIds = (JSON.parse(fs.readFileSync(PATHS.ONTOLOGY, "utf-8")).axes || []).map(a => a.id); } catch {}
+  let generate = null;
+  try { generate = require("../llm").generate; } catch {}
+
+  const proposals = await proposeDue(store, { axisIds, generate });
+  if (dryRun) {
+    for (const p of proposals) console.log(JSON.stringify(p, null, 2));
+    log(`dry run — ${proposals.length} proposal(s), nothing written`);
+    return;
+  }
+  save(store);
+  if (proposals.length) {
+    const { sendTelegram } = require("../lib/notify");
+    for (const p of proposals) sendTelegram(formatProposal(p));
+  }
+  log(`${proposals.length} new proposal(s); ${pending(store).length} pending approval`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`[topic_discovery] FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  load, save, recordEvents, persistence, coveredBy, topKeywords, draftDefinition,
+  proposeDue, pending, approve, reject, formatProposal,
+};
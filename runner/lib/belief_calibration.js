@@ -15,18 +15,33 @@
  *     conf = CONF_MAX*(1 - e^(-weightedSources/CONF_K)). Stays informative past
  *     40 sources (the old ×0.025 formula maxed out there). ~45+ sources clear the
  *     0.65 downstream thresholds.
+ *
+ * Daily guards applied by apply_ontology_delta.js on top of the formation math
+ * (here so simulate_calibration.js models the same values):
+ *   DRIFT_CAP_PER_DAY (0.05) — score moves at most ±0.05 from its start-of-day value.
+ *   CONF_DECAY_PER_DAY (0.002) — confidence lost per calendar day without evidence.
+ *
+ * Every knob can also be overridden per call (computeAxisScoreConfidence's
+ * second argument) so offline tools can evaluate alternatives without touching env.
  */
 
 const RECENCY_HALF_LIFE = Number(process.env.BELIEF_RECENCY_HALFLIFE) || 100;
 const CONF_MAX = Number(process.env.BELIEF_CONF_MAX) || 0.95;
 const CONF_K   = Number(process.env.BELIEF_CONF_K)   || 35;
 
+const DRIFT_CAP_PER_DAY  = 0.05;
+const CONF_DECAY_PER_DAY = 0.002;
+
 /**
  * @param {Array} log  axis.evidence_log (objects with pole_alignment/trust_weight/source, or legacy numbers)
+ * @param {{halfLife?:number, confMax?:number, confK?:number}} [knobs]  per-call overrides of the env knobs
  * @returns {{score:number, confidence:number, weightedSources:number}}
  */
-function computeAxisScoreConfidence(log) {
+function computeAxisScoreConfidence(log, knobs = {}) {
   if (!Array.isArray(log) || !log.length) return { score: 0, confidence: 0, weightedSources: 0 };
+  const halfLife = knobs.halfLife || RECENCY_HALF_LIFE;
+  const confMax  = knobs.confMax  || CONF_MAX;
+  const confK    = knobs.confK    || CONF_K;
   const n = log.length;
   let weightedSum = 0, totalWeight = 0;
   for (let i = 0; i < n; i++) {
@@ -34,7 +49,7 @@ function computeAxisScoreConfidence(log) {
     const w = typeof e === "object" ? (e.trust_weight ?? 1.0) : 1.0;
     const sign = typeof e === "object" ? (e.pole_alignment === "right" ? 1 : -1) : (e >= 0 ? 1 : -1);
     const ageRank = (n - 1) - i;                       // 0 = most recent entry
-    const recency = Math.pow(0.5, ageRank / RECENCY_HALF_LIFE);
+    const recency = Math.pow(0.5, ageRank / halfLife);
     weightedSum += w * recency * sign;
     totalWeight += w * recency;
   }
@@ -48,8 +63,10 @@ function computeAxisScoreConfidence(log) {
     if (!sourceWeights.has(e.source) || sourceWeights.get(e.source) < w) sourceWeights.set(e.source, w);
   }
   const weightedSources = [...sourceWeights.values()].reduce((s, w) => s + w, 0);
-  const confidence = parseFloat(Math.min(CONF_MAX, CONF_MAX * (1 - Math.exp(-weightedSources / CONF_K))).toFixed(4));
+  const confidence = parseFloat(Math.min(confMax, confMax * (1 - Math.exp(-weightedSources / confK))).toFixed(4));
   return { score, confidence, weightedSources };
 }
 
-module.exports = { computeAxisScoreConfidence, RECENCY_HALF_LIFE, CONF_MAX, CONF_K };
+module.exports = {
+  computeAxisScoreConfidence, RECENCY_HALF_LIFE, CONF_MAX, CONF_K, DRIFT_CAP_PER_DAY, CONF_DECAY_PER_DAY,
+};
@@ -0,0 +1,227 @@
+'use strict';
+/**
+ * runner/lib/citation_check.js — CITATION INTEGRITY for deep-research reports.
+ *
+ * synthesize()/synthesizeTree() are told to cite a source for every claim, but
+ * nothing checked the citations against what the job actually retrieved — a
+ * plausible-looking URL the model never fetched, or a real source cited for a
+ * number it doesn't contain, went straight onto a published report page. This
+ * is the post-synthesis pass: every citation marker in the report is mapped to
+ * the finding it came from, and the claim it supports is checked against that
+ * finding's text.
+ *
+ * Citation markers:
+ *   - a URL, bare or as a Markdown link  [label](https://…)
+ *   - a numbered reference  [3]  resolved through the report's own list
+ *     ("[3]: https://…", "3. https://…")
+ *   - a tool citation  (rugcheck) / (xsearch: $ANSEM)  — no URL, matched by tool
+ *
+ * Each citation gets a status:
+ *   fetched     the URL was read in full by a 'fetch' step — checked against its text
+ *   seen        the URL appeared in another finding (search snippet, wikipedia) —
+ *               checked against that finding's text
+ *   unretrieved the job never saw the URL (or the fetch failed) — a fabricated source
+ * and, for fetched/seen/tool citations, `missing`: the claim's key numbers and
+ * named entities that do not occur in the source text. A claim is unsupported
+ * when any of its numbers is missing or fewer than half of its entities occur.
+ *
+ * A citation is LOAD-BEARING when its claim carries a number or shares a key
+ * number/entity with the report's key finding. `ok` is false when a
+ * load-bearing citation is unretrieved or unsupported — researchAndPublish's
+ * publish gate withholds the report page on that.
+ *
+ *   checkCitations(report, findings, { keyFinding, toolNames })
+ *     -> { ok, citations: [{ marker, url, tool, claim, status, finding, missing,
+ *                            supported, loadBearing }], counts, blocking }
+ *   summarize(check) -> one log line
+ *   keyTerms(text) -> { numbers, entities }   // exported for tests
+ *
+ * Heuristic and deliberately literal: a paraphrased number ("a third" for 33%)
+ * reads as unsupported. That errs toward withholding, which is the point.
+ */
+
+const { canonicalUrl } = require('./url_utils');
+
+const URL_RE = /https?:\/\/[^\s<>"'`)\]]+/g;
+const STOP = new Set(('The This That These Those There Their They It Its He She We Our You Your I A An And But Or If When While ' +
+  'However According Although Also As At By For From In Into On Of To With Without After Before Since Until Because Yes No Not ' +
+  'Answer Summary Sources Source Key Finding Findings Open Questions Overall Note Notes Caveat Caveats Confidence ' +
+  'January February March April May June July August September October November December Monday Tuesday Wednesday Thursday Friday Saturday Sunday')
+  .split(' '));
+const DEFAULT_TOOLS = ['recall', 'posts', 'xsearch', 'search', 'wikipedia', 'fetch', 'rugcheck', 'trending', 'verify'];
+
+const stripUrl = (u) => u.replace(/[.,;:!?]+$/, '');
+const flat = (s) => String(s || '').toLowerCase().replace(/(\d),(?=\d{3}\b)/g, '$1');
+
+/** Key numbers (digits as written, thousands separators dropped) and named entities in `text`. */
+function keyTerms(text) {
+  const clean = String(text || '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')   // markdown links → label
+    .replace(URL_RE, ' ')
+    .replace(/\[\d+\]/g, ' ')
+    .replace(/[*_`#>]/g, ' ');
+  const numbers = new Set();
+  for (const m of clean.matchAll(/(?:^|[^\w.])[$€£]?(\d[\d,]*(?:\.\d+)?)(?=\s?(%|[kmb]n?\b|million|billion|thousand)?)/gi)) {
+    const n = m[1].replace(/,(?=\d{3}\b)/g, '').replace(/\.$/, '');
+    if (n.replace(/\D/g, '').length < 2 && !m[2]) continue; // lone digits ("top 5", "T1") carry little
+    numbers.add(n);
+  }
+  const entities = new Set();
+  for (const m of clean.matchAll(/[$@][A-Za-z][\w]{1,30}/g)) entities.add(m[0]);
+  for (const sentence of clean.split(/(?<=[.!?:])\s+|\n+/)) {
+    const words = sentence.trim().split(/\s+/);
+    let run = [];
+    const flush = () => { if (run.length) entities.add(run.join(' ')); run = []; };
+    words.forEach((w, i) => {
+      const word = w.replace(/^[("'“‘]+|[)"'”’.,;:!?]+$/g, '');
+      const cap = /^[A-Z][\w.&-]*[A-Za-z0-9]$/.test(word) || /^[A-Z]{2,}\d*$/.test(word);
+      if (cap && !STOP.has(word) && !(i === 0 && !/[A-Z].*[A-Z]/.test(word) && !run.length)) run.push(word);
+      else flush();
+    });
+    flush();
+  }
+  return { numbers: [...numbers], entities: [...entities] };
+}
+
+/** Which of the claim's key terms are absent from `source`. */
+function missingTerms(terms, source) {
+  const hay = flat(source);
+  const missingNumbers = terms.numbers.filter((n) => !hay.includes(n.toLowerCase()));
+  const missingEntities = terms.entities.filter((e) => {
+    const words = e.toLowerCase().replace(/^[$@]/, '').split(/\s+/).filter((w) => w.length >= 3);
+    return words.length ? !words.some((w) => hay.includes(w)) : !hay.includes(e.toLowerCase());
+  });
+  return { missingNumbers, missingEntities };
+}
+
+/** The sentence of `text` around character offset `at`. */
+function sentenceAt(text, at) {
+  const lineStart = text.lastIndexOf('\n', at - 1) + 1;
+  const lineEnd = (() => { const i = text.indexOf('\n', at); return i === -1 ? text.length : i; })();
+  const line = text.slice(lineStart, lineEnd);
+  const rel = at - lineStart;
+  // Sentence breaks: ". " etc. — but not the dots inside URLs or decimals.
+  const breaks = [...line.matchAll(/[.!?](?=\s+[A-Z("“\[*])/g)].map((m) => m.index + 1);
+  const start = [0, ...breaks].filter((b) => b <= rel).pop();
+  const end = breaks.find((b) => b > rel) ?? line.length;
+  return line.slice(start, end).replace(/^[\s\-*>#\d.)]+/, '').trim();
+}
+
+const lineAt = (text, at) => {
+  const start = text.lastIndexOf('\n', at - 1) + 1;
+  const end = text.indexOf('\n', at);
+  return text.slice(start, end === -1 ? text.length : end);
+};
+
+/** True when offset `at` sits under a Sources/References heading. */
+function inSourcesSection(text, at) {
+  const headings = [...text.slice(0, at).matchAll(/^\s*(?:#+\s*|\*\*)([^\n*]+)/gm)];
+  const last = headings.filter((h) => /^\s*#/.test(h[0]) || /^\s*\*\*[^\n]*\*\*\s*:?\s*$/.test(lineAt(text, h.index + h[0].length - 1))).pop();
+  return !!last && /\b(sources|references|citations|bibliography)\b/i.test(last[1]);
+}
+
+// A reference-list entry: "[3]: https://…" / "[3] Title — https://…" anywhere,
+// or "3. Title — https://…" under a Sources/References heading.
+function isReferenceLine(text, at) {
+  const line = lineAt(text, at);
+  return /^\s*\[\d+\]:?\s/.test(line) || (/^\s*\d+[.)]\s/.test(line) && inSourcesSection(text, at));
+}
+
+/** Numbered reference list in the report: { "3": "https://…" }. */
+function referenceList(text) {
+  const refs = {};
+  for (const m of text.matchAll(/^\s*(?:\[(\d+)\]:?|(\d+)[.)])\s+[^\n]*?(https?:\/\/[^\s<>"'`)\]]+)/gm)) {
+    if (isReferenceLine(text, m.index + m[0].length - 1)) refs[m[1] || m[2]] = stripUrl(m[3]);
+  }
+  return refs;
+}
+
+function checkCitations(report, findings = [], { keyFinding = '', toolNames = DEFAULT_TOOLS } = {}) {
+  const text = String(report || '');
+  const failed = (f) => /^\(could not fetch/.test(String(f.result || ''));
+  const fetched = new Map();   // canonical URL → finding index
+  findings.forEach((f, i) => {
+    if (f.tool === 'fetch' && /^https?:\/\//.test(f.input) && !failed(f)) fetched.set(canonicalUrl(f.input), i);
+  });
+  const seenIn = (url) => {
+    const c = canonicalUrl(url);
+    return findings.findIndex((f) => f.tool !== 'fetch' && (String(f.result || '').match(URL_RE) || []).some((u) => canonicalUrl(stripUrl(u)) === c));
+  };
+
+  const raw = [];
+  const refs = referenceList(text);
+  for (const m of text.matchAll(URL_RE)) {
+    if (isReferenceLine(text, m.index)) continue; // the reference list itself; its [n] markers are the citations
+    raw.push({ marker: stripUrl(m[0]), url: stripUrl(m[0]), at: m.index });
+  }
+  for (const m of text.matchAll(/\[(\d+)\](?![:(])/g)) {
+    if (refs[m[1]] && !isReferenceLine(text, m.index)) raw.push({ marker: `[${m[1]}]`, url: refs[m[1]], at: m.index });
+  }
+  const toolAlt = toolNames.map((t) => t.replace(/[^\w]/g, '')).join('|');
+  for (const m of text.matchAll(new RegExp(`\\((${toolAlt})(?::\\s*([^)\\n]{0,120}))?\\)`, 'g'))) {
+    raw.push({ marker: m[0], tool: m[1], at: m.index });
+  }
+
+  const keyTermsOfFinding = keyTerms(keyFinding);
+  const keySet = new Set([...keyTermsOfFinding.numbers, ...keyTermsOfFinding.entities.map((e) => e.toLowerCase())]);
+  const citations = [];
+  const seen = new Set();
+  for (const c of raw.sort((a, b) => a.at - b.at)) {
+    const claim = sentenceAt(text, c.at);
+    const id = `${c.url || c.tool}|${claim}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    let status; let finding = null; let source = '';
+    if (c.url) {
+      const canon = canonicalUrl(c.url);
+      if (fetched.has(canon)) { status = 'fetched'; finding = fetched.get(canon); source = findings[finding].result; }
+      else {
+        const i = seenIn(c.url);
+        if (i !== -1) { status = 'seen'; finding = i; source = findings[i].result; }
+        else status = 'unretrieved';
+      }
+    } else {
+      const used = findings.map((f, i) => [f, i]).filter(([f]) => f.tool === c.tool);
+      if (used.length) { status = 'tool'; finding = used[0][1]; source = used.map(([f]) => `${f.input}\n${f.result}`).join('\n'); }
+      else status = 'unretrieved';
+    }
+    const terms = keyTerms(claim);
+    // The URL joins the haystack: a link label naming the outlet ("The Block")
+    // is matched by its domain, not the page text.
+    const { missingNumbers, missingEntities } = status === 'unretrieved'
+      ? { missingNumbers: [], missingEntities: [] }
+      : missingTerms(terms, `${source}\n${c.url || ''}`);
+    const supported = status !== 'unretrieved' && !missingNumbers.length
+      && (!terms.entities.length || missingEntities.length <= terms.entities.length / 2);
+    const shared = [...terms.numbers, ...terms.entities.map((e) => e.toLowerCase())].filter((t) => keySet.has(t));
+    citations.push({
+      marker: c.marker, url: c.url || null, tool: c.tool || (finding != null ? findings[finding].tool : null),
+      claim: claim.slice(0, 300), status, finding, supported,
+      missing: [...missingNumbers, ...missingEntities],
+      loadBearing: terms.numbers.length > 0 || shared.length > 0,
+    });
+  }
+  const blocking = citations.filter((c) => c.loadBearing && !c.supported);
+  return {
+    ok: blocking.length === 0,
+    citations,
+    counts: {
+      total: citations.length,
+      supported: citations.filter((c) => c.supported).length,
+      unretrieved: citations.filter((c) => c.status === 'unretrieved').length,
+      unsupported: citations.filter((c) => c.status !== 'unretrieved' && !c.supported).length,
+      blocking: blocking.length,
+    },
+    blocking,
+  };
+}
+
+function summarize(check) {
+  const k = check.counts;
+  const worst = check.blocking.slice(0, 2).map((c) =>
+    `${c.status === 'unretrieved' ? 'never retrieved' : `missing ${c.missing.slice(0, 3).join(', ')}`}: ${c.url || c.marker}`).join('; ');
+  return `${k.total} citation(s): ${k.supported} supported, ${k.unretrieved} never retrieved, ${k.unsupported} unsupported` +
+    (k.blocking ? ` — ${k.blocking} load-bearing (${worst})` : '');
+}
+
+module.exports = { checkCitations, summarize, keyTerms };
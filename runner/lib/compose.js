@@ -25,6 +25,17 @@
  * ("out of extra usage") is NOT retried: it resets on a multi-hour window, so
  * in-cycle retries only burn time. See docs/INVENTORY.md → inference.
  *
+ * BUDGETS: every Claude call first asks lib/cost_budget whether its tag is
+ * within the daily/monthly caps in state/cost_config.json `budgets_usd`. An
+ * exhausted budget refuses the call (rejects with err.code 'BUDGET_EXCEEDED' —
+ * never retried) or, for tags configured as non-critical, downgrades it to a
+ * cheaper model. Critical prose and the fact-check gate still run.
+ *
+ * ATTRIBUTION: each call's ledger row names the artifact it worked toward —
+ * opts.artifact ({ type, id }) if given, else the caller's cost_meter
+ * withArtifact()/setArtifact() scope. compose/reason/composeJSON pass opts
+ * through, so any entry point takes it.
+ *
  * TUNE (.env, all optional):
  *   CLAUDE_COMPOSE_MODEL       Claude alias/id (default: sonnet). opts.claudeModel wins.
  *   CLAUDE_COMPOSE_TIMEOUT_MS  per-call kill timeout (default: 120000).
@@ -60,6 +71,7 @@ function useClaudeCompose() { return true; }
  * retrying inside a cycle just burns wall-clock before the same failure.
  */
 function isTransient(err) {
+  if (err && err.code === 'BUDGET_EXCEEDED') return false;
   const m = String(err && err.message || '');
   if (/out of extra usage|usage limit/i.test(m)) return false;
   return /529|overloaded|compose timeout|ETIMEDOUT|ECONNRESET|socket hang up/i.test(m);
@@ -94,12 +106,30 @@ async function withRetry(fn, tag = 'claude') {
  * Single-shot text generation via `claude -p`. Rejects on spawn/timeout/parse
  * error or a non-zero exit — callers that want resilience go through compose().
  *
- * opts.claudeModel  Claude alias/id  (default: env CLAUDE_COMPOSE_MODEL || 'sonnet')
+ * opts.claudeModel  Claude alias/id  (default: env CLAUDE_COMPOSE_MODEL || 'sonnet');
+ *                   an explicit one is not budget-downgraded
  * opts.system       system prompt    (default: DEFAULT_SYSTEM)
  * opts.timeoutMs    kill timeout     (default: env CLAUDE_COMPOSE_TIMEOUT_MS || 120000)
+ * opts.artifact     { type, id } the ledger row is attributed to (default: cost_meter scope)
  */
 function claudeCompose(prompt, opts = {}) {
-  const model     = opts.claudeModel || process.env.CLAUDE_COMPOSE_MODEL || 'sonnet';
+  const tag       = opts.tag || 'compose';
+  const meter     = require('./cost_meter');
+  const artifact  = opts.artifact || meter.currentArtifact();
+  const budgets   = require('./cost_budget');
+  const budget    = budgets.check(tag);
+  if (budget.action === 'refuse') {
+    console.warn(`[${tag}] ${budget.reason} — not calling Claude`);
+    return Promise.reject(budgets.budgetError(budget, tag));
+  }
+  // A model the caller pinned (opts.claudeModel) is kept; only default-model
+  // calls are downgraded.
+  const pinned    = opts.claudeModel;
+  if (budget.action === 'downgrade') {
+    console.warn(`[${tag}] ${budget.reason} → ${pinned ? `keeping requested ${pinned}` : budget.model}`);
+  }
+  const model     = budget.action === 'downgrade' && !pinned ? budget.model
+                  : pinned || process.env.CLAUDE_COMPOSE_MODEL || 'sonnet';
   const system    = opts.system || DEFAULT_SYSTEM;
   const timeoutMs = opts.timeoutMs || Number(process.env.CLAUDE_COMPOSE_TIMEOUT_MS) || 120_000;
   const bin       = process.env.CLAUDE_BIN || 'claude';
@@ -145,7 +175,7 @@ function claudeCompose(prompt, opts = {}) {
       if (!text) return finish(reject, new Error('claude returned empty result'));
       try {
         const u = j.usage || {};
-        require('./cost_meter').record({ tag: opts.tag || 'compose', model, inTokens: u.input_tokens, outTokens: u.output_tokens, usd: j.total_cost_usd, promptChars: prompt.length, outChars: text.length });
+        meter.record({ tag, model, inTokens: u.input_tokens, outTokens: u.output_tokens, usd: j.total_cost_usd, promptChars: prompt.length, outChars: text.length, artifact });
       } catch {}
       finish(resolve, text);
     });
@@ -249,12 +279,13 @@ async function localCompose(prompt, opts = {}) {
   // modules (tweet.js, quote.js, thread.js, claims.js, stance_video.js, …) —
   // one override at the boundary instead of editing eight prompt files.
   if (!localTaglishAllowed()) full += ENGLISH_ONLY_OVERRIDE;
-  return generateLocal(full, {
+  // local_llm records its own ledger row; an explicit opts.artifact reaches it as a scope.
+  return require('./cost_meter').withArtifact(opts.artifact, () => generateLocal(full, {
     maxTokens,
     temperature: opts.temperature != null ? opts.temperature : 0.7,
     timeoutMs: timeoutMs || Number(process.env.LOCAL_LLM_COMPOSE_TIMEOUT_MS) || 120_000,
     tag,
-  });
+  }));
 }
 
 async function compose(prompt, opts = {}) {
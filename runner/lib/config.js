@@ -80,6 +80,7 @@ module.exports = {
   ORCHESTRATOR_LOG_PATH: path.join(RUNNER_DIR, 'orchestrator.log'),
   LOCKDIR: path.join(RUNNER_DIR, 'run.lock'),
   PIDFILE: path.join(RUNNER_DIR, 'run.pid'),
+  BUILDER_PIDFILE: path.join(RUNNER_DIR, 'builder_pipeline.pid'),
   PAUSE_FILE: path.join(RUNNER_DIR, 'PAUSE'),
   CLAIM_TRACKER_PATH: path.join(STATE_DIR, 'claim_tracker.json'),
   CLAIM_TRACKER_DELTA_PATH: path.join(STATE_DIR, 'claim_tracker_delta.json'),
@@ -89,6 +90,10 @@ module.exports = {
   PREDICTION_LOG_PATH: path.join(STATE_DIR, 'prediction_log.jsonl'),
   PREDICTION_EXPORT_PATH: path.join(STATE_DIR, 'prediction_export.json'),
   MIND_CHANGE_STATE_PATH: path.join(STATE_DIR, 'mind_change_state.json'),
+  X_CONTROL_PATH: path.join(STATE_DIR, 'x_control.json'),
+  // Per-method HelmStack engine health (tools/helmstack-social/src/health.js);
+  // run.sh exports HELMSTACK_HEALTH_PATH so the engines write here.
+  ENGINE_HEALTH_PATH: process.env.HELMSTACK_HEALTH_PATH || path.join(STATE_DIR, 'engine_health.json'),
 
   // External logs
   GATEWAY_ERR_LOG: path.join(
@@ -121,4 +126,8 @@ module.exports = {
   SANDBOX_MAX_OLD_SPACE_MB: 256,
   SANDBOX_REAP_MAX_AGE_MS:  3600000,
   SANDBOX_STDIO_MAX_BYTES:  1048576,
+  // Builder pipeline test runs (run_tests.js + proposal tests, V8 coverage)
+  SANDBOX_TEST_TIMEOUT_MS:           600000,
+  SANDBOX_TEST_MAX_OLD_SPACE_MB:     1024,
+  SANDBOX_TEST_STATE_MAX_FILE_BYTES: 20 * 1024 * 1024,  // larger state files (index.db) stay out of the snapshot
 };
@@ -0,0 +1,357 @@
+'use strict';
+/**
+ * runner/lib/coordination.js — coordinated-inauthentic-behaviour (CIB) detection
+ * over ingested posts.
+ *
+ * capture_detection.js asks whether our own evidence is concentrated; this asks
+ * whether the discourse we ingest is being manufactured. Mechanical, no LLM.
+ * Accounts are linked by four signals:
+ *
+ *   near_duplicate — different accounts posting near-identical text (word
+ *                    3-shingle Jaccard ≥ DUP_JACCARD, MinHash/LSH candidates)
+ *                    within DUP_WINDOW_MS of each other
+ *   fresh_burst    — ≥ BURST_MIN accounts first seen within FRESH_DAYS all
+ *                    hitting the same hashtag / URL / reply target inside
+ *                    BURST_WINDOW_MS. The scraper does not capture join dates,
+ *                    so "fresh" means new to our corpus (accounts.first_seen)
+ *                    unless a post carries account_created_at
+ *   hashtag_ring   — ≥ RING_MIN_ACCOUNTS accounts using the same set of ≥ 2
+ *                    hashtags within RING_WINDOW_MS
+ *   co_engagement  — account pairs that engaged with (replied to / linked) the
+ *                    same ≥ CO_MIN_TARGETS targets, each time within
+ *                    CO_WINDOW_MS of each other
+ *
+ * Links are merged into networks (connected components). A network of
+ * ≥ MIN_ACCOUNTS accounts is flagged when its score — 1 − Π(1 − KIND_WEIGHT ×
+ * min(1, links/2)) over the kinds present — reaches FLAG_SCORE, so one weak
+ * signal alone never flags anyone.
+ *
+ *   detect(posts, { now })      -> { networks, accounts, stats }
+ *   load(file)                  -> the ledger written by coordination_detect.js
+ *   lookup(ledger, username)    -> { network, score, factor } | null (stale ledgers → null)
+ *
+ * Consumer: apply_ontology_delta.js scales evidence from a flagged account by
+ * `factor` and counts a network at most once per axis per 24h.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const COORDINATION_PATH = process.env.COORDINATION_PATH || path.resolve(__dirname, '../../state/coordination_state.json');
+
+const MIN_TOKENS = 6;                 // shorter posts ("this", "lol") can't be near-duplicates
+const DUP_JACCARD = 0.7;
+const DUP_WINDOW_MS = 10 * 60_000;
+const FRESH_DAYS = 14;
+const BURST_MIN = 4;
+const BURST_WINDOW_MS = 10 * 60_000;
+const RING_MIN_ACCOUNTS = 3;
+const RING_WINDOW_MS = 6 * 3600_000;
+const CO_MIN_TARGETS = 3;
+const CO_WINDOW_MS = 30 * 60_000;
+const CO_MAX_ENGAGERS = 100;          // a target everyone replies to says nothing about coordination
+const MIN_ACCOUNTS = 3;
+const FLAG_SCORE = 0.45;
+const FACTOR_FLOOR = 0.2;
+const LEDGER_TTL_DAYS = 14;
+const MAX_EVIDENCE = 12;              // examples kept per network
+
+const KIND_WEIGHT = { near_duplicate: 0.5, fresh_burst: 0.4, hashtag_ring: 0.3, co_engagement: 0.35 };
+
+const DAY_MS = 86400_000;
+const MINHASH_K = 24;
+const LSH_BANDS = 6;                  // 6 bands × 4 rows: pairs at J≈0.7 collide with p≈0.9
+
+// ── Text similarity ───────────────────────────────────────────────────────────
+
+function tokens(text) {
+  return String(text || '').toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/[@#]\w+/g, ' ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/).filter(Boolean);
+}
+
+function shingles(toks) {
+  const out = new Set();
+  for (let i = 0; i + 3 <= toks.length; i++) out.add(toks.slice(i, i + 3).join(' '));
+  return out;
+}
+
+const SEEDS = Array.from({ length: MINHASH_K }, (_, i) => (Math.imul(i + 1, 0x9e3779b1) >>> 0));
+
+function hash32(str, seed) {
+  let h = seed ^ 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function minhash(set) {
+  const sig = new Array(MINHASH_K).fill(0xffffffff);
+  for (const s of set) {
+    for (let k = 0; k < MINHASH_K; k++) {
+      const h = hash32(s, SEEDS[k]);
+      if (h < sig[k]) sig[k] = h;
+    }
+  }
+  return sig;
+}
+
+function jaccard(a, b) {
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter || 1);
+}
+
+// ── Post normalization ────────────────────────────────────────────────────────
+
+function parseUrls(v) {
+  if (Array.isArray(v)) return v;
+  try { const arr = JSON.parse(v || '[]'); return Array.isArray(arr) ? arr : []; } catch { return []; }
+}
+
+function normalizePost(p) {
+  const username = String(p.username || '').replace(/^@/, '').toLowerCase();
+  const ts = Number(p.ts) || 0;
+  if (!username || !ts) return null;
+  const text = String(p.text || '');
+  return {
+    id: String(p.id || ''),
+    username,
+    ts,
+    text,
+    hashtags: [...new Set((text.match(/#[\p{L}\p{N}_]+/gu) || []).map(h => h.toLowerCase()))].sort(),
+    urls: parseUrls(p.external_urls).map(u => String(u).split(/[?#]/)[0].toLowerCase()).filter(Boolean),
+    parent_id: p.parent_id || null,
+    first_seen: Number(p.account_created_at ? Date.parse(p.account_created_at) : p.first_seen) || null,
+  };
+}
+
+// ── Signals (each returns links: { kind, accounts, evidence }) ────────────────
+
+function nearDuplicates(posts) {
+  const items = [];
+  for (const p of posts) {
+    const toks = tokens(p.text);
+    if (toks.length < MIN_TOKENS) continue;
+    const sh = shingles(toks);
+    items.push({ p, sh, sig: minhash(sh) });
+  }
+  const rows = MINHASH_K / LSH_BANDS;
+  const buckets = new Map();
+  items.forEach((it, i) => {
+    for (let b = 0; b < LSH_BANDS; b++) {
+      const key = `${b}:${it.sig.slice(b * rows, (b + 1) * rows).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  const checked = new Set();
+  const pairs = new Map(); // "a|b" → link
+  for (const idx of buckets.values()) {
+    if (idx.length < 2) continue;
+    idx.sort((x, y) => items[x].p.ts - items[y].p.ts);
+    for (let i = 0; i < idx.length; i++) {
+      for (let j = i + 1; j < idx.length; j++) {
+        const a = items[idx[i]], b = items[idx[j]];
+        if (b.p.ts - a.p.ts > DUP_WINDOW_MS) break;
+        if (a.p.username === b.p.username) continue;
+        const pk = idx[i] < idx[j] ? `${idx[i]}|${idx[j]}` : `${idx[j]}|${idx[i]}`;
+        if (checked.has(pk)) continue;
+        checked.add(pk);
+        const sim = jaccard(a.sh, b.sh);
+        if (sim < DUP_JACCARD) continue;
+        const accounts = [a.p.username, b.p.username].sort();
+        const key = accounts.join('|');
+        const link = pairs.get(key) || { kind: 'near_duplicate', accounts, evidence: [] };
+        link.evidence.push({
+          posts: [a.p.id, b.p.id], similarity: Math.round(sim * 100) / 100,
+          gap_s: Math.round((b.p.ts - a.p.ts) / 1000), text: a.p.text.slice(0, 140),
+        });
+        pairs.set(key, link);
+      }
+    }
+  }
+  return [...pairs.values()];
+}
+
+/** Engagement targets of a post: its hashtags, linked URLs and reply parent. */
+function targetsOf(p) {
+  return [
+    ...p.hashtags.map(h => `tag:${h}`),
+    ...p.urls.map(u => `url:${u}`),
+    ...(p.parent_id ? [`reply:${p.parent_id}`] : []),
+  ];
+}
+
+function byTarget(posts, filter = () => true) {
+  const map = new Map();
+  for (const p of posts) {
+    if (!filter(p)) continue;
+    for (const t of targetsOf(p)) {
+      if (!map.has(t)) map.set(t, []);
+      map.get(t).push(p);
+    }
+  }
+  for (const list of map.values()) list.sort((a, b) => a.ts - b.ts);
+  return map;
+}
+
+function freshBursts(posts) {
+  const isFresh = (p) => p.first_seen && p.ts - p.first_seen <= FRESH_DAYS * DAY_MS;
+  const links = [];
+  for (const [target, list] of byTarget(posts, isFresh)) {
+    let best = null;
+    for (let i = 0, j = 0; j < list.length; j++) {
+      while (list[j].ts - list[i].ts > BURST_WINDOW_MS) i++;
+      const accounts = new Set(list.slice(i, j + 1).map(p => p.username));
+      if (accounts.size >= BURST_MIN && (!best || accounts.size > best.accounts.size)) {
+        best = { accounts, from: list[i].ts, to: list[j].ts, posts: list.slice(i, j + 1).map(p => p.id) };
+      }
+    }
+    if (best) {
+      links.push({
+        kind: 'fresh_burst', accounts: [...best.accounts].sort(),
+        evidence: [{ target, at: new Date(best.from).toISOString(), span_s: Math.round((best.to - best.from) / 1000), posts: best.posts.slice(0, 10) }],
+      });
+    }
+  }
+  return links;
+}
+
+function hashtagRings(posts) {
+  const combos = new Map();
+  for (const p of posts) {
+    if (p.hashtags.length < 2) continue;
+    const key = p.hashtags.join(' ');
+    if (!combos.has(key)) combos.set(key, []);
+    combos.get(key).push(p);
+  }
+  const links = [];
+  for (const [combo, list] of combos) {
+    list.sort((a, b) => a.ts - b.ts);
+    let best = null;
+    for (let i = 0, j = 0; j < list.length; j++) {
+      while (list[j].ts - list[i].ts > RING_WINDOW_MS) i++;
+      const accounts = new Set(list.slice(i, j + 1).map(p => p.username));
+      if (accounts.size >= RING_MIN_ACCOUNTS && (!best || accounts.size > best.accounts.size)) {
+        best = { accounts, posts: list.slice(i, j + 1).map(p => p.id) };
+      }
+    }
+    if (best) links.push({ kind: 'hashtag_ring', accounts: [...best.accounts].sort(), evidence: [{ combo, posts: best.posts.slice(0, 10) }] });
+  }
+  return links;
+}
+
+function coEngagement(posts) {
+  const shared = new Map(); // "a|b" → Set(targets)
+  for (const [target, list] of byTarget(posts, p => p.urls.length || p.parent_id)) {
+    if (target.startsWith('tag:')) continue; // hashtags are the ring signal
+    const first = new Map();
+    for (const p of list) if (!first.has(p.username)) first.set(p.username, p.ts);
+    if (first.size < 2 || first.size > CO_MAX_ENGAGERS) continue;
+    const engagers = [...first.entries()].sort((a, b) => a[1] - b[1]);
+    for (let i = 0; i < engagers.length; i++) {
+      for (let j = i + 1; j < engagers.length && engagers[j][1] - engagers[i][1] <= CO_WINDOW_MS; j++) {
+        const key = [engagers[i][0], engagers[j][0]].sort().join('|');
+        if (!shared.has(key)) shared.set(key, new Set());
+        shared.get(key).add(target);
+      }
+    }
+  }
+  const links = [];
+  for (const [key, targets] of shared) {
+    if (targets.size < CO_MIN_TARGETS) continue;
+    links.push({ kind: 'co_engagement', accounts: key.split('|'), evidence: [{ targets: [...targets].slice(0, 10), shared: targets.size }] });
+  }
+  return links;
+}
+
+// ── Networks ──────────────────────────────────────────────────────────────────
+
+function scoreKinds(kinds) {
+  let miss = 1;
+  for (const [kind, n] of Object.entries(kinds)) miss *= 1 - (KIND_WEIGHT[kind] || 0) * Math.min(1, n / 2);
+  return Math.round((1 - miss) * 1000) / 1000;
+}
+
+/**
+ * Run every signal over `posts` (scraper rows or posts_archive rows) and merge
+ * the links into flagged networks.
+ */
+function detect(rawPosts, { now = Date.now() } = {}) {
+  const posts = rawPosts.map(normalizePost).filter(Boolean).sort((a, b) => a.ts - b.ts);
+  const links = [...nearDuplicates(posts), ...freshBursts(posts), ...hashtagRings(posts), ...coEngagement(posts)];
+
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) { parent.set(x, parent.get(parent.get(x))); x = parent.get(x); }
+    return x;
+  };
+  for (const l of links) for (const a of l.accounts.slice(1)) parent.set(find(a), find(l.accounts[0]));
+
+  const groups = new Map();
+  for (const l of links) {
+    const root = find(l.accounts[0]);
+    if (!groups.has(root)) groups.set(root, { accounts: new Set(), links: [] });
+    const g = groups.get(root);
+    l.accounts.forEach(a => g.accounts.add(a));
+    g.links.push(l);
+  }
+
+  const postTs = new Map(posts.map(p => [p.id, p.ts]));
+  const networks = [];
+  for (const g of groups.values()) {
+    if (g.accounts.size < MIN_ACCOUNTS) continue;
+    const kinds = {};
+    for (const l of g.links) kinds[l.kind] = (kinds[l.kind] || 0) + 1;
+    const score = scoreKinds(kinds);
+    if (score < FLAG_SCORE) continue;
+    const accounts = [...g.accounts].sort();
+    const times = g.links.flatMap(l => l.evidence.flatMap(e => e.posts || [])).map(id => postTs.get(id)).filter(Boolean);
+    networks.push({
+      id: `cib_${crypto.createHash('md5').update(accounts.join(',')).digest('hex').slice(0, 10)}`,
+      score,
+      accounts,
+      kinds,
+      first_at: times.length ? new Date(Math.min(...times)).toISOString() : null,
+      last_at: times.length ? new Date(Math.max(...times)).toISOString() : null,
+      evidence: g.links.slice(0, MAX_EVIDENCE).map(l => ({ kind: l.kind, accounts: l.accounts.slice(0, 10), ...l.evidence[0] })),
+    });
+  }
+  networks.sort((a, b) => b.score - a.score || b.accounts.length - a.accounts.length);
+
+  const accounts = {};
+  for (const n of networks) for (const a of n.accounts) accounts[a] = { network: n.id, score: n.score };
+  return {
+    checked_at: new Date(now).toISOString(),
+    networks,
+    accounts,
+    stats: {
+      posts: posts.length,
+      accounts: new Set(posts.map(p => p.username)).size,
+      links: links.reduce((acc, l) => { acc[l.kind] = (acc[l.kind] || 0) + 1; return acc; }, {}),
+    },
+  };
+}
+
+function load(file = COORDINATION_PATH) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return { networks: [], accounts: {} }; }
+}
+
+/** A flagged account's network and evidence weight factor, or null. */
+function lookup(ledger, username, { now = Date.now() } = {}) {
+  if (!ledger || !ledger.accounts || !username) return null;
+  if (ledger.checked_at && now - Date.parse(ledger.checked_at) > LEDGER_TTL_DAYS * DAY_MS) return null;
+  const hit = ledger.accounts[String(username).replace(/^@/, '').toLowerCase()];
+  if (!hit) return null;
+  return { network: hit.network, score: hit.score, factor: Math.round(Math.max(FACTOR_FLOOR, 1 - hit.score) * 1000) / 1000 };
+}
+
+module.exports = { detect, load, lookup, tokens, jaccard, COORDINATION_PATH, KIND_WEIGHT, FLAG_SCORE };
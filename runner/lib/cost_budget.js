@@ -0,0 +1,185 @@
+'use strict';
+/**
+ * runner/lib/cost_budget.js — LLM spend BUDGETS, enforced.
+ *
+ * lib/cost_meter records every call and rolls the spend up, but nothing ever
+ * read the total back before spending more — one X mention could fan a deep
+ * research tree out into dozens of Claude calls with no ceiling. This reads the
+ * same ledger and turns daily/monthly caps from state/cost_config.json
+ * `budgets_usd` into a decision claudeCompose() makes BEFORE each call:
+ *
+ *   budgets_usd: {
+ *     downgrade_model: "haiku",
+ *     non_critical: { "ponder": "downgrade", "x_amplify_*": "refuse", … },
+ *     groups: {
+ *       total:         { daily: 5, monthly: 100 },                 // no match = every tag
+ *       deep_research: { match: ["dr-*"], daily: 2, monthly: 30, hard: true },
+ *       …
+ *     }
+ *   }
+ *
+ * A group's `match` lists ledger tags; `*` is a wildcard ("dr-*", "*:factcheck").
+ * Periods are UTC calendar days/months, the same clock as the ledger's `ts`.
+ * Once any group a call's tag belongs to is exhausted:
+ *   - `hard: true` group   → every call in it is REFUSED
+ *   - non-critical tag     → its `non_critical` action: 'downgrade' (run on
+ *                            downgrade_model, unless the caller pinned
+ *                            opts.claudeModel) or 'refuse'
+ *   - anything else        → allowed (posting prose and the fact-check gate are
+ *                            critical: a blown budget must not ship unchecked text)
+ *
+ *   check(tag) -> { action: 'allow'|'downgrade'|'refuse', model?, group?, reason? }
+ *   budgetError(decision, tag) -> Error with code 'BUDGET_EXCEEDED'
+ *   status({ at }) -> [{ group, period, cap, spent, pct }]
+ *   evaluate({ budgets, entries, tag, at })  // pure core of check(), for tests
+ *
+ * ALERTS: check() sends one Telegram alert per group × period × level when
+ * spend crosses 80% and again at 100%; state/cost_budget_alerts.json remembers
+ * what was sent so each fires once per day/month.
+ *
+ * No budgets_usd in the config = no caps (check() always allows). check() never
+ * throws — a budgeting error allows the call rather than breaking a cycle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const meter = require('./cost_meter');
+
+const CONFIG = process.env.COST_CONFIG_PATH || path.join(config.STATE_DIR, 'cost_config.json');
+const ALERTS = path.join(config.STATE_DIR, 'cost_budget_alerts.json');
+const ALERT_LEVELS = [80, 100];
+const PERIODS = { daily: 10, monthly: 7 }; // ISO-timestamp prefix length of each period
+
+function loadBudgets() {
+  try { return JSON.parse(fs.readFileSync(CONFIG, 'utf-8')).budgets_usd || null; } catch { return null; }
+}
+
+const globRe = (pat) => new RegExp(`^${String(pat).split('*').map((s) => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+const matches = (patterns, tag) => patterns.some((p) => globRe(p).test(tag));
+const inGroup = (group, tag) => !group.match || matches([].concat(group.match), tag);
+
+function nonCriticalAction(budgets, tag) {
+  for (const [pat, action] of Object.entries(budgets.non_critical || {})) {
+    if (!pat.startsWith('_') && globRe(pat).test(tag)) return action === 'refuse' ? 'refuse' : 'downgrade';
+  }
+  return null;
+}
+
+/** Spend per group × period as of `at`, over the groups `tag` belongs to (all groups when tag is null). */
+function spendFor(budgets, entries, tag, at) {
+  const now = new Date(at).toISOString();
+  const out = [];
+  for (const [name, group] of Object.entries(budgets.groups || {})) {
+    if (name.startsWith('_') || !group || (tag != null && !inGroup(group, tag))) continue;
+    for (const [period, len] of Object.entries(PERIODS)) {
+      const cap = group[period];
+      if (typeof cap !== 'number') continue;
+      const key = now.slice(0, len);
+      const spent = entries
+        .filter((e) => e.ts && e.ts.slice(0, len) === key && inGroup(group, e.tag || ''))
+        .reduce((s, e) => s + (e.usd || 0), 0);
+      out.push({
+        group: name, period, key, cap, hard: !!group.hard,
+        spent: Number(spent.toFixed(4)), pct: cap > 0 ? Math.round((spent / cap) * 100) : 100,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Pure decision for one call. `entries` are ledger lines ({ts, tag, usd}).
+ * Returns the check() shape plus `lines` (every group × period the tag counts
+ * against) so the caller can alert.
+ */
+function evaluate({ budgets, entries, tag, at = Date.now() }) {
+  if (!budgets || !budgets.groups) return { action: 'allow', lines: [] };
+  const lines = spendFor(budgets, entries, tag, at);
+  const over = lines.filter((l) => l.spent >= l.cap);
+  if (!over.length) return { action: 'allow', lines };
+  const why = (l) => `${l.group} ${l.period} budget exhausted ($${l.spent.toFixed(2)} of $${l.cap})`;
+  const hard = over.find((l) => l.hard);
+  if (hard) return { action: 'refuse', group: hard.group, reason: why(hard), lines };
+  const nc = nonCriticalAction(budgets, tag);
+  if (nc === 'refuse') return { action: 'refuse', group: over[0].group, reason: `${why(over[0])} — non-critical call refused`, lines };
+  if (nc === 'downgrade') {
+    return { action: 'downgrade', model: budgets.downgrade_model || 'haiku', group: over[0].group, reason: `${why(over[0])} — non-critical call downgraded`, lines };
+  }
+  return { action: 'allow', group: over[0].group, reason: `${why(over[0])} — critical call allowed`, lines };
+}
+
+// The ledger is re-read only when it changes; a compose-heavy cycle checks
+// before every call.
+let _cache = { sig: null, entries: [] };
+function monthEntries(at) {
+  const since = new Date(at).toISOString().slice(0, PERIODS.monthly);
+  let sig = null;
+  try { const st = fs.statSync(meter.LEDGER); sig = `${st.size}:${st.mtimeMs}:${since}`; } catch { return []; }
+  if (sig !== _cache.sig) _cache = { sig, entries: meter.entries({ since }) };
+  return _cache.entries;
+}
+
+function loadAlerts() { try { return JSON.parse(fs.readFileSync(ALERTS, 'utf-8')); } catch { return {}; } }
+
+/** Send the 80% / 100% alerts `lines` newly cross. Best-effort. */
+function alertCrossings(lines) {
+  const due = [];
+  const sent = loadAlerts();
+  for (const l of lines) {
+    const level = [...ALERT_LEVELS].reverse().find((lv) => l.pct >= lv);
+    if (!level) continue;
+    const id = `${l.group}:${l.period}:${l.key}`;
+    if ((sent[id] || 0) >= level) continue;
+    sent[id] = level;
+    due.push({ ...l, level });
+  }
+  if (!due.length) return;
+  // Only this month's keys can still matter.
+  const month = due[0].key.slice(0, PERIODS.monthly);
+  for (const id of Object.keys(sent)) if (id.split(':').pop().slice(0, PERIODS.monthly) !== month) delete sent[id];
+  try { fs.writeFileSync(ALERTS, JSON.stringify(sent, null, 2)); } catch {}
+  const { sendTelegram } = require('./notify');
+  for (const d of due) {
+    const icon = d.level >= 100 ? '🔴' : '🟠';
+    const then = d.level >= 100
+      ? (d.hard ? 'Every call in this group is now refused.' : 'Non-critical calls are now downgraded or refused.')
+      : 'Nothing is blocked yet.';
+    sendTelegram(
+      `<b>${icon} LLM BUDGET ${d.level}%</b>\n` +
+      `<b>${d.group}</b> ${d.period}: $${d.spent.toFixed(2)} of $${d.cap} (${d.pct}%, ${d.key}).\n${then}\n` +
+      '<i>Caps: state/cost_config.json → budgets_usd</i>'
+    );
+  }
+}
+
+/** Decide whether a Claude call tagged `tag` may run now. Never throws. */
+function check(tag = 'unknown', { at = Date.now() } = {}) {
+  try {
+    const budgets = loadBudgets();
+    if (!budgets) return { action: 'allow' };
+    const d = evaluate({ budgets, entries: monthEntries(at), tag, at });
+    try { alertCrossings(d.lines); } catch {}
+    delete d.lines;
+    return d;
+  } catch {
+    return { action: 'allow' };
+  }
+}
+
+/** The error a refused call surfaces — `code` lets callers tell it from a model failure. */
+function budgetError(decision, tag) {
+  const err = new Error(`cost budget: ${tag} refused — ${decision.reason || 'budget exhausted'}`);
+  err.code = 'BUDGET_EXCEEDED';
+  err.group = decision.group || null;
+  return err;
+}
+
+/** Every capped group × period with its current spend (Telegram / dashboards). */
+function status({ at = Date.now() } = {}) {
+  const budgets = loadBudgets();
+  if (!budgets || !budgets.groups) return [];
+  return spendFor(budgets, monthEntries(at), null, at).map(({ group, period, cap, spent, pct, hard }) => ({ group, period, cap, spent, pct, hard }));
+}
+
+module.exports = { check, budgetError, status, evaluate };
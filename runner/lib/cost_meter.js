@@ -9,8 +9,23 @@
  * prices in state/cost_config.json; when a caller doesn't know token counts it
  * approximates from text length (~4 chars/token).
  *
- *   record({ tag, model, inTokens?, outTokens?, promptChars?, outChars? })
- *   rollup({ days = 30 }) -> { usd, calls, dailyAvgUsd, byModel, byTag, since }
+ *   record({ tag, model, inTokens?, outTokens?, promptChars?, outChars?, artifact? })
+ *   rollup({ days = 30 }) -> { usd, calls, dailyAvgUsd, byModel, byTag, byArtifact, since }
+ *   entries({ since }) -> [{ ts, tag, model, inTok, outTok, usd, artifact?, artifact_id?, cycle? }]
+ *   artifactCost(type, id) -> { usd, calls, byTag, first, last } | null
+ *
+ * ARTIFACTS: tags say which stage spent the money, not what it was spent ON.
+ * A ledger row also carries the output it worked toward — `artifact` (journal,
+ * article, report, reply, post, thread) + `artifact_id` (journal id, article
+ * date, research id, replied-to post id, outbox id) — and the orchestrator's
+ * `cycle` (env CYCLE_NUMBER). Callers don't pass it call by call: they run the
+ * work inside withArtifact({ type, id }, fn) (AsyncLocalStorage — follows the
+ * awaits, so concurrent jobs in one process don't mix), or a one-artifact
+ * script calls setArtifact() once. An explicit `artifact` on record() — or
+ * opts.artifact on compose()/reason()/composeJSON() — wins over both.
+ *
+ * Budgets (caps that actually stop calls) are lib/cost_budget, which reads
+ * this ledger through entries().
  *
  * DESIGN: record() must NEVER throw into an LLM caller — every call is wrapped by
  * the LLM wrappers in a try/catch, and record() itself swallows its own errors.
@@ -18,6 +33,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require('./config');
 
 const LEDGER = process.env.COST_LEDGER_PATH || path.join(config.STATE_DIR, 'cost_ledger.jsonl');
@@ -49,44 +65,98 @@ function normalizeModel(model) {
 
 const estTokens = (chars) => Math.max(0, Math.round((Number(chars) || 0) / 4));
 
+const _artifactScope = new AsyncLocalStorage();
+let _processArtifact = null;
+
+const artifactRef = (a) => (a && a.type ? { type: String(a.type), id: a.id != null ? String(a.id) : null } : null);
+
+/** Run `fn` with every LLM call inside it attributed to artifact {type, id}. Returns fn's result. */
+function withArtifact(ref, fn) {
+  const r = artifactRef(ref);
+  return r ? _artifactScope.run(r, fn) : fn();
+}
+
+/** Attribute every later call in this process (outside a withArtifact scope) — for one-artifact scripts. */
+function setArtifact(ref) { _processArtifact = artifactRef(ref); }
+
+/** The artifact a call made right now would be attributed to, or null. */
+function currentArtifact() { return _artifactScope.getStore() || _processArtifact; }
+
 /**
  * Record one LLM call. Never throws. If `usd` is supplied (e.g. Claude Code's
  * reported total_cost_usd) it is used verbatim; otherwise cost is estimated from
  * tokens × the configured per-model price.
  */
-function record({ tag = 'unknown', model = 'local', inTokens, outTokens, promptChars, outChars, usd } = {}) {
+function record({ tag = 'unknown', model = 'local', inTokens, outTokens, promptChars, outChars, usd, artifact } = {}) {
   try {
     const key = normalizeModel(model);
     const inTok = inTokens != null ? inTokens : estTokens(promptChars);
     const outTok = outTokens != null ? outTokens : estTokens(outChars);
     const r = rateFor(key);
     if (usd == null) usd = (inTok / 1000) * (r.in || 0) + (outTok / 1000) * (r.out || 0);
+    const a = artifactRef(artifact) || currentArtifact();
+    const cycle = Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null;
     fs.appendFileSync(LEDGER, JSON.stringify({
       ts: new Date().toISOString(), tag, model: key, inTok, outTok, usd: Number(usd.toFixed(6)),
+      ...(a ? { artifact: a.type, artifact_id: a.id } : {}),
+      ...(cycle ? { cycle } : {}),
     }) + '\n');
   } catch { /* metering must never break a caller */ }
 }
 
-/** Aggregate the last `days` of the ledger. Never throws. */
-function rollup({ days = 30 } = {}) {
-  const since = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
-  const out = { usd: 0, calls: 0, inTok: 0, outTok: 0, byModel: {}, byTag: {}, since, days };
+/** Parsed ledger lines with ts >= `since` (ISO string or prefix). Never throws. */
+function entries({ since = '' } = {}) {
   let lines = [];
-  try { lines = fs.readFileSync(LEDGER, 'utf-8').split('\n').filter(Boolean); } catch { return { ...out, dailyAvgUsd: 0 }; }
+  try { lines = fs.readFileSync(LEDGER, 'utf-8').split('\n').filter(Boolean); } catch { return []; }
+  const out = [];
   for (const line of lines) {
     let e; try { e = JSON.parse(line); } catch { continue; }
-    if (!e.ts || e.ts < since) continue;
+    if (e.ts && e.ts >= since) out.push(e);
+  }
+  return out;
+}
+
+/** Aggregate the last `days` of the ledger. Never throws. */
+function rollup({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+  const out = { usd: 0, calls: 0, inTok: 0, outTok: 0, byModel: {}, byTag: {}, byArtifact: {}, since, days };
+  const ids = {};
+  for (const e of entries({ since })) {
     out.usd += e.usd || 0; out.calls += 1; out.inTok += e.inTok || 0; out.outTok += e.outTok || 0;
     (out.byModel[e.model] = out.byModel[e.model] || { calls: 0, usd: 0 }).calls += 1;
     out.byModel[e.model].usd += e.usd || 0;
     (out.byTag[e.tag] = out.byTag[e.tag] || { calls: 0, usd: 0 }).calls += 1;
     out.byTag[e.tag].usd += e.usd || 0;
+    if (!e.artifact) continue;
+    (out.byArtifact[e.artifact] = out.byArtifact[e.artifact] || { calls: 0, usd: 0 }).calls += 1;
+    out.byArtifact[e.artifact].usd += e.usd || 0;
+    if (e.artifact_id) (ids[e.artifact] = ids[e.artifact] || new Set()).add(e.artifact_id);
+  }
+  // Per type: how many distinct outputs, and the mean cost of one. Rows with a
+  // type but no id still count toward usd — avgUsd is then slightly high, never low.
+  for (const [type, a] of Object.entries(out.byArtifact)) {
+    a.artifacts = ids[type] ? ids[type].size : 0;
+    a.avgUsd = a.artifacts ? Number((a.usd / a.artifacts).toFixed(4)) : null;
   }
   out.usd = Number(out.usd.toFixed(4));
   out.dailyAvgUsd = Number((out.usd / days).toFixed(4));
   return out;
 }
 
+/** Everything the ledger holds for one artifact (e.g. 'report', 'dr-m1x2…'), or null if nothing. Never throws. */
+function artifactCost(type, id) {
+  const rows = entries().filter((e) => e.artifact === type && e.artifact_id === String(id));
+  if (!rows.length) return null;
+  const out = { type, id: String(id), usd: 0, calls: rows.length, byTag: {}, first: rows[0].ts, last: rows[rows.length - 1].ts };
+  for (const e of rows) {
+    out.usd += e.usd || 0;
+    (out.byTag[e.tag] = out.byTag[e.tag] || { calls: 0, usd: 0 }).calls += 1;
+    out.byTag[e.tag].usd += e.usd || 0;
+  }
+  out.usd = Number(out.usd.toFixed(4));
+  return out;
+}
+
 /** Drop ledger lines older than `keepDays` to bound file size. Returns kept count. */
 function prune({ keepDays = 90 } = {}) {
   const cutoff = new Date(Date.now() - keepDays * 24 * 3600 * 1000).toISOString();
@@ -98,4 +168,7 @@ function prune({ keepDays = 90 } = {}) {
   } catch { return 0; }
 }
 
-module.exports = { record, rollup, prune, normalizeModel };
+module.exports = {
+  record, rollup, entries, artifactCost, prune, normalizeModel,
+  withArtifact, setArtifact, currentArtifact, LEDGER,
+};
@@ -0,0 +1,113 @@
+'use strict';
+/**
+ * runner/lib/coverage_diff.js — which changed lines did the tests actually run?
+ *
+ * The builder pipeline (builder_pipeline.js) runs the test suite inside the
+ * sandbox with NODE_V8_COVERAGE. This module lines that coverage up against
+ * the lines a META proposal changed. A changed line counts as covered when the
+ * innermost V8 block range holding its first non-blank character ran at least
+ * once in any test process. Blank and comment-only lines are not counted.
+ *
+ * A changed module with executable changed lines and none of them covered is
+ * "uncovered". The pipeline refuses to auto-merge a proposal with any.
+ *
+ *   changedLines(diffText)                   -> { relPath: [line, …] } from `git diff -U0`
+ *   coveredLines(source, processes)          -> Set of 1-based lines that ran
+ *   diff({ changed, coverage, readSource })  -> { files, uncovered }
+ *   format(report)                           -> short text for logs and proposal history
+ */
+
+const CODE_FILE = /\.(c|m)?js$/;
+const TEST_FILE = /(^|\/)tests?\//;
+
+/** Added/modified line numbers per file from a unified diff (`git diff -U0`). */
+function changedLines(diffText) {
+  const out = {};
+  let file = null;
+  for (const line of String(diffText || '').split('\n')) {
+    if (line.startsWith('+++ ')) {
+      const target = line.slice(4).trim();
+      file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+      if (file) out[file] = out[file] || [];
+      continue;
+    }
+    const hunk = file && line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+    if (!hunk) continue;
+    const first = Number(hunk[1]);
+    const count = hunk[2] === undefined ? 1 : Number(hunk[2]);
+    for (let n = first; n < first + count; n++) out[file].push(n);
+  }
+  return out;
+}
+
+function isExecutable(text) {
+  const t = text.trim();
+  return t !== '' && !t.startsWith('//') && !t.startsWith('/*') && !t.startsWith('*') && !/^[)}\]]+[;,]?$/.test(t);
+}
+
+/**
+ * Lines of `source` that ran. `processes` holds one V8 `functions` list per
+ * process that loaded the file; a line ran if it ran in any of them.
+ */
+function coveredLines(source, processes) {
+  const lines = String(source).split('\n');
+  const starts = [];
+  let offset = 0;
+  for (const l of lines) { starts.push(offset); offset += l.length + 1; }
+
+  const covered = new Set();
+  for (const functions of processes || []) {
+    const ranges = [];
+    for (const fn of functions || []) for (const r of fn.ranges || []) ranges.push(r);
+    if (!ranges.length) continue;
+    for (let i = 0; i < lines.length; i++) {
+      if (covered.has(i + 1)) continue;
+      const indent = lines[i].search(/\S/);
+      if (indent < 0) continue;
+      const at = starts[i] + indent;
+      let inner = null;
+      for (const r of ranges) {
+        if (r.startOffset <= at && at < r.endOffset &&
+            (!inner || r.endOffset - r.startOffset < inner.endOffset - inner.startOffset)) inner = r;
+      }
+      if (inner && inner.count > 0) covered.add(i + 1);
+    }
+  }
+  return covered;
+}
+
+/**
+ * Per changed code file: executable changed lines and how many ran. Test
+ * files and non-JS files are ignored. `readSource(relPath)` returns the file's
+ * current text (null if gone).
+ */
+function diff({ changed, coverage, readSource }) {
+  const files = [];
+  for (const [rel, nums] of Object.entries(changed || {})) {
+    if (!CODE_FILE.test(rel) || TEST_FILE.test(rel)) continue;
+    const source = readSource(rel);
+    if (source == null) continue;
+    const lines = source.split('\n');
+    const executable = nums.filter(n => n >= 1 && n <= lines.length && isExecutable(lines[n - 1]));
+    if (!executable.length) continue;
+    const ran = coveredLines(source, (coverage || {})[rel]);
+    const covered = executable.filter(n => ran.has(n));
+    files.push({
+      path: rel,
+      loaded: Boolean((coverage || {})[rel]),
+      changed: executable.length,
+      covered: covered.length,
+      uncovered_lines: executable.filter(n => !ran.has(n)).slice(0, 20),
+    });
+  }
+  return { files, uncovered: files.filter(f => f.covered === 0).map(f => f.path) };
+}
+
+function format(report) {
+  if (!report.files.length) return 'no changed code lines';
+  return report.files.map(f =>
+    `${f.path}: ${f.covered}/${f.changed} changed lines covered${f.loaded ? '' : ' (never loaded by a test)'}`
+  ).join('; ');
+}
+
+module.exports = { changedLines, coveredLines, diff, format };
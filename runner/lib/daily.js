@@ -83,19 +83,28 @@ function reports() {
   // Daily ontology snapshot (lightweight — always runs first)
   runScript('daily_snapshot.js');
 
-  // Intelligence pipeline: backfill source credibility → generate conflict claims → export
+  // Landmark clusters that keep recurring → draft intelligence topics, queued
+  // for /topic approve (approved ones are picked up by the loop below)
+  runScript('landmark/topic_discovery.js');
+
+  // Intelligence pipeline: backfill source credibility → generate conflict claims
+  // (one run per topic, so a slow topic can't starve the rest) → export all topics
   try {
     const backfillScript = path.join(config.RUNNER_DIR, 'intelligence', 'backfill_behavior.js');
     execSync(`node "${backfillScript}" >> "${config.RUNNER_LOG_PATH}" 2>&1`, {
       shell: true, stdio: 'ignore', timeout: 60000,
     });
   } catch {}
-  try {
-    const generateScript = path.join(config.RUNNER_DIR, 'intelligence', 'generate_conflict_claims.js');
-    execSync(`node "${generateScript}" >> "${config.RUNNER_LOG_PATH}" 2>&1`, {
-      shell: true, stdio: 'ignore', timeout: 300000,
-    });
-  } catch {}
+  const generateScript = path.join(config.RUNNER_DIR, 'intelligence', 'generate_conflict_claims.js');
+  let topicIds = [];
+  try { topicIds = require('../intelligence/topics').ids(); } catch {}
+  for (const topicId of topicIds) {
+    try {
+      execSync(`node "${generateScript}" --topic "${topicId}" >> "${config.RUNNER_LOG_PATH}" 2>&1`, {
+        shell: true, stdio: 'ignore', timeout: 300000,
+      });
+    } catch {}
+  }
   try {
     const exportScript = path.join(config.RUNNER_DIR, 'intelligence', 'export.js');
     execSync(`node "${exportScript}" >> "${config.RUNNER_LOG_PATH}" 2>&1`, {
@@ -111,12 +120,20 @@ function reports() {
     });
   } catch {}
 
+  // Narrative arcs — threat → solution → skepticism sequences per topic
+  // (cited by the daily report and write_article.js)
+  runScript('narrative_arc_detect.js');
+
   // Daily belief report
   runScript('generate_daily_report.js');
 
   // Capture detection — "am I being captured by one source/cluster?"
   runScript('capture_detection.js');
 
+  // Coordination detection — astroturf networks in the ingested posts
+  // (apply_ontology_delta.js downweights evidence from flagged accounts)
+  runScript('coordination_detect.js');
+
   // Posts quality assessment (LLM-assisted)
   runScript('posts_assessment.js');
 
@@ -0,0 +1,212 @@
+'use strict';
+/**
+ * runner/lib/meta_canary.js — canary window after a META merge.
+ *
+ * builder_pipeline.js merges a proposal once its tests pass, but tests don't
+ * see live behaviour. For CANARY_CYCLES orchestrator cycles after the merge,
+ * this compares per-cycle health with the BASELINE_CYCLES before it. The
+ * data is the structured lines the orchestrator appends to orchestrator.log.
+ * If any metric regresses past its threshold, meta_canary.js reverts the
+ * merge commit:
+ *
+ *   agent_failure_rate  share of agent-running cycles where every agent run failed
+ *   post_failure_rate   failed posts / attempted posts
+ *   empty_digest_rate   share of BROWSE cycles where feed_digest.txt did not grow
+ *   cost_per_cycle      mean USD the cost ledger attributes to the cycle
+ *
+ * A rate regresses when it rises by at least its `delta` and reaches its
+ * `floor`. Cost regresses when it rises COST_RATIO× and by at least
+ * MIN_COST_DELTA_USD. A metric with fewer than MIN_SAMPLES cycles on either
+ * side is not judged, so a quiet window cannot trigger a revert.
+ *
+ * meta_watchdog.js still handles the acute case (consecutive all-fail BROWSE
+ * cycles). A canary closes without acting if its merge is already marked
+ * reverted in proposal_history.json or the watchdog reverted a commit since.
+ *
+ *   metrics(entries)                 -> { cycles, agent_failure_rate, … , samples }
+ *   compare(baseline, canary)        -> [{ metric, baseline, canary, reason }]
+ *   start({ proposal, mergeCommit }) -> active canary (baseline from orchestrator.log)
+ *   check({ now })                   -> { status: 'idle'|'watching'|'passed'|'regressed'|'already_reverted', … }
+ *   close(status, extra)             -> closed canary ('reverted' | 'revert_failed' after a regression)
+ *   load() / isActive()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const CANARY_PATH = process.env.META_CANARY_PATH || path.join(config.STATE_DIR, 'meta_canary.json');
+const LOG_PATH = process.env.META_CANARY_LOG_PATH || config.ORCHESTRATOR_LOG_PATH;
+const WATCHDOG_STATE_PATH = path.join(config.STATE_DIR, 'meta_watchdog_state.json');
+
+const BASELINE_CYCLES = 24;           // ~12h at the default 30-min interval
+const CANARY_CYCLES = 12;
+const MIN_SAMPLES = 3;
+const RATE_RULES = {
+  agent_failure_rate: { delta: 0.25, floor: 0.4 },
+  post_failure_rate:  { delta: 0.3,  floor: 0.5 },
+  empty_digest_rate:  { delta: 0.3,  floor: 0.5 },
+};
+const COST_RATIO = 1.5;
+const MIN_COST_DELTA_USD = 0.05;
+const HISTORY_KEEP = 20;
+
+/** Structured cycle lines from orchestrator.log (plain log lines are skipped). */
+function readCycles(file = LOG_PATH) {
+  let text = '';
+  try { text = fs.readFileSync(file, 'utf-8'); } catch { return []; }
+  const out = [];
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('{')) continue;
+    try {
+      const e = JSON.parse(line);
+      if (e.ts && e.cycle != null && e.type) out.push(e);
+    } catch {}
+  }
+  return out;
+}
+
+function rate(hits, n) {
+  return n ? +(hits / n).toFixed(3) : null;
+}
+
+function metrics(entries) {
+  const agent = entries.filter(e => Array.isArray(e.agentExitCodes) && e.agentExitCodes.length > 0);
+  const posts = entries.filter(e => e.postAttempted);
+  const digest = entries.filter(e => e.type === 'BROWSE' && typeof e.digestGrowthBytes === 'number');
+  const cost = entries.filter(e => typeof e.costUsd === 'number');
+  return {
+    cycles: entries.length,
+    agent_failure_rate: rate(agent.filter(e => e.agentExitCodes.every(c => c !== 0)).length, agent.length),
+    post_failure_rate: rate(posts.filter(e => e.postSuccess === false).length, posts.length),
+    empty_digest_rate: rate(digest.filter(e => e.digestGrowthBytes <= 0).length, digest.length),
+    cost_per_cycle: cost.length ? +(cost.reduce((s, e) => s + e.costUsd, 0) / cost.length).toFixed(4) : null,
+    samples: {
+      agent_failure_rate: agent.length,
+      post_failure_rate: posts.length,
+      empty_digest_rate: digest.length,
+      cost_per_cycle: cost.length,
+    },
+  };
+}
+
+/** Metrics that regressed from `baseline` to `canary` (both from metrics()). */
+function compare(baseline, canary) {
+  const out = [];
+  const judged = m => baseline[m] != null && canary[m] != null &&
+    baseline.samples[m] >= MIN_SAMPLES && canary.samples[m] >= MIN_SAMPLES;
+
+  for (const [m, rule] of Object.entries(RATE_RULES)) {
+    if (!judged(m)) continue;
+    if (canary[m] - baseline[m] >= rule.delta && canary[m] >= rule.floor) {
+      out.push({ metric: m, baseline: baseline[m], canary: canary[m],
+        reason: `${m} ${baseline[m]} → ${canary[m]} (+${(canary[m] - baseline[m]).toFixed(2)}, threshold +${rule.delta} and ≥ ${rule.floor})` });
+    }
+  }
+  const c = 'cost_per_cycle';
+  if (judged(c) && canary[c] >= baseline[c] * COST_RATIO && canary[c] - baseline[c] >= MIN_COST_DELTA_USD) {
+    out.push({ metric: c, baseline: baseline[c], canary: canary[c],
+      reason: `${c} $${baseline[c]} → $${canary[c]} (≥ ${COST_RATIO}× and +$${MIN_COST_DELTA_USD})` });
+  }
+  return out;
+}
+
+function load(file = CANARY_PATH) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return { active: null, history: [] }; }
+}
+
+function save(state, file = CANARY_PATH) {
+  fs.writeFileSync(file, JSON.stringify(state, null, 2));
+}
+
+function isActive(file = CANARY_PATH) {
+  return Boolean(load(file).active);
+}
+
+/** Open a canary for a fresh merge, with the baseline taken from the cycles before it. */
+function start({ proposal, mergeCommit, now = Date.now(), file = CANARY_PATH, logFile = LOG_PATH }) {
+  const mergedAt = new Date(now).toISOString();
+  const before = readCycles(logFile).filter(e => e.ts <= mergedAt).slice(-BASELINE_CYCLES);
+  const state = load(file);
+  if (state.active) {
+    state.history = [{ ...state.active, status: 'superseded', closed_at: mergedAt }, ...(state.history || [])].slice(0, HISTORY_KEEP);
+  }
+  state.active = {
+    proposal_id: proposal.id,
+    title: proposal.title,
+    merge_commit: mergeCommit,
+    merged_at: mergedAt,
+    cycles_needed: CANARY_CYCLES,
+    baseline: metrics(before),
+  };
+  save(state, file);
+  return state.active;
+}
+
+/** Reverted already: marked in proposal_history.json, or meta_watchdog.js reverted a commit since the merge. */
+function alreadyReverted(active, { historyFile, watchdogFile }) {
+  try {
+    const h = JSON.parse(fs.readFileSync(historyFile, 'utf-8'));
+    if ((h.proposals || []).some(p => p.merge_commit === active.merge_commit && p.reverted)) return true;
+  } catch {}
+  try {
+    const w = JSON.parse(fs.readFileSync(watchdogFile, 'utf-8'));
+    if (w.last_revert_at && w.last_revert_at >= active.merged_at) return true;
+  } catch {}
+  return false;
+}
+
+/** Move the active canary to history as `status`. */
+function closeActive(state, status, extra, now, file) {
+  const verdict = { ...state.active, ...extra, status, closed_at: new Date(now).toISOString() };
+  state.active = null;
+  state.history = [verdict, ...(state.history || [])].slice(0, HISTORY_KEEP);
+  save(state, file);
+  return verdict;
+}
+
+/**
+ * Close the active canary once the caller has acted on a regression
+ * ('reverted' or 'revert_failed', with what it recorded). Returns the closed
+ * canary, or null when none is open.
+ */
+function close(status, extra = {}, { now = Date.now(), file = CANARY_PATH } = {}) {
+  const state = load(file);
+  return state.active ? closeActive(state, status, extra, now, file) : null;
+}
+
+/**
+ * Judge the active canary. Closes it (moves it to history) once it passes or
+ * turns out to be reverted already. A regression stays open — with its
+ * metrics recorded — until the caller's revert attempt closes it, so a run
+ * that dies before reverting is judged again next cycle.
+ */
+function check({
+  now = Date.now(), file = CANARY_PATH, logFile = LOG_PATH,
+  historyFile = config.PROPOSAL_HISTORY_PATH, watchdogFile = WATCHDOG_STATE_PATH,
+} = {}) {
+  const state = load(file);
+  const active = state.active;
+  if (!active) return { status: 'idle' };
+
+  if (alreadyReverted(active, { historyFile, watchdogFile })) return closeActive(state, 'already_reverted', {}, now, file);
+
+  const after = readCycles(logFile).filter(e => e.ts > active.merged_at).slice(0, active.cycles_needed);
+  if (after.length < active.cycles_needed) {
+    active.cycles_seen = after.length;
+    save(state, file);
+    return { ...active, status: 'watching' };
+  }
+
+  const canary = metrics(after);
+  const regressions = compare(active.baseline, canary);
+  if (!regressions.length) return closeActive(state, 'passed', { canary, regressions }, now, file);
+  Object.assign(active, { canary, regressions, regressed_at: new Date(now).toISOString() });
+  save(state, file);
+  return { ...active, status: 'regressed' };
+}
+
+module.exports = {
+  metrics, compare, start, check, close, load, isActive, readCycles,
+  CANARY_PATH, BASELINE_CYCLES, CANARY_CYCLES,
+};
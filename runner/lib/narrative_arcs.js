@@ -0,0 +1,324 @@
+'use strict';
+/**
+ * runner/lib/narrative_arcs.js — problem → reaction → solution arcs across days.
+ *
+ * frames() says whether one post reads as threat, solution or skepticism. A
+ * manipulation narrative is the same topic moving through those frames over
+ * days: threat framing, then a proposed solution, then a skepticism backlash.
+ * Mechanical, no LLM.
+ *
+ *   1. Stage each post by its frames. When several hit, skepticism wins over
+ *      solution and solution over threat (selling a fix for the scare is a
+ *      solution post). Unframed posts are ignored.
+ *   2. Link staged posts into arcs in time order. A post joins the open arc
+ *      whose keyword profile (top PROFILE_SIZE topic terms, frame words
+ *      excluded) it shares the most terms with, at least MIN_SHARED. An arc
+ *      closes after GAP_MS without a post.
+ *   3. Bucket each arc into WINDOW_MS windows. A stage sets in at the first
+ *      window holding MIN_STAGE_POSTS of its posts. The arc reaches
+ *      "solution" when the solution onset falls in a later window than the
+ *      threat onset, and is complete when skepticism follows in a later
+ *      window still. Onset gaps are the transition timings.
+ *
+ * An arc's id comes from its earliest post. The window slides, so an arc that
+ * carries on one from the previous run (state/narrative_arcs.json: open within
+ * GAP_MS of its start, sharing MIN_SHARED keywords) keeps that arc's id after
+ * its opening posts age out.
+ *
+ * Arcs reaching "solution" or further are logged to the narrative ledger as
+ * tactic problem_reaction_solution (source "arcs", narrative_id = arc id),
+ * once per arc and stage.
+ *
+ *   build(posts, { now, ledger, previous }) -> { generated_at, arcs, stats }
+ *   stageOf(text)                  -> 'threat' | 'solution' | 'skepticism' | null
+ *   load(file)                     -> the state written by narrative_arc_detect.js
+ *   forTopic(arcs, terms, { urls }) -> arcs sharing topic terms or a key-post URL
+ *   formatTimeline(arc, { windows }) -> text block for prompts and reports
+ *   ledgerEntries(arcs, existing)  -> new narrative ledger entries
+ *
+ * Readers: write_article.js, generate_daily_report.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { extractKeywords } = require('../../scraper/analytics');
+const narrative = require('./narrative_tactics');
+
+const ARCS_PATH = process.env.NARRATIVE_ARCS_PATH || path.resolve(__dirname, '../../state/narrative_arcs.json');
+
+const STAGES = ['threat', 'solution', 'skepticism'];
+const ARC_TACTIC = 'problem_reaction_solution';
+const HOUR_MS = 3600_000;
+const WINDOW_MS = 6 * HOUR_MS;
+const GAP_MS = 72 * HOUR_MS;
+const PROFILE_SIZE = 12;
+const MIN_SHARED = 2;
+const MIN_STAGE_POSTS = 2;
+const MIN_ARC_POSTS = 5;
+const MIN_AUTHORS = 2;
+const FAST_HOURS = 48;                // threat → solution this fast is the classic sign
+const MAX_ARCS = 40;
+const SNIPPET = 200;
+
+const FRAME_WORDS = new Set(Object.values(narrative.taxonomy().frames).flat().flatMap(w => w.split(/[^a-z]+/)));
+
+function stageOf(text) {
+  const f = narrative.frames(text);
+  if (f.skepticism) return 'skepticism';
+  if (f.solution) return 'solution';
+  if (f.threat) return 'threat';
+  return null;
+}
+
+/** Subject words of a post: its RAKE keyphrases split into words, minus frame vocabulary. */
+function topicTerms(text) {
+  const out = new Set();
+  for (const phrase of extractKeywords(String(text || ''), 8)) {
+    for (const w of phrase.split(/\s+/)) {
+      if (w.length >= 4 && !/^\d+$/.test(w) && !FRAME_WORDS.has(w)) out.add(w);
+    }
+  }
+  return [...out];
+}
+
+function topTerms(counts, n) {
+  return [...counts].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1)).slice(0, n).map(([t]) => t);
+}
+
+function brief(p) {
+  return {
+    id: p.id,
+    actor: p.actor,
+    ts: new Date(p.ts).toISOString(),
+    text: p.text.replace(/\s+/g, ' ').slice(0, SNIPPET),
+    url: p.actor ? `https://x.com/${p.actor}/status/${p.id}` : null,
+  };
+}
+
+function hoursBetween(a, b) {
+  return Math.round((Date.parse(b.ts) - Date.parse(a.ts)) / HOUR_MS);
+}
+
+function summarizeArc(raw, tacticsByContent) {
+  const posts = raw.posts;
+  const authors = new Set(posts.map(p => String(p.actor || '').toLowerCase()));
+  if (posts.length < MIN_ARC_POSTS || authors.size < MIN_AUTHORS) return null;
+
+  const windows = new Map();
+  for (const p of posts) {
+    const start = Math.floor(p.ts / WINDOW_MS) * WINDOW_MS;
+    if (!windows.has(start)) windows.set(start, { start, threat: [], solution: [], skepticism: [] });
+    windows.get(start)[p.stage].push(p);
+  }
+  const ordered = [...windows.values()].sort((a, b) => a.start - b.start);
+
+  const onsets = {};
+  for (const s of STAGES) {
+    const w = ordered.find(w => w[s].length >= MIN_STAGE_POSTS);
+    if (w) onsets[s] = { window: w.start, post: w[s][0] };
+  }
+  let reached = onsets.threat ? 1 : 0;
+  if (reached === 1 && onsets.solution && onsets.solution.window > onsets.threat.window) reached = 2;
+  if (reached === 2 && onsets.skepticism && onsets.skepticism.window > onsets.solution.window) reached = 3;
+  if (!reached) return null;
+
+  const key_posts = {};
+  for (const s of STAGES) if (onsets[s]) key_posts[s] = brief(onsets[s].post);
+  const transitions = {
+    threat_to_solution_h: reached >= 2 ? hoursBetween(key_posts.threat, key_posts.solution) : null,
+    solution_to_skepticism_h: reached >= 3 ? hoursBetween(key_posts.solution, key_posts.skepticism) : null,
+  };
+  let confidence = [0, 0.25, 0.5, 0.75][reached];
+  if (reached >= 2 && transitions.threat_to_solution_h <= FAST_HOURS) confidence += 0.1;
+  if (authors.size >= 5) confidence += 0.05;
+
+  const tactics = new Map();
+  for (const p of posts) {
+    for (const t of tacticsByContent.get(p.id) || []) tactics.set(t, (tactics.get(t) || 0) + 1);
+  }
+  const keywords = topTerms(raw.termCounts, PROFILE_SIZE);
+
+  return {
+    id: `arc-${crypto.createHash('md5').update(posts[0].id).digest('hex').slice(0, 10)}`,
+    label: keywords.slice(0, 3).join(' · '),
+    keywords,
+    first_ts: new Date(posts[0].ts).toISOString(),
+    last_ts: new Date(posts[posts.length - 1].ts).toISOString(),
+    posts: posts.length,
+    authors: authors.size,
+    counts: Object.fromEntries(STAGES.map(s => [s, posts.filter(p => p.stage === s).length])),
+    sequence: STAGES.filter(s => onsets[s]).sort((a, b) => onsets[a].post.ts - onsets[b].post.ts),
+    stage: STAGES[reached - 1],
+    complete: reached === 3,
+    transitions,
+    confidence: Math.min(0.95, Math.round(confidence * 100) / 100),
+    key_posts,
+    tactics: topTerms(tactics, 5).map(t => ({ tactic: t, count: tactics.get(t) })),
+    timeline: ordered.map(w => {
+      const dominant = STAGES.reduce((a, b) => (w[b].length > w[a].length ? b : a));
+      return {
+        start: new Date(w.start).toISOString(),
+        threat: w.threat.length,
+        solution: w.solution.length,
+        skepticism: w.skepticism.length,
+        example: { stage: dominant, ...brief(w[dominant][0]) },
+      };
+    }),
+  };
+}
+
+/**
+ * The arc from the previous run that `arc` carries on, not yet `taken`: the
+ * same id, else the one still open at its start sharing the most keywords.
+ */
+function predecessor(arc, previous, taken) {
+  const open = previous.filter(p => !taken.has(p.id) && Date.parse(p.last_ts) >= Date.parse(arc.first_ts) - GAP_MS);
+  let best = open.find(p => p.id === arc.id) || null;
+  let bestShared = MIN_SHARED - 1;
+  for (const p of best ? [] : open) {
+    const shared = arc.keywords.filter(k => (p.keywords || []).includes(k)).length;
+    if (shared > bestShared) { best = p; bestShared = shared; }
+  }
+  return best;
+}
+
+/**
+ * Arcs in `posts` ({ id, text, username, ts }). `ledger` is the narrative
+ * ledger slice for the same window; its detections are tallied per arc.
+ * `previous` is the last run's arcs, whose ids carry over.
+ */
+function build(posts, { now = Date.now(), ledger = [], previous = [] } = {}) {
+  const staged = [];
+  for (const p of posts || []) {
+    const stage = stageOf(p.text);
+    if (!stage) continue;
+    const terms = topicTerms(p.text);
+    if (terms.length < MIN_SHARED) continue;
+    staged.push({ id: String(p.id), ts: Number(p.ts), actor: p.username || p.actor || null, text: String(p.text), stage, terms });
+  }
+  staged.sort((a, b) => a.ts - b.ts);
+
+  const all = [];
+  let open = [];
+  for (const post of staged) {
+    open = open.filter(a => post.ts - a.last <= GAP_MS);
+    let best = null;
+    let bestShared = 0;
+    for (const arc of open) {
+      const shared = post.terms.filter(t => arc.profile.has(t)).length;
+      if (shared > bestShared) { best = arc; bestShared = shared; }
+    }
+    if (bestShared < MIN_SHARED) {
+      best = { posts: [], termCounts: new Map(), profile: new Set(), last: post.ts };
+      open.push(best);
+      all.push(best);
+    }
+    best.posts.push(post);
+    best.last = post.ts;
+    for (const t of post.terms) best.termCounts.set(t, (best.termCounts.get(t) || 0) + 1);
+    best.profile = new Set(topTerms(best.termCounts, PROFILE_SIZE));
+  }
+
+  const tacticsByContent = new Map();
+  for (const e of ledger) {
+    if (!e.content_id || e.source === 'arcs') continue;
+    if (!tacticsByContent.has(e.content_id)) tacticsByContent.set(e.content_id, []);
+    tacticsByContent.get(e.content_id).push(e.tactic);
+  }
+
+  const built = all.map(a => summarizeArc(a, tacticsByContent)).filter(Boolean);
+  const taken = new Set();
+  for (const arc of built) {
+    const prev = predecessor(arc, previous || [], taken);
+    if (prev) { arc.id = prev.id; taken.add(prev.id); }
+  }
+  const arcs = built
+    .sort((a, b) => STAGES.indexOf(b.stage) - STAGES.indexOf(a.stage) || (a.last_ts < b.last_ts ? 1 : -1))
+    .slice(0, MAX_ARCS);
+
+  return {
+    generated_at: new Date(now).toISOString(),
+    arcs,
+    stats: {
+      posts: (posts || []).length,
+      staged: staged.length,
+      arcs: arcs.length,
+      solution: arcs.filter(a => a.stage !== 'threat').length,
+      complete: arcs.filter(a => a.complete).length,
+    },
+  };
+}
+
+function load(file = ARCS_PATH) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return { arcs: [] }; }
+}
+
+/** Arcs sharing at least min(2, terms) topic terms, or with a key post at one of `urls`. */
+function forTopic(arcs, terms, { urls = new Set() } = {}) {
+  const wanted = [...new Set((terms || []).map(t => String(t).toLowerCase()))];
+  const need = Math.min(MIN_SHARED, wanted.length);
+  return (arcs || []).filter(a =>
+    Object.values(a.key_posts || {}).some(p => p.url && urls.has(p.url)) ||
+    (need > 0 && wanted.filter(t => (a.keywords || []).includes(t)).length >= need));
+}
+
+function describe(arc) {
+  const k = arc.key_posts;
+  const parts = [`threat ${k.threat.ts.slice(0, 16).replace('T', ' ')}`];
+  if (arc.transitions.threat_to_solution_h != null) {
+    parts.push(`solution ${k.solution.ts.slice(0, 16).replace('T', ' ')} (+${arc.transitions.threat_to_solution_h}h)`);
+  }
+  if (arc.transitions.solution_to_skepticism_h != null) {
+    parts.push(`skepticism ${k.skepticism.ts.slice(0, 16).replace('T', ' ')} (+${arc.transitions.solution_to_skepticism_h}h)`);
+  }
+  return parts.join(' → ');
+}
+
+/** One arc as text: header, the post that opened each stage, optionally the 6h windows. */
+function formatTimeline(arc, { windows = false } = {}) {
+  const status = arc.complete ? 'complete' : `reached ${arc.stage}`;
+  const lines = [`[${arc.id}] ${arc.label} — ${describe(arc)} (${status}, ${arc.posts} posts, ${arc.authors} authors, conf ${arc.confidence})`];
+  for (const s of STAGES) {
+    const p = arc.key_posts[s];
+    if (!p || STAGES.indexOf(s) > STAGES.indexOf(arc.stage)) continue;
+    lines.push(`  ${s.padEnd(10)} @${p.actor}: "${p.text.slice(0, 140)}"${p.url ? ` ${p.url}` : ''}`);
+  }
+  if (arc.tactics && arc.tactics.length) {
+    lines.push(`  tactics: ${arc.tactics.map(t => `${t.tactic} ×${t.count}`).join(', ')}`);
+  }
+  if (windows) {
+    lines.push(`  windows: ${arc.timeline.map(w =>
+      `${w.start.slice(5, 13).replace('T', ' ')}h T${w.threat}/S${w.solution}/K${w.skepticism}`).join(' · ')}`);
+  }
+  return lines.join('\n');
+}
+
+/** Ledger entries for arcs that reached a new stage (solution or later) since `existing`. */
+function ledgerEntries(arcs, existing = []) {
+  const seen = new Set(existing.filter(e => e.source === 'arcs').map(e => e.content_id));
+  const out = [];
+  for (const arc of arcs || []) {
+    if (arc.stage === 'threat') continue;
+    const key = `${arc.id}:${arc.stage}`;
+    if (seen.has(key)) continue;
+    const onset = arc.key_posts[arc.stage];
+    out.push(narrative.makeEntry({
+      ts: onset.ts,
+      tactic: ARC_TACTIC,
+      confidence: arc.confidence,
+      source: 'arcs',
+      content_id: key,
+      source_url: onset.url,
+      actor: onset.actor,
+      snippet: `${arc.label}: ${describe(arc)}`,
+      narrative_id: arc.id,
+    }));
+  }
+  return out;
+}
+
+module.exports = {
+  build, stageOf, topicTerms, load, forTopic, formatTimeline, ledgerEntries,
+  ARCS_PATH, STAGES, ARC_TACTIC,
+};
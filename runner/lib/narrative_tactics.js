@@ -1,60 +1,335 @@
 'use strict';
+/**
+ * runner/lib/narrative_tactics.js — the narrative subsystem: one taxonomy, one
+ * detector, one ledger.
+ *
+ * Taxonomy: runner/data/narrative_tactics_taxonomy.json — under runner/ because
+ * the agent's tool sandbox mounts only runner/ and tools/. Tactic ids are
+ * canonical; `aliases` carry the ids and labels of the retired per-module
+ * vocabularies (T001…, tactic_definitions, narrative_definitions,
+ * narrative_tactics_db) so old ledger rows and agent tool calls still resolve.
+ *
+ * Detection is mechanical (no LLM). Each taxonomy keyword or pattern hit
+ * carries a base confidence — regex pattern 0.6, multi-word phrase 0.55,
+ * single word 0.2 — and a tactic's confidence is 1 − Π(1 − base) over its
+ * distinct hits, capped at 0.95. A lone "they" is noise; "witch hunt" is not.
+ *
+ * Ledger: state/narrative_tactic_ledger.jsonl, one entry per (content, tactic)
+ * from the detector (origin "detector") or the agent's narrative_tracker tool
+ * (origin "agent"). Legacy rows from the old tools are normalized on read.
+ *
+ *   taxonomy()                       -> { tactics, purposes, frames }
+ *   resolve(ref)                     -> tactic | null (id, alias or name)
+ *   detect(text, { minConfidence })  -> [{ tactic, name, category, confidence, span, match, matches, count }]
+ *   frames(text)                     -> { threat, solution, skepticism } booleans (narrative_arcs.js stages)
+ *   entriesFor(items, { source })    -> ledger entries for detections in { id, text, url, actor } items
+ *   makeEntry(fields) / record(entries) / readLedger() / parseLedger(text)
+ *   query(filter, entries)           -> entries matching tactic / actor / source / window
+ *   summarize(entries) / trace(entries, id) / formatForPrompt(entries)
+ *
+ * Writers: narrative_scan.js (scraped posts, after every browse cycle),
+ * narrative_arc_detect.js (topic arcs, daily), investigate_claim.js,
+ * tools/narrative_tracker.js. Readers: the browse prompt (prompts/context.js),
+ * investigate_claim.js, write_article.js, tactic_report.js. detect() alone:
+ * analyzer/rhetoric_detector.js, observation_pipeline.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TAXONOMY_PATH = path.resolve(__dirname, '../data/narrative_tactics_taxonomy.json');
+const LEDGER_PATH = process.env.NARRATIVE_LEDGER_PATH || path.resolve(__dirname, '../../state/narrative_tactic_ledger.jsonl');
+const LEDGER_STATE_PATH = 'state/narrative_tactic_ledger.jsonl';   // for tools going through context.readState
+
+const PATTERN_CONFIDENCE = 0.6;
+const PHRASE_CONFIDENCE = 0.55;
+const WORD_CONFIDENCE = 0.2;
+const MAX_CONFIDENCE = 0.95;
+const RECORD_MIN_CONFIDENCE = 0.5;    // below this a detection is shown to callers but not logged
+const SNIPPET_CHARS = 280;
+
+let cache = null;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compile(tactic) {
+  const matchers = [];
+  for (const k of tactic.keywords || []) {
+    matchers.push({ re: new RegExp(`\\b${escapeRe(k)}\\b`, 'gi'), base: /\s/.test(k.trim()) ? PHRASE_CONFIDENCE : WORD_CONFIDENCE });
+  }
+  for (const p of tactic.patterns || []) {
+    try {
+      matchers.push({ re: new RegExp(p, 'gi'), base: PATTERN_CONFIDENCE });
+    } catch (err) {
+      console.error(`[narrative] invalid pattern for ${tactic.id}: /${p}/ — ${err.message}`);
+    }
+  }
+  return matchers;
+}
+
+/** Loaded and compiled taxonomy (cached). A missing file yields an empty taxonomy. */
+function taxonomy() {
+  if (cache) return cache;
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf-8'));
+  } catch (err) {
+    console.error(`[narrative] taxonomy unavailable: ${err.message}`);
+  }
+  const tactics = (raw.tactics || []).map(t => ({ ...t, matchers: compile(t) }));
+  const byRef = new Map();
+  for (const t of tactics) {
+    for (const ref of [t.id, t.name, ...(t.aliases || [])]) byRef.set(String(ref).toLowerCase(), t);
+  }
+  const frames = raw.frames || {};
+  const words = (list) => (list || []).map(escapeRe).join('|');
+  cache = {
+    version: raw.version || '0.0.0',
+    tactics,
+    purposes: raw.purposes || [],
+    frames,
+    frameMatchers: Object.fromEntries(Object.entries(frames).map(([name, list]) =>
+      [name, new RegExp(`\\b(?:${words(list)})(?:s|es)?\\b`, 'i')])),
+    frameExceptions: raw.frame_exceptions && raw.frame_exceptions.length
+      ? new RegExp(`\\b(?:${words(raw.frame_exceptions)})\\b`, 'gi') : null,
+    byRef,
+  };
+  return cache;
+}
+
+function resolve(ref) {
+  if (ref == null) return null;
+  return taxonomy().byRef.get(String(ref).trim().toLowerCase()) || null;
+}
+
+/**
+ * Tactics found in `text`, strongest first. `span` is [start, end) of the
+ * strongest hit in the original text; `matches` the distinct (lowercased) hits;
+ * `count` every hit, repeats included.
+ */
+function detect(text, { minConfidence = 0 } = {}) {
+  if (!text || typeof text !== 'string') return [];
+  const out = [];
+  for (const tactic of taxonomy().tactics) {
+    const hits = [];
+    for (const m of tactic.matchers) {
+      m.re.lastIndex = 0;
+      let r;
+      while ((r = m.re.exec(text)) !== null) {
+        if (r[0] === '') { m.re.lastIndex++; continue; }
+        hits.push({ start: r.index, end: r.index + r[0].length, match: r[0], base: m.base });
+      }
+    }
+    if (hits.length === 0) continue;
+
+    const distinct = new Map();
+    for (const h of hits) {
+      const key = h.match.toLowerCase();
+      if (!distinct.has(key) || distinct.get(key).base < h.base) distinct.set(key, h);
+    }
+    let miss = 1;
+    for (const h of distinct.values()) miss *= 1 - h.base;
+    const confidence = Math.round(Math.min(MAX_CONFIDENCE, 1 - miss) * 100) / 100;
+    if (confidence < minConfidence) continue;
+
+    const best = hits.reduce((a, b) => (b.base > a.base || (b.base === a.base && b.start < a.start) ? b : a));
+    out.push({
+      tactic: tactic.id,
+      name: tactic.name,
+      category: tactic.category,
+      confidence,
+      span: [best.start, best.end],
+      match: best.match,
+      matches: [...distinct.keys()],
+      count: hits.length,
+    });
+  }
+  return out.sort((a, b) => b.confidence - a.confidence);
+}
 
 /**
- * A catalog of known narrative manipulation tactics.
- * This list is used by tools and agents to categorize and analyze discourse.
+ * Threat / solution / skepticism framing markers, matched on word boundaries
+ * like detect() keywords (plural -s/-es allowed), after blanking the taxonomy's
+ * frame_exceptions idioms ("no doubt" is not skepticism).
  */
-const NARRATIVE_TACTICS = [
-  {
-    id: 'deflection_false_claims',
-    name: 'Deflection via False Claims',
-    description: 'Diverting attention from a core issue by introducing unrelated or false information, often to attack an opponent or change the subject.',
-    keywords: ['fake news', 'trolls', 'distraction', 'what about', 'deflection']
-  },
-  {
-    id: 'framing_victim_hero',
-    name: 'Framing as Victim/Hero',
-    description: 'Casting oneself or one\'s group as a persecuted victim or a lone hero fighting against overwhelming odds, to generate sympathy and delegitimize opponents.',
-    keywords: ['victim', 'hero', 'witch hunt', 'deep state', 'persecuted', 'fighting for you']
-  },
-  {
-    id: 'appeal_to_emotion_fear',
-    name: 'Appeal to Emotion/Fear',
-    description: 'Using emotionally charged language or imagery to bypass rational analysis and provoke a strong emotional response, such as fear, anger, or patriotism.',
-    keywords: ['outrage', 'danger', 'threat', 'disaster', 'protect the children', 'our values']
-  },
-  {
-    id: 'gaslighting',
-    name: 'Gaslighting',
-    description: 'Manipulating someone into questioning their own sanity, perception of reality, or memories. Denying events that occurred or inventing new ones.',
-    keywords: ['you\'re crazy', 'that never happened', 'you\'re imagining things', 'misremembering', 'overreacting']
-  },
-  {
-    id: 'whataboutism',
-    name: 'Whataboutism',
-    description: 'A specific form of deflection that responds to an accusation or difficult question by making a counter-accusation or raising a different issue.',
-    keywords: ['what about', 'but they did', 'you also', 'hypocrite']
-  },
-  {
-    id: 'splicing_doctoring_evidence',
-    name: 'Splicing/Doctoring Evidence',
-    description: 'Editing or presenting media (video, audio, images) or documents in a misleading way to distort the original meaning or create a false narrative.',
-    keywords: ['spliced', 'doctored', 'edited', 'out of context', 'manipulated video', 'selective editing']
-  },
-  {
-    id: 'manufacturing_consent',
-    name: 'Manufacturing Consent',
-    description: 'Creating the illusion of widespread popular support for a policy or viewpoint through propaganda, coordinated messaging, or astroturfing.',
-    keywords: ['silent majority', 'everyone knows', 'people are saying', 'astroturf', 'paid protesters']
-  },
-  {
-    id: 'weaponization_of_identity',
-    name: 'Weaponization of Identity/Religion',
-    description: 'Using identity markers (religion, nationality, ethnicity, faith) to create an "us vs. them" dynamic, justify actions, or attack opponents.',
-    keywords: ['weaponize faith', 'not a true believer', 'god\'s will', 'traitor', 'unpatriotic']
-  },
-];
+function frames(text) {
+  const t = taxonomy();
+  let s = String(text || '');
+  if (t.frameExceptions) s = s.replace(t.frameExceptions, ' ');
+  const out = {};
+  for (const [name, re] of Object.entries(t.frameMatchers)) out[name] = re.test(s);
+  return out;
+}
+
+// ── Ledger ───────────────────────────────────────────────────────────────────
+
+function makeEntry(f) {
+  const tactic = resolve(f.tactic);
+  return {
+    id: f.id || `nt-${crypto.randomBytes(8).toString('hex')}`,
+    ts: typeof f.ts === 'number' ? new Date(f.ts).toISOString() : (f.ts || new Date().toISOString()),
+    tactic: tactic ? tactic.id : String(f.tactic || ''),
+    confidence: typeof f.confidence === 'number' ? f.confidence : null,
+    origin: f.origin || 'detector',
+    source: f.source || null,
+    content_id: f.content_id != null ? String(f.content_id) : null,
+    source_url: f.source_url || null,
+    actor: f.actor ? String(f.actor).replace(/^@/, '') : null,
+    snippet: f.snippet ? String(f.snippet).slice(0, SNIPPET_CHARS) : null,
+    span: f.span || null,
+    match: f.match || null,
+    narrative_id: f.narrative_id || null,
+    purpose: f.purpose || null,
+    analysis: f.analysis || null,
+    source_event_id: f.source_event_id || null,
+    cycle: f.cycle ?? null,
+  };
+}
+
+/** Map rows written by the retired narrative tools onto the current entry shape. */
+function normalizeEntry(row) {
+  if (!row || typeof row !== 'object') return null;
+  if (row.ts && row.tactic !== undefined && row.origin) return row;
+  if (row.eventId) {           // tools/narrative_tracker.js v1
+    return makeEntry({
+      id: row.eventId, ts: row.timestamp, tactic: row.tacticId || row.tacticLabel, origin: 'agent', source: 'agent',
+      content_id: row.contentId, actor: row.actor && row.actor.id, snippet: row.contentSnippet,
+      confidence: row.analysis && row.analysis.confidence, analysis: row.analysis && row.analysis.reasoning,
+      source_event_id: row.sourceEventId,
+    });
+  }
+  return makeEntry({           // runner/tools narrative_tracker / catalog_narrative_tactic
+    id: row.id, ts: row.timestamp, tactic: row.tactic || row.tactic_id, origin: 'agent', source: 'agent',
+    source_url: row.source_url, actor: row.attribution && row.attribution.actor,
+    snippet: row.narrative || row.context, narrative_id: row.narrative_id, purpose: row.purpose,
+    analysis: typeof row.analysis === 'string' ? row.analysis : row.notes, cycle: row.cycle,
+  });
+}
+
+function parseLedger(text) {
+  const out = [];
+  for (const line of String(text || '').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = normalizeEntry(JSON.parse(line));
+      if (entry) out.push(entry);
+    } catch { /* torn line from a concurrent append */ }
+  }
+  return out;
+}
+
+function readLedger(file = LEDGER_PATH) {
+  try { return parseLedger(fs.readFileSync(file, 'utf-8')); } catch { return []; }
+}
+
+function record(entries, { file = LEDGER_PATH } = {}) {
+  if (!entries || entries.length === 0) return 0;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  return entries.length;
+}
+
+/** Drop entries older than `days` (rewrites the file). Returns the number removed. */
+function prune({ days = 90, file = LEDGER_PATH, now = Date.now() } = {}) {
+  const entries = readLedger(file);
+  const keep = entries.filter(e => now - Date.parse(e.ts) <= days * 86400_000);
+  if (keep.length === entries.length) return 0;
+  fs.writeFileSync(file, keep.map(e => JSON.stringify(e)).join('\n') + (keep.length ? '\n' : ''));
+  return entries.length - keep.length;
+}
+
+/**
+ * Ledger entries for the detections in `items` ({ id, text, url, actor, ts }),
+ * one per (item, tactic) at or above `minConfidence`.
+ */
+function entriesFor(items, { source, minConfidence = RECORD_MIN_CONFIDENCE, cycle = null } = {}) {
+  const out = [];
+  for (const item of items || []) {
+    const text = item.text || '';
+    for (const d of detect(text, { minConfidence })) {
+      const from = Math.max(0, d.span[0] - 80);
+      out.push(makeEntry({
+        ts: item.ts, tactic: d.tactic, confidence: d.confidence, origin: 'detector', source,
+        content_id: item.id, source_url: item.url, actor: item.actor,
+        snippet: (from > 0 ? '…' : '') + text.slice(from, from + SNIPPET_CHARS).trim(),
+        span: d.span, match: d.match, cycle,
+      }));
+    }
+  }
+  return out;
+}
+
+/**
+ * Entries matching every given filter: sinceMs, tactic (any ref), actor,
+ * source, narrative_id, source_url, contentIds, minConfidence. Oldest first.
+ */
+function query(filter = {}, entries = readLedger()) {
+  const tactic = filter.tactic ? (resolve(filter.tactic)?.id || filter.tactic) : null;
+  const actor = filter.actor ? String(filter.actor).replace(/^@/, '').toLowerCase() : null;
+  const contentIds = filter.contentIds ? new Set([...filter.contentIds].map(String)) : null;
+  return entries.filter(e =>
+    (!filter.sinceMs || Date.parse(e.ts) >= filter.sinceMs) &&
+    (!tactic || e.tactic === tactic) &&
+    (!actor || (e.actor || '').toLowerCase() === actor) &&
+    (!filter.source || e.source === filter.source) &&
+    (!filter.narrative_id || e.narrative_id === filter.narrative_id) &&
+    (!filter.source_url || e.source_url === filter.source_url) &&
+    (!contentIds || contentIds.has(String(e.content_id))) &&
+    (!filter.minConfidence || (e.confidence ?? 1) >= filter.minConfidence)
+  ).sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+}
+
+/** Per-tactic counts (most frequent first) with top actors and the latest example. */
+function summarize(entries) {
+  const byTactic = new Map();
+  const actors = {};
+  for (const e of entries) {
+    if (!byTactic.has(e.tactic)) byTactic.set(e.tactic, { tactic: e.tactic, name: resolve(e.tactic)?.name || e.tactic, count: 0, actors: {}, last: null });
+    const t = byTactic.get(e.tactic);
+    t.count++;
+    if (e.actor) {
+      t.actors[e.actor] = (t.actors[e.actor] || 0) + 1;
+      actors[e.actor] = (actors[e.actor] || 0) + 1;
+    }
+    if (!t.last || e.ts >= t.last.ts) t.last = e;
+  }
+  const top = counts => Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([actor, count]) => ({ actor, count }));
+  return {
+    total: entries.length,
+    tactics: [...byTactic.values()].sort((a, b) => b.count - a.count).map(t => ({
+      tactic: t.tactic, name: t.name, count: t.count, top_actors: top(t.actors),
+      last_ts: t.last.ts, example: t.last.snippet,
+    })),
+    top_actors: top(actors),
+  };
+}
+
+/** An entry and everything that propagated from it (source_event_id) or shares its narrative_id. */
+function trace(entries, id) {
+  const source = entries.find(e => e.id === id);
+  if (!source) return null;
+  const propagations = entries.filter(e => e.id !== id &&
+    (e.source_event_id === id || (source.narrative_id && e.narrative_id === source.narrative_id)));
+  return { source, propagations };
+}
+
+/** Compact prompt block, one line per tactic; '' when there is nothing to show. */
+function formatForPrompt(entries, { limit = 6 } = {}) {
+  const s = summarize(entries);
+  if (s.total === 0) return '';
+  return s.tactics.slice(0, limit).map(t => {
+    const who = t.top_actors.length ? ` — ${t.top_actors.slice(0, 3).map(a => '@' + a.actor).join(', ')}` : '';
+    const ex = t.example ? `\n    e.g. "${t.example.replace(/\s+/g, ' ').slice(0, 140)}"` : '';
+    return `  ${t.name} ×${t.count}${who}${ex}`;
+  }).join('\n');
+}
 
 module.exports = {
-  NARRATIVE_TACTICS,
+  taxonomy, resolve, detect, frames,
+  makeEntry, normalizeEntry, parseLedger, readLedger, record, prune, entriesFor,
+  query, summarize, trace, formatForPrompt,
+  TAXONOMY_PATH, LEDGER_PATH, LEDGER_STATE_PATH, RECORD_MIN_CONFIDENCE,
 };
@@ -0,0 +1,211 @@
+'use strict';
+/**
+ * runner/lib/ontology_ledger.js — append-only event log of every ontology change.
+ *
+ * apply_ontology_delta.js mutates state/ontology.json in place and deletes the
+ * delta it merged, so the question "what did axis X look like on 2026-08-01 and
+ * which deltas moved it?" had no answer. Every apply now writes its decisions
+ * here (state/ontology_ledger.jsonl, one JSON event per line, never rewritten):
+ * accepted evidence, every gate rejection, drift-cap clamps, recomputed scores,
+ * confidence decay, axis creation/reaping and generated stances.
+ *
+ * The first run that finds no `genesis` event in the ledger writes one holding
+ * the full pre-apply ontology (audit events such as an unparseable-delta
+ * rejection may already precede it); replay() folds every later event on top of it. Scores
+ * are RECOMPUTED from the replayed evidence_log with computeAxisScoreConfidence
+ * (runner/lib/belief_calibration.js) and re-clamped to the drift-cap base the
+ * live run recorded — so a replay under different calibration knobs shows what
+ * those knobs would have produced, and `mismatches` lists where that differs
+ * from what was actually written.
+ *
+ *   startRun(onto) -> { id, record(type, fields), finish(summary) }
+ *   append(event)                          raw append (no run context)
+ *   readEvents({ until?, axisId? })        parsed events, oldest first
+ *   replayEvents(events, { asOf? })        pure fold -> { ontology, mismatches, events }
+ *   replay({ asOf })                       readEvents + replayEvents
+ *   axisHistory(axisId, { since?, until? }) events touching one axis
+ *
+ * DESIGN: like cost_meter, writing must NEVER throw into apply_ontology_delta —
+ * a broken ledger costs us an audit trail, not a belief update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const { computeAxisScoreConfidence } = require('./belief_calibration.js');
+
+const LEDGER = process.env.ONTOLOGY_LEDGER_PATH || path.join(config.STATE_DIR, 'ontology_ledger.jsonl');
+
+// Events that change replayed state. Everything else (gate rejections, drift-cap
+// notices, run bookkeeping) is audit-only and passes through replay untouched.
+const STATE_EVENTS = new Set([
+  'genesis', 'evidence_applied', 'axis_scored', 'axis_decayed',
+  'axis_created', 'axis_reaped', 'stance_generated',
+]);
+
+/** Append one event. Never throws. */
+function append(event, ledgerPath = LEDGER) {
+  try {
+    fs.appendFileSync(ledgerPath, JSON.stringify({ ts: new Date().toISOString(), ...event }) + '\n');
+  } catch { /* the ledger must never break an apply */ }
+}
+
+/** Whether a genesis snapshot has been written (append() emits compact JSON, so a substring check holds). */
+function hasGenesis(ledgerPath) {
+  try { return fs.readFileSync(ledgerPath, 'utf-8').includes('"type":"genesis"'); } catch { return false; }
+}
+
+/**
+ * Open a run handle for one apply_ontology_delta invocation. Writes the genesis
+ * snapshot first if no earlier run recorded one.
+ */
+function startRun(onto, { ledgerPath = LEDGER } = {}) {
+  const id = `${new Date().toISOString().replace(/[-:.]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+  if (!hasGenesis(ledgerPath)) {
+    append({ type: 'genesis', run_id: id, ontology: onto }, ledgerPath);
+  }
+  append({ type: 'run_start', run_id: id }, ledgerPath);
+  return {
+    id,
+    record(type, fields = {}) { append({ type, run_id: id, ...fields }, ledgerPath); },
+    finish(summary = {}) { append({ type: 'run_end', run_id: id, ...summary }, ledgerPath); },
+  };
+}
+
+/** "2026-08-01" → end of that UTC day; full ISO strings pass through. */
+function normalizeAsOf(asOf) {
+  if (!asOf) return null;
+  const s = String(asOf).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return `${s}T23:59:59.999Z`;
+  const t = Date.parse(s);
+  if (Number.isNaN(t)) throw new Error(`invalid --as-of "${asOf}" (use YYYY-MM-DD or an ISO timestamp)`);
+  return new Date(t).toISOString();
+}
+
+/** Read the ledger, oldest first. Unparseable lines are skipped. */
+function readEvents({ until, since, axisId, ledgerPath = LEDGER } = {}) {
+  let lines = [];
+  try { lines = fs.readFileSync(ledgerPath, 'utf-8').split('\n').filter(Boolean); } catch { return []; }
+  const untilIso = normalizeAsOf(until);
+  const sinceIso = since ? new Date(Date.parse(since)).toISOString() : null;
+  const out = [];
+  for (const line of lines) {
+    let e; try { e = JSON.parse(line); } catch { continue; }
+    if (untilIso && e.ts > untilIso) continue;
+    if (sinceIso && e.ts < sinceIso) continue;
+    if (axisId && e.axis_id !== axisId && !(e.axis && e.axis.id === axisId)) continue;
+    out.push(e);
+  }
+  return out;
+}
+
+/** Stamp score_after/confidence_after on the entries this run appended (mirrors the live apply). */
+function stampAfter(axis) {
+  const log = axis.evidence_log || [];
+  for (let i = log.length - 1; i >= 0; i--) {
+    if (log[i].score_after !== undefined) break;
+    log[i].score_after = axis.score;
+    log[i].confidence_after = axis.confidence;
+  }
+}
+
+/**
+ * Fold ledger events into an ontology. Pure — takes the events, returns a new
+ * ontology object. Throws if no genesis precedes `asOf` (the ledger can't say
+ * anything about the time before it started).
+ */
+function replayEvents(events, { asOf } = {}) {
+  const asOfIso = normalizeAsOf(asOf);
+  const inWindow = asOfIso ? events.filter(e => e.ts <= asOfIso) : events;
+  const genesisIdx = inWindow.findIndex(e => e.type === 'genesis');
+  if (genesisIdx === -1) {
+    const first = events.find(e => e.type === 'genesis');
+    throw new Error(first
+      ? `ledger begins at ${first.ts} — nothing to replay before that`
+      : 'ledger has no genesis event — no apply has run since the ledger was introduced');
+  }
+
+  const onto = JSON.parse(JSON.stringify(inWindow[genesisIdx].ontology || {}));
+  if (!Array.isArray(onto.axes)) onto.axes = [];
+  const axisById = new Map(onto.axes.map(a => [a.id, a]));
+  const mismatches = [];
+  let applied = 0;
+
+  for (const e of inWindow.slice(genesisIdx + 1)) {
+    if (!STATE_EVENTS.has(e.type)) continue;
+    const axis = e.axis_id ? axisById.get(e.axis_id) : null;
+    switch (e.type) {
+      case 'evidence_applied': {
+        if (!axis) break;
+        if (!Array.isArray(axis.evidence_log)) axis.evidence_log = [];
+        axis.evidence_log.push({ ...e.entry });
+        axis.last_updated = e.ts;
+        break;
+      }
+      case 'axis_scored': {
+        if (!axis) break;
+        const { score: raw, confidence } = computeAxisScoreConfidence(axis.evidence_log || []);
+        let score = raw;
+        if (typeof e.drift_base === 'number' && typeof e.drift_cap === 'number') {
+          score = Math.min(e.drift_base + e.drift_cap, Math.max(e.drift_base - e.drift_cap, raw));
+        }
+        axis.score = parseFloat(score.toFixed(4));
+        axis.confidence = confidence;
+        if (Math.abs(axis.score - (e.score ?? axis.score)) > 1e-4 ||
+            Math.abs(axis.confidence - (e.confidence ?? axis.confidence)) > 1e-4) {
+          mismatches.push({
+            ts: e.ts, run_id: e.run_id, axis_id: e.axis_id,
+            recorded: { score: e.score, confidence: e.confidence },
+            replayed: { score: axis.score, confidence: axis.confidence },
+          });
+        }
+        stampAfter(axis);
+        break;
+      }
+      case 'axis_decayed': {
+        if (!axis) break;
+        axis.confidence = e.to;
+        axis.last_decayed_at = String(e.ts).slice(0, 10);
+        break;
+      }
+      case 'axis_created': {
+        if (!e.axis || axisById.has(e.axis.id)) break;
+        const created = JSON.parse(JSON.stringify(e.axis));
+        onto.axes.push(created);
+        axisById.set(created.id, created);
+        break;
+      }
+      case 'axis_reaped': {
+        if (!axis) break;
+        onto.axes = onto.axes.filter(a => a.id !== e.axis_id);
+        axisById.delete(e.axis_id);
+        break;
+      }
+      case 'stance_generated': {
+        if (axis) axis.current_stance = e.stance;
+        break;
+      }
+      default: break;
+    }
+    applied++;
+    onto.last_updated = e.ts;
+  }
+
+  onto.replayed_as_of = asOfIso || (inWindow.length ? inWindow[inWindow.length - 1].ts : null);
+  return { ontology: onto, mismatches, events: applied };
+}
+
+/** Rebuild the ontology as it stood at `asOf` (YYYY-MM-DD or ISO; omitted = now). */
+function replay({ asOf, ledgerPath = LEDGER } = {}) {
+  return replayEvents(readEvents({ ledgerPath }), { asOf });
+}
+
+/** Every event that touched one axis (gate decisions included), oldest first. */
+function axisHistory(axisId, { since, until, ledgerPath = LEDGER } = {}) {
+  return readEvents({ axisId, since, until, ledgerPath }).filter(e => e.type !== 'genesis');
+}
+
+module.exports = {
+  LEDGER, append, startRun, readEvents, replayEvents, replay, axisHistory, normalizeAsOf,
+};
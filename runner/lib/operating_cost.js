@@ -10,6 +10,11 @@
  *      runway signal (read elsewhere; a cached value is used here if present).
  *
  *   compute()      -> full breakdown, also written to state/operating_cost.json
+ *
+ * `cost_per_output` turns the LLM spend into what one journal / article /
+ * report / reply costs on average (cost_meter byArtifact, over a 30-day window
+ * so once-a-day artifacts have a sample) — the website shows it next to the
+ * burn rate.
  *   summaryText()  -> one paragraph for the reflection prompt / journal
  *
  * All best-effort and non-throwing — a costing error must never break a cycle.
@@ -59,7 +64,16 @@ function fundingGoal(cfg) {
   };
 }
 
-function compute({ recentDays = 7, write = true } = {}) {
+/** { type: { count, avg_usd, usd } } for every artifact type with at least one identified output. */
+function costPerOutput(days) {
+  const out = {};
+  for (const [type, a] of Object.entries(meter.rollup({ days }).byArtifact)) {
+    if (a.artifacts) out[type] = { count: a.artifacts, avg_usd: a.avgUsd, usd: Number(a.usd.toFixed(4)) };
+  }
+  return out;
+}
+
+function compute({ recentDays = 7, outputDays = 30, write = true } = {}) {
   const cfg = loadCfg();
   const roll = meter.rollup({ days: recentDays });
   const llmMonthly = Number((roll.dailyAvgUsd * 30).toFixed(2));
@@ -72,6 +86,7 @@ function compute({ recentDays = 7, write = true } = {}) {
     generated_at: new Date().toISOString(),
     monthly_usd: { llm: llmMonthly, fixed, total },
     llm_recent: { window_days: recentDays, usd: roll.usd, calls: roll.calls, daily_avg_usd: roll.dailyAvgUsd, by_tag: roll.byTag, by_model: roll.byModel },
+    cost_per_output: { window_days: outputDays, by_type: costPerOutput(outputDays) },
     fixed_breakdown: cfg.fixed_monthly_usd || null,
     storage_wallet: sol ? { sol_balance: sol.sol, checked_at: sol.at } : { note: 'no cached SOL balance; see watchdog Irys warnings' },
     funding_goal: goal,
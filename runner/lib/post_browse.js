@@ -123,6 +123,9 @@ function postBrowse({ cycle, today, hour }) {
   // ── 4b. signal_detector.js (cross-axis anomaly detection) ─────────────
   runScript(path.join(PROJECT_ROOT, 'runner/signal_detector.js'));
 
+  // ── 4b-narrative. Tactic detection over newly scraped posts → narrative ledger
+  runScript(path.join(PROJECT_ROOT, 'runner/narrative_scan.js'));
+
   // ── 4b-landmark. Landmark event detection (throttled to once per 4h) ──
   {
     const landmarkStamp = path.join(config.STATE_DIR, '.last_landmark_scan');
@@ -36,11 +36,27 @@ function outboxEnqueue(kind, text, meta) {
   if (!OUTBOX_X) return null;
   try { return outbox.enqueue({ channel: "x", kind, text, meta }); } catch { return null; }
 }
+/**
+ * Take the budget slot for an item just enqueued by a cycle. The per-channel
+ * budget (opt-in, state/outbox_budgets.json) is enforced in the claim, so the
+ * tweet cycle and the scheduled-item drainer share one limit. Returns the block
+ * {reason, retryAt} when refused (item staled — a cycle's take is not worth
+ * posting late), else null. Ledger errors never block posting.
+ */
+function outboxClaim(ob) {
+  if (!OUTBOX_X || !ob || ob.deduped) return null;
+  try {
+    const { blocked } = outbox.claimNext("x", { id: ob.id });
+    if (blocked) outbox.markStale(ob.id, `budget: ${blocked.reason}`);
+    return blocked;
+  } catch { return null; }
+}
 function outboxMark(id, outcome, extra) {
   if (!OUTBOX_X || !id) return;
   try {
     if (outcome === "posted") outbox.markPosted(id, { url: extra || null });
     else if (outcome === "rejected") outbox.markRejected(id, extra || "");
+    else if (outcome === "stale") outbox.markStale(id, extra || "");
     else outbox.markFailed(id, extra || "");
   } catch { /* ledger errors never affect posting */ }
 }
@@ -53,7 +69,7 @@ async function makeEngine(tag, attemptFile, kind, cycle) {
     return x;
   } catch (err) {
     console.error(`[${tag}] could not reach HelmStack: ${err.message}`);
-    writeAttempt(attemptFile, { kind, outcome: "failed", reason: "helmstack_connect_failed", error: err.message, cycle });
+    if (attemptFile) writeAttempt(attemptFile, { kind, outcome: "failed", reason: "helmstack_connect_failed", error: err.message, cycle });
     return null;
   }
 }
@@ -80,6 +96,12 @@ async function runTweet({ draftFile, resultFile, attemptFile, cycle }) {
     writeAttempt(attemptFile, { kind: "tweet", outcome: "skipped", reason: "duplicate", cycle });
     return 0;
   }
+  const tweetBlock = outboxClaim(ob);
+  if (tweetBlock) {
+    console.log(`[${tag}] X budget: ${tweetBlock.reason} — not posting (next slot ${tweetBlock.retryAt})`);
+    writeAttempt(attemptFile, { kind: "tweet", outcome: "skipped", reason: "budget", cycle });
+    return 0;
+  }
   console.log(`[${tag}] posting (${tweetText.length} chars): ${tweetText.slice(0, 80)}...`);
 
   const x = await makeEngine(tag, attemptFile, "tweet", cycle);
@@ -115,7 +137,7 @@ async function runTweet({ draftFile, resultFile, attemptFile, cycle }) {
   }
   cleanupImage(); // posting done (success or fail) — temp image gone
 
-  if (res.dryRun) { outboxMark(ob && ob.id, "failed", "dry_run"); writeAttempt(attemptFile, { kind: "tweet", outcome: "dry_run", cycle }); return 0; }
+  if (res.dryRun) { outboxMark(ob && ob.id, "stale", "dry_run"); writeAttempt(attemptFile, { kind: "tweet", outcome: "dry_run", cycle }); return 0; }
   if (!res.posted) {
     outboxMark(ob && ob.id, "failed", res.reason || "post_failed");
     writeAttempt(attemptFile, { kind: "tweet", outcome: "failed", reason: res.reason || "post_failed", cycle });
@@ -194,6 +216,12 @@ async function runQuote({ draftFile, resultFile, attemptFile, cycle }) {
     writeAttempt(attemptFile, { kind: "quote", outcome: "skipped", reason: "duplicate", source_url: sourceUrl, cycle });
     return 0;
   }
+  const quoteBlock = outboxClaim(ob);
+  if (quoteBlock) {
+    console.log(`[${tag}] X budget: ${quoteBlock.reason} — not posting (next slot ${quoteBlock.retryAt})`);
+    writeAttempt(attemptFile, { kind: "quote", outcome: "skipped", reason: "budget", source_url: sourceUrl, cycle });
+    return 0;
+  }
   console.log(`[${tag}] quoting: ${sourceUrl} (${quoteText.length} chars)`);
 
   const x = await makeEngine(tag, attemptFile, "quote", cycle);
@@ -210,7 +238,7 @@ async function runQuote({ draftFile, resultFile, attemptFile, cycle }) {
     return 1;
   }
 
-  if (res.dryRun) { outboxMark(ob && ob.id, "failed", "dry_run"); writeAttempt(attemptFile, { kind: "quote", outcome: "dry_run", source_url: sourceUrl, cycle }); return 0; }
+  if (res.dryRun) { outboxMark(ob && ob.id, "stale", "dry_run"); writeAttempt(attemptFile, { kind: "quote", outcome: "dry_run", source_url: sourceUrl, cycle }); return 0; }
   if (!res.posted) {
     outboxMark(ob && ob.id, "failed", res.reason || "post_failed");
     writeAttempt(attemptFile, { kind: "quote", outcome: "failed", reason: res.reason || "post_failed", source_url: sourceUrl, cycle });
@@ -234,41 +262,72 @@ async function runQuote({ draftFile, resultFile, attemptFile, cycle }) {
 }
 
 // ── runThread ─────────────────────────────────────────────────────────────────
-// Posts an already-gated ordered list of tweets as a self-thread via the engine.
-// Gating (voice_filter + coherence) stays in post_thread.js; this only posts.
-// Returns { ok, tweet1Url, urls } — tweet1Url null means tweet1 itself failed.
-async function runThread(tweets, { cycle } = {}) {
+// Posts an already-gated ordered list of tweets as a self-thread. Gating
+// (voice_filter + coherence) stays with the caller; this only posts.
+//
+// The thread is a first-class outbox entity (lib/outbox enqueueThread): every
+// part is recorded the moment it lands, so a failure at part 4/7 leaves the
+// exact set of live URLs instead of an orphaned half-thread. A failed part
+// returns the thread to pending; calling runThread again with the same tweets
+// (content-deduped to the same entity) or with { outboxId } resumes at the
+// first unposted part, replying to the last posted one. Half-threads that run
+// out of attempts are left for runner/outbox_reconcile.js.
+//
+// The X budget only applies with OUTBOX_X=1 (otherwise threads keep their
+// pre-outbox pacing). Returns { ok, tweet1Url, urls, outboxId, reason?,
+// partsPosted?, abandoned? } — ok only once EVERY part is live.
+async function runThread(tweets, { cycle, outboxId = null } = {}) {
   const tag = "post_thread.hs";
-  if (!Array.isArray(tweets) || !tweets.length) return { ok: false, reason: "no_tweets" };
-
-  const x = await makeEngine(tag, null, "thread", cycle);
-  if (!x) return { ok: false, reason: "helmstack_connect_failed" };
-
-  let res;
-  try {
-    res = await x.postThread(tweets, { dryRun: DRY_RUN });
-  } catch (err) {
-    console.error(`[${tag}] error: ${err.message}`);
-    return { ok: false, reason: "exception", error: err.message };
+  const ob = require("./outbox");
+  let id = outboxId;
+  if (!id) {
+    if (!Array.isArray(tweets) || !tweets.length) return { ok: false, reason: "no_tweets" };
+    const q = ob.enqueueThread({ channel: "x", parts: tweets, meta: { cycle } });
+    id = q.id;
+    if (q.deduped) console.log(`[${tag}] thread already in outbox (#${id})`);
+  }
+  const existing = ob.get(id);
+  if (!existing) return { ok: false, reason: "not_found", outboxId: id };
+  if (existing.status === "posted") {
+    console.log(`[${tag}] thread #${id} already fully posted — nothing to do`);
+    return { ok: true, duplicate: true, tweet1Url: existing.url, urls: ob.threadParts(id).map((p) => p.url), outboxId: id };
+  }
+  // Rejected/stale = given up on (outbox_reconcile deleted it, or it never started).
+  if (existing.status === "rejected" || existing.status === "stale") {
+    return { ok: false, abandoned: true, reason: `abandoned:${existing.reason || existing.status}`, outboxId: id };
   }
 
-  if (res.dryRun) { console.log(`[${tag}] dry run — not posted`); return { ok: false, dryRun: true }; }
-  if (!res.ok) { console.error(`[${tag}] thread failed: ${res.reason}`); return { ok: false, reason: res.reason }; }
+  const { item, blocked } = ob.claimNext("x", { id, budget: OUTBOX_X ? undefined : null });
+  if (blocked) { console.log(`[${tag}] X budget: ${blocked.reason} — thread #${id} stays queued`); return { ok: false, reason: "budget", outboxId: id }; }
+  if (!item) return { ok: false, reason: `not_claimable:${existing.status}`, outboxId: id, partsPosted: ob.threadParts(id).filter((p) => p.status === "posted").length };
+  return drainThread(item, { tag, cycle });
+}
 
-  const urls = res.urls || [];
-  const tweet1Url = urls[0] && isConfirmedStatusUrl(urls[0]) ? urls[0] : (urls[0] || null);
-  if (!tweet1Url) return { ok: false, reason: "tweet1_unconfirmed" };
+/** Post the unposted parts of a CLAIMED thread item (lib/outbox drainParts) via the X engine. */
+async function drainThread(item, { tag, cycle }) {
+  const ob = require("./outbox");
+  const id = item.id;
+  const x = await makeEngine(tag, null, "thread", cycle);
+  if (!x) { ob.markFailed(id, "helmstack_connect_failed"); return { ok: false, reason: "helmstack_connect_failed", outboxId: id }; }
 
-  // Log tweet1 + each confirmed reply, mirroring the CDP path's posts_log shape.
-  logTweet({ type: "thread", content: tweets[0], tweet_url: tweet1Url, cycle });
-  let replyTo = tweet1Url;
-  for (let i = 1; i < tweets.length; i++) {
-    const u = urls[i];
-    if (u) { logTweet({ type: "thread_reply", content: tweets[i], tweet_url: u, reply_to: replyTo, cycle }); replyTo = u; }
-    else console.log(`[${tag}] tweet${i + 1} not confirmed`);
-  }
-  await x.c.navigate(x.tab, "https://x.com/home").catch(() => {});
-  return { ok: true, tweet1Url, urls };
+  const r = await ob.drainParts(id, async ({ part, replyTo }) => {
+    const res = replyTo ? await x.reply(replyTo, part.text, { dryRun: DRY_RUN }) : await x.post(part.text, { dryRun: DRY_RUN });
+    if (res.dryRun) return { dryRun: true };
+    if (!(res.ok || res.posted)) return { ok: false, reason: res.reason || "post_failed" };
+    let url = res.url && isConfirmedStatusUrl(res.url) ? res.url : null;
+    // The next part has to reply to this one — recover the URL from the profile.
+    if (!url) url = await x.findOwnTweetUrl(part.text.split("\n")[0].slice(0, 50)).catch(() => null);
+    return { ok: true, url };
+  }, {
+    log: (m) => console.log(`[${tag}] ${m}`),
+    onPosted: (part, { url, replyTo }) => {
+      if (part.idx === 0) logTweet({ type: "thread", content: part.text, tweet_url: url || "posted", cycle });
+      else logTweet({ type: "thread_reply", content: part.text, tweet_url: url || "posted", reply_to: replyTo, cycle });
+    },
+  });
+  if (r.dryRun) console.log(`[${tag}] dry run — not posted`);
+  if (r.ok) await x.c.navigate(x.tab, "https://x.com/home").catch(() => {});
+  return { ...r, tweet1Url: r.urls[0] || null, outboxId: id };
 }
 
 // ── runArticle ────────────────────────────────────────────────────────────────
@@ -308,4 +367,56 @@ async function runArticle({ title, body } = {}) {
   return { ok: true, url: res.url || null };
 }
 
-module.exports = { runTweet, runQuote, runThread, runArticle };
+// ── runQueued ─────────────────────────────────────────────────────────────────
+// Drains ONE due scheduled X item (enqueued ahead with notBefore/priority — e.g.
+// article announcements or threads pre-scheduled by the daily pipeline). The
+// claim enforces the X budget + posting window; a blocked or empty claim is a
+// no-op. kind 'tweet' posts text; kind 'thread' (outbox enqueueThread) posts its
+// remaining parts via drainThread — so this also resumes half-posted threads.
+// Voice-gated here because the producer may have run hours earlier.
+// Returns { ok, id?, url?, blocked?, reason? }.
+async function runQueued({ cycle } = {}) {
+  const tag = "post_queued.hs";
+  const ob = require("./outbox");
+  const { item, blocked } = ob.claimNext("x", { kinds: ["tweet", "thread"] });
+  if (blocked) { console.log(`[${tag}] X budget: ${blocked.reason} — next slot ${blocked.retryAt}`); return { ok: false, blocked }; }
+  if (!item) { console.log(`[${tag}] nothing due in the X outbox`); return { ok: false, reason: "empty" }; }
+
+  const parts = item.kind === "thread"
+    ? ob.threadParts(item.id).filter((p) => p.status !== "posted").map((p) => p.text)
+    : [String(item.text || "").trim()];
+  if (!parts.length || !parts[0]) { ob.markRejected(item.id, "empty"); return { ok: false, id: item.id, reason: "empty" }; }
+  for (const t of parts) {
+    const vfErrors = voiceFilter.check(t);
+    if (vfErrors.length) {
+      ob.markRejected(item.id, `voice_filter: ${vfErrors.join("; ")}`);
+      console.error(`[${tag}] outbox #${item.id} voice_filter rejected: ${vfErrors.join("; ")}`);
+      return { ok: false, id: item.id, reason: "voice_filter" };
+    }
+  }
+  console.log(`[${tag}] posting outbox #${item.id} (${item.kind}${parts.length > 1 ? `, ${parts.length} parts` : ""}, priority ${item.priority})`);
+
+  if (item.kind === "thread") {
+    const r = await drainThread(item, { tag, cycle });
+    return { ok: r.ok, id: item.id, url: r.tweet1Url || null, reason: r.reason, dryRun: r.dryRun };
+  }
+
+  const x = await makeEngine(tag, null, "tweet", cycle);
+  if (!x) { ob.markFailed(item.id, "helmstack_connect_failed"); return { ok: false, id: item.id, reason: "helmstack_connect_failed" }; }
+  let res;
+  try {
+    res = await x.post(parts[0], { dryRun: DRY_RUN });
+  } catch (err) {
+    ob.markFailed(item.id, `exception: ${err.message}`);
+    return { ok: false, id: item.id, reason: "exception", error: err.message };
+  }
+  if (res.dryRun) { ob.release(item.id, "dry_run"); return { ok: false, id: item.id, dryRun: true }; }
+  if (!res.posted) { ob.markFailed(item.id, res.reason || "post_failed"); return { ok: false, id: item.id, reason: res.reason || "post_failed" }; }
+  const url = res.url && isConfirmedStatusUrl(res.url) ? res.url : null;
+  ob.markPosted(item.id, { url });
+  logTweet({ content: parts[0], tweet_url: url || "posted", cycle });
+  await x.c.navigate(x.tab, "https://x.com/home").catch(() => {});
+  return { ok: true, id: item.id, url };
+}
+
+module.exports = { runTweet, runQuote, runThread, runArticle, runQueued };
@@ -0,0 +1,39 @@
+'use strict';
+/**
+ * runner/lib/posts_archive.js — read the permanent posts archive
+ *
+ * scraper/collect.js appends every scored post to
+ * state/posts_archive/YYYY-MM.jsonl (id, text, username, ts, the scoring
+ * fields and cluster label; no keywords). The scraper index prunes old rows;
+ * the archive does not, so multi-day analyses read both.
+ *
+ *   readSince(fromMs, { dir }) -> archive rows with ts > fromMs
+ *
+ * Readers: coordination_detect.js, narrative_arc_detect.js.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const ARCHIVE_DIR = path.resolve(__dirname, '../../state/posts_archive');
+
+/** Archive rows newer than `fromMs`, from the monthly files the window touches. */
+function readSince(fromMs, { dir = ARCHIVE_DIR } = {}) {
+  const months = new Set();
+  for (let t = fromMs; t <= Date.now() + 86400_000; t += 86400_000) months.add(new Date(t).toISOString().slice(0, 7));
+  const rows = [];
+  for (const month of months) {
+    let text;
+    try { text = fs.readFileSync(path.join(dir, `${month}.jsonl`), 'utf-8'); } catch { continue; }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const row = JSON.parse(line);
+        if (Number(row.ts) > fromMs) rows.push(row);
+      } catch { /* torn line from a concurrent append */ }
+    }
+  }
+  return rows;
+}
+
+module.exports = { readSince, ARCHIVE_DIR };
@@ -51,6 +51,11 @@ module.exports = function buildBrowsePrompt(ctx) {
     ctx.commentCandidates + '\n' +
     '\u2500\u2500 CURRENT BELIEF AXES (read before updating ontology) \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\n' +
     ctx.currentAxes + '\n' +
+    (ctx.narrativeTactics ? (
+      '\u2500\u2500 RHETORICAL TACTICS IN YOUR FEED (last 24h, detector + your narrative_tracker logs) \u2500\u2500\u2500\u2500\u2500\u2500\u2500\u2500\n' +
+      'Name a tactic in your notes only when the post in front of you actually uses it.\n' +
+      ctx.narrativeTactics + '\n'
+    ) : '') +
     (ctx.synthesisPending ? (
       '\u2500\u2500 SYNTHESIS PENDING (tension pairs with sufficient evidence on both sides) \u2500\u2500\u2500\u2500\u2500\n' +
       ctx.synthesisPending + '\n'
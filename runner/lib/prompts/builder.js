@@ -22,6 +22,9 @@ const PROTECTED_FILES = [
   'runner/lib/state.js',
   'runner/lib/config.js',
   'runner/lib/sandbox.js',
+  'runner/lib/coverage_diff.js',
+  'runner/lib/meta_canary.js',
+  'runner/meta_canary.js',
   'runner/tool_guard.js',
   'runner/builder_vertex.js',
   'runner/builder_pipeline.js',
@@ -211,6 +214,13 @@ Your job is to implement a process improvement that Sebastian identified.
 10. ALL file paths in staging/ must mirror the REAL project structure. The project uses runner/
    not src/. Example: staging/runner/tools/my_tool.js → becomes runner/tools/my_tool.js.
    Do NOT invent directories like src/, lib/, or pipelines/ that do not exist in the repo.
+11. Every .js file you create or modify must be exercised by a test. Write a regression test
+   staging/runner/tests/meta/${proposal.id}.test.js: a standalone script that require()s your
+   changed modules, calls the changed functions with small in-memory inputs, and exits non-zero
+   (throw or process.exit(1)) when a result is wrong. Use only the built-in assert module.
+   Do not touch the network or write outside os.tmpdir(). List it in "files" and in "tests".
+   The pipeline runs runner/tests/run_tests.js plus your test in a sandbox with coverage, and
+   refuses to merge if any changed module has no changed line executed by a test.
 
 ## The proposal
 
@@ -384,9 +394,11 @@ Write each file as a fenced code block with the staging path as header:
 {
   "proposal_id": "${proposal.id}",
   "files": [
-    { "path": "relative/path.js", "action": "create|modify" }
+    { "path": "relative/path.js", "action": "create|modify" },
+    { "path": "runner/tests/meta/${proposal.id}.test.js", "action": "create" }
   ],
   "test_commands": ["node --check runner/new_script.js"],
+  "tests": ["runner/tests/meta/${proposal.id}.test.js"],
   "rollback_safe": true
 }
 \`\`\`
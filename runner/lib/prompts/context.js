@@ -4,6 +4,7 @@ const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const { buildToolManifest, loadLastToolResult } = require('../tools');
+const narrative = require('../narrative_tactics');
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -299,6 +300,18 @@ function formatUnresolvedClaims() {
   } catch { return '(no open claims)'; }
 }
 
+/**
+ * Rhetorical tactics the detector and the agent logged to the narrative ledger
+ * in the last 24h (browse prompt). Empty string when there are none.
+ */
+function formatNarrativeTactics() {
+  try {
+    return narrative.formatForPrompt(narrative.query({ sinceMs: Date.now() - 24 * 3600_000 }));
+  } catch {
+    return '';
+  }
+}
+
 function formatEngagementSummary() {
   try {
     const p = config.ENGAGEMENT_SUMMARY_PATH;
@@ -386,6 +399,7 @@ function loadContext(opts) {
     ctx.lastReflection      = readState(config.REFLECTION_NOTES_PATH, { tail: 40, fallback: '' });
     ctx.commentCandidates = readState(config.COMMENT_CANDIDATES_PATH, { fallback: '' });
     ctx.discourseDigest   = readState(config.DISCOURSE_DIGEST_PATH, { fallback: '' });
+    ctx.narrativeTactics  = formatNarrativeTactics();
     ctx.sprintContext     = readState(config.SPRINT_CONTEXT_PATH, { fallback: '(no active plan)' });
     ctx.readingBlock      = buildReadingBlock();
     ctx.prefetchSource    = readState(config.PREFETCH_SOURCE_PATH, { fallback: '' }).trim();
@@ -431,6 +445,7 @@ module.exports.formatQuotedSources = formatQuotedSources;
 module.exports.loadActivePlanContext = loadActivePlanContext;
 module.exports.buildReadingBlock = buildReadingBlock;
 module.exports.buildJournalTask = buildJournalTask;
+module.exports.formatNarrativeTactics = formatNarrativeTactics;
 
 // CLI: dump context as JSON for debugging
 if (require.main === module) {
@@ -14,6 +14,8 @@
  * @param {string} [opts.sourceUrl]   — URL of the source post/article
  * @param {string} [opts.priorSummary] — existing quick-verify summary if any
  * @param {string} [opts.category]    — claim category
+ * @param {string} [opts.narrativeContext] — tactics detected in the claim wording
+ *                                          and logged for the source (narrative ledger)
  * @returns {string} the prompt
  */
 module.exports = function buildInvestigatePrompt(opts) {
@@ -21,6 +23,10 @@ module.exports = function buildInvestigatePrompt(opts) {
     ? `\nPRIOR QUICK VERIFICATION:\n${opts.priorSummary}\nUse this as a starting point but do NOT trust it blindly. Verify independently.\n`
     : '';
 
+  const framing = opts.narrativeContext
+    ? `\nRHETORICAL FRAMING (mechanical detector + narrative ledger — leads, not findings):\n${opts.narrativeContext}\nStrip the loaded language and verify the bare factual assertion; note in key_finding if the framing outruns the facts.\n`
+    : '';
+
   const source = [
     opts.handle ? `Source handle: ${opts.handle}` : null,
     opts.sourceUrl ? `Source URL: ${opts.sourceUrl}` : null,
@@ -34,7 +40,7 @@ follow the attribution chain, and actively seek contradicting evidence.
 == CLAIM TO INVESTIGATE ==
 "${opts.claimText}"
 ${source}
-${prior}
+${prior}${framing}
 == INVESTIGATION PROTOCOL ==
 
 You have these tools: web_search, navigate, get_page_content, click, screenshot, write_file, read_file.
@@ -0,0 +1,207 @@
+'use strict';
+/**
+ * runner/lib/research_jobs.js — durable deep-research JOB records.
+ *
+ * A research run (triage → plan → execute → refine → resolve → synth) is
+ * minutes of tool calls and dozens of Claude calls. Held only in memory, a
+ * crash, the Telegram bot's kill timer or a Claude quota hit halfway through
+ * threw every fetched finding away. Each run is now a job file,
+ * state/research_jobs/<id>.json, checkpointed as it goes:
+ *
+ *   { job_id, question, status, stage, pid, opts, created_at, updated_at,
+ *     stages:  { triage, tier, plan, execute, fetch, critic-1, …, synth },
+ *     partial: { <stage>: [step results so far] },   // a stage still running
+ *     root, ledger,                                   // deep tier: the tree
+ *     error, resumed }
+ *
+ * stage(job, name, fn) runs fn once per job — a stage already in `stages`
+ * returns its checkpoint instead — so re-opening a job (same id) picks up after
+ * the last completed stage. Tool steps inside a stage checkpoint one by one
+ * (stepResults / stepDone); the deep tier's answered tree nodes are skipped
+ * and a leaf cut off mid-way resumes from its per-node stages.
+ *
+ * status: running | done | bailed | failed | cancelled. A 'running' job whose
+ * pid is gone reads as 'interrupted'. failed and interrupted jobs are
+ * resumable; resumable(question) finds one for the same question from the
+ * last day, so re-asking after a quota hit continues instead of starting over.
+ *
+ * CANCEL is cooperative and works across processes: requestCancel(id) drops an
+ * <id>.cancel marker (the worker rewrites <id>.json constantly, so a flag inside
+ * it would be overwritten). The worker checks it before every stage and tool
+ * step and stops with err.code 'RESEARCH_CANCELLED'.
+ *
+ *   open({ id, question, opts }) -> job      // resume job `id`, else create it
+ *   stage(job, name, fn) -> result           stepResults(job, name) / stepDone(job, name, r)
+ *   checkCancelled(job)   // throws          finish(job, status, extra)
+ *   requestCancel(id) -> { ok, reason?, pending?, job? }
+ *   load(id) / save(job) / list({ limit }) / resumable(question) / newId()
+ *
+ * job = null is accepted everywhere and means "not checkpointed" (plan-only runs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+const JOBS_DIR = process.env.RESEARCH_JOBS_DIR || path.join(config.STATE_DIR, 'research_jobs');
+const RESUME_MAX_AGE_H = 24;
+const TERMINAL = new Set(['done', 'bailed', 'cancelled']);
+const log = (m) => console.log(`[research_jobs] ${m}`);
+
+// Same shape as the cost-ledger research id (deep_research asResearchJob), so a
+// job and its spend share one id.
+const newId = () => `dr-${Date.now().toString(36)}`;
+const validId = (id) => /^[\w.-]+$/.test(String(id || ''));
+const fileFor = (id, ext = 'json') => path.join(JOBS_DIR, `${id}.${ext}`);
+const normalize = (q) => String(q || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+function alive(pid) {
+  if (!pid) return false;
+  try { process.kill(pid, 0); return true; } catch (e) { return e.code === 'EPERM'; }
+}
+
+/** 'interrupted' for a running job whose process is gone; otherwise the stored status. */
+function statusOf(job) {
+  return job.status === 'running' && !alive(job.pid) ? 'interrupted' : job.status;
+}
+
+function load(id) {
+  if (!validId(id)) return null;
+  try {
+    const job = JSON.parse(fs.readFileSync(fileFor(id), 'utf-8'));
+    return job && job.stages ? job : null; // pre-checkpoint tree docs share the dir
+  } catch { return null; }
+}
+
+/** Write-then-rename so a reader (Telegram /dr status) never sees half a file. Never throws. */
+function save(job) {
+  if (!job) return job;
+  job.updated_at = new Date().toISOString();
+  try {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+    const tmp = fileFor(job.job_id, `json.${process.pid}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2));
+    fs.renameSync(tmp, fileFor(job.job_id));
+  } catch (e) { log(`save ${job.job_id} failed (non-fatal): ${e.message}`); }
+  return job;
+}
+
+function clearCancel(id) { try { fs.rmSync(fileFor(id, 'cancel'), { force: true }); } catch {} }
+
+/**
+ * Resume job `id` if it exists, else create it. Refuses a job that is still
+ * running in another live process.
+ */
+function open({ id = newId(), question, opts = {} } = {}) {
+  if (!validId(id)) throw new Error(`invalid research job id: ${id}`);
+  const prev = load(id);
+  if (prev) {
+    if (prev.status === 'running' && prev.pid !== process.pid && alive(prev.pid)) {
+      throw new Error(`research job ${id} is already running (pid ${prev.pid})`);
+    }
+    const done = Object.keys(prev.stages);
+    log(`${id}: resuming (${prev.status}) — ${done.length ? `checkpoints: ${done.join(', ')}` : 'no stage completed yet'}`);
+    clearCancel(id);
+    return save({ ...prev, status: 'running', pid: process.pid, error: null, resumed: (prev.resumed || 0) + 1 });
+  }
+  clearCancel(id);
+  const now = new Date().toISOString();
+  return save({
+    job_id: id, question, status: 'running', stage: 'start', pid: process.pid, opts,
+    created_at: now, updated_at: now, stages: {}, partial: {}, error: null, resumed: 0,
+  });
+}
+
+/** Throws err.code 'RESEARCH_CANCELLED' once a cancel was requested for `job`. */
+function checkCancelled(job) {
+  if (!job || !fs.existsSync(fileFor(job.job_id, 'cancel'))) return;
+  const err = new Error(`research job ${job.job_id} cancelled`);
+  err.code = 'RESEARCH_CANCELLED';
+  throw err;
+}
+
+/** Run `fn` as stage `name` of `job` — or return its checkpoint if it already ran. */
+async function stage(job, name, fn) {
+  if (!job) return fn();
+  if (Object.prototype.hasOwnProperty.call(job.stages, name)) {
+    log(`${job.job_id}: ${name} — from checkpoint`);
+    return job.stages[name];
+  }
+  checkCancelled(job);
+  job.stage = name;
+  save(job);
+  const out = await fn();
+  job.stages[name] = out === undefined ? null : out;
+  delete job.partial[name];
+  save(job);
+  return out;
+}
+
+/** Step results already recorded for the in-progress stage `name`. */
+function stepResults(job, name) {
+  return job ? (job.partial[name] || []) : [];
+}
+
+/** Record one finished tool step of stage `name`. */
+function stepDone(job, name, result) {
+  if (!job) return;
+  (job.partial[name] = job.partial[name] || []).push(result);
+  save(job);
+}
+
+function finish(job, status, extra = {}) {
+  if (!job) return job;
+  Object.assign(job, extra, { status, pid: null });
+  clearCancel(job.job_id);
+  return save(job);
+}
+
+/**
+ * Ask the job to stop. A live job gets the marker and stops at its next
+ * checkpoint (`pending: true`); a failed or interrupted one has no process to
+ * stop, so it is closed as cancelled right away (and won't be auto-resumed).
+ */
+function requestCancel(id) {
+  const job = load(id);
+  if (!job) return { ok: false, reason: 'no such research job' };
+  const st = statusOf(job);
+  if (TERMINAL.has(st)) return { ok: false, reason: `already ${st}`, job };
+  if (st === 'running') {
+    fs.writeFileSync(fileFor(id, 'cancel'), new Date().toISOString());
+    return { ok: true, pending: true, job };
+  }
+  return { ok: true, job: finish(job, 'cancelled', { error: job.error || `cancelled while ${st}` }) };
+}
+
+/** Newest first: [{ job_id, question, status, stage, created_at, updated_at, error, resumed, cancelling }]. */
+function list({ limit = 10 } = {}) {
+  let files = [];
+  try { files = fs.readdirSync(JOBS_DIR).filter((f) => f.endsWith('.json')); } catch { return []; }
+  const out = [];
+  for (const f of files) {
+    const job = load(f.slice(0, -5));
+    if (!job) continue;
+    out.push({
+      job_id: job.job_id, question: job.question, status: statusOf(job), stage: job.stage,
+      created_at: job.created_at, updated_at: job.updated_at, error: job.error || null,
+      resumed: job.resumed || 0, cancelling: fs.existsSync(fileFor(job.job_id, 'cancel')),
+    });
+  }
+  out.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+  return out.slice(0, limit);
+}
+
+/** The newest failed/interrupted job for this question within `maxAgeH`, or null. */
+function resumable(question, { maxAgeH = RESUME_MAX_AGE_H } = {}) {
+  const q = normalize(question);
+  if (!q) return null;
+  const cutoff = new Date(Date.now() - maxAgeH * 3600e3).toISOString();
+  const hit = list({ limit: 50 }).find((j) => normalize(j.question) === q
+    && (j.status === 'failed' || j.status === 'interrupted') && String(j.updated_at) >= cutoff);
+  return hit ? load(hit.job_id) : null;
+}
+
+module.exports = {
+  open, stage, stepResults, stepDone, checkCancelled, finish, requestCancel,
+  load, save, list, resumable, statusOf, newId, JOBS_DIR,
+};
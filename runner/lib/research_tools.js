@@ -0,0 +1,238 @@
+'use strict';
+/**
+ * runner/lib/research_tools.js — the deep-research TOOL REGISTRY.
+ *
+ * The retrieval primitives a research plan can call (recall, posts, search,
+ * fetch, rugcheck, …) used to be one hard-coded object in deep_research.js with
+ * a hand-kept description string beside it; adding a source meant editing both,
+ * and nothing stopped a tree run from hammering one API or re-fetching the same
+ * page in every job. Each tool is now a module in runner/research_tools/ that
+ * exports a spec (or an array of specs):
+ *
+ *   {
+ *     name: 'wikipedia',                         // what plans write in "tool"
+ *     description: 'encyclopedic summary …',     // planner-prompt line
+ *     input: { format: 'text'|'url'|'solana-mint', optional, description },
+ *     rateLimit: { perMinute, perHour, perDay }, // optional, counted across processes
+ *     cacheTtlSec: 86400,                        // 0/absent = never cached
+ *     cacheKey: (input) => '…',                  // optional input normalizer
+ *     order: 10,                                 // position in the planner list
+ *     run: async (input) => string | { text, urls },
+ *   }
+ *
+ * Modules are discovered on first use (sorted by order, then name); register()
+ * adds one programmatically. A recurring entry in state/tool_gaps.json is
+ * closed by dropping a module into runner/research_tools/.
+ *
+ * call(name, input) never throws — like the tools themselves it answers in a
+ * "(…)" string when it can't: unknown tool, bad input, quota reached, error.
+ * Those miss strings are never cached. Results are cached in
+ * state/research_cache.db keyed by tool + normalized input, so a page fetched by
+ * one job is served from cache to the next until its TTL runs out; quota use is
+ * counted in the same database, so the bot's research subprocesses and the reply
+ * worker share one budget per tool. A quota that frees up within MAX_WAIT_MS
+ * waits; a longer one refuses the call.
+ *
+ *   call(name, input, { fresh }) -> result    has(name) / get(name) / names()
+ *   describe() -> planner prompt text         register(spec) / loadDir(dir)
+ *   usage(name) -> { minute, hour, day, rateLimit }
+ *   httpJson(url, { timeoutMs })              // shared helper for API tools
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const config = require('./config');
+
+const TOOLS_DIR = path.join(__dirname, '..', 'research_tools');
+const DB_PATH = process.env.RESEARCH_CACHE_DB_PATH || path.join(config.STATE_DIR, 'research_cache.db');
+const MAX_WAIT_MS = 10_000;
+const WINDOWS = { perMinute: 60e3, perHour: 3600e3, perDay: 86400e3 };
+const FORMATS = {
+  text: (v) => v.trim().length > 0 || 'expected a non-empty query',
+  url: (v) => /^https?:\/\/\S+$/.test(v.trim()) || 'expected an http(s) URL',
+  'solana-mint': (v) => /[1-9A-HJ-NP-Za-km-z]{32,44}/.test(v) || 'expected a Solana mint address',
+};
+const log = (m) => console.log(`[research_tools] ${m}`);
+
+/** Plain https GET → parsed JSON (follows one redirect). Resolves null on error. */
+function httpJson(url, { timeoutMs = 15000, headers = {} } = {}) {
+  return new Promise((resolve) => {
+    const req = https.get(url, { headers: { 'User-Agent': 'Mozilla/5.0', 'Accept': 'application/json', ...headers } }, (res) => {
+      if ([301, 302, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume(); return resolve(httpJson(new URL(res.headers.location, url).toString(), { timeoutMs, headers }));
+      }
+      let raw = ''; res.on('data', (c) => (raw += c));
+      res.on('end', () => { try { resolve(JSON.parse(raw)); } catch { resolve(null); } });
+    });
+    req.setTimeout(timeoutMs, () => { req.destroy(); resolve(null); });
+    req.on('error', () => resolve(null));
+  });
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+
+const registry = new Map();
+let loaded = false;
+
+function register(spec) {
+  if (!spec || typeof spec.name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(spec.name)) throw new Error(`research tool: invalid name ${spec && spec.name}`);
+  if (typeof spec.description !== 'string' || !spec.description.trim()) throw new Error(`research tool ${spec.name}: missing description`);
+  if (typeof spec.run !== 'function') throw new Error(`research tool ${spec.name}: missing run()`);
+  const format = (spec.input && spec.input.format) || 'text';
+  if (!FORMATS[format]) throw new Error(`research tool ${spec.name}: unknown input format ${format}`);
+  if (registry.has(spec.name)) log(`${spec.name}: re-registered`);
+  registry.set(spec.name, { order: 100, cacheTtlSec: 0, rateLimit: null, ...spec, input: { format, ...(spec.input || {}) } });
+  return registry.get(spec.name);
+}
+
+/** Register every spec exported by the *.js modules in `dir`. A broken module is skipped, not fatal. */
+function loadDir(dir = TOOLS_DIR) {
+  let files = [];
+  try { files = fs.readdirSync(dir).filter((f) => f.endsWith('.js')).sort(); } catch { return []; }
+  const names = [];
+  for (const f of files) {
+    try {
+      for (const spec of [].concat(require(path.join(dir, f)))) names.push(register(spec).name);
+    } catch (e) { log(`skipping ${f}: ${e.message}`); }
+  }
+  return names;
+}
+
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+  loadDir();
+}
+
+const sorted = () => { ensureLoaded(); return [...registry.values()].sort((a, b) => a.order - b.order || a.name.localeCompare(b.name)); };
+const get = (name) => { ensureLoaded(); return registry.get(name) || null; };
+const has = (name) => !!get(name);
+const names = () => sorted().map((t) => t.name);
+
+/** The tool list for planner prompts — one line per tool. */
+function describe() {
+  return sorted().map((t) => `${t.name} — ${t.description.trim()}${t.input.description ? ` Input: ${t.input.description.trim()}` : ''}`).join('\n');
+}
+
+// ── Cache + quota store ──────────────────────────────────────────────────────
+
+let _db = null;
+function db() {
+  if (_db) return _db;
+  const Database = require('../node_modules/better-sqlite3');
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  _db = new Database(DB_PATH);
+  _db.pragma('journal_mode = WAL');   // research subprocesses + reply worker share it
+  _db.pragma('busy_timeout = 5000');
+  _db.exec(`
+    CREATE TABLE IF NOT EXISTS tool_cache (
+      key        TEXT PRIMARY KEY,
+      tool       TEXT NOT NULL,
+      input      TEXT,
+      value      TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      hits       INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_tool_cache_expires ON tool_cache(expires_at);
+    CREATE TABLE IF NOT EXISTS tool_usage (
+      tool TEXT NOT NULL,
+      ts   INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tool_usage ON tool_usage(tool, ts);
+  `);
+  const now = Date.now();
+  _db.prepare('DELETE FROM tool_cache WHERE expires_at <= ?').run(now);
+  _db.prepare('DELETE FROM tool_usage WHERE ts <= ?').run(now - WINDOWS.perDay);
+  return _db;
+}
+
+// A miss is a parenthesised note — bare, or as the text of a { text, … } result (search).
+const isMiss = (v) => typeof v === 'string'
+  ? /^\([\s\S]*\)$/.test(v.trim())
+  : Boolean(v) && typeof v === 'object' && typeof v.text === 'string' && isMiss(v.text);
+
+function cacheKeyFor(spec, input) {
+  const k = spec.cacheKey ? spec.cacheKey(input) : String(input).trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${spec.name}:${k}`;
+}
+
+function cacheGet(key) {
+  const row = db().prepare('SELECT value FROM tool_cache WHERE key = ? AND expires_at > ?').get(key, Date.now());
+  if (!row) return undefined;
+  db().prepare('UPDATE tool_cache SET hits = hits + 1 WHERE key = ?').run(key);
+  return JSON.parse(row.value);
+}
+
+function cachePut(spec, key, input, value) {
+  const now = Date.now();
+  db().prepare(`INSERT INTO tool_cache (key, tool, input, value, created_at, expires_at, hits) VALUES (?, ?, ?, ?, ?, ?, 0)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, created_at = excluded.created_at, expires_at = excluded.expires_at`)
+    .run(key, spec.name, String(input).slice(0, 500), JSON.stringify(value), now, now + spec.cacheTtlSec * 1000);
+}
+
+/**
+ * Claim one use of `spec` under its rateLimit, atomically across processes.
+ * Returns { ok: true } or { ok: false, waitMs, reason } for the tightest window.
+ */
+function claimQuota(spec, now = Date.now()) {
+  const limits = Object.entries(spec.rateLimit || {}).filter(([w, n]) => WINDOWS[w] && Number.isFinite(n));
+  if (!limits.length) return { ok: true };
+  const d = db();
+  return d.transaction(() => {
+    for (const [w, n] of limits) {
+      const rows = d.prepare('SELECT ts FROM tool_usage WHERE tool = ? AND ts > ? ORDER BY ts').all(spec.name, now - WINDOWS[w]);
+      if (rows.length >= n) {
+        const waitMs = rows[rows.length - n].ts + WINDOWS[w] - now;
+        return { ok: false, waitMs, reason: `quota reached — ${n} ${w.replace('per', 'per ').toLowerCase()}` };
+      }
+    }
+    d.prepare('INSERT INTO tool_usage (tool, ts) VALUES (?, ?)').run(spec.name, now);
+    return { ok: true };
+  }).immediate();
+}
+
+/** Calls of `name` in the last minute / hour / day (cache hits don't count). */
+function usage(name) {
+  const spec = get(name);
+  if (!spec) return null;
+  const now = Date.now();
+  const count = (w) => db().prepare('SELECT COUNT(*) AS n FROM tool_usage WHERE tool = ? AND ts > ?').get(name, now - WINDOWS[w]).n;
+  return { minute: count('perMinute'), hour: count('perHour'), day: count('perDay'), rateLimit: spec.rateLimit || null };
+}
+
+// ── Calling a tool ────────────────────────────────────────────────────────────
+
+async function call(name, input, { fresh = false } = {}) {
+  const spec = get(name);
+  if (!spec) return `(unknown tool ${name})`;
+  const value = input == null ? '' : String(input);
+  if (!(spec.input.optional && !value.trim())) {
+    const ok = FORMATS[spec.input.format](value);
+    if (ok !== true) return `(${name}: invalid input — ${ok})`;
+  }
+  const cached = spec.cacheTtlSec > 0 && !fresh;
+  const key = cached ? cacheKeyFor(spec, value) : null;
+  try {
+    if (cached) {
+      const hit = cacheGet(key);
+      if (hit !== undefined) { log(`cache hit: ${name}("${value.slice(0, 60)}")`); return hit; }
+    }
+    let q = claimQuota(spec);
+    if (!q.ok && q.waitMs <= MAX_WAIT_MS) {
+      await new Promise((r) => setTimeout(r, Math.max(0, q.waitMs) + 50));
+      q = claimQuota(spec);
+    }
+    if (!q.ok) { log(`${name}: ${q.reason}`); return `(${name}: ${q.reason}, retry in ${Math.ceil(q.waitMs / 60e3)} min)`; }
+  } catch (e) { log(`cache/quota store unavailable (${e.message}) — calling ${name} uncached`); }
+
+  let out;
+  try { out = await spec.run(value); } catch (e) { return `(${name} error: ${e.message})`; }
+  if (cached && out != null && !isMiss(out)) {
+    try { cachePut(spec, key, value, out); } catch (e) { log(`cache write failed (non-fatal): ${e.message}`); }
+  }
+  return out;
+}
+
+module.exports = { call, has, get, names, describe, register, loadDir, usage, httpJson, TOOLS_DIR, DB_PATH };
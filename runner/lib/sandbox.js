@@ -318,53 +318,20 @@ function pushReadonlySystemMounts(args) {
   }
 }
 
-function spawnSandboxedProcess({ runDir, toolName, encodedArgs, timeoutMs, metaPath, meta }) {
+/**
+ * Run bwrap with `bubblewrapArgs` in its own process group, tee stdout/stderr
+ * into logsDir, and kill the group after timeoutMs. `onSpawn(child)` runs once
+ * the process exists (meta.json bookkeeping).
+ */
+function runBubblewrap(bubblewrapArgs, { logsDir, timeoutMs, onSpawn }) {
   return new Promise((resolve, reject) => {
-    const scratchStateDir = path.join(runDir, 'work', 'state');
-    const logsDir = path.join(runDir, 'logs');
     ensureDir(logsDir);
-
-    const bubblewrapArgs = [
-      '--die-with-parent',
-      '--new-session',
-      '--unshare-all',
-      '--clearenv',
-      '--setenv', 'HOME', '/tmp',
-      '--setenv', 'PATH', '/usr/bin:/bin',
-      '--setenv', 'NODE_OPTIONS', buildNodeOptions(),
-      '--setenv', 'TOOL_SANDBOX', '1',
-      '--setenv', 'CYCLE', process.env.CYCLE || '0',
-      '--proc', '/proc',
-      '--dev', '/dev',
-      '--tmpfs', '/tmp',
-      '--dir', SANDBOX_WORKSPACE,
-      '--dir', SANDBOX_RUNNER_DIR,
-      '--dir', SANDBOX_TOOLS_DIR,
-      '--ro-bind', config.RUNNER_DIR, SANDBOX_RUNNER_DIR,
-      '--ro-bind', config.TOOLS_DIR, SANDBOX_TOOLS_DIR,
-      '--bind', scratchStateDir, SANDBOX_STATE_DIR,
-      '--chdir', SANDBOX_WORKSPACE,
-    ];
-
-    pushReadonlySystemMounts(bubblewrapArgs);
-
-    bubblewrapArgs.push(
-      process.execPath,
-      `${SANDBOX_RUNNER_DIR}/tool_runner.js`,
-      toolName,
-      encodedArgs
-    );
-
     const child = spawn('bwrap', bubblewrapArgs, {
       cwd: config.PROJECT_ROOT,
       detached: true,
       stdio: ['ignore', 'pipe', 'pipe'],
     });
-
-    meta.pid = child.pid;
-    meta.pgid = child.pid;
-    meta.status = 'running';
-    writeMeta(metaPath, meta);
+    if (onSpawn) onSpawn(child);
 
     const stdoutPromise = collectOutput(
       child.stdout,
@@ -402,6 +369,52 @@ function spawnSandboxedProcess({ runDir, toolName, encodedArgs, timeoutMs, metaP
   });
 }
 
+function spawnSandboxedProcess({ runDir, toolName, encodedArgs, timeoutMs, metaPath, meta }) {
+  const scratchStateDir = path.join(runDir, 'work', 'state');
+
+  const bubblewrapArgs = [
+    '--die-with-parent',
+    '--new-session',
+    '--unshare-all',
+    '--clearenv',
+    '--setenv', 'HOME', '/tmp',
+    '--setenv', 'PATH', '/usr/bin:/bin',
+    '--setenv', 'NODE_OPTIONS', buildNodeOptions(),
+    '--setenv', 'TOOL_SANDBOX', '1',
+    '--setenv', 'CYCLE', process.env.CYCLE || '0',
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--tmpfs', '/tmp',
+    '--dir', SANDBOX_WORKSPACE,
+    '--dir', SANDBOX_RUNNER_DIR,
+    '--dir', SANDBOX_TOOLS_DIR,
+    '--ro-bind', config.RUNNER_DIR, SANDBOX_RUNNER_DIR,
+    '--ro-bind', config.TOOLS_DIR, SANDBOX_TOOLS_DIR,
+    '--bind', scratchStateDir, SANDBOX_STATE_DIR,
+    '--chdir', SANDBOX_WORKSPACE,
+  ];
+
+  pushReadonlySystemMounts(bubblewrapArgs);
+
+  bubblewrapArgs.push(
+    process.execPath,
+    `${SANDBOX_RUNNER_DIR}/tool_runner.js`,
+    toolName,
+    encodedArgs
+  );
+
+  return runBubblewrap(bubblewrapArgs, {
+    logsDir: path.join(runDir, 'logs'),
+    timeoutMs,
+    onSpawn: child => {
+      meta.pid = child.pid;
+      meta.pgid = child.pid;
+      meta.status = 'running';
+      writeMeta(metaPath, meta);
+    },
+  });
+}
+
 async function executeSandboxedTool({ toolName, args, readPatterns, writePatterns }) {
   if (!toolName) {
     throw new Error('executeSandboxedTool requires toolName');
@@ -501,15 +514,167 @@ async function executeSandboxedTool({ toolName, args, readPatterns, writePattern
   }
 }
 
+// ── Test runs (builder pipeline) ─────────────────────────────────────────────
+
+/**
+ * Copy live state/ into a scratch dir for a test run. Files over
+ * SANDBOX_TEST_STATE_MAX_FILE_BYTES (the SQLite indexes) are left out; tests
+ * that need them skip. Returns the relative paths that were left out.
+ */
+function snapshotStateForTests(scratchStateDir, liveRoot = config.STATE_DIR) {
+  const skipped = [];
+  const walk = dir => {
+    let entries = [];
+    try { entries = fs.readdirSync(dir, { withFileTypes: true }); } catch { return; }
+    for (const entry of entries) {
+      const absPath = path.join(dir, entry.name);
+      const rel = posixify(path.relative(liveRoot, absPath));
+      if (entry.isDirectory()) {
+        walk(absPath);
+        continue;
+      }
+      if (!entry.isFile()) continue;
+      if (fs.statSync(absPath).size > config.SANDBOX_TEST_STATE_MAX_FILE_BYTES) {
+        skipped.push(rel);
+        continue;
+      }
+      ensureDir(path.dirname(path.join(scratchStateDir, rel)));
+      fs.copyFileSync(absPath, path.join(scratchStateDir, rel));
+    }
+  };
+  ensureDir(scratchStateDir);
+  walk(liveRoot);
+  return skipped;
+}
+
+/**
+ * Merge the V8 coverage files NODE_V8_COVERAGE left in `coverageDir` into
+ * { relPath: [functions, …] } — one function list per process that loaded the
+ * file — for files under `workspace` outside node_modules.
+ */
+function readCoverage(coverageDir, workspace = SANDBOX_WORKSPACE) {
+  const prefix = `file://${workspace}/`;
+  const out = {};
+  let files = [];
+  try { files = fs.readdirSync(coverageDir).filter(f => f.endsWith('.json')); } catch { return out; }
+  for (const file of files) {
+    let data;
+    try { data = JSON.parse(fs.readFileSync(path.join(coverageDir, file), 'utf-8')); } catch { continue; }
+    for (const script of data.result || []) {
+      if (!script.url || !script.url.startsWith(prefix)) continue;
+      const rel = decodeURIComponent(script.url.slice(prefix.length));
+      if (rel.includes('node_modules/')) continue;
+      (out[rel] = out[rel] || []).push(script.functions || []);
+    }
+  }
+  return out;
+}
+
+/**
+ * Run test scripts against the current working tree inside bubblewrap: the
+ * repo mounted read-only at /workspace, a snapshot copy of state/ writable on
+ * top, no network, and V8 block coverage collected for every process.
+ *
+ * commands: [{ script: 'runner/tests/run_tests.js', args: ['--ci'] }, …]
+ * Returns { status: 'passed'|'failed'|'error', results, coverage, state_skipped, duration_ms, error }.
+ */
+async function executeSandboxedTests({ label = 'tests', commands, timeoutMs = config.SANDBOX_TEST_TIMEOUT_MS }) {
+  const start = Date.now();
+  if (!fs.existsSync('/usr/bin/bwrap')) {
+    return { status: 'error', error: 'bubblewrap is not installed on this host', results: [], coverage: {}, duration_ms: 0 };
+  }
+
+  reapStaleSandboxes();
+  ensureDir(config.SANDBOXES_DIR);
+
+  const runId = createRunId(label);
+  const runDir = path.join(config.SANDBOXES_DIR, runId);
+  const scratchStateDir = path.join(runDir, 'work', 'state');
+  const coverageDir = path.join(runDir, 'coverage');
+  const metaPath = path.join(runDir, 'meta.json');
+  const meta = buildSandboxMeta(runId, label, runDir);
+  ensureDir(coverageDir);
+  writeMeta(metaPath, meta);
+
+  try {
+    const stateSkipped = snapshotStateForTests(scratchStateDir);
+    const results = [];
+    for (const [i, cmd] of (commands || []).entries()) {
+      const bubblewrapArgs = [
+        '--die-with-parent',
+        '--new-session',
+        '--unshare-all',
+        '--clearenv',
+        '--setenv', 'HOME', '/tmp',
+        '--setenv', 'PATH', '/usr/bin:/bin',
+        '--setenv', 'NODE_OPTIONS', `--max-old-space-size=${config.SANDBOX_TEST_MAX_OLD_SPACE_MB}`,
+        '--setenv', 'NODE_V8_COVERAGE', '/coverage',
+        '--setenv', 'TEST_SANDBOX', '1',
+        '--proc', '/proc',
+        '--dev', '/dev',
+        '--tmpfs', '/tmp',
+        '--ro-bind', config.PROJECT_ROOT, SANDBOX_WORKSPACE,
+        '--bind', scratchStateDir, SANDBOX_STATE_DIR,
+        '--bind', coverageDir, '/coverage',
+        '--chdir', SANDBOX_WORKSPACE,
+      ];
+      pushReadonlySystemMounts(bubblewrapArgs);
+      bubblewrapArgs.push(process.execPath, `${SANDBOX_WORKSPACE}/${cmd.script}`, ...(cmd.args || []));
+
+      const proc = await runBubblewrap(bubblewrapArgs, {
+        logsDir: path.join(runDir, 'logs', String(i)),
+        timeoutMs: Math.max(1000, timeoutMs - (Date.now() - start)),
+        onSpawn: child => {
+          meta.pid = child.pid;
+          meta.pgid = child.pid;
+          meta.status = 'running';
+          writeMeta(metaPath, meta);
+        },
+      });
+      results.push({
+        command: ['node', cmd.script, ...(cmd.args || [])].join(' '),
+        code: proc.code,
+        timed_out: proc.timedOut,
+        stdout_tail: proc.stdout.slice(-2000),
+        stderr_tail: proc.stderr.slice(-1000),
+      });
+      if (proc.timedOut) break;
+    }
+
+    meta.status = 'completed';
+    writeMeta(metaPath, meta);
+    const failed = results.some(r => r.code !== 0 || r.timed_out);
+    return {
+      status: failed ? 'failed' : 'passed',
+      results,
+      coverage: readCoverage(coverageDir),
+      state_skipped: stateSkipped,
+      duration_ms: Date.now() - start,
+    };
+  } catch (e) {
+    return { status: 'error', error: e.message, results: [], coverage: {}, duration_ms: Date.now() - start };
+  } finally {
+    try {
+      killProcessGroup(meta.pgid || meta.pid, 'SIGTERM');
+      killProcessGroup(meta.pgid || meta.pid, 'SIGKILL');
+    } catch {}
+    try {
+      fs.rmSync(runDir, { recursive: true, force: true });
+    } catch {}
+  }
+}
+
 module.exports = {
   absoluteStatePathToRelative,
   buildNodeOptions,
+  executeSandboxedTests,
   executeSandboxedTool,
   matchesAnyPattern,
   matchesStatePattern,
   normalizeStatePattern,
   normalizeStateRelativePath,
   pushReadonlySystemMounts,
+  readCoverage,
   reapStaleSandboxes,
   resolveRequestedStatePath,
   validateCapabilities,
@@ -1,20 +1,9 @@
 'use strict';
 
-const NARRATIVE_TACTICS = Object.freeze([
-  'fabrication',
-  'sensationalism',
-  'fear-mongering',
-  'conspiracy_theory',
-  'strategic_ambiguity',
-  'false_attribution',
-  'whataboutism',
-  'ad_hominem',
-  'tribal_signaling',
-  'ragebait',
-  'engagement_farming',
-  'claims_without_evidence',
-  'other',
-]);
+const narrative = require('./narrative_tactics');
+
+// Canonical tactic ids from the shared taxonomy (runner/data/narrative_tactics_taxonomy.json).
+const NARRATIVE_TACTICS = Object.freeze(narrative.taxonomy().tactics.map(t => t.id));
 
 // This schema defines the structure for narrative analysis metadata.
 // It's designed to be attached to observations or evidence entries.
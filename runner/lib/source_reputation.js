@@ -0,0 +1,168 @@
+'use strict';
+/**
+ * runner/lib/source_reputation.js — per-source reputation learned from claim
+ * verification outcomes.
+ *
+ * Source tier (source_registry.json) and trust_score (trust_graph.json) are set
+ * by hand and never learn that an account keeps posting claims that get
+ * refuted. This ledger does: every verified claim whose status settled on
+ * supported (1) or refuted (0) is an outcome for its source — the handle
+ * (`@name`) and, where the handle maps to an outlet, its domain.
+ *
+ * Reputation is a Beta posterior over "this source's claims hold up":
+ *   prior      — the static tier as the mean ((6 − tier) / 5, unknown = 0.5)
+ *                worth PRIOR_N pseudo-claims, so a fresh source scores exactly
+ *                what its tier always gave it
+ *   outcomes   — each weighted 0.5^(age / HALF_LIFE_DAYS), so old verdicts fade
+ *                and a source can earn its way back
+ *   interval   — a 90% credible interval (normal approximation); consumers act
+ *                on the interval, not the mean, so two refutations don't sink
+ *                a source
+ *
+ *   refresh(rows, file)                  -> rebuild the ledger from claim_verifications rows
+ *   load(file)                           -> the ledger ({ sources: {} } if missing)
+ *   lookup(ledger, { handle, url, domain }) -> the first matching entry, handle first
+ *   estimate(entry, { exclude, now })    -> { mean, lo, hi, n, effective_n, prior }
+ *   weightFactor(est)                    -> 0.5–1.5 trust multiplier (1 unless the interval clears 0.5)
+ *
+ * Consumers: claim_scorer.js (source_tier component = posterior mean, the
+ * claim's own outcome excluded) and apply_ontology_delta.js (trust_weight ×
+ * weightFactor). Rebuilt at the end of every verify_claims.js cycle.
+ *
+ * Pure JS, no deps. Env knob: SOURCE_REPUTATION_PATH (state/source_reputation.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPUTATION_PATH = process.env.SOURCE_REPUTATION_PATH || path.resolve(__dirname, '../../state/source_reputation.json');
+const HALF_LIFE_DAYS = 90;
+const PRIOR_N = 4;       // pseudo-claims behind the tier prior
+const Z90 = 1.645;
+const DAY_MS = 86400_000;
+
+const OUTCOME = { supported: 1, refuted: 0 };
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const round3 = (x) => Math.round(x * 1000) / 1000;
+
+// Maps handle → the outlet's website domain, so a handle's record also counts
+// for the domain and grounding metadata can be matched to it.
+const HANDLE_TO_DOMAIN = {
+  reuters: 'reuters.com', ap: 'apnews.com', apnews: 'apnews.com',
+  bbc: 'bbc.com', bbcbreaking: 'bbc.com', cnn: 'cnn.com',
+  foxnews: 'foxnews.com', ajenglish: 'aljazeera.com', aljazeera: 'aljazeera.com',
+  nytimes: 'nytimes.com', washingtonpost: 'washingtonpost.com',
+  theguardian: 'theguardian.com', wsj: 'wsj.com', ft: 'ft.com',
+  axios: 'axios.com', politico: 'politico.com', thehill: 'thehill.com',
+  haaretz: 'haaretz.com', timesofisrael: 'timesofisrael.com',
+  cbsnews: 'cbsnews.com', nbcnews: 'nbcnews.com', skynews: 'news.sky.com',
+  dailymail: 'dailymail.co.uk',
+};
+
+const tierPrior = (tier) => (tier >= 1 && tier <= 5 ? (6 - tier) / 5 : 0.5);
+
+/** Ledger keys for a source: `@handle`, and the bare domain for outlets and non-X URLs. */
+function sourceKeys({ handle = null, url = null, domain = null } = {}) {
+  const keys = [];
+  let h = handle ? String(handle).replace(/^@/, '').toLowerCase() : null;
+  let d = domain ? String(domain).toLowerCase().replace(/^www\./, '') : null;
+  if (url) {
+    try {
+      const u = new URL(url);
+      const host = u.hostname.toLowerCase().replace(/^www\./, '');
+      if (/^(x|twitter)\.com$/.test(host)) h = h || (u.pathname.split('/')[1] || '').toLowerCase() || null;
+      else d = d || host;
+    } catch {}
+  }
+  if (h) keys.push(`@${h}`);
+  if (h && !d && HANDLE_TO_DOMAIN[h]) d = HANDLE_TO_DOMAIN[h];
+  if (d) keys.push(d);
+  return keys;
+}
+
+/**
+ * Rebuild the ledger from claim_verifications rows. Rebuilding (rather than
+ * appending) keeps it idempotent: a claim re-verified from supported to
+ * refuted counts once, as refuted.
+ */
+function build(rows, { now = Date.now() } = {}) {
+  const sources = {};
+  for (const row of rows || []) {
+    if (!(row.status in OUTCOME)) continue;
+    const at = row.last_verified_at || row.updated_at || row.created_at;
+    for (const key of sourceKeys({ handle: row.source_handle })) {
+      const entry = sources[key] || (sources[key] = { tier: null, outcomes: [] });
+      if (row.source_tier && (!entry.tier || row.source_tier < entry.tier)) entry.tier = row.source_tier;
+      entry.outcomes.push({ claim_id: row.claim_id, outcome: OUTCOME[row.status], at });
+    }
+  }
+  for (const entry of Object.values(sources)) {
+    entry.outcomes.sort((a, b) => String(a.at).localeCompare(String(b.at)));
+    Object.assign(entry, summarize(estimate(entry, { now })));
+  }
+  return { updated_at: new Date(now).toISOString(), half_life_days: HALF_LIFE_DAYS, prior_n: PRIOR_N, sources };
+}
+
+const summarize = (est) => ({ mean: est.mean, lo: est.lo, hi: est.hi, n: est.n });
+
+/**
+ * Posterior for one ledger entry (or null → the prior alone). `exclude` drops
+ * one claim's outcome so a claim is never scored on its own verdict; `tier`
+ * sets the prior when the entry has none.
+ */
+function estimate(entry, { exclude = null, now = Date.now(), tier = null } = {}) {
+  const prior = tierPrior((entry && entry.tier) || tier);
+  let a = prior * PRIOR_N;
+  let b = (1 - prior) * PRIOR_N;
+  let n = 0;
+  for (const o of (entry && entry.outcomes) || []) {
+    if (exclude && o.claim_id === exclude) continue;
+    const ageDays = Math.max(0, (now - new Date(o.at).getTime()) / DAY_MS) || 0;
+    const w = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+    a += w * o.outcome;
+    b += w * (1 - o.outcome);
+    n++;
+  }
+  const mean = a / (a + b);
+  const half = Z90 * Math.sqrt((mean * (1 - mean)) / (a + b + 1));
+  return {
+    mean: round3(mean), lo: round3(clamp(mean - half, 0, 1)), hi: round3(clamp(mean + half, 0, 1)),
+    n, effective_n: round3(a + b - PRIOR_N), prior: round3(prior),
+  };
+}
+
+/**
+ * Trust multiplier for evidence weighting. 1 unless the whole interval sits on
+ * one side of 0.5; then it scales by the bound nearest 0.5 (×2), so only a
+ * source whose record is clearly bad (or clearly good) moves.
+ */
+function weightFactor(est) {
+  if (!est || !est.n) return 1;
+  if (est.hi < 0.5) return round3(clamp(est.hi * 2, 0.5, 1));
+  if (est.lo > 0.5) return round3(clamp(est.lo * 2, 1, 1.5));
+  return 1;
+}
+
+function load(file = REPUTATION_PATH) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return { sources: {} }; }
+}
+
+function lookup(ledger, source) {
+  for (const key of sourceKeys(source)) {
+    if (ledger && ledger.sources && ledger.sources[key]) return ledger.sources[key];
+  }
+  return null;
+}
+
+function refresh(rows, file = REPUTATION_PATH, { now = Date.now() } = {}) {
+  const ledger = build(rows, { now });
+  if (file) {
+    try { fs.writeFileSync(file, JSON.stringify(ledger, null, 2), 'utf-8'); } catch {}
+  }
+  return ledger;
+}
+
+module.exports = {
+  build, refresh, load, lookup, estimate, weightFactor, sourceKeys, tierPrior,
+  HANDLE_TO_DOMAIN, REPUTATION_PATH, HALF_LIFE_DAYS,
+};
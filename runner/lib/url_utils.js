@@ -73,6 +73,18 @@ function normalizeUrl(rawUrl, opts = {}) {
   }
 }
 
+// One spelling per page, for matching a URL against another mention of it:
+// normalized, utm_* tracking params dropped, no trailing slash past the root.
+// Keeps X URLs (unlike normalizeUrl's default). Falls back to the trimmed input.
+function canonicalUrl(rawUrl) {
+  const n = normalizeUrl(String(rawUrl || "").trim(), { allowX: true });
+  if (!n) return String(rawUrl || "").trim();
+  const u = new URL(n.url);
+  for (const k of [...u.searchParams.keys()]) if (/^utm_/i.test(k)) u.searchParams.delete(k);
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, "");
+  return u.toString();
+}
+
 function extractUrls(text) {
   return (String(text || "").match(/https?:\/\/[^\s"'<>`]+/g) || [])
     .map(url => url.replace(/[),.;!?]+$/, ""));
@@ -104,6 +116,7 @@ module.exports = {
   canonicalDomain,
   normalizeDomain,
   normalizeUrl,
+  canonicalUrl,
   isXDomain,
   extractUrls,
   uniqueUrls,
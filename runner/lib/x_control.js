@@ -2,6 +2,23 @@
 
 const fs = require('fs');
 const config = require('./config');
+const engineHealth = require('../../tools/helmstack-social/src/health');
+
+// Suppression kinds → the X engine method that carries them. When that method
+// is failing (engine_health.json), only this capability is held off; the rest
+// of X keeps running.
+const KIND_METHOD = {
+  tweet: 'x.post',
+  signal: 'x.post',
+  verification: 'x.post',
+  quote: 'x.quote',
+  reply: 'x.reply',
+  repost: 'x.retweet',
+};
+
+// How long a failing capability stays suppressed after its last failure before
+// one attempt is let through to test it again.
+const ENGINE_COOLDOWN_MS = Number(process.env.X_HEALTH_COOLDOWN_MIN || 120) * 60_000;
 
 function loadXControl() {
   try {
@@ -12,8 +29,7 @@ function loadXControl() {
   }
 }
 
-function isXSuppressed(kind) {
-  const control = loadXControl();
+function operatorSuppressed(control, kind) {
   if (control.all === true) return true;
 
   if (kind === 'tweet' || kind === 'signal') return control.tweets === true;
@@ -24,8 +40,31 @@ function isXSuppressed(kind) {
   return false;
 }
 
+/**
+ * Engine-health suppression for one kind: { method, failure, since } while the
+ * engine method behind it is failing, else null. Set `"engine_health": false`
+ * in x_control.json to turn this off.
+ */
+function engineSuppression(kind, control = loadXControl(), now = Date.now()) {
+  if (control.engine_health === false) return null;
+  const method = KIND_METHOD[kind];
+  if (!method) return null;
+  const entry = (engineHealth.load(config.ENGINE_HEALTH_PATH).methods || {})[method];
+  if (!engineHealth.suppressed(entry, { cooldownMs: ENGINE_COOLDOWN_MS, now })) return null;
+  return { method, failure: entry.last_failure.failure, since: entry.last_failure.at };
+}
+
+function isXSuppressed(kind) {
+  const control = loadXControl();
+  return operatorSuppressed(control, kind) || engineSuppression(kind, control) !== null;
+}
+
 function suppressionReason(kind) {
   const control = loadXControl();
+  if (!operatorSuppressed(control, kind)) {
+    const engine = engineSuppression(kind, control);
+    if (engine) return `engine_${engine.failure}:${engine.method}`;
+  }
   const reason = String(control.reason || '').trim();
   if (reason) return reason;
   return `operator_${kind}_suppressed`;
@@ -35,4 +74,6 @@ module.exports = {
   loadXControl,
   isXSuppressed,
   suppressionReason,
+  engineSuppression,
+  KIND_METHOD,
 };
@@ -5,8 +5,9 @@
  * Thin wrapper that wires hunter's voice filter + posts_log into the generic
  * `helmstack-social` LinkedIn engine (tools/helmstack-social).
  *
- * Drains the channel-agnostic outbox (lib/outbox): claims the NEWEST pending
- * 'linkedin' item, voice/length-gates it, posts it, and marks the outcome —
+ * Drains the channel-agnostic outbox (lib/outbox): claims the next due
+ * 'linkedin' item (priority, then newest; budget-checked in the claim),
+ * voice/length-gates it, posts it, and marks the outcome —
  *   posted   → success (url recorded)
  *   rejected → gate failed (permanent; can NEVER block later drafts — the old
  *              single-file deadlock is gone)
@@ -30,8 +31,9 @@ const tag = "linkedin_post";
 const log = (m) => console.log(`[${tag}] ${m}`);
 
 (async () => {
-  const item = outbox.claimLatest("linkedin", { kinds: ["post"] });
-  if (!item) { log("no pending LinkedIn post in outbox — nothing to do"); process.exit(0); }
+  const { item, blocked } = outbox.claimNext("linkedin", { kinds: ["post"] });
+  if (blocked) { log(`LinkedIn budget: ${blocked.reason} — next slot ${blocked.retryAt}`); process.exit(0); }
+  if (!item) { log("no due LinkedIn post in outbox — nothing to do"); process.exit(0); }
   const text = (item.text || "").trim();
 
   // Content-quality gates are PERMANENT failures → reject (never re-queued),
@@ -27,6 +27,7 @@ if (fs.existsSync(path.join(ROOT, ".env"))) {
 const { HelmStackClient, LinkedIn } = require("../tools/helmstack-social/src");
 const { compose } = require("./lib/compose");
 const { passOutbound } = require("./lib/outbound_gates");
+const { withArtifact } = require("./lib/cost_meter");
 let logLinkedIn = () => {}; try { ({ logLinkedIn } = require("./posts_log")); } catch {}
 
 const LEDGER = path.join(ROOT, "state", "linkedin_replied.json");
@@ -104,7 +105,7 @@ Reply text only:`;
     if (done >= MAX_PER_RUN || ledger.count >= MAX_PER_DAY) break;
     log(`[${item.type}] @${item.actor}: "${extractContent(item.text).slice(0, 80)}"`);
     let reply;
-    try { reply = await composeReply(item); } catch (e) { log(`compose failed: ${e.message}`); reply = null; }
+    try { reply = await withArtifact({ type: "reply", id: item.id }, () => composeReply(item)); } catch (e) { log(`compose failed: ${e.message}`); reply = null; }
     if (!reply) { seen.add(item.id); ledger.ids.push(item.id); continue; }  // ledger it so we don't retry a SKIP forever
     log(`  draft: "${reply.slice(0, 160)}"`);
     const res = await li.replyToNotification(item.href, reply, { dryRun: !LIVE, type: item.type });
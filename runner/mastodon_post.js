@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * runner/mastodon_post.js — hunter adapter: drain the 'mastodon' outbox channel.
+ *
+ * Thin wrapper that wires hunter's outbound gates + posts_log into the generic
+ * `helmstack-social` Mastodon engine (tools/helmstack-social/src/mastodon.js,
+ * plain REST — no browser). Claims the next due 'mastodon' item (lib/outbox:
+ * priority, then newest; budget-checked in the claim) and posts it:
+ *   kind 'post'   → a status
+ *   kind 'reply'  → a reply to meta.replyTo (status URL — ours or remote — or id)
+ *   kind 'thread' → an outbox thread (enqueueThread); parts post in order,
+ *                   each replying to the last, resuming at the first unposted
+ *                   part after a failure (lib/outbox drainParts)
+ *
+ * Every unposted part passes passOutbound (voice + factcheck) BEFORE anything is
+ * posted, so a gate can't strand a half-thread; the instance's character limit
+ * is checked on the gated text with Mastodon's own counting (URLs = 23).
+ * Outcomes: posted | rejected (gate/length — permanent) | failed (transient,
+ * retried until max_attempts).
+ *
+ * Env: MASTODON_INSTANCE, MASTODON_ACCESS_TOKEN (required), MASTODON_VISIBILITY
+ * (default public), MASTODON_DRY_RUN=1.
+ * Exit 0 = posted / nothing due / dry-run / rejected, 1 = transient failure.
+ */
+
+"use strict";
+
+const { Mastodon, mastodonStatusLength } = require("../tools/helmstack-social/src");
+const { passOutbound } = require("./lib/outbound_gates");
+const { logChannel } = require("./posts_log");
+const outbox = require("./lib/outbox");
+const { withArtifact } = require("./lib/cost_meter");
+
+const CYCLE = Number.parseInt(process.env.CYCLE_NUMBER || "", 10) || null;
+const DRY_RUN = process.env.MASTODON_DRY_RUN === "1";
+const tag = "mastodon_post";
+const log = (m) => console.log(`[${tag}] ${m}`);
+
+/**
+ * Gate the texts that are about to go out. Returns {ok, texts} (gated, possibly
+ * fact-corrected) or {ok:false, reason}.
+ */
+async function gateAll(texts, limit) {
+  const out = [];
+  for (const [i, text] of texts.entries()) {
+    const g = await passOutbound(text, { tag });
+    if (!g.ok) return { ok: false, reason: `part ${i + 1}: ${g.reason}` };
+    const len = mastodonStatusLength(g.text);
+    if (len > limit) return { ok: false, reason: `part ${i + 1}: too_long (${len} > ${limit})` };
+    out.push(g.text);
+  }
+  return { ok: true, texts: out };
+}
+
+async function drain(m, item, limit) {
+  const meta = item.meta || {};
+
+  if (item.kind === "thread") {
+    const pending = outbox.threadParts(item.id).filter((p) => p.status !== "posted");
+    const gated = await gateAll(pending.map((p) => p.text), limit);
+    if (!gated.ok) return { rejected: gated.reason, partsPosted: outbox.threadParts(item.id).length - pending.length };
+    const textByIdx = new Map(pending.map((p, i) => [p.idx, gated.texts[i]]));
+    const r = await outbox.drainParts(item.id, async ({ part, replyTo }) => {
+      const text = textByIdx.get(part.idx);
+      // replyTo = the previous part's URL, or meta.replyTo for part 1 (nextPart).
+      const res = replyTo ? await m.reply(replyTo, text, { dryRun: DRY_RUN }) : await m.post(text, { dryRun: DRY_RUN });
+      if (res.dryRun) return { dryRun: true };
+      return res.ok || res.posted ? { ok: true, url: res.url } : { ok: false, reason: res.reason };
+    }, {
+      log,
+      onPosted: (part, { url, replyTo }) => logChannel({
+        channel: "mastodon", type: part.idx === 0 ? "mastodon_thread" : "mastodon_thread_reply",
+        content: textByIdx.get(part.idx), url, reply_to: replyTo, cycle: CYCLE, outbox_id: item.id,
+      }),
+    });
+    return r;
+  }
+
+  const gated = await gateAll([item.text], limit);
+  if (!gated.ok) return { rejected: gated.reason };
+  const text = gated.texts[0];
+  const isReply = item.kind === "reply";
+  if (isReply && !meta.replyTo) return { rejected: "reply without meta.replyTo" };
+  const res = isReply ? await m.reply(meta.replyTo, text, { dryRun: DRY_RUN }) : await m.post(text, { dryRun: DRY_RUN });
+  if (res.dryRun) { outbox.release(item.id, "dry_run"); return { dryRun: true }; }
+  if (!(res.ok || res.posted)) {
+    // Over-length after gating can't get better on retry; everything else might.
+    if (/^too_long|^unprocessable/.test(res.reason || "")) return { rejected: res.reason };
+    outbox.markFailed(item.id, res.reason || "post_failed");
+    return { ok: false, reason: res.reason };
+  }
+  outbox.markPosted(item.id, { url: res.url });
+  logChannel({
+    channel: "mastodon", type: isReply ? "mastodon_reply" : "mastodon_post",
+    content: text, url: res.url, reply_to: isReply ? meta.replyTo : null, cycle: CYCLE, outbox_id: item.id,
+  });
+  return { ok: true, urls: [res.url] };
+}
+
+async function main() {
+  const { item, blocked } = outbox.claimNext("mastodon", { kinds: ["post", "reply", "thread"] });
+  if (blocked) { log(`Mastodon budget: ${blocked.reason} — next slot ${blocked.retryAt}`); return 0; }
+  if (!item) { log("no due Mastodon item in outbox — nothing to do"); return 0; }
+
+  const m = new Mastodon({ visibility: process.env.MASTODON_VISIBILITY || "public", log });
+  if (!(await m.sessionOk())) {
+    log("Mastodon token rejected or instance unreachable (MASTODON_INSTANCE / MASTODON_ACCESS_TOKEN)");
+    outbox.markFailed(item.id, "no_session");
+    return 1;
+  }
+  const limit = await m.maxChars();
+  log(`posting outbox #${item.id} (${item.kind}, limit ${limit})`);
+
+  // Gate calls (voice, factcheck) are this item's cost — ledger it under its outbox id.
+  const r = await withArtifact({ type: item.kind, id: `outbox-${item.id}` }, () => drain(m, item, limit));
+  if (r.rejected) {
+    // A gate that rejects a resumed part can't unpost the live ones — leave it
+    // failed (visible half-thread) rather than rejected.
+    if (r.partsPosted) outbox.markFailed(item.id, `gate on resume: ${r.rejected}`);
+    else outbox.markRejected(item.id, r.rejected);
+    log(`outbox #${item.id} rejected: ${r.rejected}`);
+    return 0;
+  }
+  if (r.dryRun) { log("dry run — not posted"); return 0; }
+  if (!r.ok) { log(`outbox #${item.id} failed: ${r.reason}`); return 1; }
+  log(`outbox #${item.id} posted: ${r.urls.filter(Boolean).join(" ")}`);
+  return 0;
+}
+
+if (require.main === module) {
+  main().then((code) => process.exit(code)).catch((err) => { log(`error: ${err.message}`); process.exit(1); });
+}
+
+module.exports = { main };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * runner/meta_canary.js — post-merge canary check for META proposals
+ *
+ * Called by the orchestrator at the end of every cycle while a canary is open
+ * (state/meta_canary.json, opened by builder_pipeline.js after a merge). Once
+ * CANARY_CYCLES cycles have been logged since the merge, lib/meta_canary.js
+ * compares them with the pre-merge baseline. On a regression:
+ *   1. git revert -m 1 the merge commit and push (lib/git.js revertLastMerge)
+ *   2. mark the proposal reverted in proposal_history.json
+ *   3. close the canary as reverted / revert_failed — not before, so a run
+ *      that dies mid-way leaves it open and the next cycle tries again
+ *   4. alert on Telegram with the metrics that regressed
+ *
+ * run(opts) is the whole check, exported for tests; opts go to the lib's
+ * check()/close() (file, logFile, historyFile, watchdogFile, now).
+ *
+ * Exit 0 always — this is a best-effort background check.
+ */
+
+"use strict";
+
+const fs            = require("fs");
+const { execFileSync } = require("child_process");
+const config        = require("./lib/config");
+const canary        = require("./lib/meta_canary");
+const { revertLastMerge } = require("./lib/git");
+const notify        = require("./lib/notify");
+
+function log(msg) { console.log(`[meta_canary] ${msg}`); }
+
+function head() {
+  try {
+    return execFileSync("git", ["-C", config.PROJECT_ROOT, "rev-parse", "HEAD"], { encoding: "utf-8", timeout: 10_000 }).trim();
+  } catch { return null; }
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function appendHistory(historyFile, verdict, revertHash, error) {
+  try {
+    const h = JSON.parse(fs.readFileSync(historyFile, "utf-8"));
+    const reasons = verdict.regressions.map(r => r.reason).join("; ");
+    const entry = h.proposals.find(p => p.merge_commit === verdict.merge_commit);
+    const fields = {
+      reverted: !error,
+      revert_reason: error
+        ? `canary auto-revert failed: ${error}`
+        : `auto-reverted by meta_canary: ${reasons}`,
+      revert_commit: revertHash || null,
+      reverted_at: new Date().toISOString(),
+      canary: { baseline: verdict.baseline, canary: verdict.canary },
+    };
+    if (entry) Object.assign(entry, fields);
+    else h.proposals.push({ id: verdict.proposal_id, title: verdict.title, merge_commit: verdict.merge_commit, ...fields });
+    fs.writeFileSync(historyFile, JSON.stringify(h, null, 2));
+  } catch { /* non-fatal */ }
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+/** One canary check; returns the verdict, closed as reverted / revert_failed after a regression. */
+async function run(opts = {}) {
+  const historyFile = opts.historyFile || config.PROPOSAL_HISTORY_PATH;
+  const verdict = canary.check(opts);
+  const label = verdict.proposal_id ? `${verdict.proposal_id} (${String(verdict.merge_commit).slice(0, 8)})` : "";
+
+  if (verdict.status === "idle") return verdict;
+  if (verdict.status === "watching") {
+    log(`${label}: ${verdict.cycles_seen}/${verdict.cycles_needed} cycles since merge`);
+    return verdict;
+  }
+  if (verdict.status === "already_reverted") {
+    log(`${label}: already reverted — canary closed`);
+    return verdict;
+  }
+  if (verdict.status === "passed") {
+    log(`${label}: passed after ${verdict.cycles_needed} cycles`);
+    return verdict;
+  }
+
+  // Regressed — revert the merge
+  const reasons = verdict.regressions.map(r => r.reason);
+  for (const r of reasons) log(`${label}: regression — ${r}`);
+
+  const before = head();
+  const ok = revertLastMerge(verdict.merge_commit);
+  const after = head();
+  const reverted = after && after !== before;
+  if (!reverted) {
+    // Conflicted revert leaves the tree mid-revert
+    try { execFileSync("git", ["-C", config.PROJECT_ROOT, "revert", "--abort"], { stdio: "ignore", timeout: 10_000 }); } catch {}
+  }
+  appendHistory(historyFile, verdict, reverted ? after : null, reverted ? null : "git revert failed");
+  const closed = canary.close(reverted ? "reverted" : "revert_failed",
+    { revert_commit: reverted ? after : null, pushed: reverted ? ok : false }, opts);
+
+  const list = reasons.map(r => `• ${escapeHtml(r)}`).join("\n");
+  const title = escapeHtml(verdict.title || verdict.proposal_id);
+  if (reverted) {
+    log(`reverted ${verdict.merge_commit.slice(0, 8)} → ${after.slice(0, 8)}${ok ? "" : " (push failed)"}`);
+    await notify.sendTelegram(
+      `<b>META canary: auto-reverted</b> ${title}\n` +
+      `merge <code>${verdict.merge_commit.slice(0, 8)}</code> → revert <code>${after.slice(0, 8)}</code>` +
+      `${ok ? "" : " (push failed — push manually)"}\n${list}`
+    );
+  } else {
+    log(`revert of ${verdict.merge_commit.slice(0, 8)} failed — manual intervention required`);
+    await notify.sendTelegram(
+      `<b>META canary: regression, revert FAILED</b> ${title}\n` +
+      `merge <code>${verdict.merge_commit.slice(0, 8)}</code> needs a manual revert\n${list}`
+    );
+  }
+  return closed;
+}
+
+module.exports = { run };
+
+if (require.main === module) {
+  run()
+    .catch(err => log(`failed: ${err.message}`))
+    .finally(() => process.exit(0));
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * runner/narrative_arc_detect.js — "Which topics are being walked from threat to solution?"
+ *
+ * Mechanical analysis (no LLM). Loads the last --days (default 14) of posts
+ * from the scraper index (scraper/db.js) and the permanent posts archive
+ * (state/posts_archive/*.jsonl, deduplicated by id), then runs
+ * lib/narrative_arcs.js build(): posts staged as threat / solution /
+ * skepticism, linked into topic arcs across days, with stage onsets and
+ * transition timing. Ledger detections on the arc's posts are tallied per arc;
+ * arcs carried on from the last run keep their ids.
+ *
+ * Writes: state/narrative_arcs.json — read by generate_daily_report.js and
+ * write_article.js. Arcs that reached a new stage (solution or later) are
+ * appended to state/narrative_tactic_ledger.jsonl as problem_reaction_solution.
+ * Called once per day from daily.js reports(), before the daily report.
+ * Non-fatal: exits 0 on any error.
+ *
+ * Usage:
+ *   node runner/narrative_arc_detect.js [--days 14] [--dry-run]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { loadScraperDb } = require('./lib/db_backend');
+const arcs = require('./lib/narrative_arcs');
+const narrative = require('./lib/narrative_tactics');
+const postsArchive = require('./lib/posts_archive');
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+(async function main() {
+  try {
+    const days = Number(arg('--days', 14)) || 14;
+    const fromMs = Date.now() - days * 86400_000;
+
+    let dbRows = [];
+    try {
+      dbRows = await Promise.resolve(loadScraperDb().postsSince(fromMs));
+    } catch (err) {
+      console.error(`[narrative_arcs] scraper db unavailable: ${err.message}`);
+    }
+    const byId = new Map();
+    for (const row of postsArchive.readSince(fromMs)) byId.set(String(row.id), row);
+    for (const row of dbRows) byId.set(String(row.id), { ...byId.get(String(row.id)), ...row });
+
+    const ledger = narrative.query({ sinceMs: fromMs });
+    const state = { ...arcs.build([...byId.values()], { ledger, previous: arcs.load().arcs }), window_days: days };
+    const entries = arcs.ledgerEntries(state.arcs, narrative.query({ source: 'arcs' }));
+
+    console.log(
+      `[narrative_arcs] ${state.stats.posts} posts, ${state.stats.staged} framed → ${state.stats.arcs} arc(s), ` +
+      `${state.stats.solution} reached solution, ${state.stats.complete} complete; ${entries.length} new ledger entr${entries.length === 1 ? 'y' : 'ies'}`
+    );
+    for (const a of state.arcs.filter(a => a.stage !== 'threat').slice(0, 10)) {
+      console.log(`  ${a.id} [${a.label}] ${a.sequence.join(' → ')} conf=${a.confidence} posts=${a.posts} authors=${a.authors}`);
+    }
+    if (process.argv.includes('--dry-run')) return process.exit(0);
+
+    fs.writeFileSync(arcs.ARCS_PATH, JSON.stringify(state, null, 2));
+    narrative.record(entries);
+  } catch (err) {
+    console.error(`[narrative_arcs] failed: ${err.message}`);
+  }
+  process.exit(0); // non-fatal
+})();
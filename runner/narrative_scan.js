@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * runner/narrative_scan.js — tactic detection over newly scraped posts
+ *
+ * Mechanical (no LLM). Reads the posts the scraper indexed since the last scan
+ * (scraper/db.js postsSince, at most --max-hours back, overlapping the previous
+ * window by OVERLAP_MS for posts scraped late), runs the shared detector
+ * (lib/narrative_tactics.js) over each and appends detections at or above
+ * RECORD_MIN_CONFIDENCE to state/narrative_tactic_ledger.jsonl with the author,
+ * post id and URL. (post, tactic) pairs already in the ledger are skipped. The
+ * browse prompt, investigations and articles read them back from there.
+ *
+ * Reads/writes: state/narrative_scan_state.json ({ last_ts }) as the cursor.
+ * Called after every browse cycle from lib/post_browse.js. Non-fatal: exits 0
+ * on any error.
+ *
+ * Usage:
+ *   node runner/narrative_scan.js [--max-hours 24] [--dry-run]
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const { loadScraperDb } = require('./lib/db_backend');
+const narrative = require('./lib/narrative_tactics');
+
+const ROOT        = path.resolve(__dirname, '..');
+const CURSOR_PATH = path.join(ROOT, 'state', 'narrative_scan_state.json');
+const PRUNE_DAYS  = 90;
+const OVERLAP_MS  = 3600_000;
+
+function arg(name, fallback = null) {
+  const i = process.argv.indexOf(name);
+  return i >= 0 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+(async function main() {
+  try {
+    const dryRun = process.argv.includes('--dry-run');
+    const maxHours = Number(arg('--max-hours', 24)) || 24;
+    let cursor = {};
+    try { cursor = JSON.parse(fs.readFileSync(CURSOR_PATH, 'utf-8')); } catch {}
+    const fromMs = Math.max((Number(cursor.last_ts) || 0) - OVERLAP_MS, Date.now() - maxHours * 3600_000);
+
+    const rows = await Promise.resolve(loadScraperDb().postsSince(fromMs));
+    const items = rows.map(r => ({
+      id: r.id,
+      ts: Number(r.ts),
+      text: r.text,
+      actor: r.username,
+      url: `https://x.com/${r.username}/status/${r.id}`,
+    }));
+    const seen = new Set(narrative.query({ source: 'feed', sinceMs: fromMs - OVERLAP_MS })
+      .map(e => `${e.content_id}:${e.tactic}`));
+    const entries = narrative.entriesFor(items, { source: 'feed' })
+      .filter(e => !seen.has(`${e.content_id}:${e.tactic}`));
+
+    const counts = {};
+    for (const e of entries) counts[e.tactic] = (counts[e.tactic] || 0) + 1;
+    console.log(`[narrative_scan] ${items.length} posts → ${entries.length} detection(s) ${JSON.stringify(counts)}`);
+    if (dryRun) return process.exit(0);
+
+    narrative.record(entries);
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (cursor.pruned_on !== today) {
+      const removed = narrative.prune({ days: PRUNE_DAYS });
+      if (removed) console.log(`[narrative_scan] pruned ${removed} ledger entries older than ${PRUNE_DAYS}d`);
+    }
+    fs.writeFileSync(CURSOR_PATH, JSON.stringify({
+      last_ts: items.reduce((m, i) => Math.max(m, i.ts), Number(cursor.last_ts) || 0),
+      pruned_on: today,
+      updated_at: new Date().toISOString(),
+    }, null, 2));
+  } catch (err) {
+    console.error(`[narrative_scan] failed: ${err.message}`);
+  }
+  process.exit(0); // non-fatal
+})();
@@ -1,18 +1,17 @@
 'use strict';
 
-const path = require('path');
-const narrativeTools = require('./lib/narrative_analysis_tools');
-
-const NARRATIVE_TACTICS_DB_PATH = path.join(__dirname, '../../state/narrative_tactics_db.json');
+const narrative = require('./lib/narrative_tactics');
 
 /**
  * Analyzes a collection of content items to detect and tag narrative tactics.
  * This is the main entry point for the narrative analysis stage of the observation pipeline.
+ * Detection goes through lib/narrative_tactics.js, the shared taxonomy and detector.
  *
  * @param {Array<Object>} contentItems - An array of objects to be analyzed.
  *   Each object must have a `text` property (string).
  * @returns {Array<Object>} The array of content items, with a new `narrative_tactics`
- *   property (Array<string>) added to each item.
+ *   property (Array<string>, tactic ids) and `narrative_detections` (tactic, span,
+ *   confidence per hit) added to each item.
  */
 function analyzeContent(contentItems) {
     if (!Array.isArray(contentItems)) {
@@ -20,23 +19,13 @@ function analyzeContent(contentItems) {
         return [];
     }
 
-    const tactics = narrativeTools.loadTactics(NARRATIVE_TACTICS_DB_PATH);
-    if (!tactics || tactics.length === 0) {
-        console.warn('Narrative tactics taxonomy not loaded or is empty. Skipping analysis.');
-        // Return items with an empty array to maintain a consistent data shape
-        return contentItems.map(item => ({
-            ...item,
-            narrative_tactics: [],
-        }));
-    }
-
     return contentItems.map(item => {
-        const textToAnalyze = item.text || '';
-        const detectedIds = narrativeTools.detectTactics(textToAnalyze, tactics);
+        const detections = narrative.detect(item.text || '');
 
         return {
             ...item,
-            narrative_tactics: detectedIds,
+            narrative_tactics: detections.map(d => d.tactic),
+            narrative_detections: detections,
         };
     });
 }
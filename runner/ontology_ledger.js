@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * runner/ontology_ledger.js — audit + point-in-time replay of belief axes from
+ * the append-only ledger written by apply_ontology_delta.js (lib/ontology_ledger).
+ *
+ * Usage:
+ *   node runner/ontology_ledger.js replay --as-of 2026-08-01 [--axis <id>] [--out <file>]
+ *       Rebuild the ontology as it stood at the end of that day (or at an ISO
+ *       timestamp). Scores are recomputed from the replayed evidence_log with the
+ *       CURRENT calibration knobs, so a replay under a changed BELIEF_* env shows
+ *       what that calibration would have produced; mismatches vs. the recorded
+ *       scores are listed. --out writes the full ontology JSON; otherwise prints a
+ *       per-axis summary (or one axis with --axis).
+ *   node runner/ontology_ledger.js history --axis <id> [--since <date>] [--until <date>]
+ *       Every event that touched one axis: accepted/rejected evidence with the
+ *       gate that decided it, score moves (before → after, drift-capped or not),
+ *       decay ticks. The tool for bisecting an unexpected axis jump.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ledger = require('./lib/ontology_ledger.js');
+
+const args = process.argv.slice(2);
+const cmd = args[0];
+const flag = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+const fmt = (n) => (typeof n === 'number' ? (n >= 0 ? '+' : '') + n.toFixed(4) : '   —   ');
+
+function usage() {
+  console.error('usage: node runner/ontology_ledger.js replay --as-of <YYYY-MM-DD|ISO> [--axis <id>] [--out <file>]');
+  console.error('       node runner/ontology_ledger.js history --axis <id> [--since <date>] [--until <date>]');
+  process.exit(2);
+}
+
+function cmdReplay() {
+  const asOf = flag('--as-of');
+  if (!asOf) usage();
+  const axisId = flag('--axis');
+  const out = flag('--out');
+  const { ontology, mismatches, events } = ledger.replay({ asOf });
+  console.log(`[ledger] replayed ${events} state event(s) → ${ontology.axes.length} axes as of ${ontology.replayed_as_of}`);
+
+  if (out) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify(ontology, null, 2));
+    console.log(`[ledger] wrote ${out}`);
+  } else {
+    const axes = axisId ? ontology.axes.filter(a => a.id === axisId) : ontology.axes;
+    if (axisId && !axes.length) console.log(`[ledger] axis ${axisId} did not exist at that time`);
+    for (const a of axes) {
+      console.log(`  ${fmt(a.score)}  conf ${(a.confidence ?? 0).toFixed(3)}  ${String((a.evidence_log || []).length).padStart(5)}ev  ${a.id}`);
+    }
+    if (axisId && axes[0] && axes[0].current_stance) console.log(`\n  stance: ${axes[0].current_stance}`);
+  }
+
+  const shown = axisId ? mismatches.filter(m => m.axis_id === axisId) : mismatches;
+  if (shown.length) {
+    console.log(`\n[ledger] ${shown.length} recompute(s) differ from what was recorded (calibration knobs changed since?):`);
+    for (const m of shown.slice(0, 25)) {
+      console.log(`  ${m.ts}  ${m.axis_id}  recorded ${fmt(m.recorded.score)}/${(m.recorded.confidence ?? 0).toFixed(3)}` +
+        `  replayed ${fmt(m.replayed.score)}/${m.replayed.confidence.toFixed(3)}`);
+    }
+  }
+}
+
+function cmdHistory() {
+  const axisId = flag('--axis');
+  if (!axisId) usage();
+  const events = ledger.axisHistory(axisId, { since: flag('--since'), until: flag('--until') });
+  if (!events.length) { console.log(`[ledger] no events for ${axisId}`); return; }
+  for (const e of events) {
+    const head = `${e.ts}  ${e.run_id || ''}`;
+    switch (e.type) {
+      case 'evidence_applied':
+        console.log(`${head}  + ${e.entry.pole_alignment.padEnd(5)} w=${e.entry.trust_weight}` +
+          `${e.gate ? ` [${e.gate}]` : ''}  ${e.entry.source}`);
+        break;
+      case 'evidence_rejected':
+        console.log(`${head}  ✗ ${e.gate}: ${e.reason}  ${e.source}`);
+        break;
+      case 'axis_scored':
+        console.log(`${head}  = score ${fmt(e.score_before)} → ${fmt(e.score)} (raw ${fmt(e.raw_score)}` +
+          `${e.drift_capped ? `, drift-capped at base ${fmt(e.drift_base)}` : ''})  conf ${e.confidence}`);
+        break;
+      case 'axis_decayed':
+        console.log(`${head}  ↓ confidence ${e.from} → ${e.to}`);
+        break;
+      default:
+        console.log(`${head}  ${e.type}${e.gate ? ` ${e.gate}` : ''}${e.reason ? `: ${e.reason}` : ''}${e.stance ? `: ${e.stance}` : ''}`);
+    }
+  }
+}
+
+try {
+  if (cmd === 'replay') cmdReplay();
+  else if (cmd === 'history') cmdHistory();
+  else usage();
+} catch (e) {
+  console.error(`[ledger] ${e.message}`);
+  process.exit(1);
+}
@@ -34,6 +34,8 @@ const { postRegularTweet, postQuoteTweet } = require('./lib/post');
 const { commitAndPush, triggerVercelDeploy } = require('./lib/git');
 const { runDaily, pruneClaudeDebugLogs } = require('./lib/daily');
 const notify = require('./lib/notify');
+const costMeter = require('./lib/cost_meter');
+const metaCanary = require('./lib/meta_canary');
 const { isXSuppressed, suppressionReason } = require('./lib/x_control');
 const { useClaudeCompose } = require('./lib/compose');
 
@@ -89,6 +91,12 @@ function canRunMeta() {
     }
   } catch {} // health_state missing = no check yet → OK
 
+  // 4. Block while the last merged proposal is still in its canary window
+  if (metaCanary.isActive()) {
+    log('META: blocked — previous merge still in canary window');
+    return false;
+  }
+
   return true;
 }
 
@@ -180,6 +188,13 @@ function dueForRun(name, intervalMs) {
 
 const HOUR = 60 * 60 * 1000;
 
+/** Pid of a builder_pipeline.js run still in progress, or null. */
+function builderPipelinePid() {
+  const pid = Number(readFileSafe(config.BUILDER_PIDFILE).trim());
+  if (!pid) return null;
+  try { process.kill(pid, 0); return pid; } catch { return null; }
+}
+
 /**
  * Social pipeline (HelmStack): LinkedIn + X activity, run only on BROWSE cycles
  * (posting cycles already drive HelmStack — this avoids browser contention) and
@@ -284,6 +299,39 @@ function runSocialPipeline() {
     runScriptLog(path.join(PROJECT_ROOT, 'runner/fb_seed_follows.js'));
   }
 
+  // Scheduled X posts — drain one due outbox item (pre-scheduled announcements,
+  // threads) an hour, inside the tweet window. An X budget set in
+  // state/outbox_budgets.json is enforced in the outbox claim, shared with the
+  // tweet cycle. HelmStack + OUTBOX_X only.
+  const postHour = new Date().getHours();
+  if (process.env.OUTBOX_X === '1' && (process.env.POST_BACKEND || '').toLowerCase() === 'helmstack'
+      && postHour >= config.TWEET_START && postHour < config.TWEET_END
+      && dueForRun('post_queued', HOUR)) {
+    log('social: X outbox drain (scheduled posts)');
+    runScriptLog(path.join(PROJECT_ROOT, 'runner/post_queued.js'));
+  }
+
+  // Mastodon — drain one due 'mastodon' outbox item (status / reply / thread)
+  // through the REST engine. No browser involved; off until a token is set.
+  if (process.env.MASTODON_ACCESS_TOKEN && dueForRun('mastodon_post', 2 * HOUR)) {
+    log('social: Mastodon outbox drain');
+    runScriptLog(path.join(PROJECT_ROOT, 'runner/mastodon_post.js'));
+  }
+
+  // Bluesky — same shape over AT Protocol; off until an app password is set.
+  if (process.env.BLUESKY_APP_PASSWORD && dueForRun('bluesky_post', 2 * HOUR)) {
+    log('social: Bluesky outbox drain');
+    runScriptLog(path.join(PROJECT_ROOT, 'runner/bluesky_post.js'));
+  }
+
+  // Half-posted threads — finish a thread whose tail failed recently, or mark a
+  // stale half-thread's live parts for deletion (deleting is an operator step:
+  // `node runner/outbox_reconcile.js --delete`).
+  if ((process.env.POST_BACKEND || '').toLowerCase() === 'helmstack' && dueForRun('outbox_reconcile', 3 * HOUR)) {
+    log('social: outbox reconcile (half-posted threads)');
+    runScriptLog(path.join(PROJECT_ROOT, 'runner/outbox_reconcile.js'), '--apply');
+  }
+
   // Outbound queue maintenance — age out stale drafts + prune old terminal rows.
   if (dueForRun('outbox_maintain', 24 * HOUR)) {
     log('social: outbox maintenance (stale + cleanup)');
@@ -587,6 +635,16 @@ function runOneCycle() {
     return;
   }
 
+  // ── META builder still running ──────────────────────────────────────────
+  // The detached builder pipeline has the working tree on its meta/ branch
+  // until it merges or rolls back; no cycle runs scripts off that tree.
+  const builderPid = builderPipelinePid();
+  if (builderPid) {
+    log(`META builder pipeline still running (pid ${builderPid}) — checking again in 60s`);
+    setTimeout(runOneCycle, 60_000);
+    return;
+  }
+
   cycle++;
   const cycleStart = Date.now();
   const today = new Date().toISOString().slice(0, 10);
@@ -594,6 +652,7 @@ function runOneCycle() {
   const hour = String(new Date().getHours()).padStart(2, '0');
   const dayNumber = getDayNumber(today);
   const metrics = newCycleMetrics();
+  let launchBuilder = false;
 
   // ── Recover stale META proposal (process crash recovery) ────────────────
   try {
@@ -822,29 +881,12 @@ function runOneCycle() {
         log('synthetic manifest: ' + syntheticManifest.files.map(f => f.path).join(', '));
       }
 
-      // Run builder pipeline
-      log('running builder pipeline...');
+      // The builder pipeline (smoke checks + the sandboxed suite with coverage,
+      // up to SANDBOX_TEST_TIMEOUT_MS) is launched detached once this cycle's
+      // own work is done; it logs its merge or rollback to runner.log.
       proposal.status = 'testing';
       fs.writeFileSync(PROPOSAL_PATH, JSON.stringify(proposal, null, 2));
-
-      const pipelineExit = (() => {
-        try {
-          execSync(`node "${path.join(PROJECT_ROOT, 'runner/builder_pipeline.js')}"`, {
-            stdio: 'inherit',
-            timeout: 120_000,
-            cwd: PROJECT_ROOT,
-          });
-          return 0;
-        } catch (e) {
-          return e.status || 1;
-        }
-      })();
-
-      if (pipelineExit === 0) {
-        log('META cycle: proposal merged successfully');
-      } else {
-        log(`META cycle: pipeline exited with code ${pipelineExit}`);
-      }
+      launchBuilder = true;
 
       // Record META run timestamp
       fs.writeFileSync(META_STATE_PATH, new Date().toISOString());
@@ -1227,6 +1269,12 @@ function runOneCycle() {
     browserRestarted: metrics.browserRestarted,
     toolExecuted: metrics.toolExecuted,
     downgradedToBrowse: metrics.downgradedToBrowse,
+    digestGrowthBytes: (() => {
+      try { return fs.statSync(config.FEED_DIGEST_PATH).size - digestSize; } catch { return -digestSize; }
+    })(),
+    costUsd: +costMeter.entries({ since: new Date(cycleStart).toISOString() })
+      .filter(e => !e.cycle || e.cycle === cycle)
+      .reduce((sum, e) => sum + (e.usd || 0), 0).toFixed(4),
     health: {
       totalCycles,
       postSuccessRate: totalPostAttempts > 0
@@ -1256,6 +1304,26 @@ function runOneCycle() {
     },
   });
 
+  // ── META canary — judge a fresh merge once its window of cycles is logged ─
+  if (metaCanary.isActive()) {
+    runScriptLog(path.join(PROJECT_ROOT, 'runner/meta_canary.js'));
+  }
+
+  // ── META builder pipeline — detached, after everything else this cycle ──
+  // Last, because it checks out the proposal branch; the next cycle waits for it.
+  if (launchBuilder) {
+    log('META cycle: builder pipeline (detached)');
+    try {
+      const out = fs.openSync(config.RUNNER_LOG_PATH, 'a');
+      const child = spawn(process.execPath, [path.join(PROJECT_ROOT, 'runner/builder_pipeline.js')], {
+        cwd: PROJECT_ROOT, env: process.env, detached: true, stdio: ['ignore', out, out],
+      });
+      fs.writeFileSync(config.BUILDER_PIDFILE, String(child.pid)); // before the child gets to it
+      child.unref();
+      fs.closeSync(out);
+    } catch (e) { log(`builder_pipeline spawn failed: ${e.message}`); }
+  }
+
   if (wait > 0) {
     log(`Cycle ${cycle} (${cycleType}) done in ${elapsed}s. Next cycle in ${wait}s...`);
     expectedWakeTs = Date.now() + wait * 1000;
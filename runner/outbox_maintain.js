@@ -4,7 +4,8 @@
  * (lib/outbox). Two jobs, both cheap:
  *   1. Age out pending drafts older than OUTBOX_STALE_HOURS (default 48) — LIFO
  *      means only the newest pending per channel ever posts, so stragglers would
- *      otherwise linger; mark them 'stale'.
+ *      otherwise linger; mark them 'stale'. Scheduled items age from their
+ *      not_before, and anything past its expires_at is staled 'expired'.
  *   2. Delete terminal rows (posted/rejected/failed/stale) older than
  *      OUTBOX_RETAIN_DAYS (default 14) so the table stays small.
  *
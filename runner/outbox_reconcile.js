@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * runner/outbox_reconcile.js — find half-posted X threads in the outbox and
+ * either finish them or take them down.
+ *
+ * A thread (lib/outbox enqueueThread) records every part as it lands. One that
+ * has some parts live and some not — out of attempts, or its drainer died
+ * mid-thread — is a half-thread on the timeline. For each one:
+ *   COMPLETE  if part 1 went live within RECONCILE_COMPLETE_HOURS (default 6)
+ *             and the chain is intact: requeue with fresh attempts and resume
+ *             from the first unposted part (lib/post_x_helmstack runThread).
+ *   DELETE    otherwise (a late tail reads as a non-sequitur, or there is no
+ *             URL to chain onto): mark the live parts delete_pending and the
+ *             thread rejected. The tweets themselves are removed with
+ *             delete_tweet.js only under --delete.
+ *
+ * Usage:
+ *   node runner/outbox_reconcile.js              # report what would happen
+ *   node runner/outbox_reconcile.js --apply      # complete / mark for deletion
+ *   node runner/outbox_reconcile.js --delete     # run delete_tweet.js on every
+ *                                                # delete_pending/delete_failed part
+ * Wired into the orchestrator with --apply (POST_BACKEND=helmstack). Deleting
+ * stays an operator step.
+ */
+
+"use strict";
+
+const path = require("path");
+const { execFileSync } = require("child_process");
+const outbox = require("./lib/outbox");
+
+const ARGS = process.argv.slice(2);
+const APPLY = ARGS.includes("--apply");
+const DELETE = ARGS.includes("--delete");
+const COMPLETE_HOURS = Number(process.env.RECONCILE_COMPLETE_HOURS || 6);
+const log = (m) => console.log(`[outbox_reconcile] ${m}`);
+
+/** complete | delete, with the reason. Pure — exported for the test suite. */
+function decide(thread, nowMs = Date.now()) {
+  const parts = thread.parts || [];
+  const live = parts.filter((p) => p.status === "posted");
+  if (!live.length) return { action: "none", reason: "no live parts" };
+  const firstIdx = parts.findIndex((p) => p.status !== "posted");
+  if (firstIdx > 0 && !parts[firstIdx - 1].url) return { action: "delete", reason: `part ${firstIdx} has no URL to chain onto` };
+  const root = parts.find((p) => p.idx === 0);
+  const rootAt = Date.parse((root && root.posted_at) || live[0].posted_at);
+  const ageH = (nowMs - rootAt) / 3_600_000;
+  if (ageH > COMPLETE_HOURS) return { action: "delete", reason: `part 1 live ${ageH.toFixed(1)}h (> ${COMPLETE_HOURS}h)` };
+  return { action: "complete", reason: `${live.length}/${parts.length} live, part 1 ${ageH.toFixed(1)}h old` };
+}
+
+async function reconcile() {
+  const half = outbox.halfPosted({ channel: "x" });
+  if (!half.length) log("no half-posted threads");
+  for (const t of half) {
+    const d = decide(t);
+    log(`thread #${t.id} [${t.status}] ${d.action.toUpperCase()} — ${d.reason}`);
+    if (!APPLY || d.action === "none") continue;
+
+    if (d.action === "complete") {
+      outbox.requeue(t.id, "reconcile: completing half-thread");
+      const { runThread } = require("./lib/post_x_helmstack");
+      const r = await runThread(null, { outboxId: t.id });
+      log(`thread #${t.id} ${r.ok ? "completed" : `not completed (${r.reason})`}`);
+    } else {
+      const live = t.parts.filter((p) => p.status === "posted").map((p) => p.idx);
+      outbox.markPartsDeleted(t.id, live, "delete_pending");
+      outbox.markRejected(t.id, `reconcile: half-thread marked for deletion (${d.reason})`);
+      log(`thread #${t.id}: ${live.length} live part(s) marked delete_pending — run with --delete to remove`);
+    }
+  }
+}
+
+function runDeletions() {
+  const parts = outbox.pendingDeletions({ channel: "x" });
+  if (!parts.length) { log("nothing marked for deletion"); return; }
+  for (const p of parts) {
+    if (!p.url) {
+      log(`thread #${p.outbound_id} part ${p.idx + 1}: no URL recorded — delete by hand`);
+      outbox.markPartsDeleted(p.outbound_id, [p.idx], "delete_failed");
+      continue;
+    }
+    try {
+      execFileSync("node", [path.join(__dirname, "delete_tweet.js"), p.url], { stdio: "inherit", timeout: 120_000 });
+      outbox.markPartsDeleted(p.outbound_id, [p.idx], "deleted");
+    } catch (err) {
+      log(`thread #${p.outbound_id} part ${p.idx + 1}: delete failed (${err.status ?? err.message}) — will retry`);
+      outbox.markPartsDeleted(p.outbound_id, [p.idx], "delete_failed");
+    }
+  }
+}
+
+module.exports = { decide };
+
+if (require.main === module) {
+  (async () => {
+    if (DELETE) runDeletions();
+    else await reconcile();
+    process.exit(0);
+  })().catch((err) => { log(`error: ${err.message}`); process.exit(1); });
+}
@@ -133,6 +133,27 @@ async function confirmFromProfile(page, expectedText, attempts = 4, delayMs = 30
   return null;
 }
 
+/** Map a runThread result onto the draft file; a partial failure pins the outbox id for resume. */
+function finishHelmstack(draft, res) {
+  if (res.dryRun) { console.log('[claims_thread] dry run — leaving draft'); process.exit(0); }
+  if (res.abandoned) {
+    console.log(`[claims_thread] outbox thread #${res.outboxId} was abandoned (${res.reason}) — dropping draft`);
+    try { fs.unlinkSync(DRAFT_PATH); } catch {}
+    process.exit(0);
+  }
+  if (!res.ok) {
+    if (res.partsPosted && draft.outbox_id !== res.outboxId) {
+      draft.outbox_id = res.outboxId;
+      fs.writeFileSync(DRAFT_PATH, JSON.stringify(draft, null, 2));
+    }
+    console.error(`[claims_thread] helmstack post failed: ${res.reason}`);
+    process.exit(1);
+  }
+  try { fs.unlinkSync(DRAFT_PATH); } catch {}
+  console.log('[claims_thread] done (helmstack): ' + res.tweet1Url);
+  process.exit(0);
+}
+
 // ── Main ───────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -149,6 +170,14 @@ async function main() {
     process.exit(1);
   }
 
+  // A previous run got tweet1 live but not tweet2 (outbox thread entity) —
+  // resume it as recorded instead of re-verifying and posting a second tweet1.
+  if ((process.env.POST_BACKEND || '').toLowerCase() === 'helmstack' && draft.outbox_id) {
+    const { runThread } = require('./lib/post_x_helmstack');
+    console.log('[claims_thread] resuming outbox thread #' + draft.outbox_id);
+    return finishHelmstack(draft, await runThread(null, { cycle: Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null, outboxId: draft.outbox_id }));
+  }
+
   if (!draft.tweet1 || !draft.tweet2) {
     console.error('[claims_thread] draft missing tweet1 or tweet2');
     process.exit(1);
@@ -196,11 +225,7 @@ async function main() {
   if ((process.env.POST_BACKEND || '').toLowerCase() === 'helmstack') {
     const { runThread } = require('./lib/post_x_helmstack');
     const res = await runThread([tweet1, tweet2], { cycle: Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null });
-    if (res.dryRun) { console.log('[claims_thread] dry run — leaving draft'); process.exit(0); }
-    if (!res.ok) { console.error(`[claims_thread] helmstack post failed: ${res.reason}`); process.exit(1); }
-    try { fs.unlinkSync(DRAFT_PATH); } catch {}
-    console.log('[claims_thread] done (helmstack): ' + res.tweet1Url);
-    process.exit(0);
+    return finishHelmstack(draft, res);
   }
 
   const browser = await connectBrowser();
@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * runner/post_queued.js — drain one due scheduled X item from the outbox.
+ *
+ * Producers (the daily pipeline's article announcements, pre-built threads)
+ * enqueue with a notBefore/priority/expiresAt instead of racing the tweet cycle;
+ * this posts the next due one when the X budget (state/outbox_budgets.json, if
+ * one is set) allows. HelmStack only.
+ * Env: HELMSTACK_DRY_RUN=1, CYCLE_NUMBER.
+ * Exit 0 = posted / nothing due / budget-blocked, 1 = transient failure.
+ */
+
+const { runQueued } = require('./lib/post_x_helmstack');
+
+const CYCLE = Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null;
+
+runQueued({ cycle: CYCLE })
+  .then((r) => {
+    if (r.ok) console.log(`[post_queued] posted outbox #${r.id}${r.url ? ` → ${r.url}` : ''}`);
+    const transient = !r.ok && !r.blocked && !r.dryRun && !['empty', 'voice_filter'].includes(r.reason);
+    process.exit(transient ? 1 : 0);
+  })
+  .catch((err) => { console.error(`[post_queued] ${err.message}`); process.exit(1); });
@@ -126,6 +126,35 @@ async function confirmFromProfile(page, expectedText, attempts = 4, delayMs = 30
   return null;
 }
 
+/**
+ * Map a runThread result onto the draft/state files. A partial failure pins the
+ * outbox id into the draft so the next run resumes that thread.
+ */
+function finishHelmstack(draft, res) {
+  if (res.dryRun) { console.log('[thread] dry run — leaving draft'); process.exit(0); }
+  if (res.abandoned) {
+    console.log(`[thread] outbox thread #${res.outboxId} was abandoned (${res.reason}) — dropping draft`);
+    try { fs.unlinkSync(DRAFT_PATH); } catch {}
+    process.exit(0);
+  }
+  if (!res.ok) {
+    if (res.partsPosted && draft.outbox_id !== res.outboxId) {
+      draft.outbox_id = res.outboxId;
+      fs.writeFileSync(DRAFT_PATH, JSON.stringify(draft, null, 2));
+    }
+    console.error(`[thread] helmstack post failed: ${res.reason}`);
+    process.exit(1);
+  }
+  fs.writeFileSync(STATE_PATH, JSON.stringify({
+    last_posted: new Date().toISOString().slice(0, 10),
+    topic: draft.topic || null,
+    tweet1_url: res.tweet1Url,
+  }, null, 2));
+  try { fs.unlinkSync(DRAFT_PATH); } catch {}
+  console.log('[thread] done (helmstack)');
+  process.exit(0);
+}
+
 // ── Main ───────────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -142,6 +171,18 @@ async function main() {
     process.exit(1);
   }
 
+  const helmstack = (process.env.POST_BACKEND || '').toLowerCase() === 'helmstack';
+  const cycle = Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null;
+
+  // A previous run got part of this thread live (outbox thread entity). Resume
+  // it as recorded — re-running the coherence gate could revise the text and
+  // fork a second thread under the half-posted one.
+  if (helmstack && draft.outbox_id) {
+    const { runThread } = require('./lib/post_x_helmstack');
+    console.log(`[thread] resuming outbox thread #${draft.outbox_id}`);
+    return finishHelmstack(draft, await runThread(null, { cycle, outboxId: draft.outbox_id }));
+  }
+
   const tweets = ['tweet1', 'tweet2', 'tweet3', 'tweet4'];
   for (const key of tweets) {
     if (!draft[key]) {
@@ -199,20 +240,10 @@ async function main() {
 
   // HelmStack backend: post the (gated) thread via the X engine — same substrate
   // as tweets/quotes/replies. Gating above is unchanged; only posting differs.
-  if ((process.env.POST_BACKEND || '').toLowerCase() === 'helmstack') {
+  if (helmstack) {
     const { runThread } = require('./lib/post_x_helmstack');
     const ordered = tweets.map((k) => draft[k]);
-    const res = await runThread(ordered, { cycle: Number.parseInt(process.env.CYCLE_NUMBER || '', 10) || null });
-    if (res.dryRun) { console.log('[thread] dry run — leaving draft'); process.exit(0); }
-    if (!res.ok) { console.error(`[thread] helmstack post failed: ${res.reason}`); process.exit(1); }
-    fs.writeFileSync(STATE_PATH, JSON.stringify({
-      last_posted: new Date().toISOString().slice(0, 10),
-      topic: draft.topic || null,
-      tweet1_url: res.tweet1Url,
-    }, null, 2));
-    try { fs.unlinkSync(DRAFT_PATH); } catch {}
-    console.log('[thread] done (helmstack)');
-    process.exit(0);
+    return finishHelmstack(draft, await runThread(ordered, { cycle }));
   }
 
   const browser = await connectBrowser();
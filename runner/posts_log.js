@@ -228,7 +228,33 @@ function logLinkedIn({ type, content, url, target_author, target_url, date, cycl
   console.log(`[posts_log] logged ${kind}${content ? ` (${content.length} chars)` : ""}`);
 }
 
-module.exports = { logTweet, logQuote, logRepost, logArticle, logSignal, logVerification, logLinkedIn };
+/**
+ * Append a post on an API channel drained from the outbox (mastodon, …).
+ *
+ * type: '<channel>_post' | '<channel>_reply' | '<channel>_thread' | '<channel>_thread_reply'
+ * Dedups on (type + url) when a URL is known, else (type + content).
+ */
+function logChannel({ channel, type, content, url, reply_to, date, cycle, outbox_id }) {
+  const log = readLog();
+  const kind = type || `${channel}_post`;
+  const dup = log.posts.find(p => p.type === kind && (url ? p.url === url : p.content === content));
+  if (dup) return;
+  log.posts.push({
+    type: kind,
+    channel,
+    content: content || "",
+    url: url || "",
+    reply_to: reply_to || null,
+    outbox_id: outbox_id || null,
+    date: date || new Date().toISOString().slice(0, 10),
+    cycle: cycle || null,
+    posted_at: new Date().toISOString(),
+  });
+  writeLog(log);
+  console.log(`[posts_log] logged ${kind}${content ? ` (${content.length} chars)` : ""}`);
+}
+
+module.exports = { logTweet, logQuote, logRepost, logArticle, logSignal, logVerification, logLinkedIn, logChannel };
 
 /**
  * Append a verification post entry (watch signal or resolution).
@@ -547,6 +547,8 @@ async function main() {
   const target = fresh[0];
   log('target: @' + target.handle + ' (' + target.likes + ' likes) — ' +
       target.text.slice(0, 80));
+  // One reply per run: every LLM call from here on (verify, draft, fact-check) is its cost.
+  require('./lib/cost_meter').setArtifact({ type: 'reply', id: (target.url || '').split('/').pop() || target.url });
 
   // ── Verify if the post contains a factual claim ──────────────────────
   let verification = null;
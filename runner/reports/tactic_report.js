@@ -1,43 +1,29 @@
 'use strict';
 
-const fs = require('fs');
-const path = require('path');
-const config = require('../lib/config');
-const TACTIC_DEFINITIONS = require('../lib/tactic_definitions');
+const narrative = require('../lib/narrative_tactics');
 
-const STATE_FILE = path.join(config.STATE_DIR, 'tactic_tracker.json');
+const WINDOW_HOURS = 24;
 
 function generateReport() {
-    if (!fs.existsSync(STATE_FILE)) {
-        return "<!-- Tactic tracker state file not found. -->\n";
-    }
-
-    const state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
-    const tactics = state.by_tactic || {};
+    const entries = narrative.query({ sinceMs: Date.now() - WINDOW_HOURS * 3600_000 });
+    const summary = narrative.summarize(entries);
 
-    if (Object.keys(tactics).length === 0) {
-        return "### Politicization Tactic Tracking\n\nNo specific rhetorical tactics related to the politicization of justice were detected in the last 24 hours.\n";
+    if (summary.total === 0) {
+        return `### Narrative Tactic Tracking\n\nNo rhetorical tactics were logged to the narrative ledger in the last ${WINDOW_HOURS} hours.\n`;
     }
 
-    // Create a map of definitions for easy lookup
-    const definitions = TACTIC_DEFINITIONS.reduce((acc, tactic) => {
-        acc[tactic.id] = tactic.description;
-        return acc;
-    }, {});
-
-    const sortedTactics = Object.entries(tactics).sort(([, a], [, b]) => b.count - a.count);
-
-    let markdown = "### Politicization Tactic Tracking\n\n";
-    markdown += "Analysis of discourse for rhetorical tactics used to undermine or politicize accountability processes. The following patterns were observed:\n\n";
-    markdown += "| Tactic | Total Detections | Description |\n";
-    markdown += "|:---|:---:|:---|\n";
+    let markdown = "### Narrative Tactic Tracking\n\n";
+    markdown += `Tactics logged to the narrative ledger in the last ${WINDOW_HOURS} hours, from scraped posts, investigations and the agent's own observations:\n\n`;
+    markdown += "| Tactic | Detections | Top actors | Description |\n";
+    markdown += "|:---|:---:|:---|:---|\n";
 
-    for (const [id, data] of sortedTactics) {
-        const description = definitions[id] || 'No description available.';
-        markdown += `| **${data.label}** | ${data.count} | *${description}* |\n`;
+    for (const t of summary.tactics) {
+        const description = narrative.resolve(t.tactic)?.description || 'No description available.';
+        const actors = t.top_actors.slice(0, 3).map(a => `@${a.actor} (${a.count})`).join(', ') || '—';
+        markdown += `| **${t.name}** | ${t.count} | ${actors} | *${description}* |\n`;
     }
 
-    markdown += "\nThis data helps track evolving patterns in narrative control strategies related to institutional integrity.\n";
+    markdown += "\nThis data helps track evolving patterns in narrative control strategies.\n";
 
     return markdown;
 }
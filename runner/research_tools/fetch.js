@@ -0,0 +1,21 @@
+'use strict';
+// fetch — one page's readable text. Cached by canonical URL (fragment, utm_*
+// tracking params and trailing slash dropped) for a day, so the same sources
+// cited across jobs on a recurring question are read once.
+
+const { fetchPageText } = require('../lib/helmstack_fetch');
+const { canonicalUrl } = require('../lib/url_utils');
+
+module.exports = {
+  name: 'fetch',
+  order: 50,
+  description: 'read the page text of ONE specific URL.',
+  input: { format: 'url', description: 'an https URL.' },
+  rateLimit: { perMinute: 30 },
+  cacheTtlSec: 24 * 3600,
+  cacheKey: canonicalUrl,
+  async run(input) {
+    const t = await fetchPageText(input, { maxChars: 3500 });
+    return t || `(could not fetch ${input})`;
+  },
+};
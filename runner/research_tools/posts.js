@@ -0,0 +1,22 @@
+'use strict';
+// posts — full-text search over the X feed the scraper has already observed
+// (state/index.db). Local, and the feed keeps growing: not cached.
+
+module.exports = {
+  name: 'posts',
+  order: 20,
+  description: 'full-text search of the X feed Sebastian has ALREADY observed (his own memory of X).',
+  input: { format: 'text', description: 'keywords.' },
+  async run(input) {
+    try {
+      const { loadScraperDb } = require('../lib/db_backend');
+      // Sanitize for FTS5: punctuation like the "." in "pump.fun" is a syntax
+      // error in a MATCH query, so reduce to bare word tokens (OR-joined).
+      const terms = String(input).toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter((w) => w.length > 1);
+      const q = terms.length ? terms.slice(0, 8).join(' OR ') : String(input);
+      const rows = await loadScraperDb().search(q, 8);
+      if (!rows || !rows.length) return `(no observed posts matching "${input}")`;
+      return rows.map((r) => `@${r.username}: ${(r.text || '').slice(0, 200)}`).join('\n');
+    } catch (e) { return `(posts search error: ${e.message})`; }
+  },
+};
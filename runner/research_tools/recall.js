@@ -0,0 +1,16 @@
+'use strict';
+// recall — Sebastian's own memory (lib/recall: semantic + FTS over past
+// observations). Local and cheap, and memory grows every cycle: not cached.
+
+const { recallText } = require('../lib/recall');
+
+module.exports = {
+  name: 'recall',
+  order: 10,
+  description: 'Sebastian\'s own memory / past observations (semantic+FTS).',
+  input: { format: 'text', description: 'a query.' },
+  async run(input) {
+    const t = await recallText(input, { maxChars: 1200 }).catch(() => '');
+    return t || '(no memory match)';
+  },
+};
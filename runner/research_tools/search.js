@@ -0,0 +1,22 @@
+'use strict';
+// search — web search via HelmStack (titles, URLs, snippets). Returns
+// { text, urls } so the adaptive-fetch step can pick pages to read in full.
+
+const { searchWeb } = require('../lib/helmstack_fetch');
+
+module.exports = {
+  name: 'search',
+  order: 40,
+  description: 'web search (returns titles/URLs/snippets).',
+  input: { format: 'text', description: 'a search query.' },
+  rateLimit: { perMinute: 20, perDay: 600 },
+  cacheTtlSec: 6 * 3600,
+  async run(input) {
+    const res = await searchWeb(input, { max: 6 });
+    if (!res.length) return { text: `(no web results for "${input}")`, urls: [] };
+    return {
+      text: res.map((r, i) => `${i + 1}. ${r.title}\n   ${r.url}\n   ${r.snippet}`).join('\n'),
+      urls: res.map((r) => r.url),
+    };
+  },
+};
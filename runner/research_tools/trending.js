@@ -0,0 +1,73 @@
+'use strict';
+// trending — live "what's the current meta / what's trending" signal for a chain
+// (default Solana). GeckoTerminal gives trending pools + newest launches (the
+// actual "trenches"); DexScreener boosts show what's being paid to promote right
+// now. The authoritative source for meta/trending questions — generic web search
+// and CoinMarketCap/CoinGecko are stale and high-level by comparison. Three live
+// APIs per call: cached 5 min per chain.
+
+const { httpJson } = require('../lib/research_tools');
+
+const chainOf = (input) => {
+  const key = (String(input || '').toLowerCase().match(/solana|sol|eth|ethereum|base|bsc/) || ['solana'])[0];
+  return ({ sol: 'solana', ethereum: 'eth' }[key]) || key;
+};
+
+module.exports = {
+  name: 'trending',
+  order: 70,
+  description: 'LIVE trending tokens, newest launches ("trenches"), and paid-promoted tokens on a chain (default Solana) via GeckoTerminal + DexScreener: names, price, 1h/24h change, 24h volume, FDV, age, and a pump.fun flag. This is the AUTHORITATIVE source for "what is the current meta / what is trending / what is hot / pump.fun trenches" questions — always prefer it over web search/CoinMarketCap/CoinGecko, which are stale and high-level.',
+  input: { format: 'text', optional: true, description: 'a chain name (default "solana").' },
+  rateLimit: { perMinute: 6 },
+  cacheTtlSec: 300,
+  cacheKey: chainOf,
+  async run(input) {
+    const net = chainOf(input);
+    const num = (x) => (x == null || x === '' ? null : +(+x).toPrecision(4));
+    const gt = (p) => httpJson(`https://api.geckoterminal.com/api/v2/networks/${net}/${p}`, { timeoutMs: 12000 });
+    const fmt = (p) => {
+      const a = p.attributes || {};
+      const pc = a.price_change_percentage || {};
+      const baseId = (((p.relationships || {}).base_token || {}).data || {}).id || '';
+      const mint = baseId.includes('_') ? baseId.slice(baseId.indexOf('_') + 1) : baseId;  // "solana_<mint>" → mint
+      return {
+        token: a.name,
+        mint: mint || undefined,                        // real mint → feeds rugcheck in refinement
+        pumpfun: /pump$/i.test(baseId) || undefined,   // pump.fun mints end in "pump"
+        priceUsd: num(a.base_token_price_usd),
+        chg_h1_pct: num(pc.h1), chg_h24_pct: num(pc.h24),
+        volH24: num(a.volume_usd && a.volume_usd.h24),
+        fdv: num(a.fdv_usd || a.market_cap_usd),
+        ageMin: a.pool_created_at ? Math.round((Date.now() - Date.parse(a.pool_created_at)) / 60000) : null,
+      };
+    };
+    const [trend, fresh, boosts] = await Promise.all([
+      gt('trending_pools?page=1'),
+      gt('new_pools?page=1'),
+      httpJson('https://api.dexscreener.com/token-boosts/top/v1', { timeoutMs: 10000 }),
+    ]);
+    // Resolve boosted (paid-promotion) token names on this chain — a meta signal.
+    let boosted = [];
+    const addrs = (Array.isArray(boosts) ? boosts : []).filter((b) => b.chainId === net).slice(0, 20).map((b) => b.tokenAddress);
+    if (addrs.length) {
+      const tok = await httpJson(`https://api.dexscreener.com/latest/dex/tokens/${addrs.join(',')}`, { timeoutMs: 10000 });
+      const seen = new Set();
+      for (const pr of ((tok && tok.pairs) || [])) {
+        const b = pr.baseToken || {};
+        if (!b.symbol || seen.has(b.symbol)) continue;
+        seen.add(b.symbol);
+        boosted.push({ token: `${b.name} (${b.symbol})`, mint: b.address || undefined, pumpfun: /pump$/i.test(b.address || '') || undefined, priceUsd: num(pr.priceUsd), chg_h24_pct: num(pr.priceChange && pr.priceChange.h24), volH24: num(pr.volume && pr.volume.h24) });
+        if (boosted.length >= 12) break;
+      }
+    }
+    const out = {
+      network: net,
+      source: 'live: GeckoTerminal trending/new pools + DexScreener boosts',
+      trending_pools: (trend && trend.data ? trend.data.slice(0, 12).map(fmt) : []),
+      newest_launches: (fresh && fresh.data ? fresh.data.slice(0, 10).map(fmt) : []),
+      boosted_promoted: boosted,
+    };
+    if (!out.trending_pools.length && !out.newest_launches.length && !boosted.length) return `(trending: no live data for ${net})`;
+    return JSON.stringify(out, null, 1);
+  },
+};
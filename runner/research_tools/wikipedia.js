@@ -0,0 +1,35 @@
+'use strict';
+// wikipedia — encyclopedic background for a named entity, term or event: the
+// best-matching English Wikipedia articles with their lead summaries (MediaWiki
+// search + REST summary API, no key). Good for "who/what is X" and for the
+// resolve stage's term-credibility checks; not for anything live. Articles
+// change slowly: cached a week.
+
+const { httpJson } = require('../lib/research_tools');
+
+const API = 'https://en.wikipedia.org';
+// Wikimedia asks API clients for an identifying User-Agent.
+const HEADERS = { 'User-Agent': 'SebastianHunter-research/1.0 (https://sebastianhunter.fun)' };
+
+module.exports = {
+  name: 'wikipedia',
+  order: 45,
+  description: 'top matching Wikipedia articles with their lead summaries — background on a named person, organization, term or historical event. Not for live/current data.',
+  input: { format: 'text', description: 'a name, term or topic.' },
+  rateLimit: { perMinute: 30 },
+  cacheTtlSec: 7 * 86400,
+  async run(input) {
+    const q = encodeURIComponent(String(input).trim());
+    const found = await httpJson(`${API}/w/api.php?action=query&list=search&srsearch=${q}&srlimit=3&format=json`, { headers: HEADERS });
+    const hits = (found && found.query && found.query.search) || [];
+    if (!hits.length) return `(no Wikipedia article for "${input}")`;
+    const out = [];
+    for (const h of hits) {
+      const s = await httpJson(`${API}/api/rest_v1/page/summary/${encodeURIComponent(h.title.replace(/ /g, '_'))}`, { headers: HEADERS });
+      if (!s || !s.extract) continue;
+      const url = (s.content_urls && s.content_urls.desktop && s.content_urls.desktop.page) || `${API}/wiki/${encodeURIComponent(h.title)}`;
+      out.push(`${s.title}${s.description ? ` — ${s.description}` : ''}\n   ${url}\n   ${String(s.extract).slice(0, 900)}`);
+    }
+    return out.length ? out.join('\n\n') : `(no Wikipedia summary for "${input}")`;
+  },
+};
@@ -0,0 +1,53 @@
+'use strict';
+// xsearch — live X/Twitter search: recent posts matching a query, for real-time
+// TRADER SENTIMENT / "what are people saying / why is X trending". Scrapes
+// x.com/search (latest) via the HelmStack browser. This is the source for live
+// sentiment; the 'posts' tool only covers Sebastian's OWN observed feed, and web
+// 'search' with site:x.com is unreliable. It drives our logged-in X session, so
+// it is quota'd tightly; cached 10 min.
+
+const log = (m) => console.log(`[research_tools] ${m}`);
+
+// Lazily-opened, reused HelmStack X browser tab for xsearch (a dedicated tab so it
+// doesn't hijack the scraper/reply shared tab). Cached for the life of the process.
+let _xEngine = null;
+// Mutex so only one xsearch drives the shared browser tab at a time.
+let _xLock = Promise.resolve();
+function withXLock(fn) {
+  const run = _xLock.then(fn, fn);
+  _xLock = run.then(() => {}, () => {});
+  return run;
+}
+async function getXEngine() {
+  if (_xEngine !== null) return _xEngine || null;
+  try {
+    const { HelmStackClient, X } = require('../../tools/helmstack-social/src');
+    const x = new X(new HelmStackClient(), { ownHandle: process.env.X_USERNAME || 'SebastianHunts', dedicatedTab: true, log: () => {} });
+    await x.ensureTab();
+    _xEngine = x;
+  } catch (e) { log(`xsearch engine init failed: ${e.message}`); _xEngine = false; }
+  return _xEngine || null;
+}
+
+module.exports = {
+  name: 'xsearch',
+  order: 30,
+  description: 'LIVE X/Twitter search (recent posts) for real-time trader SENTIMENT / "what are people saying now / why is X trending". Use this for current discourse — do NOT use web search with site:x.com (unreliable).',
+  input: { format: 'text', description: 'a query or cashtag (e.g. "$ANSEM").' },
+  rateLimit: { perMinute: 4, perHour: 40 },
+  cacheTtlSec: 600,
+  async run(input) {
+    try {
+      const x = await getXEngine();
+      if (!x) return '(xsearch: HelmStack X browser unavailable)';
+      if (!(await x.sessionOk())) return '(xsearch: X session not present in HelmStack)';
+      // Serialize tab use: under parallel branches, two xsearch calls navigating
+      // the one shared tab at once would corrupt each other.
+      const posts = await withXLock(() => x.searchX(String(input), { limit: 15, mode: 'live' }));
+      if (!posts || !posts.length) return `(no live X posts for "${input}")`;
+      return posts.slice(0, 15)
+        .map((p) => `@${p.username}: ${String(p.text || '').replace(/\s+/g, ' ').slice(0, 220)}`)
+        .join('\n');
+    } catch (e) { return `(xsearch error: ${e.message})`; }
+  },
+};
@@ -47,6 +47,9 @@ else
   echo "[run] ERROR: .env not found."
   exit 1
 fi
+# HelmStack engines (tools/helmstack-social) record per-method health here;
+# the watchdog, /health and x_control read it. Inherited by the scraper loops.
+export HELMSTACK_HEALTH_PATH="${HELMSTACK_HEALTH_PATH:-$PROJECT_ROOT/state/engine_health.json}"
 
 # ── Ensure Chrome browser is running ─────────────────────────────────────────
 # Uses CHROME_BIN from .env (Chrome for Testing). It must NOT be
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+'use strict';
+/**
+ * runner/simulate_calibration.js — what-if simulator for the belief calibration
+ * knobs (runner/lib/belief_calibration.js). Read-only: never writes ontology.json.
+ *
+ * The knobs (BELIEF_RECENCY_HALFLIFE, BELIEF_CONF_MAX, BELIEF_CONF_K) plus the
+ * daily drift cap and confidence decay that apply_ontology_delta.js layers on top
+ * could only be evaluated by shipping them. This replays every axis's evidence_log
+ * day by day the way the live apply formed it — recency-weighted score recomputed
+ * at the end of each evidence day and clamped to ±driftCap from the previous day,
+ * confidence from the distinct-source curve, minus decay for every full day since
+ * the last evidence — once under the CURRENT knobs (the baseline) and once per
+ * scenario in the grid, then diffs them per axis.
+ *
+ * Flags an axis when a scenario would move its confidence across the 0.65
+ * downstream threshold (vocation/ponder/voice gates) in either direction, or flip
+ * the sign of its score (the stance itself would invert).
+ *
+ * Usage:
+ *   node runner/simulate_calibration.js [--halflife 50,100,200] [--conf-k 25,35,50]
+ *     [--conf-max 0.9,0.95] [--drift-cap 0.05,0.1] [--decay 0.002,0.005]
+ *     [--onto <ontology.json>] [--threshold 0.65] [--json <report.json>] [--all]
+ *
+ *   Each flag takes a comma-separated list; omitted knobs stay at their current
+ *   value. The grid is the cartesian product (capped at MAX_SCENARIOS). --onto
+ *   accepts any ontology file — e.g. one written by
+ *   `node runner/ontology_ledger.js replay --as-of <date> --out <file>`.
+ *   --all prints every axis per scenario, not just flagged ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  RECENCY_HALF_LIFE, CONF_MAX, CONF_K, DRIFT_CAP_PER_DAY, CONF_DECAY_PER_DAY,
+} = require('./lib/belief_calibration.js');
+
+const ONTO = path.join(__dirname, '..', 'state', 'ontology.json');
+const CONF_THRESHOLD = 0.65;
+const MAX_SCENARIOS = 200;
+const ONE_DAY_MS = 86_400_000;
+
+const BASELINE = {
+  halfLife: RECENCY_HALF_LIFE, confMax: CONF_MAX, confK: CONF_K,
+  driftCap: DRIFT_CAP_PER_DAY, decayPerDay: CONF_DECAY_PER_DAY,
+};
+
+/**
+ * Simulate live formation of one axis under a knob set. Incremental, O(n): each
+ * entry appended multiplies every older weight by 0.5^(1/halfLife), which is
+ * exactly the recency curve computeAxisScoreConfidence applies from scratch.
+ * @returns {{score:number, confidence:number, rawScore:number, days:number}}
+ */
+function simulateAxis(log, knobs, now = Date.now()) {
+  const { halfLife, confMax, confK, driftCap, decayPerDay } = { ...BASELINE, ...knobs };
+  if (!Array.isArray(log) || !log.length) return { score: 0, confidence: 0, rawScore: 0, days: 0 };
+  const step = Math.pow(0.5, 1 / halfLife);
+  let ws = 0, tw = 0, score = 0, raw = 0, days = 0;
+  let dayKey = null, lastTs = null;
+  const sourceWeights = new Map();
+
+  const closeDay = () => {
+    raw = tw ? ws / tw : 0;
+    score = driftCap > 0 ? Math.min(score + driftCap, Math.max(score - driftCap, raw)) : raw;
+    days++;
+  };
+
+  for (const e of log) {
+    const isObj = e && typeof e === 'object';
+    const key = isObj && e.timestamp ? String(e.timestamp).slice(0, 10) : dayKey; // undated → same day as previous
+    if (dayKey !== null && key !== dayKey) closeDay();
+    dayKey = key;
+    const w = isObj ? (e.trust_weight ?? 1.0) : 1.0;
+    const sign = isObj ? (e.pole_alignment === 'right' ? 1 : -1) : (e >= 0 ? 1 : -1);
+    ws = ws * step + w * sign;
+    tw = tw * step + w;
+    if (isObj && e.source && (!sourceWeights.has(e.source) || sourceWeights.get(e.source) < w)) {
+      sourceWeights.set(e.source, w);
+    }
+    if (isObj && e.timestamp) lastTs = Date.parse(e.timestamp) || lastTs;
+  }
+  closeDay();
+
+  const weightedSources = [...sourceWeights.values()].reduce((s, w) => s + w, 0);
+  let confidence = Math.min(confMax, confMax * (1 - Math.exp(-weightedSources / confK)));
+  if (lastTs && decayPerDay > 0) {
+    const idleDays = Math.floor((now - lastTs) / ONE_DAY_MS);
+    if (idleDays >= 1) confidence = Math.max(0, confidence - decayPerDay * idleDays);
+  }
+  return {
+    score: parseFloat(score.toFixed(4)),
+    confidence: parseFloat(confidence.toFixed(4)),
+    rawScore: parseFloat(raw.toFixed(4)),
+    days,
+  };
+}
+
+/** Per-axis diff of a scenario against the baseline, with threshold/sign flags. */
+function diffAxis(base, alt, threshold = CONF_THRESHOLD) {
+  const flags = [];
+  if (base.confidence < threshold && alt.confidence >= threshold) flags.push(`conf↑${threshold}`);
+  if (base.confidence >= threshold && alt.confidence < threshold) flags.push(`conf↓${threshold}`);
+  if (Math.sign(base.score) !== Math.sign(alt.score) && base.score !== 0 && alt.score !== 0) flags.push('sign_flip');
+  return {
+    dScore: parseFloat((alt.score - base.score).toFixed(4)),
+    dConf: parseFloat((alt.confidence - base.confidence).toFixed(4)),
+    flags,
+  };
+}
+
+/** Cartesian product of knob lists → scenario objects. */
+function buildGrid(lists) {
+  let grid = [{}];
+  for (const [knob, values] of Object.entries(lists)) {
+    if (!values || !values.length) continue;
+    grid = grid.flatMap(s => values.map(v => ({ ...s, [knob]: v })));
+  }
+  return grid;
+}
+
+/** Run every scenario over every axis. Pure given the ontology. */
+function simulate(onto, scenarios, { threshold = CONF_THRESHOLD, now = Date.now() } = {}) {
+  const axes = onto.axes || [];
+  const baseline = new Map(axes.map(a => [a.id, simulateAxis(a.evidence_log || [], BASELINE, now)]));
+  return scenarios.map(knobs => {
+    const rows = axes.map(a => {
+      const base = baseline.get(a.id);
+      const alt = simulateAxis(a.evidence_log || [], knobs, now);
+      return {
+        id: a.id, n: (a.evidence_log || []).length,
+        live: { score: a.score ?? 0, confidence: a.confidence ?? 0 },
+        base, alt, ...diffAxis(base, alt, threshold),
+      };
+    });
+    const flagged = rows.filter(r => r.flags.length);
+    const meanAbs = (k) => rows.length ? rows.reduce((s, r) => s + Math.abs(r[k]), 0) / rows.length : 0;
+    return {
+      knobs: { ...BASELINE, ...knobs },
+      summary: {
+        axes: rows.length, flagged: flagged.length,
+        conf_up: rows.filter(r => r.flags.some(f => f.startsWith('conf↑'))).length,
+        conf_down: rows.filter(r => r.flags.some(f => f.startsWith('conf↓'))).length,
+        sign_flips: rows.filter(r => r.flags.includes('sign_flip')).length,
+        mean_abs_dscore: parseFloat(meanAbs('dScore').toFixed(4)),
+        mean_abs_dconf: parseFloat(meanAbs('dConf').toFixed(4)),
+      },
+      rows,
+    };
+  });
+}
+
+module.exports = { simulateAxis, diffAxis, buildGrid, simulate, BASELINE };
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => { const i = args.indexOf(name); return i !== -1 ? args[i + 1] : undefined; };
+  const list = (name) => {
+    const v = flag(name);
+    if (v === undefined) return null;
+    const nums = v.split(',').map(Number);
+    if (nums.some(n => !Number.isFinite(n) || n < 0)) { console.error(`[simulate] bad value for ${name}: "${v}"`); process.exit(2); }
+    return nums;
+  };
+  const fmt = (n) => (n >= 0 ? '+' : '') + n.toFixed(3);
+
+  const ontoPath = flag('--onto') || ONTO;
+  const threshold = Number(flag('--threshold')) || CONF_THRESHOLD;
+  let onto;
+  try { onto = JSON.parse(fs.readFileSync(ontoPath, 'utf-8')); }
+  catch (e) { console.error(`[simulate] could not read ${ontoPath}: ${e.message}`); process.exit(1); }
+
+  const scenarios = buildGrid({
+    halfLife: list('--halflife'), confK: list('--conf-k'), confMax: list('--conf-max'),
+    driftCap: list('--drift-cap'), decayPerDay: list('--decay'),
+  });
+  if (scenarios.length > MAX_SCENARIOS) {
+    console.error(`[simulate] grid has ${scenarios.length} scenarios (max ${MAX_SCENARIOS}) — narrow it`);
+    process.exit(2);
+  }
+
+  const b = BASELINE;
+  console.log(`[simulate] ${(onto.axes || []).length} axes from ${path.basename(ontoPath)} | baseline half-life=${b.halfLife} ` +
+    `conf_max=${b.confMax} conf_k=${b.confK} drift_cap=${b.driftCap} decay=${b.decayPerDay}/day | ${scenarios.length} scenario(s)`);
+
+  const results = simulate(onto, scenarios, { threshold });
+  for (const r of results) {
+    const k = r.knobs, s = r.summary;
+    console.log(`\n── half-life=${k.halfLife} conf_max=${k.confMax} conf_k=${k.confK} drift_cap=${k.driftCap} decay=${k.decayPerDay}`);
+    console.log(`   ${s.flagged} flagged (${s.conf_up} conf↑, ${s.conf_down} conf↓, ${s.sign_flips} sign flip) · ` +
+      `mean |Δscore| ${s.mean_abs_dscore} · mean |Δconf| ${s.mean_abs_dconf}`);
+    const shown = args.includes('--all') ? r.rows : r.rows.filter(x => x.flags.length);
+    for (const x of [...shown].sort((p, q) => Math.abs(q.dScore) + Math.abs(q.dConf) - Math.abs(p.dScore) - Math.abs(p.dConf))) {
+      console.log(`   ${String(x.n).padStart(5)}ev  score ${fmt(x.base.score)}→${fmt(x.alt.score)}  ` +
+        `conf ${x.base.confidence.toFixed(3)}→${x.alt.confidence.toFixed(3)}  ${x.flags.join(',').padEnd(18)} ${x.id}`);
+    }
+  }
+
+  const out = flag('--json');
+  if (out) {
+    fs.writeFileSync(path.resolve(out), JSON.stringify({
+      generated_at: new Date().toISOString(), ontology: ontoPath, threshold, baseline: BASELINE, scenarios: results,
+    }, null, 2));
+    console.log(`\n[simulate] wrote ${out}`);
+  }
+}
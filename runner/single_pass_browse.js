@@ -242,6 +242,7 @@ function writeDelta(data) {
 async function main() {
   const { today, hour, day } = parseArgs();
   const journalPath = path.join(config.JOURNALS_DIR, `${today}_${hour}.html`);
+  require('./lib/cost_meter').setArtifact({ type: 'journal', id: `${today}_${hour}` });
 
   if (fs.existsSync(journalPath)) {
     log(`journal ${today}_${hour}.html already exists — skipping (archived)`);
@@ -9,7 +9,7 @@
  * Commands:
  *   /status              → orchestrator overview (cycle, day, paused, posting stats)
  *   /services            → service + process status for runner/gateway/bot/browser/scraper
- *   /health              → browser + agent health state
+ *   /health              → browser + agent + engine health state
  *   /last                → last cycle's full structured log (JSON)
  *   /logs N              → last N cycles summary (default 5)
  *   /ontology            → belief axes overview (top 10 by confidence)
@@ -21,6 +21,14 @@
  *   /vm                  → VM resource usage (CPU, memory, disk, uptime)
  *   /errors              → recent errors from journalctl
  *   /drift               → recent drift alerts
+ *   /dr [deep|flat] <q>  → deep research job (report back when done)
+ *   /dr status           → recent research jobs: status + current stage
+ *   /dr cancel|resume <id> → stop a running job / resume an interrupted one
+ *   /topic [list]        → intelligence topics (claims per topic, web page)
+ *   /topic add <def>     → new intelligence topic from keywords/categories/axes
+ *   /topic remove <id>   → drop a Telegram-added topic
+ *   /topic proposals     → topics drafted from recurring landmarks, awaiting approval
+ *   /topic approve <id>  → start tracking a proposed topic (/topic reject <id> to drop it)
  *   /restart [target]    → restart browser|runner|gateway|scraper|all
  *   /troubleshoot        → diagnose system health
  *   /troubleshoot fix    → diagnose and apply safe fixes when possible
@@ -47,6 +55,11 @@ const { execSync, execFileSync, spawnSync, spawn } = require('child_process');
 const config = require('./lib/config');
 const { buildPersona, buildCoreContext, callGemini } = require('./lib/sebastian_respond');
 const { gatherBrief, formatBriefForHuman } = require('./lib/intelligence_brief');
+const researchJobs = require('./lib/research_jobs');
+const intelTopics = require('./intelligence/topics');
+const topicDiscovery = require('./landmark/topic_discovery');
+const engineHealth = require('../tools/helmstack-social/src/health');
+const { KIND_METHOD, engineSuppression } = require('./lib/x_control');
 
 // ── Config ──────────────────────────────────────────────────────────────────
 
@@ -775,14 +788,35 @@ async function cmdHealth() {
   let msg = '<b>🏥 Health State</b>\n\n';
   if (health) {
     for (const [key, val] of Object.entries(health)) {
+      if (key === 'engines') continue; // rendered below from the live ledger
       msg += `<b>${escapeHtml(key)}:</b> ${typeof val === 'object' ? escapeHtml(JSON.stringify(val)) : escapeHtml(String(val))}\n`;
     }
   } else {
     msg += '<i>No health state file found</i>';
   }
+  msg += formatEngineHealth();
   await sendMessage(msg);
 }
 
+/** Per-method HelmStack engine health, worst first, with the capabilities x_control is holding off. */
+function formatEngineHealth() {
+  const rows = engineHealth.summarize(engineHealth.load(config.ENGINE_HEALTH_PATH));
+  if (!rows.length) return '\n<b>Engines:</b> <i>no outcomes recorded</i>\n';
+  const icon = { ok: '🟢', degraded: '🟡', failing: '🔴' };
+  let msg = '\n<b>Engines</b>\n';
+  for (const r of rows.slice(0, 15)) {
+    msg += `${icon[r.status] || '·'} <code>${escapeHtml(r.key)}</code> ${r.score}`;
+    if (r.status !== 'ok' && r.failure) {
+      const mins = Math.round((Date.now() - new Date(r.last_failure.at).getTime()) / 60_000);
+      msg += ` — ${escapeHtml(r.failure)} ${mins < 120 ? `${mins}m` : `${Math.round(mins / 60)}h`} ago`;
+    }
+    msg += '\n';
+  }
+  const held = Object.keys(KIND_METHOD).filter(k => engineSuppression(k));
+  if (held.length) msg += `<b>X suppressed (engine health):</b> ${escapeHtml(held.join(', '))}\n`;
+  return msg;
+}
+
 async function cmdLast() {
   const lines = readLastLines(config.ORCHESTRATOR_LOG_PATH, 1);
   if (!lines[0]) return sendMessage('<i>No log entries</i>');
@@ -1080,6 +1114,33 @@ async function cmdDrift() {
   await sendMessage(msg);
 }
 
+// Why was evidence dropped? Reads the verdicts apply_ontology_delta.js persists
+// (state/evidence_verdicts.json) — gate tally plus the latest rejections.
+async function cmdWhy(rawText = '') {
+  const filter = (rawText.split(/\s+/)[1] || '').toLowerCase();
+  const data = readJSON(path.join(config.STATE_DIR, 'evidence_verdicts.json'));
+  let verdicts = (data && data.verdicts) || [];
+  if (filter) verdicts = verdicts.filter(v => String(v.axis_id || '').toLowerCase().includes(filter));
+  if (!verdicts.length) return sendMessage(`<i>No evidence verdicts${filter ? ` for "${escapeHtml(filter)}"` : ''} yet</i>`);
+
+  const rejected = verdicts.filter(v => v.verdict === 'rejected');
+  const byGate = {};
+  for (const v of rejected) byGate[v.gate] = (byGate[v.gate] || 0) + 1;
+
+  let msg = `<b>🧾 Evidence verdicts${filter ? ` — ${escapeHtml(filter)}` : ''}</b>\n`;
+  msg += `${verdicts.length - rejected.length} accepted · ${rejected.length} rejected (last ${verdicts.length})\n\n`;
+  if (rejected.length) {
+    msg += '<b>By gate:</b> ' + Object.entries(byGate).sort((a, b) => b[1] - a[1])
+      .map(([g, n]) => `${escapeHtml(g)} ${n}`).join(' · ') + '\n\n';
+    msg += '<b>Latest rejections:</b>\n';
+    for (const v of rejected.slice(-6).reverse()) {
+      msg += `✗ <b>${escapeHtml(v.gate || '?')}</b> ${escapeHtml(v.axis_id || '?')} — ${escapeHtml(String(v.reason || '').slice(0, 120))}\n`;
+      if (v.source) msg += `  ${escapeHtml(v.source.slice(0, 100))}\n`;
+    }
+  }
+  await sendMessage(msg);
+}
+
 async function cmdBuilder(rawText = '') {
   const parts = rawText.split(/\s+/).filter(Boolean);
   const subcmd = (parts[1] || '').toLowerCase();
@@ -1667,7 +1728,10 @@ function sleep(ms) {
 // ── /deepresearch — Claude-driven deep research (plan → tools → synthesize) ───
 // Runs runner/deep_research.js as a detached subprocess (it's slow — plan +
 // searches + fetches + synthesis, ~1-3 min) so the bot stays responsive; replies
-// with the synthesized report when it finishes.
+// with the synthesized report when it finishes. Each run is a research job
+// (lib/research_jobs) the bot names up front, so `/dr status`, `/dr cancel <id>`
+// and `/dr resume <id>` can address it.
+
 function cmdDeepResearch(text) {
   // Optional leading depth keyword: `deep`/`tree`/`full` forces the hierarchical
   // decomposition engine; `flat`/`fast`/`quick` forces the fast single-pass path;
@@ -1675,13 +1739,25 @@ function cmdDeepResearch(text) {
   let words = text.split(/\s+/).slice(1);
   let tier = null;
   const first = (words[0] || '').toLowerCase();
+  if (first === 'status' || first === 'jobs') return cmdResearchJobs();
+  if (first === 'cancel') return cmdResearchCancel(words[1]);
+  if (first === 'resume') return cmdResearchResume(words[1]);
   if (['deep', 'tree', 'full'].includes(first)) { tier = 'deep'; words = words.slice(1); }
   else if (['flat', 'fast', 'quick', 'standard'].includes(first)) { tier = 'standard'; words = words.slice(1); }
   const question = words.join(' ').trim();
   if (!question) {
-    return sendMessage('Usage: <code>/deepresearch [deep|flat] &lt;question&gt;</code>\n• <b>deep</b> — full decomposition tree (thorough, ~3-5 min)\n• <b>flat</b> — fast single pass (~1-2 min)\n• omit → auto-picks by complexity\nExamples:\n• /dr deep what is the current pump.fun meta\n• /dr is Solana token &lt;mint&gt; a rug — map holder clusters\n• /dr who owns the Solana address &lt;addr&gt;');
+    return sendMessage('Usage: <code>/deepresearch [deep|flat] &lt;question&gt;</code>\n• <b>deep</b> — full decomposition tree (thorough, ~3-5 min)\n• <b>flat</b> — fast single pass (~1-2 min)\n• omit → auto-picks by complexity\nExamples:\n• /dr deep what is the current pump.fun meta\n• /dr is Solana token &lt;mint&gt; a rug — map holder clusters\n• /dr who owns the Solana address &lt;addr&gt;\nJobs: <code>/dr status</code> · <code>/dr cancel &lt;id&gt;</code> · <code>/dr resume &lt;id&gt;</code>');
   }
-  const args = [path.join(__dirname, 'deep_research.js'), question];
+  const jobId = researchJobs.newId();
+  spawnResearch(question, jobId, tier);
+  const label = tier === 'deep' ? 'decompose → parallel branches → synthesize (~3-5 min)' : tier === 'standard' ? 'plan → search → fetch → synthesize (~1-2 min)' : 'auto-tiered · plan → tools → synthesize (~1-3 min)';
+  return sendMessage(`🔬 <b>Deep research started</b>${tier ? ` <i>[${tier}]</i>` : ''} <code>${jobId}</code>\n${escapeHtml(question.slice(0, 200))}\n<i>${label}…</i>`);
+}
+
+/** Spawn deep_research.js for job `jobId` (new, or an existing one to resume); report when it exits. */
+function spawnResearch(question, jobId, tier) {
+  const args = [path.join(__dirname, 'deep_research.js'), `--job=${jobId}`];
+  if (question) args.push(question);
   if (tier) args.push(`--tier=${tier}`);
   const child = spawn(process.execPath, args, {
     cwd: path.resolve(__dirname, '..'), env: process.env,
@@ -1690,18 +1766,159 @@ function cmdDeepResearch(text) {
   child.stdout.on('data', d => (out += d));
   child.stderr.on('data', d => (out += d));
   // Deep tree runs longer (parallel branches + refinement) — give it more headroom.
+  // A killed job keeps its checkpoints and shows as interrupted in /dr status.
   const killer = setTimeout(() => { try { child.kill('SIGKILL'); } catch {} }, tier === 'deep' ? 600000 : 300000);
   child.on('close', () => {
     clearTimeout(killer);
+    const job = researchJobs.load(jobId);
+    const status = job ? researchJobs.statusOf(job) : null;
+    const head = `🔬 <b>Deep research</b> <code>${jobId}</code> — ${escapeHtml(question.slice(0, 120))}`;
+    if (status === 'cancelled') {
+      sendMessage(`${head}\n\n🛑 cancelled at <i>${escapeHtml(job.stage || '?')}</i>.`).catch(() => {});
+      return;
+    }
+    if (status === 'failed' || status === 'interrupted') {
+      sendMessage(`${head}\n\n⚠️ ${status} at <i>${escapeHtml(job.stage || '?')}</i>${job.error ? `: ${escapeHtml(job.error.slice(0, 300))}` : ''}\nCheckpoints kept — <code>/dr resume ${jobId}</code>`).catch(() => {});
+      return;
+    }
     const i = out.indexOf('=== REPORT ===');
     let report = i >= 0 ? out.slice(i + 14).trim() : '';
     if (!report) report = '(no report produced)\n' + out.slice(-1500);
     if (report.length > 3800) report = report.slice(0, 3800) + '\n…(truncated)';
-    sendMessage(`🔬 <b>Deep research</b> — ${escapeHtml(question.slice(0, 120))}\n\n<pre>${escapeHtml(report)}</pre>`).catch(() => {});
+    sendMessage(`${head}\n\n<pre>${escapeHtml(report)}</pre>`).catch(() => {});
   });
   child.on('error', (e) => { clearTimeout(killer); sendMessage(`🔬 deep research failed to start: ${escapeHtml(e.message)}`).catch(() => {}); });
-  const label = tier === 'deep' ? 'decompose → parallel branches → synthesize (~3-5 min)' : tier === 'standard' ? 'plan → search → fetch → synthesize (~1-2 min)' : 'auto-tiered · plan → tools → synthesize (~1-3 min)';
-  return sendMessage(`🔬 <b>Deep research started</b>${tier ? ` <i>[${tier}]</i>` : ''}\n${escapeHtml(question.slice(0, 200))}\n<i>${label}…</i>`);
+}
+
+function cmdResearchJobs() {
+  const list = researchJobs.list({ limit: 8 });
+  if (!list.length) return sendMessage('🔬 No research jobs yet.');
+  const icon = { running: '⏳', done: '✅', bailed: '❔', failed: '⚠️', interrupted: '⏸', cancelled: '🛑' };
+  const mins = (ts) => Math.max(0, Math.round((Date.now() - new Date(ts).getTime()) / 60_000));
+  const lines = list.map((j) => {
+    const age = mins(j.created_at);
+    const when = age < 120 ? `${age}m ago` : `${Math.round(age / 60)}h ago`;
+    const state = j.cancelling ? 'cancelling' : j.status;
+    const stage = ['done', 'bailed'].includes(j.status) ? '' : ` · ${escapeHtml(j.stage || '?')}`;
+    return `${icon[j.status] || '·'} <code>${j.job_id}</code> ${state}${stage} · ${when}${j.resumed ? ` · resumed ×${j.resumed}` : ''}\n   ${escapeHtml(String(j.question).slice(0, 90))}`;
+  });
+  return sendMessage(`🔬 <b>Research jobs</b>\n\n${lines.join('\n')}\n\n<i>/dr cancel &lt;id&gt; · /dr resume &lt;id&gt;</i>`);
+}
+
+function cmdResearchCancel(id) {
+  if (!id) return sendMessage('Usage: <code>/dr cancel &lt;id&gt;</code> — ids in <code>/dr status</code>');
+  const r = researchJobs.requestCancel(id);
+  if (!r.ok) return sendMessage(`🔬 Can't cancel <code>${escapeHtml(id)}</code>: ${escapeHtml(r.reason)}`);
+  return sendMessage(r.pending
+    ? `🛑 Cancelling <code>${escapeHtml(id)}</code> — it stops at its next checkpoint (currently <i>${escapeHtml(r.job.stage || '?')}</i>).`
+    : `🛑 <code>${escapeHtml(id)}</code> closed as cancelled — it won't be resumed.`);
+}
+
+function cmdResearchResume(id) {
+  if (!id) return sendMessage('Usage: <code>/dr resume &lt;id&gt;</code> — ids in <code>/dr status</code>');
+  const job = researchJobs.load(id);
+  if (!job) return sendMessage(`🔬 No research job <code>${escapeHtml(id)}</code>.`);
+  const status = researchJobs.statusOf(job);
+  if (status !== 'failed' && status !== 'interrupted') {
+    return sendMessage(`🔬 <code>${escapeHtml(id)}</code> is ${escapeHtml(status)} — only failed or interrupted jobs resume.`);
+  }
+  spawnResearch(job.question, id, job.opts && job.opts.tier);
+  return sendMessage(`🔬 <b>Resuming</b> <code>${escapeHtml(id)}</code> after <i>${escapeHtml(Object.keys(job.stages).pop() || 'start')}</i>\n${escapeHtml(String(job.question).slice(0, 200))}`);
+}
+
+// ── Intelligence topics ─────────────────────────────────────────────────────
+// Topics are data (intelligence/topics): /topic add writes a definition to
+// state/intelligence_topics.json and runs its first extract + export right away;
+// from then on the daily block keeps it current like any shipped topic.
+// landmark/topic_discovery drafts topics from recurring landmark clusters; they
+// wait here for /topic approve.
+
+const TOPIC_USAGE = 'Usage:\n<code>/topic add us-election-2028\n' +
+  'label: US 2028 Presidential Election\nkind: election\n' +
+  'keywords: primary, caucus, electoral college, swing state\n' +
+  'axes: axis_id_1, axis_id_2\n' +
+  'category polling: poll, survey, margin of error\n' +
+  'category campaign_finance (Campaign Finance): super pac, fundraising</code>\n' +
+  'One line per field; categories need keywords; axes must exist in the ontology.\n' +
+  'Proposed from landmarks: <code>/topic proposals</code> · <code>/topic approve &lt;id&gt;</code> · <code>/topic reject &lt;id&gt;</code>';
+
+function ontologyAxisIds() {
+  try { return (JSON.parse(fs.readFileSync(config.ONTOLOGY_PATH, 'utf-8')).axes || []).map((a) => a.id); } catch { return null; }
+}
+
+/** First build in the background: extract → export this topic only. */
+function startTopicBuild(id) {
+  const dir = path.join(config.RUNNER_DIR, 'intelligence');
+  const out = fs.openSync(config.RUNNER_LOG_PATH, 'a');
+  const child = spawn('sh', ['-c',
+    `node "${dir}/generate_conflict_claims.js" --topic "${id}" && node "${dir}/export.js" --topic "${id}"`,
+  ], { cwd: config.PROJECT_ROOT, detached: true, stdio: ['ignore', out, out] });
+  fs.closeSync(out);
+  child.unref();
+}
+
+function cmdTopic(text) {
+  const body = text.replace(/^\/topics?\b/i, '').trim();
+  const action = (body.split(/\s+/)[0] || 'list').toLowerCase();
+
+  if (action === 'list') {
+    const list = intelTopics.list();
+    if (!list.length) return sendMessage(`🛰 No intelligence topics defined.\n\n${TOPIC_USAGE}`);
+    let index = [];
+    try { index = JSON.parse(fs.readFileSync(path.join(config.STATE_DIR, 'intelligence', 'index.json'), 'utf-8')).topics || []; } catch {}
+    const lines = list.map((t) => {
+      const exp = index.find((e) => e.id === t.id);
+      const stats = exp ? `${exp.claim_count} claims · ${exp.source_count} sources` : 'not exported yet';
+      return `• <code>${t.id}</code> — ${escapeHtml(t.title)}${t.origin === 'state' ? ' <i>(telegram)</i>' : ''}\n   ${Object.keys(t.categories).length} categories · ${t.keywords.length} keywords · ${stats}`;
+    });
+    return sendMessage(`🛰 <b>Intelligence topics</b>\n\n${lines.join('\n')}\n\n<i>Pages: sebastianhunter.fun/intelligence/&lt;id&gt; · /topic add · /topic remove &lt;id&gt;</i>`);
+  }
+
+  if (action === 'remove' || action === 'rm') {
+    const id = body.split(/\s+/)[1];
+    if (!id) return sendMessage('Usage: <code>/topic remove &lt;id&gt;</code>');
+    const r = intelTopics.removeTopic(id);
+    return sendMessage(r.ok
+      ? `🛰 Topic <code>${escapeHtml(id)}</code> removed — its claims stay in the database until the next rebuild.`
+      : `🛰 Can't remove <code>${escapeHtml(id)}</code>: ${escapeHtml(r.reason)}`);
+  }
+
+  if (action === 'proposals') {
+    const pending = topicDiscovery.pending();
+    if (!pending.length) return sendMessage('🛰 No topic proposals pending. Recurring landmark clusters are checked in the daily block.');
+    return sendMessage(pending.map(topicDiscovery.formatProposal).join('\n\n'));
+  }
+
+  if (action === 'approve' || action === 'reject') {
+    const id = body.split(/\s+/)[1];
+    if (!id) return sendMessage(`Usage: <code>/topic ${action} &lt;id&gt;</code>`);
+    if (action === 'reject') {
+      const r = topicDiscovery.reject(id);
+      return sendMessage(r.ok
+        ? `🛰 Proposal <code>${escapeHtml(id)}</code> rejected — its landmark cluster won't be proposed again.`
+        : `🛰 Can't reject <code>${escapeHtml(id)}</code>: ${escapeHtml(r.reason)}`);
+    }
+    let r;
+    try { r = topicDiscovery.approve(id, { axisIds: ontologyAxisIds() }); } catch (e) { r = { ok: false, reason: e.message }; }
+    if (!r.ok) return sendMessage(`🛰 Can't approve <code>${escapeHtml(id)}</code>: ${escapeHtml(r.reason)}`);
+    startTopicBuild(r.topic.id);
+    return sendMessage(`🛰 Topic <code>${r.topic.id}</code> approved — <b>${escapeHtml(r.topic.title)}</b>\n` +
+      `First extraction running now; page at /intelligence/${r.topic.id} once exported.`);
+  }
+
+  if (action !== 'add') return sendMessage(TOPIC_USAGE);
+  const def = intelTopics.parseDefinition(body.replace(/^add\s*/i, ''));
+  const axisIds = ontologyAxisIds();
+  const check = intelTopics.validate(def, { axisIds });
+  if (!check.ok) return sendMessage(`🛰 Topic not saved:\n• ${check.errors.map(escapeHtml).join('\n• ')}\n\n${TOPIC_USAGE}`);
+  const existed = !!intelTopics.get(def.id);
+  const topic = intelTopics.saveTopic(def, { axisIds });
+
+  startTopicBuild(topic.id);
+
+  return sendMessage(`🛰 Topic <code>${topic.id}</code> ${existed ? 'updated' : 'added'} — <b>${escapeHtml(topic.title)}</b>\n` +
+    `${topic.keywords.length} keywords · categories: ${Object.keys(topic.categories).join(', ')}${topic.topic_axes.length ? `\naxes: ${topic.topic_axes.join(', ')}` : ''}\n` +
+    `First extraction running now; page at /intelligence/${topic.id} once exported.`);
 }
 
 // ── Message router ──────────────────────────────────────────────────────────
@@ -1738,7 +1955,10 @@ async function handleMessage(msg) {
     case '/brief':    return cmdBrief(text);
     case '/deepresearch':
     case '/dr':       return cmdDeepResearch(text);
+    case '/topic':
+    case '/topics':   return cmdTopic(text);
     case '/drift':    return cmdDrift();
+    case '/why':      return cmdWhy(text);
     case '/cycle':    return cmdCycle();
     case '/restart':  return cmdRestart(text);
     case '/troubleshoot':
@@ -1751,7 +1971,7 @@ async function handleMessage(msg) {
       '<b>Monitoring:</b>\n' +
       '/status — orchestrator overview\n' +
       '/services — runner/gateway/bot/browser/scraper status\n' +
-      '/health — browser + agent health\n' +
+      '/health — browser, agent + engine health\n' +
       '/vm — VM resources (CPU, RAM, disk)\n' +
       '/errors — recent errors\n' +
       '/last — last cycle (full JSON)\n' +
@@ -1766,7 +1986,10 @@ async function handleMessage(msg) {
       '/journal — latest journal entry\n' +
       '/vocation — current vocation\n' +
       '/drift — recent drift alerts\n' +
+      '/why [axis] — which gate rejected recent evidence, and why\n' +
       '/deepresearch (/dr) [deep|flat] &lt;question&gt; — multi-tool research (trending/xsearch/rugcheck/web) → cited report. <b>deep</b>=decomposition tree (thorough), <b>flat</b>=fast single pass, omit=auto\n' +
+      '/dr status — research jobs + stage · /dr cancel &lt;id&gt; · /dr resume &lt;id&gt; (continues from the last checkpoint)\n' +
+      '/topic — intelligence topics · /topic add &lt;definition&gt; (keywords, categories, axes) · /topic remove &lt;id&gt; · /topic proposals · /topic approve|reject &lt;id&gt;\n' +
       '/builder — active builder proposal\n' +
       '/builder ask ... — ask builder about the active proposal\n' +
       '/infra — current infra request status\n' +
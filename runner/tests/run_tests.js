@@ -17,6 +17,7 @@
  */
 
 const fs           = require("fs");
+const os           = require("os");
 const path         = require("path");
 const { execSync } = require("child_process");
 
@@ -55,6 +56,32 @@ function section(title) {
   process.stdout.write(`\n── ${title} ${"─".repeat(Math.max(0, 60 - title.length))}\n`);
 }
 
+/**
+ * Fresh copies of `modules` required under `env` (most runner modules fix
+ * their state paths at require time), with console.log silenced when `quiet`.
+ * restore() puts the require cache, env and console back — call it in a finally.
+ */
+function isolate({ modules = [], env = {}, quiet = false } = {}) {
+  const paths = modules.map((m) => require.resolve(m));
+  const cached = paths.map((p) => require.cache[p]);
+  const prevEnv = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+  const log = console.log;
+  for (const p of paths) delete require.cache[p];
+  Object.assign(process.env, env);
+  if (quiet) console.log = () => {};
+  const restore = () => {
+    console.log = log;
+    paths.forEach((p, i) => { delete require.cache[p]; if (cached[i]) require.cache[p] = cached[i]; });
+    for (const [k, v] of Object.entries(prevEnv)) { if (v === undefined) delete process.env[k]; else process.env[k] = v; }
+  };
+  try {
+    return { mods: paths.map((p) => require(p)), restore };
+  } catch (e) {
+    restore();
+    throw e;
+  }
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 function fileExists(p) { try { return fs.existsSync(p); } catch { return false; } }
@@ -240,6 +267,7 @@ if (pgFiles.length === 0) {
 // ── Section 5: Critical script integration tests ─────────────────────────────
 
 section("Script integration tests");
+// Temp scripts go to os.tmpdir(): the builder sandbox mounts the repo read-only.
 
 // recall.js — must complete without error and return output
 {
@@ -261,10 +289,10 @@ console.log("ok");
   `;
   const r = runScript("-e", briefTest.replace(/\n/g, " ").replace(/"/g, '\\"').replace(/\\/g, "\\\\"), 20_000);
   // Simpler: write a temp file
-  const tmpFile = path.join(ROOT, "runner", "tests", "_tmp_brief_test.js");
+  const tmpFile = path.join(os.tmpdir(), `_tmp_brief_test_${process.pid}.js`);
   try {
     fs.writeFileSync(tmpFile, `
-const { gatherBrief } = require("../lib/intelligence_brief");
+const { gatherBrief } = require(${JSON.stringify(path.join(RUNNER, "lib", "intelligence_brief"))});
 const b = gatherBrief("test query");
 if (!Array.isArray(b.axes)) throw new Error("axes not array");
 if (!Array.isArray(b.drift)) throw new Error("drift not array");
@@ -282,12 +310,12 @@ process.exit(0);
 
 // apply_ontology_delta.js — must load without crash (existence + require check)
 {
-  const tmpFile = path.join(ROOT, "runner", "tests", "_tmp_delta_test.js");
+  const tmpFile = path.join(os.tmpdir(), `_tmp_delta_test_${process.pid}.js`);
   try {
     fs.writeFileSync(tmpFile, `
 // Just require the main deps to verify no import-time crashes
-require("../lib/db_backend");
-require("../lib/config");
+require(${JSON.stringify(path.join(RUNNER, "lib", "db_backend"))});
+require(${JSON.stringify(path.join(RUNNER, "lib", "config"))});
 process.exit(0);
 `);
     const r = runScript(tmpFile, "", 10_000);
@@ -300,7 +328,7 @@ process.exit(0);
 
 // scraper/rss_collect.js — must parse BBC feed sample (offline XML parse test)
 {
-  const tmpFile = path.join(ROOT, "runner", "tests", "_tmp_rss_test.js");
+  const tmpFile = path.join(os.tmpdir(), `_tmp_rss_test_${process.pid}.js`);
   try {
     fs.writeFileSync(tmpFile, `
 const path = require("path");
@@ -326,12 +354,12 @@ process.exit(0);
 
 // source_followup.js — eligibility logic
 {
-  const tmpFile = path.join(ROOT, "runner", "tests", "_tmp_sf_test.js");
+  const tmpFile = path.join(os.tmpdir(), `_tmp_sf_test_${process.pid}.js`);
   try {
     fs.writeFileSync(tmpFile, `
-const { gatherBrief } = require("../lib/intelligence_brief");
+const { gatherBrief } = require(${JSON.stringify(path.join(RUNNER, "lib", "intelligence_brief"))});
 // source_followup should load without crash
-const config = require("../lib/config");
+const config = require(${JSON.stringify(path.join(RUNNER, "lib", "config"))});
 const fs = require("fs");
 if (!fs.existsSync(config.EXTERNAL_SOURCES_PATH)) {
   console.log("external_sources.json not yet created — skip");
@@ -647,6 +675,356 @@ section("Local harness");
   }
 }
 
+// ── Ontology ledger replay ────────────────────────────────────────────────────
+// apply_ontology_delta.js mutates ontology.json in place; the ledger is the only
+// record of how an axis got where it is. Replay must reproduce what the live run
+// wrote (recompute + recorded drift-cap base), stop at --as-of, and refuse to
+// invent history from before the genesis snapshot.
+section("Ontology ledger replay");
+{
+  const ledger = require(path.join(RUNNER, "lib", "ontology_ledger.js"));
+  const { computeAxisScoreConfidence } = require(path.join(RUNNER, "lib", "belief_calibration.js"));
+  const tmp = path.join(os.tmpdir(), `onto_ledger_test_${process.pid}.jsonl`);
+  try {
+    const onto = { axes: [{ id: "axis_t", label: "t", left_pole: "l", right_pole: "r", score: 0, confidence: 0, evidence_log: [] }] };
+    // An unparseable delta is recorded before any run opens — the first run must still write genesis.
+    ledger.append({ type: "delta_rejected", gate: "unparseable", reason: "bad json" }, tmp);
+    const run = ledger.startRun(onto, { ledgerPath: tmp });
+    const entry = { source: "https://x.com/a/status/1", pole_alignment: "right", trust_weight: 1, timestamp: "2026-08-01T10:00:00Z" };
+    run.record("evidence_applied", { axis_id: "axis_t", entry });
+    run.record("evidence_rejected", { axis_id: "axis_t", gate: "self_echo", reason: "own post" });
+    const { confidence } = computeAxisScoreConfidence([entry]);
+    run.record("axis_scored", { axis_id: "axis_t", score: 0.05, confidence, drift_base: 0, drift_cap: 0.05 });
+    run.finish({ added: 1 });
+
+    const events = ledger.readEvents({ ledgerPath: tmp });
+    const { ontology, mismatches } = ledger.replayEvents(events);
+    const a = ontology.axes[0];
+    if (a.evidence_log.length === 1 && a.score === 0.05 && mismatches.length === 0
+        && events.filter(e => e.type === "genesis").length === 1) {
+      pass("replay reproduces the recorded score (raw 1.0 clamped to drift-cap base ±0.05), genesis written after an earlier rejection");
+    } else fail("replay score", `expected 1 entry @ 0.05 with no mismatches, got ${a.evidence_log.length} @ ${a.score}, ${mismatches.length} mismatch(es)`);
+
+    // Everything is stamped "now", so an as-of in the past predates the genesis.
+    let threw = false;
+    try { ledger.replayEvents(events, { asOf: "2000-01-01" }); } catch { threw = true; }
+    if (threw) pass("replay before genesis refuses instead of returning an empty ontology");
+    else fail("replay before genesis", "did not throw");
+
+    const hist = ledger.axisHistory("axis_t", { ledgerPath: tmp });
+    if (hist.some(e => e.type === "evidence_rejected" && e.gate === "self_echo")) pass("axis history carries gate rejections");
+    else fail("axis history", "rejected entry / gate name missing");
+  } catch (e) {
+    fail("ontology ledger", e.message);
+  } finally {
+    try { fs.unlinkSync(tmp); } catch {}
+  }
+}
+
+// ── Ontology delta dry run ────────────────────────────────────────────────────
+// apply_ontology_delta.js --dry-run --explain runs every gate against a scratch
+// ontology and must write nothing: not the state dir, not the ontology, not the
+// ledger — and the operator's --delta file stays where it was.
+section("Ontology delta dry run");
+{
+  const { execFileSync } = require("child_process");
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "onto_dry_run_test_"));
+  const onto = path.join(tmpDir, "ontology.json");
+  const delta = path.join(tmpDir, "delta.json");
+  const ledgerPath = path.join(tmpDir, "ontology_ledger.jsonl");
+  const snapshot = (dir) => fs.readdirSync(dir).sort().map((f) => {
+    const st = fs.statSync(path.join(dir, f));
+    return `${f}:${st.size}:${st.mtimeMs}`;
+  }).join("\n");
+  try {
+    fs.writeFileSync(onto, JSON.stringify({ axes: [{ id: "axis_t", label: "t", left_pole: "l", right_pole: "r", score: 0.5, confidence: 0.1, evidence_log: [] }] }));
+    fs.writeFileSync(delta, JSON.stringify({ evidence: [
+      { axis_id: "axis_t", source: "https://x.com/someone/status/1", content: "short", timestamp: new Date().toISOString(), pole_alignment: "right" },
+      { axis_id: "axis_t", source: "browse_notes", content: "short", timestamp: new Date().toISOString(), pole_alignment: "left" },
+    ] }));
+    const before = { state: snapshot(path.join(ROOT, "state")), tmp: snapshot(tmpDir) };
+    const out = execFileSync("node", [path.join(RUNNER, "apply_ontology_delta.js"), "--dry-run", "--explain", "--delta", delta], {
+      cwd: ROOT, timeout: 60_000, encoding: "utf-8", stdio: ["ignore", "pipe", "pipe"],
+      env: { ...process.env, ONTOLOGY_PATH: onto, ONTOLOGY_LEDGER_PATH: ledgerPath },
+    });
+    const report = JSON.parse(out);
+    const gates = report.verdicts.map((v) => `${v.verdict}:${v.gate || ""}`);
+    if (report.dry_run && gates.length === 2 && gates[0].startsWith("accepted") && gates[1] === "rejected:invalid_source") {
+      pass("--explain prints a verdict per entry, with the gate that rejected it");
+    } else fail("explain verdicts", JSON.stringify(gates));
+    if (snapshot(path.join(ROOT, "state")) === before.state && snapshot(tmpDir) === before.tmp && fs.existsSync(delta)) {
+      pass("--dry-run writes nothing and leaves the --delta file in place");
+    } else fail("dry run writes", "state, ontology or ledger changed, or the delta was removed");
+  } catch (e) {
+    fail("ontology delta dry run", (e.stderr || e.message || "").toString().slice(0, 300));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// ── Calibration simulator ─────────────────────────────────────────────────────
+// simulate_calibration.js forms scores incrementally (O(n)) instead of calling
+// computeAxisScoreConfidence per day. With the daily guards switched off the two
+// must agree exactly, or every what-if diff is measuring the simulator, not the knob.
+section("Calibration simulator");
+{
+  const { computeAxisScoreConfidence } = require(path.join(RUNNER, "lib", "belief_calibration.js"));
+  const { simulateAxis, simulate } = require(path.join(RUNNER, "simulate_calibration.js"));
+  const log = Array.from({ length: 240 }, (_, i) => ({
+    source: `https://x.com/u${i % 40}/status/${i}`,
+    pole_alignment: (i * 7) % 10 < (i < 120 ? 7 : 3) ? "right" : "left",
+    trust_weight: 0.5 + (i % 4) * 0.4,
+    timestamp: new Date(Date.parse("2026-05-01") + i * 5 * 3_600_000).toISOString(),
+  }));
+  for (const halfLife of [30, 100]) {
+    const direct = computeAxisScoreConfidence(log, { halfLife });
+    const sim = simulateAxis(log, { halfLife, driftCap: 0, decayPerDay: 0 });
+    if (direct.score === sim.score && direct.confidence === sim.confidence) {
+      pass(`incremental formation matches computeAxisScoreConfidence (half-life ${halfLife})`);
+    } else fail("simulator equivalence", `half-life ${halfLife}: direct ${direct.score}/${direct.confidence} vs sim ${sim.score}/${sim.confidence}`);
+  }
+
+  // The first 150 entries lean right overall but the last ~30 reversed: the
+  // baseline's long memory stays right, a 5-entry half-life flips it left.
+  // Raising CONF_K pulls the same axis back under the 0.65 gate.
+  const axes = [{ id: "axis_t", evidence_log: log.slice(0, 150) }];
+  const now = Date.parse(log[149].timestamp) + 3_600_000; // no idle-day decay
+  const [flip, slow] = simulate({ axes }, [{ halfLife: 5, driftCap: 0 }, { confK: 200 }], { now });
+  if (flip.rows[0].flags.includes("sign_flip")) pass("short half-life flags the stance inversion (sign_flip)");
+  else fail("sign flip flag", `expected sign_flip, got ${JSON.stringify(flip.rows[0].flags)} (${flip.rows[0].base.score} → ${flip.rows[0].alt.score})`);
+  if (slow.rows[0].flags.some(f => f.startsWith("conf↓"))) pass("slower confidence curve flags the drop below 0.65");
+  else fail("threshold flag", `expected conf↓, got ${JSON.stringify(slow.rows[0].flags)} (${slow.rows[0].base.confidence} → ${slow.rows[0].alt.confidence})`);
+}
+
+// ── Cadence backtest ──────────────────────────────────────────────────────────
+// One synthetic night + evening of logged cycles with a 5h outage between them
+// and a burst at 01:05: pins segment splitting, burst reaction per policy and
+// the quiet-hour waste count. Local-time dates so the hours hold in any TZ.
+section("Cadence backtest");
+{
+  const { backtest, POLICIES } = require(path.join(RUNNER, "backtest_cadence.js"));
+  const t0 = new Date(2026, 9, 1, 0, 0).getTime();
+  const MIN = 60_000;
+  const at = (m) => ({ start: t0 + m * MIN, durationSec: 300, type: "BROWSE" });
+  const cycles = [
+    ...Array.from({ length: 24 }, (_, i) => at(i * 30)),            // 00:00–11:30
+    ...Array.from({ length: 7 }, (_, i) => at(17 * 60 + i * 30)),   // 17:00–20:00
+  ];
+  const bursts = [{ ts: t0 + 65 * MIN, source: "signal", label: "9 axes (moderate)" }];
+  const r = backtest({
+    cycles, bursts, quietHours: { start: 7, end: 23 },
+    policies: { current: POLICIES.current, quiet_slow: POLICIES.quiet_slow, slow: () => 3600, fast: () => 900 },
+  });
+  const row = (name) => r.rows.find((x) => x.policy === name);
+
+  if (r.segments === 2 && row("logged").intervals.max === 1800 && row("logged").cycles === 31) {
+    pass("the 5h outage splits the log into 2 segments and is not counted as an interval");
+  } else fail("backtest segments", `${r.segments} segments, logged max interval ${row("logged").intervals.max}`);
+
+  if (row("slow").bursts.missed === 1 && row("fast").bursts.missed === 0 && row("logged").bursts.missed === 0) {
+    pass("a 60-min policy misses the 01:05 burst; 15-min and the logged 30-min cadence catch it");
+  } else fail("missed bursts", ["logged", "slow", "fast"].map((n) => `${n}=${row(n).bursts.missed}`).join(" "));
+
+  const lq = row("logged").quiet;
+  if (lq.cycles === 14 && lq.wasted === 12 && row("quiet_slow").quiet.cycles < row("current").quiet.cycles) {
+    pass("quiet-hour cycles near the burst are not waste; quiet_slow runs fewer night cycles than current");
+  } else fail("wasted quiet cycles", `logged ${lq.wasted}/${lq.cycles}, quiet_slow ${row("quiet_slow").quiet.cycles} vs current ${row("current").quiet.cycles}`);
+}
+
+// ── LLM cost budgets ──────────────────────────────────────────────────────────
+// cost_budget.evaluate is the pure decision claudeCompose() acts on. Pins the
+// three outcomes once a cap is hit — a hard group refuses, a non-critical tag
+// downgrades or refuses, a critical tag still runs — and the period boundaries.
+section("LLM cost budgets");
+{
+  const { evaluate } = require(path.join(RUNNER, "lib", "cost_budget.js"));
+  const budgets = {
+    downgrade_model: "haiku",
+    non_critical: { ponder: "downgrade", "art-*": "refuse", "x_amplify_*": "refuse" },
+    groups: {
+      total: { daily: 1 },
+      deep_research: { match: ["dr-*"], daily: 0.5, monthly: 5, hard: true },
+    },
+  };
+  const at = Date.parse("2026-09-15T12:00:00Z");
+  const e = (ts, tag, usd) => ({ ts, tag, usd });
+  const yesterday = [e("2026-09-14T23:59:00Z", "dr-leaf", 4), e("2026-09-14T10:00:00Z", "tweet", 3)];
+
+  const fresh = evaluate({ budgets, entries: yesterday, tag: "dr-plan", at });
+  if (fresh.action === "allow" && fresh.lines.find((l) => l.group === "deep_research" && l.period === "monthly").spent === 4) {
+    pass("yesterday's spend counts toward the month, not today");
+  } else fail("budget periods", JSON.stringify(fresh));
+
+  const dr = [...yesterday, e("2026-09-15T09:00:00Z", "dr-synth", 0.6)];
+  const refused = evaluate({ budgets, entries: dr, tag: "dr-leaf", at });
+  const other = evaluate({ budgets, entries: dr, tag: "tweet", at });
+  if (refused.action === "refuse" && refused.group === "deep_research" && other.action === "allow") {
+    pass("exhausted hard group refuses its own tags and nothing else");
+  } else fail("hard budget", `${refused.action}/${other.action}`);
+
+  const spent = [...yesterday, e("2026-09-15T08:00:00Z", "tweet", 1.2)];
+  const decide = (tag) => evaluate({ budgets, entries: spent, tag, at });
+  const [ponder, amp, tweet, article] = ["ponder", "x_amplify_quote", "tweet", "article"].map(decide);
+  if (ponder.action === "downgrade" && ponder.model === "haiku" && amp.action === "refuse"
+      && tweet.action === "allow" && /critical call allowed/.test(tweet.reason) && article.action === "allow") {
+    pass("over the total cap: ponder downgrades, amplification refuses, posting prose still runs");
+  } else fail("non-critical policy", [ponder, amp, tweet, article].map((d) => d.action).join("/"));
+
+  if (evaluate({ budgets: null, entries: spent, tag: "ponder", at }).action === "allow") pass("no budgets_usd configured → every call allowed");
+  else fail("unconfigured budgets", "expected allow");
+}
+
+// ── LLM cost attribution ──────────────────────────────────────────────────────
+// Ledger rows carry the artifact a call worked toward; a fresh cost_meter on a
+// temp ledger pins scope precedence, the byArtifact rollup and artifactCost().
+section("LLM cost attribution");
+{
+  const tmpLedger = path.join(os.tmpdir(), `cost_ledger_test_${process.pid}.jsonl`);
+  let iso = null;
+  try {
+    iso = isolate({ modules: [path.join(RUNNER, "lib", "cost_meter.js")], env: { COST_LEDGER_PATH: tmpLedger } });
+    const [meter] = iso.mods;
+    const call = (tag, usd, artifact) => meter.record({ tag, model: "claude", usd, artifact });
+    meter.setArtifact({ type: "journal", id: "2026-10-19_08" });
+    call("browse", 0.02);
+    meter.withArtifact({ type: "report", id: "dr-a" }, () => {
+      call("dr-plan", 0.1);
+      call("dr-synth", 0.3);
+      call("factcheck", 0.05, { type: "reply", id: "123" });
+    });
+    meter.withArtifact({ type: "report", id: "dr-b" }, () => call("dr-plan", 0.2));
+    meter.setArtifact(null);
+    call("ponder", 0.01);
+
+    const rows = meter.entries();
+    if (rows[0].artifact === "journal" && rows[3].artifact === "reply" && rows[3].artifact_id === "123" && !("artifact" in rows[5])) {
+      pass("explicit artifact beats the withArtifact scope, which beats the process default");
+    } else fail("artifact precedence", JSON.stringify(rows.map((r) => `${r.artifact}:${r.artifact_id}`)));
+
+    const rep = meter.rollup({ days: 1 }).byArtifact.report;
+    if (rep && rep.artifacts === 2 && rep.calls === 3 && rep.avgUsd === 0.3) pass("byArtifact rollup averages spend over distinct outputs");
+    else fail("byArtifact rollup", JSON.stringify(rep));
+
+    const one = meter.artifactCost("report", "dr-a");
+    if (one && one.usd === 0.4 && one.calls === 2 && one.byTag["dr-synth"].calls === 1 && meter.artifactCost("report", "dr-zzz") === null) {
+      pass("artifactCost() sums one output's calls by tag");
+    } else fail("artifactCost", JSON.stringify(one));
+  } catch (e) {
+    fail("cost attribution", e.message);
+  } finally {
+    if (iso) iso.restore();
+    try { fs.unlinkSync(tmpLedger); } catch {}
+  }
+}
+
+// ── Outbox scheduling, budgets + threads ──────────────────────────────────────
+// The budget is checked inside the claim transaction; these pin the ordering
+// (priority, then LIFO), not_before/expiry, the rolling-24h / min-gap limits,
+// and thread resume/reconcile bookkeeping.
+section("Outbox scheduling, budgets + threads");
+{
+  const tmpDb = path.join(os.tmpdir(), `outbox_test_${process.pid}.db`);
+  let iso = null;
+  try {
+    iso = isolate({ modules: [path.join(RUNNER, "lib", "outbox.js")], env: { OUTBOX_DB_PATH: tmpDb } });
+    const [outbox] = iso.mods;
+    const HOUR = 3_600_000;
+    const noon = new Date(); noon.setHours(12, 0, 0, 0);
+    const at = noon.getTime();
+    const budget = { maxPer24h: 2, minGapMinutes: 45, window: [7, 23] };
+
+    const low = outbox.enqueue({ channel: "t", text: "low priority, newest" });
+    const high = outbox.enqueue({ channel: "t", text: "high priority", priority: 5 });
+    const later = outbox.enqueue({ channel: "t", text: "scheduled later", priority: 9, notBefore: at + 3 * HOUR });
+    const gone = outbox.enqueue({ channel: "t", text: "already expired", priority: 9, expiresAt: at - HOUR });
+    outbox.db.prepare("UPDATE outbound SET created_at=? WHERE id=?").run(new Date(at + 1000).toISOString(), low.id);
+
+    const first = outbox.claimNext("t", { now: at, budget: null });
+    if (first.item && first.item.id === high.id && outbox.get(gone.id).status === "stale") {
+      pass("claim takes highest due priority, skips not_before, stales expired");
+    } else fail("claim order", `claimed #${first.item && first.item.id}, expected #${high.id}; expired row ${outbox.get(gone.id).status}`);
+    outbox.markPosted(high.id);
+    outbox.db.prepare("UPDATE outbound SET posted_at=? WHERE id=?").run(new Date(at - 10 * 60_000).toISOString(), high.id);
+
+    const gap = outbox.claimNext("t", { now: at, budget });
+    if (!gap.item && gap.blocked && /min gap/.test(gap.blocked.reason) && outbox.get(low.id).status === "pending") {
+      pass("min gap blocks the claim and leaves the queue untouched");
+    } else fail("min gap", JSON.stringify(gap.blocked));
+
+    const night = outbox.claimNext("t", { now: at + 11 * HOUR + 30 * 60_000, budget });
+    if (night.blocked && /window/.test(night.blocked.reason)) pass("claim refused outside the posting window");
+    else fail("posting window", JSON.stringify(night.blocked));
+
+    const ok = outbox.claimNext("t", { now: at + HOUR, budget });
+    outbox.markPosted(low.id);
+    const cap = outbox.claimNext("t", { now: at + 4 * HOUR, budget });
+    if (ok.item && ok.item.id === low.id && cap.blocked && /2\/2 in rolling 24h/.test(cap.blocked.reason) && outbox.get(later.id).status === "pending") {
+      pass("rolling-24h cap counts posted items and holds the scheduled one");
+    } else fail("24h cap", `claimed #${ok.item && ok.item.id}, then ${JSON.stringify(cap.blocked)}`);
+
+    // Thread entity: a failure at part 3/4 must resume at part 3, replying to
+    // part 2's URL — never re-post part 1.
+    const parts = ["one", "two", "three", "four"];
+    const th = outbox.enqueueThread({ channel: "t", parts });
+    outbox.claimNext("t", { id: th.id, budget: null });
+    outbox.markPartPosted(th.id, 0, { url: "https://x.com/a/status/1" });
+    outbox.markPartPosted(th.id, 1, { url: "https://x.com/a/status/2", replyTo: "https://x.com/a/status/1" });
+    outbox.markPartFailed(th.id, 2, "anti_automation:226");
+    outbox.markFailed(th.id, "part 3/4: anti_automation:226");
+    const next = outbox.nextPart(th.id);
+    const again = outbox.enqueueThread({ channel: "t", parts });
+    if (next && next.part.idx === 2 && next.replyTo === "https://x.com/a/status/2" && again.deduped && again.id === th.id) {
+      pass("thread resumes at the first unposted part, chained to the last posted URL");
+    } else fail("thread resume", `next ${JSON.stringify(next && { idx: next.part.idx, replyTo: next.replyTo })}, re-enqueue ${JSON.stringify(again)}`);
+
+    outbox.db.prepare("UPDATE outbound SET status='failed' WHERE id=?").run(th.id);
+    outbox.staleOldPending({ olderThanHours: 0 });
+    const half = outbox.halfPosted({ channel: "t" });
+    const { decide } = require(path.join(RUNNER, "outbox_reconcile.js"));
+    const fresh = decide(half[0] || {});
+    const old = decide(half[0] || {}, Date.now() + 24 * HOUR);
+    if (half.length === 1 && half[0].id === th.id && fresh.action === "complete" && old.action === "delete") {
+      pass("reconcile finds the half-thread: completes it while fresh, deletes it once stale");
+    } else fail("reconcile", `half=${half.map(h => h.id)}, fresh=${fresh.action}, old=${old.action}`);
+
+    for (let i = 2; i < parts.length; i++) outbox.markPartPosted(th.id, i, { url: `https://x.com/a/status/${i + 1}` });
+    if (outbox.get(th.id).status === "posted" && outbox.get(th.id).url === "https://x.com/a/status/1") {
+      pass("thread is posted (root URL) once every part is live");
+    } else fail("thread completion", JSON.stringify(outbox.get(th.id)));
+
+    // A single post split at drain time (Bluesky's 300 graphemes) becomes a
+    // thread in place: same row, parts in order, part 1 replying to meta.replyTo.
+    const single = outbox.enqueue({ channel: "t", kind: "reply", text: "long reply", meta: { replyTo: "https://bsky.app/profile/a/post/1" } });
+    const split = outbox.splitIntoThread(single.id, ["first half", "second half"]);
+    const first2 = outbox.nextPart(single.id);
+    if (split && outbox.get(single.id).kind === "thread" && outbox.threadParts(single.id).length === 2
+        && first2.replyTo === "https://bsky.app/profile/a/post/1" && !outbox.splitIntoThread(single.id, ["x"])) {
+      pass("splitIntoThread turns a claimed post into a resumable thread, once");
+    } else fail("splitIntoThread", JSON.stringify({ split, row: outbox.get(single.id), first2 }));
+
+    // A thread spends one slot per part; a dry run hands its claim back free.
+    const cap3 = { maxPer24h: 3 };
+    const th3 = outbox.enqueueThread({ channel: "u", parts: ["a", "b", "c"] });
+    const dry = outbox.claimNext("u", { now: at, budget: cap3 });
+    outbox.release(th3.id, "dry_run");
+    const afterDry = outbox.get(th3.id);
+    const usedAfterDry = outbox.budgetStatus("u", { at, budget: cap3 }).used;
+    outbox.claimNext("u", { now: at, budget: cap3 });
+    ["a", "b", "c"].forEach((t, i) => outbox.markPartPosted(th3.id, i, { url: `https://x.com/u/status/${i}` }));
+    outbox.enqueue({ channel: "u", text: "one more" });
+    const full = outbox.claimNext("u", { now: at + 1000, budget: cap3 });
+    if (dry.item && afterDry.status === "pending" && afterDry.attempts === 0 && usedAfterDry === 0
+        && full.blocked && /3\/3 in rolling 24h/.test(full.blocked.reason) && !outbox.budgetFor("x")) {
+      pass("a 3-part thread uses 3 budget slots; a released dry-run claim uses neither an attempt nor a slot");
+    } else fail("thread budget / release", JSON.stringify({ afterDry, usedAfterDry, full: full.blocked }));
+  } catch (e) {
+    fail("outbox scheduling", e.message);
+  } finally {
+    if (iso) iso.restore();
+    for (const f of [tmpDb, `${tmpDb}-wal`, `${tmpDb}-shm`]) { try { fs.unlinkSync(f); } catch {} }
+  }
+}
+
 // ── Daily stance video: locked voice ──────────────────────────────────────────
 // Regression guard for operator decision 2026-08-05: Veo has no voice-lock (no
 // API/seed/reference-audio, just a text prompt), so the brief-writing LLM used
@@ -685,6 +1063,506 @@ section("Daily stance video: locked voice");
   else fail("character sheet", "buildVideoPrompt dropped CHARACTER_DIRECTIVE");
 }
 
+// ── Citation integrity ────────────────────────────────────────────────────────
+// Deep-research reports are checked citation by citation against the findings
+// the job retrieved; a load-bearing claim citing a never-fetched URL or a source
+// that lacks its number must fail the publish gate.
+section("Citation integrity");
+{
+  const { checkCitations, keyTerms } = require(path.join(RUNNER, "lib", "citation_check.js"));
+  const findings = [
+    { tool: "fetch", input: "https://www.theblock.co/pumpfun-revenue", result: "Pump.fun generated $5.2M in fees; Solana volume rose 12%." },
+    { tool: "rugcheck", input: "mint", result: '{"score_normalised": 7, "totalHolders": 1532}' },
+    { tool: "fetch", input: "https://dead.example/x", result: "(could not fetch https://dead.example/x)" },
+  ];
+  const clean = "Pump.fun earned $5.2M in fees, per [The Block](https://www.theblock.co/pumpfun-revenue/?utm_source=x). " +
+    "The token has 1,532 holders (rugcheck).";
+  const ok = checkCitations(clean, findings, { keyFinding: "Pump.fun earned $5.2M in fees" });
+  if (ok.ok && ok.citations.length === 2 && ok.citations.every((c) => c.supported)
+      && ok.citations[0].status === "fetched" && ok.citations[1].status === "tool") {
+    pass("URL and tool citations map to their findings and are supported");
+  } else fail("supported citations", JSON.stringify(ok.citations.map((c) => [c.status, c.missing])));
+
+  const bad = checkCitations(`${clean} Volume rose 40% (https://www.theblock.co/pumpfun-revenue). Binance listed it [1].\n\n## Sources\n[1]: https://www.coindesk.com/made-up`,
+    findings, { keyFinding: "Pump.fun earned $5.2M in fees" });
+  const byMarker = (re) => bad.citations.find((c) => re.test(c.marker));
+  const wrongNumber = bad.citations.find((c) => /40%/.test(c.claim));
+  if (!bad.ok && wrongNumber && !wrongNumber.supported && wrongNumber.missing.includes("40")
+      && byMarker(/^\[1\]$/) && byMarker(/^\[1\]$/).status === "unretrieved") {
+    pass("a number absent from the source and a never-fetched reference block the report");
+  } else fail("unsupported citations", JSON.stringify(bad.citations.map((c) => [c.marker, c.status, c.missing])));
+
+  const t = keyTerms("On Monday Changpeng Zhao said 1,200 wallets moved $0.42 tokens.");
+  if (t.numbers.includes("1200") && t.numbers.includes("0.42") && t.entities.includes("Changpeng Zhao")) pass("key numbers and named entities are extracted");
+  else fail("keyTerms", JSON.stringify(t));
+}
+
+// ── Intelligence topics ───────────────────────────────────────────────────────
+// Topics are data: the shipped Iran/US/Israel definition keeps its categories and
+// order, and a Telegram definition parses, validates and lands beside it.
+section("Intelligence topics");
+{
+  const tmpState = path.join(os.tmpdir(), `intel_topics_test_${process.pid}.json`);
+  let iso = null;
+  try {
+    iso = isolate({ modules: [path.join(RUNNER, "intelligence", "topics.js")], env: { INTEL_STATE_TOPICS_PATH: tmpState } });
+    const [topics] = iso.mods;
+    const iran = topics.get("iran-us-israel");
+    if (iran && topics.categoryOrder(iran)[0] === "military_action" && topics.categoryOrder(iran).slice(-1)[0] === "misc"
+        && topics.matchCategories("iran-us-israel", "IAEA inspectors found enriched uranium at Fordow") === "nuclear"
+        && topics.expiryRules().military_action === 72) {
+      pass("shipped topic loads from data/ with its category order, matching and expiry");
+    } else fail("shipped topic", JSON.stringify(iran && topics.categoryOrder(iran)));
+
+    const def = topics.parseDefinition([
+      "us-election-2028", "label: US 2028 Presidential Election", "kind: election",
+      "keywords: Primary, caucus, electoral college",
+      "axes: axis_known_v1",
+      "category polling: poll, survey",
+      "category campaign_finance (Campaign Finance): super pac, fundraising",
+    ].join("\n"));
+    const bad = topics.validate({ ...def, topic_axes: ["axis_missing_v1"] }, { axisIds: ["axis_known_v1"] });
+    if (def.id === "us-election-2028" && def.categories.campaign_finance.label === "Campaign Finance"
+        && !bad.ok && /unknown axes: axis_missing_v1/.test(bad.errors.join()) && !topics.validate({ id: "x y" }).ok) {
+      pass("a Telegram definition parses; unknown axes and missing fields are rejected");
+    } else fail("topic definition", JSON.stringify({ def, bad }));
+
+    topics.saveTopic(def, { axisIds: ["axis_known_v1"] });
+    const added = topics.get("us-election-2028");
+    const removedShipped = topics.removeTopic("iran-us-israel");
+    if (topics.ids().join() === "iran-us-israel,us-election-2028" && added.origin === "state" && added.kind === "election"
+        && added.keywords.includes("primary") && topics.matchesTopic(added, "New poll after the caucus")
+        && !removedShipped.ok && topics.removeTopic("us-election-2028").ok && topics.ids().length === 1) {
+      pass("saved topics join the shipped ones; only Telegram-added topics can be removed");
+    } else fail("topic store", JSON.stringify({ ids: topics.ids(), added }));
+  } catch (e) {
+    fail("intelligence topics", e.message);
+  } finally {
+    if (iso) iso.restore();
+    fs.rmSync(tmpState, { force: true });
+  }
+}
+
+// ── Scorer calibration ───────────────────────────────────────────────────────
+section("Scorer calibration");
+{
+  try {
+    const cal = require(path.join(RUNNER, "intelligence", "lib", "calibration.js"));
+    const { validateWeights, DEFAULT_WEIGHTS } = require(path.join(RUNNER, "intelligence", "claim_scorer.js"));
+    const DAY = 86400_000;
+    const now = Date.parse("2026-06-01T00:00:00Z");
+    const row = { status: "supported", created_at: new Date(now - 30 * DAY).toISOString() };
+    const recent = [{ at: new Date(now - 2 * DAY).toISOString(), to: "supported" }];
+    const human = cal.labelFor(row, { human: { label: false }, investigation: { overall_verdict: "confirmed" }, now });
+    const inv = cal.labelFor(row, { investigation: { overall_verdict: "refuted" }, now });
+    if (human.label === 0 && human.source === "human" && inv.label === 0 && inv.source === "investigation"
+        && cal.labelFor(row, { now }).source === "resolved" && cal.labelFor(row, { timeline: recent, now }) === null
+        && cal.labelFor({ ...row, status: "unverified" }, { now }) === null) {
+      pass("labels: human beats investigation beats a verdict that held; fresh or open verdicts are unlabelled");
+    } else fail("calibration labels", JSON.stringify({ human, inv }));
+
+    // Only source_tier predicts the outcome; the other components are noise.
+    const examples = Array.from({ length: 60 }, (_, i) => {
+      const label = i % 2;
+      const noise = ((i * 37) % 11) / 10;
+      return { claim_id: `c${i}`, label, breakdown: {
+        source_tier: label ? 0.9 : 0.1, newsguard: noise, corroboration: 1 - noise,
+        evidence_quality: noise, cross_source: 0.5, web_search: 0.5,
+      } };
+    });
+    const diagram = cal.reliability(examples, DEFAULT_WEIGHTS, 5);
+    const abl = cal.ablations(examples, DEFAULT_WEIGHTS);
+    if (diagram.length === 5 && diagram.reduce((s, b) => s + b.n, 0) === 60 && cal.ece(diagram) > 0
+        && abl[0].component === "source_tier" && abl[0].delta > 0) {
+      pass("reliability bins cover every example; dropping the predictive component hurts most");
+    } else fail("calibration report", JSON.stringify({ diagram, abl: abl[0] }));
+
+    const fitted = cal.fitWeights(examples, { start: DEFAULT_WEIGHTS });
+    const sum = Object.values(fitted).reduce((s, w) => s + w, 0);
+    if (cal.brier(examples, fitted) < cal.brier(examples, DEFAULT_WEIGHTS) && Math.abs(sum - 1) < 1e-9
+        && Object.values(fitted).every((w) => w >= 0) && fitted.source_tier > DEFAULT_WEIGHTS.source_tier
+        && validateWeights(fitted).ok && !validateWeights({ ...fitted, web_search: fitted.web_search + 0.2 }).ok) {
+      pass("fitted weights lower Brier, stay on the simplex, and pass the scorer's weight validation");
+    } else fail("calibration fit", JSON.stringify(fitted));
+
+    // The web search decides every claim: refuted ones (web_search < 0) are
+    // false. Their high |web_search| confidence is a confident "false", not a miss.
+    const searched = Array.from({ length: 40 }, (_, i) => {
+      const label = i % 2;
+      const noise = ((i * 37) % 11) / 10;
+      return { claim_id: `s${i}`, label, breakdown: {
+        source_tier: 0.5, newsguard: noise, corroboration: 1 - noise,
+        evidence_quality: noise, cross_source: 0.5, web_search: label ? 0.9 : -0.9,
+      } };
+    });
+    const refuted = searched.find((e) => e.label === 0);
+    const fitSearch = cal.fitWeights(searched, { start: DEFAULT_WEIGHTS });
+    if (cal.probTrue(refuted.breakdown, fitSearch) < 0.2 && fitSearch.web_search > DEFAULT_WEIGHTS.web_search
+        && cal.brier(searched, fitSearch) < cal.brier(searched, DEFAULT_WEIGHTS)) {
+      pass("a refuted claim counts as P(true) = 1 − confidence, so a decisive web search gains weight");
+    } else fail("calibration sign", JSON.stringify({ p: cal.probTrue(refuted.breakdown, fitSearch), fitSearch }));
+  } catch (e) {
+    fail("scorer calibration", e.message);
+  }
+}
+
+// ── Source reputation ────────────────────────────────────────────────────────
+section("Source reputation");
+{
+  try {
+    const rep = require(path.join(RUNNER, "lib", "source_reputation.js"));
+    const DAY = 86400_000;
+    const now = Date.parse("2026-06-01T00:00:00Z");
+    const ago = (d) => new Date(now - d * DAY).toISOString();
+    const rows = [
+      ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((i) => ({ claim_id: `b${i}`, source_handle: "Rumors", source_tier: 3, status: "refuted", last_verified_at: ago(i) })),
+      { claim_id: "b11", source_handle: "rumors", status: "supported", last_verified_at: ago(2) },
+      { claim_id: "r1", source_handle: "reuters", source_tier: 1, status: "supported", last_verified_at: ago(3) },
+      { claim_id: "r2", source_handle: "reuters", source_tier: 1, status: "unverified", last_verified_at: ago(3) },
+    ];
+    const ledger = rep.build(rows, { now });
+    const bad = rep.lookup(ledger, { url: "https://x.com/rumors/status/1" });
+    const outlet = rep.lookup(ledger, { url: "https://www.reuters.com/world/x" });
+    if (bad && bad.n === 11 && bad.hi < 0.5 && rep.weightFactor(bad) < 1
+        && outlet && outlet.n === 1 && rep.lookup(ledger, { handle: "@Reuters" }).outcomes[0].claim_id === "r1"
+        && rep.weightFactor(rep.estimate(null)) === 1) {
+      pass("settled verdicts build per-handle and per-domain records; a mostly-refuted handle is downweighted");
+    } else fail("reputation ledger", JSON.stringify({ bad, outlet }));
+
+    const entry = { tier: 3, outcomes: [{ claim_id: "x", outcome: 0, at: ago(0) }, { claim_id: "y", outcome: 0, at: ago(0) }] };
+    const fresh = rep.estimate(entry, { now });
+    const aged = rep.estimate({ ...entry, outcomes: entry.outcomes.map((o) => ({ ...o, at: ago(360) })) }, { now });
+    const few = rep.estimate({ tier: 3, outcomes: entry.outcomes.slice(0, 1) }, { now });
+    if (fresh.mean < aged.mean && aged.mean < fresh.prior && fresh.lo < fresh.mean && fresh.hi > fresh.mean
+        && rep.weightFactor(few) === 1 && rep.estimate(entry, { exclude: "x", now }).n === 1) {
+      pass("old verdicts decay toward the tier prior; one refutation alone doesn't move trust");
+    } else fail("reputation decay", JSON.stringify({ fresh, aged, few }));
+  } catch (e) {
+    fail("source reputation", e.message);
+  }
+}
+
+// ── Coordination detection ───────────────────────────────────────────────────
+section("Coordination detection");
+{
+  try {
+    const cib = require(path.join(RUNNER, "lib", "coordination.js"));
+    const t0 = Date.parse("2026-06-01T12:00:00Z");
+    const min = 60_000;
+    const script = "The ceasefire collapse was staged by the opposition and every honest journalist knows it";
+    const posts = [
+      ...["bot_a", "bot_b", "bot_c", "bot_d"].map((u, i) => ({ id: `d${i}`, username: u, ts: t0 + i * min, text: `${script}${i % 2 ? "!" : ""} https://t.co/x${i}` })),
+      { id: "d9", username: "bot_a", ts: t0 + 2 * min, text: script }, // self-repeat, not a link
+      { id: "o1", username: "alice", ts: t0, text: "Reading the ceasefire reporting from three outlets and they disagree on the timeline" },
+      { id: "o2", username: "bob", ts: t0 + min, text: "Staged? The opposition had nothing to gain from the collapse, look at the vote counts" },
+      { id: "o3", username: "carol", ts: t0 + 90 * min, text: script }, // same text, hours later
+    ];
+    const out = cib.detect(posts, { now: t0 });
+    const net = out.networks[0];
+    if (out.networks.length === 1 && net.accounts.join() === "bot_a,bot_b,bot_c,bot_d" && net.kinds.near_duplicate >= 3
+        && net.evidence[0].gap_s <= 600 && !out.accounts.alice && !out.accounts.carol) {
+      pass("near-identical text from different accounts within minutes forms a flagged network with evidence");
+    } else fail("near-duplicate network", JSON.stringify(out.networks));
+
+    const fresh = t0 - 2 * 86400_000;
+    const ring = ["n1", "n2", "n3", "n4", "n5"].flatMap((u, i) => [
+      { id: `r${i}`, username: u, first_seen: fresh, ts: t0 + i * min, text: `Never again ${i} #RecallNow #StopTheSteal2` },
+      { id: `s${i}`, username: u, first_seen: fresh, ts: t0 + 300 * min + i * min, text: `Day two, account ${i} #RecallNow #StopTheSteal2` },
+    ]);
+    const old = ["v1", "v2", "v3"].map((u, i) => ({ id: `v${i}`, username: u, first_seen: t0 - 400 * 86400_000, ts: t0 + i * min, text: `thoughts ${i} #news #world` }));
+    const ledger = cib.detect([...ring, ...old], { now: t0 });
+    const hit = cib.lookup(ledger, "@N3", { now: t0 });
+    if (ledger.networks.length === 1 && ledger.networks[0].kinds.fresh_burst && ledger.networks[0].kinds.hashtag_ring
+        && hit && hit.factor < 1 && hit.factor >= 0.2 && !cib.lookup(ledger, "v1", { now: t0 })
+        && cib.lookup(ledger, "n3", { now: t0 + 30 * 86400_000 }) === null) {
+      pass("fresh-account bursts + a hashtag ring flag a network; its accounts get an evidence factor < 1 until the ledger goes stale");
+    } else fail("burst/ring network", JSON.stringify({ networks: ledger.networks, hit }));
+
+    // The detector's archive half: monthly NDJSON files, read across a month boundary
+    const { readSince } = require(path.join(RUNNER, "lib", "posts_archive.js"));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "posts_archive_test_"));
+    try {
+      const now = Date.now();
+      const month = (ms) => new Date(ms).toISOString().slice(0, 7);
+      const append = (ms, line) => fs.appendFileSync(path.join(dir, `${month(ms)}.jsonl`), line + "\n");
+      for (const [id, ms] of [["old", now - 40 * 86400_000], ["edge", now - 35 * 86400_000], ["new", now - 1000]]) {
+        append(ms, JSON.stringify({ id, ts: ms, text: `post ${id}` }));
+      }
+      append(now, '{"id":"torn"');
+      const ids = readSince(now - 38 * 86400_000, { dir }).map((r) => r.id).sort();
+      if (ids.join() === "edge,new") pass("posts archive reads rows past the cutoff from every monthly file in the window, skipping torn lines");
+      else fail("posts archive readSince", JSON.stringify(ids));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  } catch (e) {
+    fail("coordination detection", e.message);
+  }
+}
+
+// ── Narrative tactics ────────────────────────────────────────────────────────
+section("Narrative tactics");
+{
+  const tmpLedger = path.join(os.tmpdir(), `narrative_ledger_test_${process.pid}.jsonl`);
+  try {
+    const narrative = require(path.join(RUNNER, "lib", "narrative_tactics.js"));
+    const rhetoric = require(path.join(ROOT, "analyzer", "rhetoric_detector.js"));
+    const text = "They call it justice. It is a witch hunt, politically motivated from day one.";
+    const hits = narrative.detect(text);
+    const legal = hits.find(h => h.tactic === "legal_process_challenge");
+    const weak = hits.find(h => h.tactic === "us_vs_them");
+    if (legal && legal.confidence >= 0.8 && text.slice(...legal.span).toLowerCase() === legal.match.toLowerCase()
+        && weak && weak.confidence < narrative.RECORD_MIN_CONFIDENCE
+        && narrative.resolve("T007") === narrative.resolve("partisan_attack_accusation")
+        && rhetoric.analyze(text).detected_tactics.some(t => t.id === "legal_process_challenge")) {
+      pass("detect() returns tactic, span and confidence; legacy ids resolve and the rhetoric detector shares the taxonomy");
+    } else fail("narrative detect", JSON.stringify(hits));
+
+    const legacy = [
+      { eventId: "ev1", tacticId: "Whataboutism", timestamp: new Date().toISOString(), contentId: "p1", contentSnippet: "what about them", actor: { id: "@gov" }, analysis: { confidence: 0.7, reasoning: "r" } },
+      { id: "nt-old", timestamp: new Date().toISOString(), tactic: "Strawman Argument", narrative: "so you're saying", source_url: "https://x.com/a/status/1", attribution: { actor: "gov" }, analysis: "a" },
+    ];
+    fs.writeFileSync(tmpLedger, legacy.map(r => JSON.stringify(r)).join("\n") + "\n");
+    narrative.record(narrative.entriesFor([{ id: "p2", text, actor: "@gov", url: "https://x.com/gov/status/2" }], { source: "feed" }), { file: tmpLedger });
+    const entries = narrative.readLedger(tmpLedger);
+    const s = narrative.summarize(narrative.query({ actor: "GOV" }, entries));
+    if (entries.length === 3 && entries[0].tactic === "whataboutism" && entries[1].tactic === "straw_man"
+        && entries[2].source === "feed" && entries[2].span && s.total === 3 && s.top_actors[0].actor === "gov"
+        && narrative.formatForPrompt(entries).includes("Challenge to Legal Process")) {
+      pass("one ledger: legacy tool rows normalize on read, detector entries append, queries and summaries span both");
+    } else fail("narrative ledger", JSON.stringify(entries));
+  } catch (e) {
+    fail("narrative tactics", e.message);
+  } finally {
+    try { fs.unlinkSync(tmpLedger); } catch {}
+  }
+
+  // The tool sandbox mounts only runner/ and tools/: the agent's tool must find
+  // the taxonomy there, with no data/ beside them.
+  const { execFileSync } = require("child_process");
+  const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "narrative_tool_test_"));
+  try {
+    const noModules = (src) => path.basename(src) !== "node_modules";
+    fs.cpSync(RUNNER, path.join(sandbox, "runner"), { recursive: true, filter: noModules });
+    fs.cpSync(path.join(ROOT, "tools"), path.join(sandbox, "tools"), { recursive: true, filter: noModules });
+    const probe = [
+      'const tool = require("./tools/narrative_tracker.js");',
+      'let written = "";',
+      'const ctx = { readState: () => "", writeState: (_p, c) => { written = c; }, cycle: 1 };',
+      'const r = tool.execute({ operation: "log", payload: { tactic: "whataboutism", contentSnippet: "what about them" } }, ctx);',
+      'console.log(JSON.stringify({ r, written }));',
+    ].join("\n");
+    const out = JSON.parse(execFileSync(process.execPath, ["-e", probe], { cwd: sandbox, encoding: "utf-8", stdio: "pipe", timeout: 15_000 }));
+    if (out.r.success && out.r.tactic === "whataboutism" && JSON.parse(out.written).tactic === "whataboutism") {
+      pass("narrative_tracker logs a tactic with only runner/ and tools/ present, as in the tool sandbox");
+    } else fail("narrative_tracker in sandbox layout", JSON.stringify(out.r));
+  } catch (e) {
+    fail("narrative_tracker in sandbox layout", e.message);
+  } finally {
+    fs.rmSync(sandbox, { recursive: true, force: true });
+  }
+}
+
+// ── Narrative arcs ───────────────────────────────────────────────────────────
+section("Narrative arcs");
+{
+  try {
+    const arcs = require(path.join(RUNNER, "lib", "narrative_arcs.js"));
+    const H = 3600_000, t0 = Date.parse("2026-03-01T00:00:00Z");
+    let n = 0;
+    const post = (h, user, text) => ({ id: String(++n), ts: t0 + h * H, username: user, text });
+    const posts = [
+      post(1, "a", "Outbreak spreading near the Fresno poultry farms, officials warn of crisis"),
+      post(2, "b", "Fresno poultry farms outbreak is a real threat to the valley"),
+      post(3, "c", "Officials confirm outbreak at Fresno poultry farms"),
+      post(30, "d", "New vaccine for the Fresno poultry farms outbreak is ready, officials say"),
+      post(31, "e", "Fresno poultry farms vaccine rollout starts Monday"),
+      post(60, "f", "This Fresno poultry farms story looks staged, pure hoax"),
+      post(62, "g", "Nobody believes the Fresno poultry farms hoax anymore"),
+      // Same frames, different topic: must not join the arc
+      post(40, "h", "Bitcoin mining rigs in Texas need a cure for the grid crisis"),
+      // Threat and solution in the same window is mixed discourse, not an arc
+      post(1, "i", "Dallas bridge collapse disaster, emergency crews on scene"),
+      post(2, "j", "Dallas bridge collapse: emergency crews report new disaster"),
+      post(2, "k", "Dallas bridge collapse repair protocol announced by crews"),
+      post(3, "l", "Dallas bridge collapse crews propose quick solution"),
+      post(4, "m", "Dallas bridge collapse crews face another disaster"),
+    ];
+    const state = arcs.build(posts, { ledger: [{ content_id: "1", tactic: "fear_appeal" }] });
+    // Frame words match whole words, and "no doubt" affirms rather than doubts
+    const staged = ["Troops secured the border crossing", "No doubt this attack was planned", "Vaccines arrive Monday", "I doubt the vaccine works"]
+      .map(t => arcs.stageOf(t));
+    if (JSON.stringify(staged) === JSON.stringify([null, "threat", "solution", "skepticism"])) {
+      pass("posts are staged on whole frame words: no 'cure' in 'secured', no skepticism in 'no doubt'");
+    } else fail("narrative arc staging", JSON.stringify(staged));
+
+    const arc = state.arcs.find(a => a.keywords.includes("fresno"));
+    const bridge = state.arcs.find(a => a.keywords.includes("bridge"));
+    if (arc && arc.complete && arc.posts === 7 && arc.sequence.join(">") === "threat>solution>skepticism"
+        && arc.transitions.threat_to_solution_h === 29 && arc.transitions.solution_to_skepticism_h === 30
+        && arc.tactics[0].tactic === "fear_appeal" && arc.timeline.length === 3
+        && bridge && bridge.stage === "threat" && !bridge.complete) {
+      pass("posts on one topic link into an arc across days; stage onsets and transition hours are timed, same-window stages are not a sequence");
+    } else fail("narrative arc build", JSON.stringify(state.arcs.map(a => [a.label, a.stage, a.posts, a.transitions])));
+
+    const first = arcs.ledgerEntries(state.arcs);
+    const again = arcs.ledgerEntries(state.arcs, first);
+    const matched = arcs.forTopic(state.arcs, ["fresno", "poultry", "unrelated"]);
+    const byUrl = arcs.forTopic(state.arcs, [], { urls: new Set(["https://x.com/d/status/4"]) });
+    const text = arcs.formatTimeline(arc, { windows: true });
+    if (first.length === 1 && first[0].tactic === arcs.ARC_TACTIC && first[0].narrative_id === arc.id
+        && first[0].source_url === "https://x.com/f/status/6" && again.length === 0
+        && matched.length === 1 && byUrl.length === 1
+        && text.includes("(+29h)") && text.includes("https://x.com/a/status/1") && text.includes("T0/S2/K0")) {
+      pass("arcs log problem_reaction_solution to the ledger once per stage and are matched to article topics by terms or URL");
+    } else fail("narrative arc ledger/topic", JSON.stringify({ first, again: again.length, matched: matched.length, byUrl: byUrl.length, text }));
+
+    // Post 1 ages out of the window: the arc now opens at post 2 but is the same arc
+    const fresno = (st) => st.arcs.find(a => a.keywords.includes("fresno"));
+    const slid = fresno(arcs.build(posts.slice(1)));
+    const carried = fresno(arcs.build(posts.slice(1), { previous: state.arcs }));
+    if (slid && carried && slid.id !== arc.id && carried.id === arc.id && arcs.ledgerEntries([carried], first).length === 0) {
+      pass("an arc keeps the previous run's id after its opening post leaves the window, so the ledger is not logged twice");
+    } else fail("narrative arc id", JSON.stringify({ arc: arc.id, slid: slid && slid.id, carried: carried && carried.id }));
+  } catch (e) {
+    fail("narrative arcs", e.message);
+  }
+}
+
+// ── Builder coverage gate ────────────────────────────────────────────────────
+section("Builder coverage gate");
+{
+  const { execFileSync } = require("child_process");
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "coverage_diff_test_"));
+  try {
+    const coverageDiff = require(path.join(RUNNER, "lib", "coverage_diff.js"));
+    const diff = [
+      "diff --git a/runner/lib/x.js b/runner/lib/x.js",
+      "--- a/runner/lib/x.js",
+      "+++ b/runner/lib/x.js",
+      "@@ -3,0 +4,2 @@ function a() {",
+      "@@ -9 +11 @@",
+      "diff --git a/runner/old.js b/runner/old.js",
+      "--- a/runner/old.js",
+      "+++ /dev/null",
+      "@@ -1,3 +0,0 @@",
+    ].join("\n");
+    const changed = coverageDiff.changedLines(diff);
+    if (JSON.stringify(changed) === JSON.stringify({ "runner/lib/x.js": [4, 5, 11] })) {
+      pass("changedLines() reads added line numbers from git diff -U0 hunks, ignoring deleted files");
+    } else fail("coverage_diff changedLines", JSON.stringify(changed));
+
+    // Real V8 coverage from a child process, read the way the sandbox reads it
+    const { readCoverage } = require(path.join(RUNNER, "lib", "sandbox.js"));
+    const mod = [
+      "'use strict';",
+      "function used(a) {",
+      "  return a + 1;",
+      "}",
+      "function unused(b) {",
+      "  return b * 2;",
+      "}",
+      "module.exports = { used, unused };",
+    ].join("\n");
+    fs.writeFileSync(path.join(tmp, "mod.js"), mod);
+    fs.writeFileSync(path.join(tmp, "other.js"), "module.exports = 1;\n");
+    fs.writeFileSync(path.join(tmp, "t.js"), "require('./mod').used(1);\n");
+    execFileSync(process.execPath, [path.join(tmp, "t.js")], {
+      env: { ...process.env, NODE_V8_COVERAGE: path.join(tmp, "cov") }, stdio: "pipe", timeout: 20_000,
+    });
+    const coverage = readCoverage(path.join(tmp, "cov"), tmp);
+    const report = coverageDiff.diff({
+      changed: { "mod.js": [3, 6], "other.js": [1], "tests/meta/p.test.js": [1] },
+      coverage,
+      readSource: rel => { try { return fs.readFileSync(path.join(tmp, rel), "utf-8"); } catch { return null; } },
+    });
+    const m = report.files.find(f => f.path === "mod.js");
+    if (m && m.covered === 1 && m.uncovered_lines.join() === "6"
+        && JSON.stringify(report.uncovered) === JSON.stringify(["other.js"])
+        && !report.files.some(f => f.path.includes("tests/"))
+        && coverageDiff.format(report).includes("never loaded")) {
+      pass("coverage diff counts changed lines the tests ran and flags a changed module no test touched");
+    } else fail("coverage_diff diff", JSON.stringify(report));
+  } catch (e) {
+    fail("builder coverage gate", e.message);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+// ── META canary ──────────────────────────────────────────────────────────────
+section("META canary");
+{
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "meta_canary_test_"));
+  try {
+    const canary = require(path.join(RUNNER, "lib", "meta_canary.js"));
+    const cyc = (i, o = {}) => ({
+      ts: new Date(Date.UTC(2026, 0, 1) + i * 1800_000).toISOString(), cycle: i, type: "BROWSE",
+      agentExitCodes: [0], postAttempted: false, postSuccess: null, digestGrowthBytes: 500, costUsd: 0.1, ...o,
+    });
+    const healthy = Array.from({ length: 6 }, (_, i) => cyc(i));
+    const failing = Array.from({ length: 6 }, (_, i) => cyc(10 + i, { agentExitCodes: [1, 1], costUsd: 0.3 }));
+    const regressed = canary.compare(canary.metrics(healthy), canary.metrics(failing)).map(r => r.metric).sort();
+    // Two post attempts on each side: too few samples to judge
+    const posts = canary.compare(
+      canary.metrics([cyc(0, { postAttempted: true, postSuccess: true }), cyc(1, { postAttempted: true, postSuccess: true })]),
+      canary.metrics([cyc(2, { postAttempted: true, postSuccess: false }), cyc(3, { postAttempted: true, postSuccess: false })]));
+    if (JSON.stringify(regressed) === JSON.stringify(["agent_failure_rate", "cost_per_cycle"])
+        && canary.compare(canary.metrics(healthy), canary.metrics(healthy)).length === 0
+        && posts.length === 0) {
+      pass("compare() flags agent failures and cost rising past threshold, ignores thin samples");
+    } else fail("meta_canary compare", JSON.stringify({ regressed, posts }));
+
+    const file = path.join(tmp, "meta_canary.json");
+    const logFile = path.join(tmp, "orchestrator.log");
+    const opts = { file, logFile, historyFile: path.join(tmp, "none.json"), watchdogFile: path.join(tmp, "none.json") };
+    const write = rows => fs.writeFileSync(logFile, ["plain log line", ...rows.map(r => JSON.stringify(r))].join("\n") + "\n");
+    const mergedAt = Date.parse(cyc(5).ts) + 60_000;
+    write(healthy);
+    const opened = canary.start({ proposal: { id: "p1", title: "t" }, mergeCommit: "abc1234", now: mergedAt, file, logFile });
+    write([...healthy, ...failing.slice(0, 3)]);
+    const watching = canary.check({ ...opts, now: mergedAt + 1 });
+    write([...healthy, ...failing.slice(0, canary.CANARY_CYCLES), ...Array.from({ length: canary.CANARY_CYCLES }, (_, i) => cyc(20 + i, { agentExitCodes: [1] }))]);
+    const verdict = canary.check({ ...opts, now: mergedAt + 2 });
+    // A regression stays open until the revert attempt closes it
+    const stillOpen = canary.isActive(file) && canary.load(file).active.regressions.length === 2;
+    const again = canary.check({ ...opts, now: mergedAt + 3 });
+    const closed = canary.close("reverted", { revert_commit: "def5678" }, { file, now: mergedAt + 4 });
+    if (opened.baseline.cycles === 6 && watching.status === "watching" && watching.cycles_seen === 3
+        && verdict.status === "regressed" && verdict.merge_commit === "abc1234"
+        && stillOpen && again.status === "regressed"
+        && closed.status === "reverted" && closed.revert_commit === "def5678"
+        && !canary.isActive(file) && canary.check(opts).status === "idle"
+        && canary.load(file).history[0].status === "reverted" && canary.close("reverted", {}, { file }) === null) {
+      pass("canary watches cycles after the merge, flags a regression and stays open until close()");
+    } else fail("meta_canary lifecycle", JSON.stringify({ opened: opened.baseline, watching, verdict: verdict.status, stillOpen, again: again.status }));
+  } catch (e) {
+    fail("META canary", e.message);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+// ── META regression tests ────────────────────────────────────────────────────
+// Builder proposals ship runner/tests/meta/<proposal_id>.test.js with their
+// code (builder_pipeline.js refuses changed code no test runs). They stay
+// here as regression tests: standalone scripts, exit 0 = pass.
+section("META regression tests");
+{
+  const { execFileSync } = require("child_process");
+  const metaDir = path.join(RUNNER, "tests", "meta");
+  let files = [];
+  try { files = fs.readdirSync(metaDir).filter(f => f.endsWith(".test.js")).sort(); } catch {}
+  for (const f of files) {
+    try {
+      execFileSync(process.execPath, [path.join(metaDir, f)], { cwd: ROOT, stdio: "pipe", timeout: 60_000 });
+      pass(`meta/${f}`);
+    } catch (e) {
+      fail(`meta/${f}`, (e.stderr ? e.stderr.toString() : e.message).trim().slice(0, 300));
+    }
+  }
+}
+
 // ── LinkedIn engagement wiring ────────────────────────────────────────────────
 // Regression guard for a bug that silently killed LinkedIn engagement for a
 // month: engage() ranked candidates with `score: score(p)` and no `await`, so
@@ -692,6 +1570,9 @@ section("Daily stance video: locked voice");
 // false, and `ranked` was always empty. The job ran on schedule and no-oped, and
 // nothing in the logs said "broken" — it just said 0.
 section("LinkedIn engagement wiring");
+// Async sections run one after another on this chain, so each one's results
+// print under its own header; the summary waits for the tail.
+let asyncChain = Promise.resolve();
 {
   const { LinkedIn } = require(path.join(ROOT, "tools/helmstack-social/src"));
 
@@ -715,7 +1596,7 @@ section("LinkedIn engagement wiring");
   ];
   const onTopic = (p) => /impeachment|framing/.test(p.text);
 
-  (async () => {
+  asyncChain = (async () => {
     // (1) The actual regression: an ASYNC scorer must still rank.
     {
       const li = stubEngine({ posts: POSTS });
@@ -778,15 +1659,835 @@ section("LinkedIn engagement wiring");
       else fail("score concurrency", `expected peak <= 3, got ${peak}`);
     }
 
-  })().catch((e) => fail("LinkedIn engagement wiring", e.message))
-      .finally(() => {
-        // This section is the only async one, so it owns the summary — the
-        // synchronous tail below would otherwise print before these finish.
-        printSummary();
-        if (IS_CI && failed > 0) process.exit(1);
-      });
+  })().catch((e) => fail("LinkedIn engagement wiring", e.message));
 }
 
+// ── Mastodon engine ───────────────────────────────────────────────────────────
+// The Mastodon engine is plain REST, so it runs against a local mock instance:
+// the instance's character limit, server-side counting (URLs = 23), thread
+// chaining by in_reply_to_id, remote-URL reply resolution, and 429 handling.
+asyncChain = asyncChain.then(async () => {
+  section("Mastodon engine");
+  const http = require("http");
+  const { Mastodon, mastodonStatusLength } = require(path.join(ROOT, "tools/helmstack-social/src"));
+
+  const posted = [];
+  let nextId = 100, limitNext = false, limitAfter = -1; // 429 on the next / the (n+1)th status
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", () => {
+      const send = (code, body, headers = {}) => {
+        res.writeHead(code, { "Content-Type": "application/json", ...headers });
+        res.end(JSON.stringify(body));
+      };
+      const url = new URL(req.url, "http://mock");
+      if (req.headers.authorization !== "Bearer tok") return send(401, { error: "The access token is invalid" });
+      if (url.pathname === "/api/v2/instance") return send(200, { configuration: { statuses: { max_characters: 60 } } });
+      if (url.pathname === "/api/v1/accounts/verify_credentials") return send(200, { id: "1", acct: "hunter" });
+      if (url.pathname === "/api/v2/search") {
+        const q = url.searchParams.get("q");
+        return send(200, { statuses: q === "https://remote.example/@a/555" ? [{ id: "42" }] : [] });
+      }
+      if (url.pathname === "/api/v1/statuses" && req.method === "POST") {
+        if (limitNext || limitAfter === 0) { limitNext = false; limitAfter = -1; return send(429, { error: "Too many requests" }, { "Retry-After": "120" }); }
+        if (limitAfter > 0) limitAfter--;
+        const body = JSON.parse(raw);
+        const id = String(nextId++);
+        posted.push({ ...body, id, key: req.headers["idempotency-key"] });
+        return send(200, { id, url: `${base}/@hunter/${id}` });
+      }
+      send(404, { error: "Record not found" });
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const m = new Mastodon({ instance: base, token: "tok", log: () => {} });
+
+  try {
+    const limit = await m.maxChars();
+    if (limit === 60) pass("maxChars() reads configuration.statuses.max_characters from /api/v2/instance");
+    else fail("Mastodon maxChars", `expected 60, got ${limit}`);
+
+    const link = "see https://example.com/" + "a".repeat(80);
+    if (mastodonStatusLength(link) === 4 + 23 && mastodonStatusLength("hi @a@remote.example") === "hi @a".length) {
+      pass("statusLength counts a URL as 23 and @user@domain as @user");
+    } else fail("Mastodon statusLength", `got ${mastodonStatusLength(link)} / ${mastodonStatusLength("hi @a@remote.example")}`);
+
+    const p = await m.post(link);
+    if (p.posted && p.url === `${base}/@hunter/100` && posted[0].key && posted[0].visibility === "public") {
+      pass("post() publishes a long-URL status under the limit, with an Idempotency-Key");
+    } else fail("Mastodon post", JSON.stringify(p));
+
+    const long = await m.post("x".repeat(61));
+    if (!long.posted && /^too_long/.test(long.reason) && posted.length === 1) pass("post() refuses an over-limit status before any request");
+    else fail("Mastodon too_long", JSON.stringify(long));
+
+    const t = await m.postThread(["one", "two", "three"]);
+    const chain = posted.slice(1).map((s) => s.in_reply_to_id || null);
+    if (t.ok && t.urls.length === 3 && JSON.stringify(chain) === JSON.stringify([null, "101", "102"])) {
+      pass("postThread() chains each part to the previous by in_reply_to_id");
+    } else fail("Mastodon postThread", `ok=${t.ok} chain=${JSON.stringify(chain)}`);
+
+    const own = await m.reply(`${base}/@hunter/103`, "own reply");
+    const remote = await m.reply("https://remote.example/@a/555", "remote reply");
+    const lost = await m.reply("https://remote.example/@a/999", "nowhere");
+    const ids = posted.slice(-2).map((s) => s.in_reply_to_id);
+    if (own.ok && remote.ok && ids[0] === "103" && ids[1] === "42" && !lost.ok && lost.reason === "reply_target_unresolved") {
+      pass("reply() resolves own-instance URLs locally and remote URLs via search");
+    } else fail("Mastodon reply", `ids=${JSON.stringify(ids)} lost=${JSON.stringify(lost)}`);
+
+    limitNext = true;
+    const rl = await m.post("rate limited");
+    if (!rl.posted && rl.reason === "rate_limited" && rl.retryAfter === "120") pass("429 maps to rate_limited with retryAfter (no throw)");
+    else fail("Mastodon 429", JSON.stringify(rl));
+
+    const bad = new Mastodon({ instance: base, token: "nope", log: () => {} });
+    if (!(await bad.sessionOk())) pass("sessionOk() is false for a rejected token");
+    else fail("Mastodon sessionOk", "bad token reported as a valid session");
+
+    // The drainer (runner/mastodon_post.js) on a temp outbox: every part is
+    // gated before anything posts, and a thread cut off mid-way resumes.
+    const gates = require(path.join(RUNNER, "lib", "outbound_gates.js"));
+    const postsLog = require(path.join(RUNNER, "posts_log.js"));
+    const prev = { passOutbound: gates.passOutbound, logChannel: postsLog.logChannel };
+    const tmpDb = path.join(os.tmpdir(), `mastodon_outbox_test_${process.pid}.db`);
+    const logged = [];
+    let iso = null;
+    try {
+      gates.passOutbound = async (text) => /BLOCK/.test(text) ? { ok: false, reason: "voice" } : { ok: true, text: text.toUpperCase() };
+      postsLog.logChannel = (row) => { logged.push(row); };
+      // mastodon_post binds both at require time: load it after the stubs
+      iso = isolate({
+        modules: [path.join(RUNNER, "lib", "outbox.js"), path.join(RUNNER, "mastodon_post.js")],
+        env: { OUTBOX_DB_PATH: tmpDb, OUTBOX_BUDGETS_PATH: path.join(os.tmpdir(), "none.json"),
+          MASTODON_INSTANCE: base, MASTODON_ACCESS_TOKEN: "tok", MASTODON_DRY_RUN: "" },
+        quiet: true,
+      });
+      const [outbox, { main }] = iso.mods;
+      const before = posted.length;
+
+      const single = outbox.enqueue({ channel: "mastodon", text: "gated status" });
+      const code = await main();
+      if (code === 0 && outbox.get(single.id).status === "posted" && posted[before].status === "GATED STATUS"
+          && logged[0] && logged[0].type === "mastodon_post" && logged[0].outbox_id === single.id) {
+        pass("drainer posts the gated text and logs it against the outbox item");
+      } else fail("Mastodon drainer gate", JSON.stringify({ code, row: outbox.get(single.id), sent: posted[before] }));
+
+      const blocked = outbox.enqueueThread({ channel: "mastodon", parts: ["fine", "BLOCK this", "also fine"] });
+      const blockedCode = await main();
+      if (blockedCode === 0 && outbox.get(blocked.id).status === "rejected" && posted.length === before + 1) {
+        pass("a gate failure on any part rejects the thread before a single part posts");
+      } else fail("Mastodon drainer reject", JSON.stringify({ blockedCode, row: outbox.get(blocked.id), posted: posted.length - before }));
+
+      const th = outbox.enqueueThread({ channel: "mastodon", parts: ["one", "two", "three"] });
+      limitAfter = 1;
+      const first = await main();              // part 1 lands, then part 2 hits a 429
+      const afterFirst = outbox.threadParts(th.id).map((p) => p.status);
+      const firstId = posted[posted.length - 1].id;
+      const resumed = await main();            // picks up at part 2
+      const sent = posted.slice(before + 1).map((s) => [s.status, s.in_reply_to_id || null]);
+      if (first === 1 && afterFirst.join() === "posted,failed,pending" && resumed === 0
+          && outbox.get(th.id).status === "posted"
+          && JSON.stringify(sent) === JSON.stringify([["ONE", null], ["TWO", firstId], ["THREE", String(Number(firstId) + 1)]])) {
+        pass("a thread cut off at part 2 resumes there, replying to part 1, without re-posting it");
+      } else fail("Mastodon drainer resume", JSON.stringify({ first, afterFirst, resumed, sent }));
+    } finally {
+      if (iso) iso.restore();
+      Object.assign(gates, { passOutbound: prev.passOutbound });
+      Object.assign(postsLog, { logChannel: prev.logChannel });
+      for (const f of [tmpDb, `${tmpDb}-wal`, `${tmpDb}-shm`]) { try { fs.unlinkSync(f); } catch {} }
+    }
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}).catch((e) => fail("Mastodon engine", e.message));
+
+// ── Bluesky engine ────────────────────────────────────────────────────────────
+// The Bluesky engine talks XRPC to a PDS, so it runs against a stub PDS: the
+// 300-grapheme limit and splitting, facet byte ranges (UTF-8, not UTF-16),
+// mention resolution, link cards with an uploaded thumb, root/parent reply refs
+// across a thread, and 429 handling.
+asyncChain = asyncChain.then(async () => {
+  section("Bluesky engine");
+  const http = require("http");
+  const { Bluesky, graphemeLength, blueskySplit } = require(path.join(ROOT, "tools/helmstack-social/src"));
+  const { facetSpans } = require(path.join(ROOT, "tools/helmstack-social/src/bluesky.js"));
+
+  const records = [], blobs = [];
+  let rkey = 0, limitNext = false;
+  const foreign = {
+    uri: "at://did:plc:other/app.bsky.feed.post/f2", cid: "cid-f2",
+    value: { text: "a reply in someone else's thread", reply: { root: { uri: "at://did:plc:other/app.bsky.feed.post/f1", cid: "cid-f1" }, parent: { uri: "at://did:plc:other/app.bsky.feed.post/f1", cid: "cid-f1" } } },
+  };
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const send = (code, body, headers = {}, type = "application/json") => {
+        res.writeHead(code, { "Content-Type": type, ...headers });
+        res.end(type === "application/json" ? JSON.stringify(body) : body);
+      };
+      const url = new URL(req.url, "http://stub");
+      const nsid = url.pathname.replace(/^\/xrpc\//, "");
+      if (url.pathname === "/articles/ledger") {
+        return send(200, `<html><head><meta property="og:title" content="The Ledger &amp; the Lie"><meta content="How claims drift" property="og:description"><meta property="og:image" content="/img/ledger.png"></head></html>`, {}, "text/html");
+      }
+      if (url.pathname === "/img/ledger.png") return send(200, Buffer.from([0x89, 0x50, 0x4e, 0x47]), {}, "image/png");
+      if (nsid === "com.atproto.server.createSession") {
+        const b = JSON.parse(Buffer.concat(chunks).toString());
+        if (b.password !== "app-pass") return send(401, { error: "AuthenticationRequired" });
+        return send(200, { did: "did:plc:hunter", handle: "hunter.test", accessJwt: "jwt" });
+      }
+      if (req.headers.authorization !== "Bearer jwt") return send(401, { error: "AuthenticationRequired" });
+      if (nsid === "com.atproto.identity.resolveHandle") {
+        const h = url.searchParams.get("handle");
+        return h === "alice.test" || h === "other.test" ? send(200, { did: h === "alice.test" ? "did:plc:alice" : "did:plc:other" }) : send(400, { error: "InvalidRequest" });
+      }
+      if (nsid === "com.atproto.repo.uploadBlob") {
+        blobs.push({ type: req.headers["content-type"], size: Buffer.concat(chunks).length });
+        return send(200, { blob: { $type: "blob", ref: { $link: "bafkthumb" }, mimeType: req.headers["content-type"], size: 4 } });
+      }
+      if (nsid === "com.atproto.repo.getRecord") {
+        return url.searchParams.get("rkey") === "f2" ? send(200, foreign) : send(400, { error: "RecordNotFound" });
+      }
+      if (nsid === "com.atproto.repo.createRecord") {
+        if (limitNext) { limitNext = false; return send(429, { error: "RateLimitExceeded" }, { "Retry-After": "60" }); }
+        const b = JSON.parse(Buffer.concat(chunks).toString());
+        const key = `r${++rkey}`;
+        records.push(b.record);
+        return send(200, { uri: `at://${b.repo}/${b.collection}/${key}`, cid: `cid-${key}` });
+      }
+      send(404, { error: "MethodNotImplemented" });
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const bs = new Bluesky({ service: base, identifier: "hunter.test", password: "app-pass", log: () => {} });
+
+  try {
+    const long = Array.from({ length: 12 }, (_, i) => `Sentence number ${i + 1} carries a claim about the ledger.`).join(" ");
+    const parts = blueskySplit(long);
+    if (graphemeLength("👨‍👩‍👧") === 1 && parts.length > 1 && parts.every((p) => graphemeLength(p) <= 300) && parts.join(" ") === long) {
+      pass(`splitThread packs ${graphemeLength(long)} graphemes into ${parts.length} whole-sentence parts (a ZWJ emoji counts 1)`);
+    } else fail("Bluesky split", `${parts.length} parts: ${JSON.stringify(parts.map(graphemeLength))}`);
+
+    const spans = facetSpans("héllo https://a.example/x. ping @alice.test #OSINT");
+    const link = spans.find((sp) => sp.type === "link");
+    if (link && link.value === "https://a.example/x" && link.byteStart === 7 && link.byteEnd === 7 + 19
+        && spans.some((sp) => sp.type === "mention" && sp.value === "alice.test") && spans.some((sp) => sp.type === "tag" && sp.value === "OSINT")) {
+      pass("facet ranges are UTF-8 byte offsets, trailing punctuation trimmed");
+    } else fail("Bluesky facets", JSON.stringify(spans));
+
+    const p = await bs.post(`New piece: ${base}/articles/ledger — h/t @alice.test and @nobody.test`, { embedUrl: `${base}/articles/ledger` });
+    const rec = records[0] || {};
+    const features = (rec.facets || []).map((f) => f.features[0]);
+    const ext = rec.embed && rec.embed.external;
+    if (p.posted && p.url === "https://bsky.app/profile/hunter.test/post/r1"
+        && features.some((f) => f.did === "did:plc:alice") && features.filter((f) => f.$type.endsWith("#mention")).length === 1
+        && ext && ext.title === "The Ledger & the Lie" && ext.thumb && blobs.length === 1 && blobs[0].type === "image/png") {
+      pass("post() sends facets (unresolved mention left plain) and a link card with an uploaded thumb");
+    } else fail("Bluesky post", JSON.stringify({ p, facets: rec.facets, embed: rec.embed, blobs }));
+
+    const t = await bs.postThread(["one", "two", "three"]);
+    const [r1, r2, r3] = records.slice(1);
+    if (t.ok && t.urls.length === 3 && !r1.reply
+        && r2.reply.parent.uri.endsWith("/r2") && r2.reply.root.uri.endsWith("/r2")
+        && r3.reply.parent.uri.endsWith("/r3") && r3.reply.root.uri.endsWith("/r2")) {
+      pass("postThread() chains parent refs and keeps part 1 as every part's root");
+    } else fail("Bluesky postThread", JSON.stringify(records.slice(1).map((r) => r.reply || null)));
+
+    const rep = await bs.reply("https://bsky.app/profile/other.test/post/f2", "joining in");
+    const rr = records[records.length - 1].reply;
+    const lost = await bs.reply("https://bsky.app/profile/other.test/post/nope", "nowhere");
+    if (rep.ok && rr.parent.cid === "cid-f2" && rr.root.cid === "cid-f1" && !lost.ok && lost.reason === "reply_target_unresolved") {
+      pass("reply() to a foreign post resolves its record and inherits that thread's root");
+    } else fail("Bluesky reply", JSON.stringify({ rep, rr, lost }));
+
+    const over = await bs.post("x".repeat(301));
+    limitNext = true;
+    const rl = await bs.post("rate limited");
+    if (!over.posted && /^too_long/.test(over.reason) && !rl.posted && rl.reason === "rate_limited" && rl.retryAfter === "60") {
+      pass("over-limit refused before any write; 429 maps to rate_limited with retryAfter");
+    } else fail("Bluesky limits", JSON.stringify({ over, rl }));
+
+    const bad = new Bluesky({ service: base, identifier: "hunter.test", password: "wrong", log: () => {} });
+    if (!(await bad.sessionOk())) pass("sessionOk() is false for a rejected app password");
+    else fail("Bluesky sessionOk", "bad password reported as a valid session");
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+}).catch((e) => fail("Bluesky engine", e.message));
+
+// ── HelmStack replay fixtures ─────────────────────────────────────────────────
+// Every fixture in tools/helmstack-social/fixtures replays its engine call
+// offline against canned X/LinkedIn pages (jsdom, the package's devDependency,
+// runs the engines' in-page code against the snapshots). A markup change must
+// fail the fixture, not return an empty timeline.
+asyncChain = asyncChain.then(async () => {
+  section("HelmStack replay fixtures");
+  const SOCIAL = path.join(ROOT, "tools/helmstack-social");
+  let JSDOM;
+  try { ({ JSDOM } = require(path.join(SOCIAL, "node_modules/jsdom"))); } catch {
+    skip("HelmStack replay fixtures", "jsdom not installed (npm install in tools/helmstack-social)");
+    return;
+  }
+  const fx = require(path.join(SOCIAL, "src/fixtures.js"));
+  const { HelmStackClient, LinkedIn } = require(path.join(SOCIAL, "src"));
+  const dir = path.join(SOCIAL, "fixtures");
+
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort()) {
+    const fixture = fx.loadFixture(path.join(dir, file));
+    const r = await fx.runFixture(fixture, { evaluator: fx.jsdomEvaluator(JSDOM) });
+    if (r.ok) pass(`${fixture.name}: ${fixture.call.engine}.${fixture.call.method} replays and meets its expectation`);
+    else fail(fixture.name, r.errors.join("; "));
+  }
+
+  // The recorded write paths also replay from their recorded values alone.
+  for (const file of ["x_post_dry_run.json", "x_reply_dry_run.json"]) {
+    const fixture = fx.loadFixture(path.join(dir, file));
+    const r = await fx.runFixture(fixture);
+    if (fixture.recorded_at && fixture.interactions.some((i) => i.method === "EVALUATE") && r.ok && !r.misses.length) {
+      pass(`${fixture.name} is a Recorder recording and replays without jsdom`);
+    } else fail(`${fixture.name} recording`, JSON.stringify({ recorded_at: fixture.recorded_at, errors: r.errors, misses: r.misses }));
+  }
+
+  // X renames the tweet container: the scrape must fail its fixture.
+  const timeline = fx.loadFixture(path.join(dir, "x_scrape_timeline.json"));
+  const renamed = JSON.parse(JSON.stringify(timeline).replace(/article data-testid=\\"tweet\\"/g, 'article data-testid=\\"post\\"'));
+  const broken = await fx.runFixture(renamed, { evaluator: fx.jsdomEvaluator(JSDOM) });
+  if (!broken.ok && Array.isArray(broken.result) && broken.result.length === 0 && /expected ≥3 items, got 0/.test(broken.errors.join())) {
+    pass("a markup change fails the fixture instead of returning an empty timeline");
+  } else fail("markup change", JSON.stringify(broken.errors));
+
+  // Record a run (against the canned page, standing in for live), then replay
+  // the recording with no DOM at all — recorded values only.
+  const source = fx.loadFixture(path.join(dir, "linkedin_feed_candidates.json"));
+  const live = fx.createReplayServer(source, { evaluator: fx.jsdomEvaluator(JSDOM) });
+  const recorder = new fx.Recorder({ name: "recorded-feed" });
+  try {
+    const client = new HelmStackClient({ url: await live.start(), token: "t", recorder });
+    const li = new LinkedIn(client, { ...source.call.options, log: () => {} });
+    await li.ensureTab();
+    const result = await li.fetchFeedCandidates(...source.call.args);
+    const recorded = recorder.finish(source.call, result);
+    const replay = await fx.runFixture(JSON.parse(JSON.stringify(recorded)));
+    const evals = recorded.interactions.filter((i) => i.method === "EVALUATE");
+    if (replay.ok && recorded.expect.min_items === 2 && recorded.tabs.length === 1 && evals.length >= 2
+        && recorded.pages["https://www.linkedin.com/feed/"] && !replay.misses.length) {
+      pass("a recorded run replays from its recorded values alone, with the live result pinned as the expectation");
+    } else fail("record/replay", JSON.stringify({ errors: replay.errors, expect: recorded.expect, evals: evals.length }));
+  } finally {
+    await live.stop();
+  }
+}).catch((e) => fail("HelmStack replay fixtures", e.message));
+
+// ── Engine health ─────────────────────────────────────────────────────────────
+// Monitored engine methods classify their own failures (the page probe beats
+// the reason string) and roll up into a per-method score; x_control holds off
+// only the capability whose method is failing.
+asyncChain = asyncChain.then(async () => {
+  section("Engine health");
+  const health = require(path.join(ROOT, "tools/helmstack-social/src/health.js"));
+  const config = require(path.join(RUNNER, "lib", "config.js"));
+  const xControl = require(path.join(RUNNER, "lib", "x_control.js"));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "engine_health_test_"));
+  const prev = { health: config.ENGINE_HEALTH_PATH, control: config.X_CONTROL_PATH };
+  try {
+    const file = path.join(tmpDir, "engine_health.json");
+    const monitor = new health.HealthMonitor({ file });
+    let probe = { url: "https://x.com/i/flow/login", loginWall: true, rateLimited: false, missing: [], excerpt: "<main>Sign in</main>" };
+    const engine = {
+      tab: "t1", log: () => {},
+      c: { evalFn: async () => probe, screenshot: async () => ({ data: Buffer.from("png").toString("base64") }) },
+      reply: async () => ({ ok: false, reason: "compose_box_not_found" }),
+      quote: async () => ({ posted: false, reason: "skipped_mentions_self" }),
+      scrapeMentions: async () => [],
+    };
+    health.monitor(engine, "x", { reply: { kind: "action" }, quote: { kind: "action" }, scrapeMentions: { kind: "list", expect: ["main"] } }, monitor);
+    for (let i = 0; i < 3; i++) await engine.reply("https://x.com/a/status/1", "hi");
+    await engine.quote("https://x.com/a/status/2", "hi");
+    probe = { ...probe, loginWall: false, url: "https://x.com/notifications/mentions" };
+    await engine.scrapeMentions();
+    const state = health.load(file);
+    const reply = state.methods["x.reply"];
+    if (reply.status === "failing" && reply.streak === 3 && reply.last_failure.failure === "login_wall"
+        && reply.last_failure.dom.includes("Sign in") && fs.existsSync(reply.last_failure.screenshot)
+        && !state.methods["x.quote"] && state.methods["x.scrapeMentions"].status === "ok"
+        && health.classify("compose_box_not_found") === "composer_not_open"
+        && health.classify("api_403:Rate limit exceeded") === "rate_limited") {
+      pass("failures are classified with a screenshot + DOM excerpt; policy skips and empty healthy feeds aren't failures");
+    } else fail("engine failure classification", JSON.stringify(state.methods));
+
+    config.ENGINE_HEALTH_PATH = file;
+    config.X_CONTROL_PATH = path.join(tmpDir, "x_control.json");
+    fs.writeFileSync(config.X_CONTROL_PATH, JSON.stringify({ all: false, tweets: false }));
+    const held = xControl.isXSuppressed("reply") && !xControl.isXSuppressed("tweet") && !xControl.isXSuppressed("quote")
+      && xControl.suppressionReason("reply") === "engine_login_wall:x.reply";
+    const stale = JSON.parse(fs.readFileSync(file, "utf-8"));
+    stale.methods["x.reply"].last_failure.at = new Date(Date.now() - 6 * 3600_000).toISOString();
+    fs.writeFileSync(file, JSON.stringify(stale));
+    const released = !xControl.isXSuppressed("reply");
+    if (held && released) {
+      pass("a failing method suppresses only its X capability, and lets one attempt through after the cooldown");
+    } else fail("x_control engine suppression", JSON.stringify({ held, released }));
+
+    const dry = health.outcomeOf({ kind: "action" }, { ok: true, dryRun: true }) === null
+      && health.outcomeOf({ kind: "action" }, { posted: false, dryRun: true, reason: "dry_run" }) === null;
+    const failing = new health.HealthMonitor({ file: path.join(tmpDir, "dry.json") });
+    const dryEngine = { c: engine.c, log: () => {}, tweet: async (_t, opts) => (opts.dryRun ? { ok: true, dryRun: true } : { ok: false, reason: "compose_box_not_found" }) };
+    health.monitor(dryEngine, "x", { tweet: { kind: "action" } }, failing);
+    for (let i = 0; i < 3; i++) await dryEngine.tweet("hi", { dryRun: false });
+    await dryEngine.tweet("hi", { dryRun: true });
+    const afterDry = health.load(failing.file).methods["x.tweet"];
+    if (dry && afterDry.status === "failing" && afterDry.streak === 3 && afterDry.n === 3) {
+      pass("a dry run is neutral: it doesn't clear a failing streak");
+    } else fail("dry run outcome", JSON.stringify({ dry, afterDry }));
+
+    // Four processes recording at once into one ledger keep every outcome.
+    const shared = path.join(tmpDir, "shared.json");
+    const script = `const { HealthMonitor } = require(${JSON.stringify(path.join(ROOT, "tools/helmstack-social/src/health.js"))});
+      const m = new HealthMonitor({ file: ${JSON.stringify(shared)} });
+      for (let i = 0; i < 5; i++) m.record("x", "reply", true);`;
+    const { spawn } = require("child_process");
+    await Promise.all(Array.from({ length: 4 }, () => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ["-e", script], { stdio: "ignore" });
+      child.on("error", reject);
+      child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`recorder exited ${code}`))));
+    })));
+    const sharedEntry = health.load(shared).methods["x.reply"];
+    if (sharedEntry && sharedEntry.outcomes.length === 20 && !fs.existsSync(`${shared}.lock`)) {
+      pass("concurrent processes don't drop each other's outcomes");
+    } else fail("concurrent health records", JSON.stringify(sharedEntry && sharedEntry.n));
+  } finally {
+    config.ENGINE_HEALTH_PATH = prev.health;
+    config.X_CONTROL_PATH = prev.control;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}).catch((e) => fail("Engine health", e.message));
+
+// ── Budget downgrade vs a pinned model ────────────────────────────────────────
+// claudeCompose() downgrades a non-critical call once its budget is spent, but
+// not one whose caller asked for a specific model. A fake claude binary echoes
+// the --model it was given.
+asyncChain = asyncChain.then(async () => {
+  section("Budget downgrade vs a pinned model");
+  const budgets = require(path.join(RUNNER, "lib", "cost_budget.js"));
+  const meter = require(path.join(RUNNER, "lib", "cost_meter.js"));
+  const { claudeCompose } = require(path.join(RUNNER, "lib", "compose.js"));
+  const bin = path.join(os.tmpdir(), `_tmp_claude_${process.pid}.js`);
+  fs.writeFileSync(bin, `#!/usr/bin/env node
+const a = process.argv; process.stdin.resume(); process.stdin.on("end", () =>
+  console.log(JSON.stringify({ result: a[a.indexOf("--model") + 1], usage: {} })));
+`, { mode: 0o755 });
+  const prev = { bin: process.env.CLAUDE_BIN, check: budgets.check, record: meter.record, warn: console.warn };
+  process.env.CLAUDE_BIN = bin;
+  budgets.check = () => ({ action: "downgrade", model: "haiku", reason: "total daily budget spent" });
+  meter.record = () => {};
+  const warned = [];
+  console.warn = (m) => warned.push(m);
+  try {
+    const dflt = await claudeCompose("p", { tag: "ponder" });
+    const pinned = await claudeCompose("p", { tag: "ponder", claudeModel: "opus" });
+    if (dflt === "haiku" && pinned === "opus" && /keeping requested opus/.test(warned[1])) {
+      pass("a spent budget downgrades default-model calls and keeps (and logs) a pinned claudeModel");
+    } else fail("pinned model", JSON.stringify({ dflt, pinned, warned }));
+  } catch (e) {
+    fail("pinned model", e.message);
+  } finally {
+    console.warn = prev.warn;
+    Object.assign(budgets, { check: prev.check });
+    Object.assign(meter, { record: prev.record });
+    if (prev.bin === undefined) delete process.env.CLAUDE_BIN; else process.env.CLAUDE_BIN = prev.bin;
+    fs.rmSync(bin, { force: true });
+  }
+}).catch((e) => fail("Budget downgrade vs a pinned model", e.message));
+
+// ── Research job checkpoints ──────────────────────────────────────────────────
+// A deep-research job re-opened under the same id must replay its completed
+// stages and steps instead of re-running them; cancel works through a marker
+// file so the worker's own saves can't erase it.
+asyncChain = asyncChain.then(async () => {
+  section("Research job checkpoints");
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "research_jobs_test_"));
+  let iso = null;
+  try {
+    iso = isolate({ modules: [path.join(RUNNER, "lib", "research_jobs.js")], env: { RESEARCH_JOBS_DIR: tmpDir }, quiet: true });
+    const [jobs] = iso.mods;
+    let calls = 0;
+    const a = jobs.open({ id: "dr-test1", question: "Who runs example.org?" });
+    await jobs.stage(a, "plan", async () => { calls++; return { steps: [1, 2, 3] }; });
+    jobs.stepDone(a, "execute", { finding: { tool: "search", result: "one" } });
+    a.pid = 99999999; jobs.save(a); // the worker died mid-execute
+    const b = jobs.open({ id: "dr-test1", question: "Who runs example.org?" });
+    const planAgain = await jobs.stage(b, "plan", async () => { calls++; return null; });
+    if (calls === 1 && planAgain.steps.length === 3 && jobs.stepResults(b, "execute").length === 1 && b.resumed === 1) {
+      pass("a re-opened job replays completed stages and recorded steps");
+    } else fail("job resume", JSON.stringify({ calls, planAgain, resumed: b.resumed }));
+
+    const r = jobs.requestCancel("dr-test1");
+    let code = null;
+    try { await jobs.stage(b, "synth", async () => "x"); } catch (e) { code = e.code; }
+    jobs.finish(b, "cancelled");
+    if (r.ok && r.pending && code === "RESEARCH_CANCELLED" && !b.stages.synth && jobs.requestCancel("dr-test1").reason === "already cancelled") {
+      pass("cancel stops a live job at its next stage and is final");
+    } else fail("job cancel", JSON.stringify({ r: r.ok && r.pending, code }));
+
+    const c = jobs.open({ id: "dr-test2", question: "What  is x?" });
+    c.pid = 99999999; jobs.save(c);
+    jobs.finish(jobs.open({ id: "dr-test3", question: "what is y?" }), "done");
+    const listed = Object.fromEntries(jobs.list().map((j) => [j.job_id, j.status]));
+    const hit = jobs.resumable("what is X?");
+    if (listed["dr-test2"] === "interrupted" && listed["dr-test3"] === "done" && hit && hit.job_id === "dr-test2" && !jobs.resumable("what is y?")) {
+      pass("a dead worker reads as interrupted and is found again by its question");
+    } else fail("job listing/resumable", JSON.stringify({ listed, hit: hit && hit.job_id }));
+  } catch (e) {
+    fail("research jobs", e.message);
+  } finally {
+    if (iso) iso.restore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}).catch((e) => fail("Research job checkpoints", e.message));
+
+// A deep-tier leaf cut off between two tool steps must resume from the step it
+// reached: its plan and finished steps are checkpointed under the node's id.
+asyncChain = asyncChain.then(async () => {
+  section("Research tree resume");
+  const compose = require(path.join(RUNNER, "lib", "compose.js"));
+  const tools = require(path.join(RUNNER, "lib", "research_tools.js"));
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "research_tree_test_"));
+  const prev = { reason: compose.reason, has: tools.has, call: tools.call };
+  let iso = null;
+  try {
+    let planned = 0;
+    const called = [];
+    compose.reason = async (_prompt, { tag } = {}) => {
+      if (tag === "dr-leaf") { planned++; return '{"steps":[{"tool":"search","input":"a"},{"tool":"search","input":"b"}]}'; }
+      if (tag === "dr-gap") return "{}";
+      return "answer";
+    };
+    tools.has = () => true;
+    tools.call = async (_tool, input) => {
+      called.push(input);
+      if (called.length === 2) throw new Error("worker died");
+      return `result ${input}`;
+    };
+    // deep_research binds compose.reason at require time: load it after the stubs
+    iso = isolate({
+      modules: [path.join(RUNNER, "lib", "research_jobs.js"), path.join(RUNNER, "deep_research.js")],
+      env: { RESEARCH_JOBS_DIR: tmpDir }, quiet: true,
+    });
+    const [jobs, { researchNode }] = iso.mods;
+    const leaf = () => ({ id: "1", title: "root", question: "Who runs example.org?", status: "pending", children: [] });
+    const a = jobs.open({ id: "dr-tree1", question: "Who runs example.org?" });
+    a.root = leaf();
+    await researchNode(a.root, a.root, a, async () => jobs.save(a), 0).catch(() => {});
+    a.pid = 99999999; jobs.save(a);
+
+    called.length = 2; // past the crash
+    const b = jobs.open({ id: "dr-tree1", question: "Who runs example.org?" });
+    const node = await researchNode(b.root, b.root, b, async () => jobs.save(b), 0);
+    const results = node.findings.map((f) => f.result);
+    if (planned === 1 && called.slice(2).join() === "b" && node.status === "answered" && results.join() === "result a,result b") {
+      pass("a resumed tree job replays the leaf's plan and finished steps");
+    } else fail("tree resume", JSON.stringify({ planned, called, status: node.status, results }));
+  } catch (e) {
+    fail("research tree resume", e.message);
+  } finally {
+    if (iso) iso.restore();
+    Object.assign(compose, { reason: prev.reason });
+    Object.assign(tools, { has: prev.has, call: prev.call });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}).catch((e) => fail("Research tree resume", e.message));
+
+// ── Research tool registry ────────────────────────────────────────────────────
+// Deep-research tools are registry modules with a result cache and quotas kept
+// in SQLite; a fresh registry on a temp DB pins cache hits, the quota refusal,
+// and URL normalization for the cross-job fetch cache.
+asyncChain = asyncChain.then(async () => {
+  section("Research tool registry");
+  const tmpDb = path.join(os.tmpdir(), `research_cache_test_${process.pid}.db`);
+  const fetcher = require(path.join(RUNNER, "lib", "helmstack_fetch.js"));
+  const searchWeb = fetcher.searchWeb;
+  let searches = 0;
+  let iso = null;
+  try {
+    // search binds searchWeb at require time: stub it, then load search fresh
+    fetcher.searchWeb = async () => { searches++; return []; };
+    iso = isolate({
+      modules: [path.join(RUNNER, "research_tools", "search.js"), path.join(RUNNER, "lib", "research_tools.js")],
+      env: { RESEARCH_CACHE_DB_PATH: tmpDb }, quiet: true,
+    });
+    const [, tools] = iso.mods;
+    let runs = 0;
+    tools.register({
+      name: "probe", description: "test tool", input: { format: "text", description: "a query." }, cacheTtlSec: 60,
+      run: async (q) => { runs++; return q === "nothing" ? "(no match)" : `result ${runs}`; },
+    });
+    const a = await tools.call("probe", "Same  Query");
+    const b = await tools.call("probe", "same query");
+    const c = await tools.call("probe", "same query", { fresh: true });
+    await tools.call("probe", "nothing"); await tools.call("probe", "nothing");
+    if (a === "result 1" && b === "result 1" && c === "result 2" && runs === 4) pass("results are cached by normalized input; miss strings are not");
+    else fail("tool result cache", JSON.stringify({ a, b, c, runs }));
+
+    const empty = [await tools.call("search", "nothing matches this"), await tools.call("search", "nothing matches this")];
+    if (searches === 2 && empty.every((r) => /^\(no web results/.test(r.text))) pass("an empty search result ({ text, urls }) is a miss and is not cached");
+    else fail("search miss cache", JSON.stringify({ searches, empty }));
+
+    tools.register({ name: "tight", description: "quota'd", rateLimit: { perMinute: 2 }, run: async () => "ok" });
+    const got = [await tools.call("tight", "x"), await tools.call("tight", "y"), await tools.call("tight", "z")];
+    if (got[0] === "ok" && got[1] === "ok" && /quota reached — 2 per minute/.test(got[2]) && tools.usage("tight").minute === 2) {
+      pass("a tool over its quota is refused with a reason, not called");
+    } else fail("tool quota", JSON.stringify(got));
+
+    const fetchKey = tools.get("fetch").cacheKey;
+    const bad = await tools.call("fetch", "not a url");
+    if (fetchKey("https://Example.com/a?id=1&utm_source=x#top") === "https://example.com/a?id=1" && /invalid input/.test(bad)
+        && tools.names().includes("wikipedia") && tools.describe().includes("probe — test tool Input: a query.")) {
+      pass("fetch is cached per normalized URL; modules in research_tools/ are registered and described");
+    } else fail("tool registry", JSON.stringify({ key: fetchKey("https://Example.com/a?id=1&utm_source=x#top"), bad }));
+  } catch (e) {
+    fail("research tools", e.message);
+  } finally {
+    if (iso) iso.restore();
+    fetcher.searchWeb = searchWeb;
+    for (const f of [tmpDb, `${tmpDb}-wal`, `${tmpDb}-shm`]) { try { fs.unlinkSync(f); } catch {} }
+  }
+}).catch((e) => fail("Research tool registry", e.message));
+
+asyncChain = asyncChain.then(async () => {
+  section("Topic discovery");
+  const discovery = require(path.join(RUNNER, "landmark", "topic_discovery.js"));
+  const { DISCOVERY_MIN_DAYS } = require(path.join(RUNNER, "landmark", "config.js"));
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse("2026-03-10T12:00:00Z");
+  const evt = (daysAgo, kws, extra = {}) => ({
+    windowTs: now - daysAgo * DAY, date: new Date(now - daysAgo * DAY).toISOString(), topKeywords: kws,
+    postCount: 20, signalCount: 3, stats: { axesImpacted: ["axis_known_v1", "axis_other_v1"] },
+    samplePosts: [{ username: "a", text: `post about ${kws[0]} ${daysAgo}` }], ...extra,
+  });
+
+  const store = { clusters: [], proposals: {} };
+  discovery.recordEvents(store, [evt(3, ["taiwan", "strait", "blockade", "pla"]), evt(0.5, ["bitcoin", "etf", "flows"])], now);
+  discovery.recordEvents(store, [evt(2, ["taiwan", "strait", "drills"]), evt(2, ["taiwan", "strait", "drills"])], now);
+  discovery.recordEvents(store, [evt(1, ["pla", "taiwan", "strait", "carrier"])], now);
+  const taiwan = store.clusters.find((c) => c.keywords.taiwan);
+  const p = discovery.persistence(taiwan, now);
+  if (store.clusters.length === 2 && p.days === 3 && p.events === 3 && taiwan.keywords.taiwan === 3
+      && discovery.topKeywords(taiwan, 2).join() === "strait,taiwan" && taiwan.samples.length === 3) {
+    pass("recurring landmark keywords form one cluster; a repeated window doesn't add persistence");
+  } else fail("discovery clustering", JSON.stringify({ clusters: store.clusters.length, p, kw: taiwan && taiwan.keywords }));
+
+  try {
+    const topicList = [{ id: "iran-us-israel", keywords: ["iran", "strait of hormuz"] }, { id: "taiwan-strait", keywords: ["taiwan", "strait"] }];
+    const covered = discovery.coveredBy(taiwan, topicList);
+    const proposals = await discovery.proposeDue(store, {
+      now, topicList: topicList.slice(0, 1), axisIds: ["axis_known_v1"],
+      generate: async () => '{"label":"Taiwan Strait Crisis","kind":"conflict","keywords":["taiwan strait"],' +
+        '"categories":{"military":{"label":"Military","keywords":["pla","drills"]},"misc":{"label":"x","keywords":["y"]}}}',
+    });
+    const def = proposals[0] && proposals[0].def;
+    if (DISCOVERY_MIN_DAYS <= 3 && covered === "taiwan-strait" && proposals.length === 1 && def.id === "strait-taiwan"
+        && def.label === "Taiwan Strait Crisis" && Object.keys(def.categories).join() === "military"
+        && def.topic_axes.join() === "axis_known_v1" && def.keywords.includes("taiwan strait")
+        && proposals[0].status === "pending" && taiwan.proposal === def.id) {
+      pass("a persistent cluster becomes a pending draft topic with LLM categories and ontology axes only");
+    } else fail("discovery proposal", JSON.stringify({ covered, proposals }));
+
+    const again = await discovery.proposeDue(store, { now, topicList: [] });
+    const fallback = await discovery.draftDefinition(taiwan, { generate: async () => "no json here", takenIds: new Set(["strait-taiwan"]) });
+    if (again.length === 0 && fallback.id === "strait-taiwan-2" && Object.keys(fallback.categories).join() === "developments") {
+      pass("clusters are proposed once; a bad LLM answer falls back to a single-category draft");
+    } else fail("discovery fallback", JSON.stringify({ again, fallback }));
+
+    // What reject() does to the stored proposal; new sightings of the same
+    // story must fold into the rejected cluster, not seed a "-2" proposal.
+    store.proposals[def.id].status = "rejected";
+    const before = store.clusters.length;
+    discovery.recordEvents(store, [0.4, 0.3, 0.2].map((d) => evt(d, ["taiwan", "strait", "blockade"])), now);
+    const afterReject = await discovery.proposeDue(store, { now, topicList: [] });
+    if (store.clusters.length === before && afterReject.length === 0 && taiwan.keywords.taiwan === 6) {
+      pass("a rejected cluster absorbs new sightings and is never proposed again");
+    } else fail("discovery reject", JSON.stringify({ clusters: store.clusters.length, before, afterReject }));
+
+    const msg = discovery.formatProposal({
+      def: { ...def, label: "Guns & <Butter>", keywords: ["r&d", "a<b"], categories: { m: { label: "Q&A <live>" } } },
+      persistence: { days: 3, events: 3 },
+    });
+    if (msg.includes("Guns &amp; &lt;Butter&gt;") && msg.includes("r&amp;d, a&lt;b") && msg.includes("Q&amp;A &lt;live&gt;")
+        && !/&(?!amp;|lt;|gt;)|<(?!\/?(b|code)>)/.test(msg)) {
+      pass("drafted labels, keywords and categories are HTML-escaped for Telegram");
+    } else fail("discovery proposal escaping", msg);
+  } catch (e) {
+    fail("topic discovery", e.message);
+  }
+}).catch((e) => fail("Topic discovery", e.message));
+
+asyncChain = asyncChain.then(async () => {
+  section("Claim re-verification");
+  const { nextCheckAt, timelineOf, flipsOf, reverifyQuota } = require(path.join(RUNNER, "intelligence", "lib", "reverify_schedule.js"));
+  const { exportVerificationData } = require(path.join(RUNNER, "intelligence", "lib", "verification_export.js"));
+  const H = 3600_000;
+  const now = Date.parse("2026-06-01T00:00:00Z");
+  const ago = (h) => new Date(now - h * H).toISOString();
+  const hoursUntil = (iso) => Math.round((Date.parse(iso) - now) / H);
+
+  const audit = [
+    { created_at: ago(24 * 40), old_status: "supported", new_status: "refuted", confidence_score: 0.2, verification_method: "reverify" },
+    { created_at: ago(24 * 60), old_status: "unverified", new_status: "supported", confidence_score: 0.8, verification_method: "web_search" },
+    { created_at: ago(24 * 10), old_status: "refuted", new_status: "supported", confidence_score: 0.78, verification_method: "reverify" },
+  ];
+  const timeline = timelineOf(audit);
+  const flips = flipsOf(timeline);
+  if (timeline.map((t) => t.to).join() === "supported,refuted,supported" && timeline[0].from === "unverified"
+      && flips.length === 2 && flips[0].from === "supported" && flips[1].to === "supported") {
+    pass("audit rows become an oldest-first timeline; supported ↔ refuted reversals are flips");
+  } else fail("claim timeline", JSON.stringify({ timeline, flips }));
+
+  const fresh = hoursUntil(nextCheckAt({ status: "unverified", created_at: ago(1) }, { now }));
+  const held10d = hoursUntil(nextCheckAt({ status: "supported", created_at: ago(24 * 60) }, { timeline, now }));
+  const held1y = hoursUntil(nextCheckAt({ status: "refuted", created_at: ago(24 * 365) }, { now }));
+  const fast = hoursUntil(nextCheckAt({ status: "unverified", category: "military_action", created_at: ago(1) }, { expiryRules: { military_action: 72 }, now }));
+  if (fresh === 6 && held10d === 120 && held1y === 1440 && fast === 2 // 6h × 0.25 pace, rounded
+      && nextCheckAt({ status: "expired", created_at: ago(1) }, { now }) === null) {
+    pass("open claims are re-checked in hours, settled verdicts back off with age, fast categories sooner");
+  } else fail("reverify schedule", JSON.stringify({ fresh, held10d, held1y, fast }));
+
+  const budget = { perCycle: 8, cap: 5 };
+  const quotas = [0, 4, 7, 8, 9].map((used) => reverifyQuota(used, budget));
+  if (quotas.join() === "5,4,1,0,0") {
+    pass("re-checks spend only what the new claims left of the per-cycle search budget");
+  } else fail("reverify quota", JSON.stringify(quotas));
+
+  const tmp = path.join(os.tmpdir(), `verification_export_test_${process.pid}.json`);
+  const iso = isolate({ quiet: true });
+  try {
+    const row = (id, status) => ({ claim_id: id, claim_text: `claim ${id}`, status, confidence_score: 0.8, created_at: ago(24 * 60), next_check_at: ago(-24) });
+    await exportVerificationData({
+      getAllVerifications: () => [row("a", "supported"), row("b", "unverified")],
+      getTimelines: () => ({ a: audit }),
+    }, tmp);
+    const out = JSON.parse(fs.readFileSync(tmp, "utf-8"));
+    const a = out.claims.find((c) => c.claim_id === "a");
+    if (out.stats.flipped === 1 && out.flips.length === 2 && out.flips[0].to === "supported" && a.timeline.length === 3
+        && a.flip_count === 2 && out.claims.find((c) => c.claim_id === "b").timeline.length === 0 && a.next_check_at) {
+      pass("the web export carries each claim's timeline and next check, and lists verdict flips newest first");
+    } else fail("verification export timeline", JSON.stringify(out).slice(0, 300));
+  } catch (e) {
+    fail("verification export timeline", e.message);
+  } finally {
+    iso.restore();
+    fs.rmSync(tmp, { force: true });
+  }
+}).catch((e) => fail("Claim re-verification", e.message));
+
+// ── META canary revert ────────────────────────────────────────────────────────
+// runner/meta_canary.js against a throwaway repo: a regressed canary reverts
+// the merge, records it in proposal history, then closes and alerts.
+asyncChain = asyncChain.then(async () => {
+  section("META canary revert");
+  const { execFileSync } = require("child_process");
+  const config = require(path.join(RUNNER, "lib", "config.js"));
+  const notify = require(path.join(RUNNER, "lib", "notify.js"));
+  const canary = require(path.join(RUNNER, "lib", "meta_canary.js"));
+  const { run } = require(path.join(RUNNER, "meta_canary.js"));
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "meta_canary_revert_"));
+  const repo = path.join(tmp, "repo");
+  const git = (...args) => execFileSync("git", ["-C", repo, ...args], { encoding: "utf-8", stdio: "pipe", timeout: 10_000 }).trim();
+  const gitEnv = { GIT_AUTHOR_NAME: "t", GIT_AUTHOR_EMAIL: "t@t", GIT_COMMITTER_NAME: "t", GIT_COMMITTER_EMAIL: "t@t" };
+  const saved = { root: config.PROJECT_ROOT, history: config.PROPOSAL_HISTORY_PATH, send: notify.sendTelegram };
+  const iso = isolate({ env: gitEnv, quiet: true });
+  const sent = [];
+  try {
+    execFileSync("git", ["init", "-q", "--bare", path.join(tmp, "origin.git")], { stdio: "pipe", timeout: 10_000 });
+    execFileSync("git", ["init", "-q", "-b", "main", repo], { stdio: "pipe", timeout: 10_000 });
+    fs.writeFileSync(path.join(repo, "a.txt"), "base\n");
+    git("add", "-A"); git("commit", "-qm", "base");
+    git("remote", "add", "origin", path.join(tmp, "origin.git"));
+    git("checkout", "-qb", "meta/p1");
+    fs.writeFileSync(path.join(repo, "b.txt"), "proposal\n");
+    git("add", "-A"); git("commit", "-qm", "proposal");
+    git("checkout", "-q", "main");
+    git("merge", "-q", "--no-ff", "-m", "merge p1", "meta/p1");
+    const mergeCommit = git("rev-parse", "HEAD");
+    git("push", "-q", "origin", "main");
+
+    const historyFile = path.join(tmp, "proposal_history.json");
+    fs.writeFileSync(historyFile, JSON.stringify({ proposals: [{ id: "p1", title: "t", merge_commit: mergeCommit }] }));
+    const opts = { file: path.join(tmp, "meta_canary.json"), logFile: path.join(tmp, "orchestrator.log"),
+      historyFile, watchdogFile: path.join(tmp, "none.json") };
+    const cyc = (i, exit) => ({ ts: new Date(Date.UTC(2026, 0, 1) + i * 1800_000).toISOString(), cycle: i, type: "BROWSE",
+      agentExitCodes: [exit], postAttempted: false, postSuccess: null, digestGrowthBytes: 500, costUsd: 0.1 });
+    const regressedCanary = merge => ({
+      active: { proposal_id: "p1", title: "t", merge_commit: merge, merged_at: cyc(2, 0).ts, cycles_needed: 3,
+        baseline: canary.metrics([0, 1, 2].map(i => cyc(i, 0))) },
+      history: [],
+    });
+    fs.writeFileSync(opts.logFile, [3, 4, 5].map(i => JSON.stringify(cyc(i, 1))).join("\n") + "\n");
+    fs.writeFileSync(opts.file, JSON.stringify(regressedCanary(mergeCommit)));
+    Object.assign(config, { PROJECT_ROOT: repo, PROPOSAL_HISTORY_PATH: historyFile });
+    notify.sendTelegram = async (msg) => { sent.push(msg); return true; };
+
+    const reverted = await run(opts);
+    const head = git("rev-parse", "HEAD");
+    const entry = JSON.parse(fs.readFileSync(historyFile, "utf-8")).proposals[0];
+    if (reverted.status === "reverted" && reverted.revert_commit === head && head !== mergeCommit
+        && !fs.existsSync(path.join(repo, "b.txt")) && git("rev-parse", "origin/main") === head
+        && entry.reverted === true && entry.revert_commit === head
+        && !canary.isActive(opts.file) && canary.load(opts.file).history[0].status === "reverted"
+        && /auto-reverted/.test(sent[0] || "")) {
+      pass("a regressed canary reverts and pushes the merge, records it, then closes as reverted and alerts");
+    } else fail("meta_canary revert", JSON.stringify({ status: reverted.status, entry, sent }));
+
+    // Not a commit in this repo: the revert fails and the canary says so
+    fs.writeFileSync(opts.file, JSON.stringify(regressedCanary("0123456789abcdef0123456789abcdef01234567")));
+    const failedRevert = await run(opts);
+    if (failedRevert.status === "revert_failed" && failedRevert.revert_commit === null
+        && git("rev-parse", "HEAD") === head && /revert FAILED/.test(sent[1] || "")) {
+      pass("a failed revert leaves HEAD alone, closes the canary as revert_failed and alerts");
+    } else fail("meta_canary revert failure", JSON.stringify({ status: failedRevert.status, sent: sent[1] }));
+  } finally {
+    iso.restore();
+    Object.assign(config, { PROJECT_ROOT: saved.root, PROPOSAL_HISTORY_PATH: saved.history });
+    notify.sendTelegram = saved.send;
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}).catch((e) => fail("META canary revert", e.message));
+
+// ── Builder sandbox ───────────────────────────────────────────────────────────
+// The real bubblewrap run builder_pipeline.js gates merges on: this suite must
+// pass against a read-only checkout. Inside the sandbox (TEST_SANDBOX=1) the
+// check is skipped so the run does not recurse.
+asyncChain = asyncChain.then(async () => {
+  section("Builder sandbox");
+  if (!fileExists("/usr/bin/bwrap")) return skip("executeSandboxedTests end to end", "bubblewrap not installed");
+  if (process.env.TEST_SANDBOX) return skip("executeSandboxedTests end to end", "already inside the sandbox");
+  const { executeSandboxedTests } = require(path.join(RUNNER, "lib", "sandbox.js"));
+  const iso = isolate({ quiet: true });
+  let run;
+  try {
+    run = await executeSandboxedTests({
+      label: "suite_self_check",
+      commands: [{ script: "runner/tests/run_tests.js", args: ["--ci"] }],
+      timeoutMs: 300_000,
+    });
+  } finally {
+    iso.restore();
+  }
+  if (run.status === "passed" && run.coverage["runner/lib/config.js"]) {
+    pass("run_tests.js --ci passes in the sandbox against a read-only repo, with V8 coverage collected");
+  } else fail("executeSandboxedTests", run.error || (run.results[0] || {}).stdout_tail || run.status);
+}).catch((e) => fail("Builder sandbox", e.message));
+
+asyncChain.finally(() => {
+  // The synchronous tail below would otherwise print before the async
+  // sections finish, so the chain owns the summary.
+  printSummary();
+  if (IS_CI && failed > 0) process.exit(1);
+});
+
 // ── Summary ───────────────────────────────────────────────────────────────────
 
 function printSummary() {
@@ -801,5 +2502,5 @@ function printSummary() {
   process.stdout.write("─".repeat(64) + "\n");
 }
 
-// NOTE: the summary is printed by the async "LinkedIn engagement wiring" section
-// above (in its .finally), so that its results are counted before we report.
+// NOTE: the summary is printed at the end of the async section chain above (in
+// its .finally), so that async results are counted before we report.
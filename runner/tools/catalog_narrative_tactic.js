@@ -1,9 +1,9 @@
 'use strict';
 
-const { NARRATIVE_TACTICS } = require('../lib/narrative_tactics.js');
+const narrative = require('../lib/narrative_tactics.js');
 
-const TACTIC_IDS = new Set(NARRATIVE_TACTICS.map(t => t.id));
-const CATALOG_FILE = 'state/narrative_catalog.jsonl';
+// Observations go to the shared narrative ledger, next to the detector's findings.
+const CATALOG_FILE = narrative.LEDGER_STATE_PATH;
 
 module.exports = {
   name: 'catalog_narrative_tactic',
@@ -16,7 +16,7 @@ module.exports = {
     properties: {
       tactic_id: {
         type: 'string',
-        description: 'The unique identifier of the tactic being logged (e.g., "splicing_doctoring_evidence").',
+        description: 'The unique identifier of the tactic being logged (e.g., "doctored_evidence").',
       },
       context: {
         type: 'string',
@@ -53,18 +53,20 @@ module.exports = {
       return JSON.stringify({ success: false, error: 'Missing required arguments: tactic_id, context, source_url.' });
     }
 
-    if (!TACTIC_IDS.has(tactic_id)) {
+    const tactic = narrative.resolve(tactic_id);
+    if (!tactic) {
       return JSON.stringify({ success: false, error: `Invalid tactic_id: "${tactic_id}". Use the "get_narrative_tactics" tool to see a list of valid IDs.` });
     }
 
-    const newEntry = {
-      timestamp: new Date().toISOString(),
-      cycle: context.cycle || null,
-      tactic_id,
+    const newEntry = narrative.makeEntry({
+      tactic: tactic.id,
+      origin: 'agent',
+      source: 'agent',
       source_url,
-      context: tactic_context,
-      notes: notes || null,
-    };
+      snippet: tactic_context,
+      analysis: notes || null,
+      cycle: context.cycle || null,
+    });
 
     try {
       let currentContent = '';
@@ -78,11 +80,11 @@ module.exports = {
         }
       }
 
-      const newContent = (currentContent ? currentContent.trimEnd() + '\n' : '') + JSON.stringify(newEntry);
+      const newContent = (currentContent ? currentContent.trimEnd() + '\n' : '') + JSON.stringify(newEntry) + '\n';
       
       context.writeState(CATALOG_FILE, newContent);
 
-      return JSON.stringify({ success: true, message: `Tactic "${tactic_id}" logged successfully.` });
+      return JSON.stringify({ success: true, message: `Tactic "${tactic.id}" logged successfully.` });
     } catch (error) {
       // Log the error for debugging on the runner side
       console.error(`[catalog_narrative_tactic] Error: ${error.message}`);
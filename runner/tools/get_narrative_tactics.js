@@ -1,6 +1,6 @@
 'use strict';
 
-const { NARRATIVE_TACTICS } = require('../lib/narrative_tactics.js');
+const narrative = require('../lib/narrative_tactics.js');
 
 module.exports = {
   name: 'get_narrative_tactics',
@@ -29,7 +29,7 @@ module.exports = {
     try {
       // Return the list of tactics, formatted for the agent.
       const result = {
-        tactics: NARRATIVE_TACTICS.map(t => ({
+        tactics: narrative.taxonomy().tactics.map(t => ({
           id: t.id,
           name: t.name,
           description: t.description,
@@ -8,11 +8,14 @@
  * QUOTE / TWEET: checks result file exists, retries posting script once.
  * JOURNAL:       checks latest journal is committed + pushed to git,
  *                and has an entry in arweave_log.json. Retries each step.
+ * HEALTH:        scans new runner.log lines for known error patterns and
+ *                reports failing HelmStack engine methods (engine_health.json).
  *
  * Usage:
  *   CYCLE_TYPE=QUOTE   node runner/watchdog.js
  *   CYCLE_TYPE=TWEET   node runner/watchdog.js
  *   CYCLE_TYPE=JOURNAL node runner/watchdog.js
+ *   CYCLE_TYPE=HEALTH  node runner/watchdog.js
  *
  * Exit 0 always — failures are logged, not fatal to the cycle.
  */
@@ -229,6 +232,38 @@ function checkMetaAutoRevert(hits) {
   }
 }
 
+// ── Engine health ────────────────────────────────────────────────────────────
+// The HelmStack engines classify their own failures into engine_health.json
+// (tools/helmstack-social/src/health.js). Failing methods are reported here and
+// rolled into health_state.json; x_control suppresses just those capabilities.
+
+const ENGINE_HEALTH = process.env.HELMSTACK_HEALTH_PATH || path.join(ROOT, "state", "engine_health.json");
+
+const ENGINE_HINTS = {
+  login_wall:        "Session logged out — re-run the cookie bootstrap",
+  rate_limited:      "Platform is throttling or flagged automation — back off",
+  composer_not_open: "Composer never opened — check the compose selectors",
+  selector_missing:  "Expected element missing — markup likely changed; re-record the fixture",
+  post_unconfirmed:  "Submitted but never appeared — check the profile and the confirm scan",
+  other:             "See last_failure.reason and the screenshot",
+};
+
+function checkEngineHealth() {
+  const health = require("../tools/helmstack-social/src/health");
+  const rows = health.summarize(health.load(ENGINE_HEALTH));
+  const bad = rows.filter(r => r.status !== "ok");
+  for (const r of bad) {
+    const sev = r.status === "failing" ? "ERROR" : "WARN";
+    const shot = r.last_failure && r.last_failure.screenshot ? ` [${path.basename(r.last_failure.screenshot)}]` : "";
+    console.error(`[watchdog] HEALTH [${sev}] engine ${r.key} ${r.status} (score ${r.score}, ${r.failure || "?"})${shot}: ${ENGINE_HINTS[r.failure] || ENGINE_HINTS.other}`);
+  }
+  return {
+    failing:  bad.filter(r => r.status === "failing").map(r => ({ method: r.key, failure: r.failure, score: r.score })),
+    degraded: bad.filter(r => r.status === "degraded").map(r => ({ method: r.key, failure: r.failure, score: r.score })),
+    scores:   Object.fromEntries(rows.map(r => [r.key, r.score])),
+  };
+}
+
 // ── Main ───────────────────────────────────────────────────────────────────
 
 (async () => {
@@ -522,11 +557,15 @@ function checkMetaAutoRevert(hits) {
       },
     ];
 
+    // Engine health is checked every run, even when the log has nothing new
+    const engines = checkEngineHealth();
+
     // Load last-scanned position
     let lastLine = 0;
+    let prevState = {};
     try {
-      const s = JSON.parse(fs.readFileSync(STATE_FILE, "utf-8"));
-      lastLine = s.last_line || 0;
+      prevState = JSON.parse(fs.readFileSync(STATE_FILE, "utf-8"));
+      lastLine = prevState.last_line || 0;
     } catch { /* first run */ }
 
     // Read log and slice to new lines only
@@ -547,6 +586,7 @@ function checkMetaAutoRevert(hits) {
     }
 
     if (newLines.length === 0) {
+      try { fs.writeFileSync(STATE_FILE, JSON.stringify({ ...prevState, engines })); } catch {}
       console.log("[watchdog] HEALTH: no new log lines to scan");
       process.exit(0);
     }
@@ -572,6 +612,7 @@ function checkMetaAutoRevert(hits) {
         checked_at:    new Date().toISOString(),
         last_severity: worstSeverity,
         hit_count:     hits.length,
+        engines,
       }));
     } catch (e) {
       console.error(`[watchdog] HEALTH: could not save state: ${e.message}`);
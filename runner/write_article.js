@@ -27,6 +27,8 @@ const db = loadScraperDb();
 
 const { synthesizeCase, renderSynthesisForPrompt } = require("./lib/synthesize_case.js");
 const { buildConvictions } = require("./lib/convictions.js");
+const narrative = require("./lib/narrative_tactics");
+const narrativeArcs = require("./lib/narrative_arcs");
 const { callVertex } = require("./vertex");
 const { compose } = require("./lib/compose");
 
@@ -105,6 +107,8 @@ function pickAxis(ontology, artState, override) {
 
   const targetDate = FLAGS["target-date"] || new Date().toISOString().slice(0, 10);
   const force = !!FLAGS.force;
+  // Every LLM call this run (synthesis, draft, gates) is this article's cost.
+  require("./lib/cost_meter").setArtifact({ type: "article", id: targetDate });
 
   // Skip if today's article already exists (unless --force or --target-date override)
   if (!force && !FLAGS["target-date"]) {
@@ -166,6 +170,25 @@ function pickAxis(ontology, artState, override) {
   let feedDigest = "";
   try { feedDigest = fs.readFileSync(path.join(ROOT, "state", "feed_digest.txt"), "utf-8"); } catch {}
 
+  // ── Rhetorical tactics logged around this topic (narrative ledger, 14d) ──
+  // An entry counts when it came from one of our source URLs or its snippet
+  // shares at least two topic terms with the axis.
+  const topicTerms = [...new Set(topicKeywords.toLowerCase().split(/\s+/).filter(w => w.length >= 5))];
+  const sourceUrls = new Set(journals.map(j => j.source_url).filter(Boolean));
+  const tacticEntries = narrative.query({ sinceMs: Date.now() - 14 * 86400_000 }).filter(e =>
+    (e.source_url && sourceUrls.has(e.source_url)) ||
+    (topicTerms.length > 0 &&
+      topicTerms.filter(w => (e.snippet || "").toLowerCase().includes(w)).length >= Math.min(2, topicTerms.length)));
+  const tacticBlock = narrative.formatForPrompt(tacticEntries);
+  if (tacticEntries.length) console.log(`[article] ${tacticEntries.length} narrative ledger entries on this topic`);
+
+  // ── Narrative arcs on this topic (threat → solution → skepticism timelines) ──
+  const topicArcs = narrativeArcs.forTopic(narrativeArcs.load().arcs, topicTerms, { urls: sourceUrls })
+    .filter(a => a.stage !== "threat")
+    .slice(0, 3);
+  const arcBlock = topicArcs.map(a => narrativeArcs.formatTimeline(a)).join("\n");
+  if (topicArcs.length) console.log(`[article] ${topicArcs.length} narrative arc(s) on this topic`);
+
   // ── Stage 1: synthesize the case (belief-agnostic) ────────────────────────
   let synthesis;
   try {
@@ -213,7 +236,15 @@ The brief tells you what happened. Your convictions tell you what you make of it
 Stay close to the brief. If the brief says actor X did Y, do not write that X "appeared to" do Y or "framed it as" Y. Y is what happened. If the chronology shows the OSG opposing a block, the OSG opposed the block — describe that plainly before commenting on it.
 
 The brief lists competing frames. Engage the one that genuinely challenges your read, if any does. Do not pretend it is not there. If your convictions still hold after engaging it, say so and why. If they shift, say that.
-
+${tacticBlock ? `
+─── RHETORIC AROUND THIS CASE ──────────────────────────
+Tactics logged on this topic in the last 14 days (mechanical detector + your own observations). Name one only if the brief shows it in action — never in place of the facts.
+${tacticBlock}
+` : ""}${arcBlock ? `
+─── HOW THIS STORY HAS BEEN FRAMED OVER TIME ───────────
+Topic arcs in the feed: when threat framing set in, when a solution was pushed, when the backlash came, with the post that opened each stage. You may cite a timeline (dates, gaps, linked posts) if the brief covers the same events; it describes the discourse, not the facts.
+${arcBlock}
+` : ""}
 ─── ABSOLUTE PROHIBITIONS ──────────────────────────────
 ✗ Never write: "confidence score", "belief axis", "my axis", "% confidence", "my belief leans", "my established belief", "my internal model", "this aligns with my belief"
 ✗ Do not announce your view — argue it.
@@ -21,6 +21,7 @@ const path = require("path");
 const { HelmStackClient, X } = require("../tools/helmstack-social/src");
 const { isXSuppressed } = require("./lib/x_control");
 const { loadAxisKeywords, makeScorer } = require("./lib/content_relevance");
+const { withArtifact } = require("./lib/cost_meter");
 
 const ROOT = path.resolve(__dirname, "..");
 const LEDGER = path.join(ROOT, "state", "x_engaged.json");
@@ -131,7 +132,8 @@ async function generateReply(post) {
 
   const result = await x.engage({
     score: makeScorer(keywords, { log }),
-    generateReply,
+    // Each draft (verify + compose + gates) is costed as a reply to that post.
+    generateReply: (p) => withArtifact({ type: "reply", id: p.id || p.url }, () => generateReply(p)),
     onLike: async (p) => logInteraction({ type: "x_like", tweet_url: p.url, handle: p.handle, cycle: CYCLE }),
     onReply: async (p, text) => logInteraction({ type: "x_reply", tweet_url: p.url, handle: p.handle, our_reply: text, cycle: CYCLE }),
     seen,
@@ -322,6 +322,13 @@ const stmtPostsInWindow = _db.prepare(`
   WHERE  ts > @from_ts AND ts <= @to_ts AND parent_id IS NULL
 `);
 
+const stmtPostsSince = _db.prepare(`
+  SELECT p.id, p.ts, p.username, p.text, p.parent_id, p.external_urls, a.first_seen
+  FROM   posts p LEFT JOIN accounts a ON a.username = p.username
+  WHERE  p.ts > @from_ts
+  ORDER BY p.ts
+`);
+
 const stmtInsertMemory = _db.prepare(`
   INSERT OR IGNORE INTO memory
     (type, date, hour, title, text_content, keywords, file_path, indexed_at)
@@ -502,6 +509,14 @@ function postsInWindow(fromMs, toMs) {
   return stmtPostsInWindow.all({ from_ts: fromMs, to_ts: toMs });
 }
 
+/**
+ * Return every post (replies included) newer than fromMs, oldest first, with
+ * the author's accounts.first_seen. Used by runner/coordination_detect.js.
+ */
+function postsSince(fromMs) {
+  return stmtPostsSince.all({ from_ts: fromMs });
+}
+
 /**
  * Insert a memory entry (idempotent on file_path — INSERT OR IGNORE).
  * Called by archive.js for each new journal/checkpoint/report file.
@@ -693,7 +708,7 @@ function rebuildFtsIfNeeded() {
 module.exports = {
   insertPost, insertKeyword, search, topKeywords, recentPosts, postsByKeyword, prune,
   topNovelPosts, updateMediaDescription,
-  upsertAccount, followCandidates, markFollowed, getAccount, postsByUser, postsInWindow,
+  upsertAccount, followCandidates, markFollowed, getAccount, postsByUser, postsInWindow, postsSince,
   getPostById,
   insertMemory, updateMemoryTxId, recallMemory, getMemoryByPath, getMemoryById, recentMemory,
   storeEmbedding, getEmbedding, allEmbeddings, embeddedIds,
@@ -202,6 +202,16 @@ async function postsInWindow(fromMs, toMs) {
   return rows;
 }
 
+async function postsSince(fromMs) {
+  const { rows } = await query(`
+    SELECT p.id, p.ts, p.username, p.text, p.parent_id, p.external_urls, a.first_seen
+    FROM posts p LEFT JOIN accounts a ON a.username = p.username
+    WHERE p.ts > $1
+    ORDER BY p.ts
+  `, [fromMs]);
+  return rows;
+}
+
 // ── Memory ──────────────────────────────────────────────────────────────────
 
 async function insertMemory(row) {
@@ -310,7 +320,7 @@ function raw() {
 module.exports = {
   insertPost, insertKeyword, search, topKeywords, recentPosts, postsByKeyword, prune,
   topNovelPosts, updateMediaDescription,
-  upsertAccount, followCandidates, markFollowed, getAccount, postsByUser, postsInWindow,
+  upsertAccount, followCandidates, markFollowed, getAccount, postsByUser, postsInWindow, postsSince,
   getPostById,
   insertMemory, updateMemoryTxId, recallMemory, getMemoryByPath, getMemoryById, recentMemory,
   storeEmbedding, getEmbedding, allEmbeddings, embeddedIds,
@@ -32,6 +32,7 @@
 
 const { HelmStackClient, X } = require("../tools/helmstack-social/src");
 const { isXSuppressed, suppressionReason } = require("../runner/lib/x_control");
+const { withArtifact } = require("../runner/lib/cost_meter");
 const fs   = require("fs");
 const path = require("path");
 
@@ -866,7 +867,7 @@ function logInteraction(data, item, replyText, memoryHints, rootId = null) {
     }
     if (!verdict) {
       try {
-        verdict = await geminiClassify(item, threadContext, memoryHints, userHistory, topicAccounts, [], liveVerification, intelligenceBrief, ownThread);
+        verdict = await withArtifact({ type: "reply", id: item.id }, () => geminiClassify(item, threadContext, memoryHints, userHistory, topicAccounts, [], liveVerification, intelligenceBrief, ownThread));
       } catch (err) {
         console.error(`[reply] Gemini error: ${err.message}`);
         item.status = "error";
@@ -3,7 +3,7 @@
 /**
  * helmstack-social CLI
  *
- *   helmstack-social health
+ *   helmstack-social health          [--engines]
  *   helmstack-social linkedin post   --text "..."   | --file draft.txt   [--dry-run]
  *   helmstack-social linkedin engage [--keywords kw.txt] [--max-likes N] [--max-comments N]
  *                                    [--comment-command "cmd"] [--seen ledger.json] [--dry-run]
@@ -11,10 +11,16 @@
  *   helmstack-social gemini purge    [--apply] [--max N] [--max-scan N]
  *                                    [--pause-ms MS] [--jitter F] [--rest-every N] [--rest-ms MS]
  *                                    [--report FILE | --no-report]
+ *   helmstack-social fixture record  --out fixture.json --engine x|linkedin --method NAME
+ *                                    [--args '[…json…]'] [--options '{…json…}']
+ *   helmstack-social fixture replay  fixtures/*.json
  *
- * Config comes from env: HELMSTACK_URL, HELMSTACK_AUTH_TOKEN.
+ * Config comes from env: HELMSTACK_URL, HELMSTACK_AUTH_TOKEN, HELMSTACK_HEALTH_PATH.
+ * `health --engines` prints the per-method engine health ledger (src/health.js).
  * `--comment-command` receives the post JSON on stdin and must print the comment
  * text on stdout (empty/"SKIP" = no comment) — this is how you plug in an LLM.
+ * `fixture replay` runs offline; with jsdom resolvable it replays against the
+ * recorded page snapshots (see src/fixtures.js), else from recorded values.
  */
 
 const fs = require("fs");
@@ -52,10 +58,57 @@ async function main() {
   const [, , cmd, sub] = process.argv;
 
   if (cmd === "health") {
+    if (has("--engines")) {
+      const health = require("../src/health");
+      for (const r of health.summarize(health.load())) {
+        console.log(`${r.status.padEnd(9)} ${r.key.padEnd(30)} score ${r.score} (n=${r.n})${r.failure ? `  last: ${r.failure} ${r.last_failure.at}` : ""}`);
+      }
+      return;
+    }
     console.log(JSON.stringify(await client.health()));
     return;
   }
 
+  if (cmd === "fixture") {
+    const fx = require("../src/fixtures");
+    if (sub === "record") {
+      const out = arg("--out");
+      const engine = arg("--engine");
+      const method = arg("--method");
+      if (!out || out === true || !engine || !method) throw new Error("fixture record requires --out, --engine and --method");
+      const call = {
+        engine, method,
+        options: JSON.parse(arg("--options", "{}")),
+        args: JSON.parse(arg("--args", "[]")),
+      };
+      const Engine = { x: X, linkedin: LinkedIn }[engine];
+      if (!Engine) throw new Error(`fixture record: unknown engine ${engine}`);
+      const recorder = new fx.Recorder({ name: require("path").basename(out, ".json") });
+      const eng = new Engine(new HelmStackClient({ recorder }), { ...call.options, health: false });
+      await eng.ensureTab();
+      const result = await eng[method](...call.args);
+      recorder.finish(call, result);
+      recorder.save(out);
+      console.log(JSON.stringify({ out, expect: recorder.fixture.expect, interactions: recorder.fixture.interactions.length }));
+      return;
+    }
+    if (sub === "replay") {
+      const files = process.argv.slice(4).filter((f) => !f.startsWith("--"));
+      if (!files.length) throw new Error("fixture replay requires fixture files");
+      let JSDOM = null;
+      try { ({ JSDOM } = require("jsdom")); } catch {}
+      let failed = 0;
+      for (const file of files) {
+        const r = await fx.runFixture(fx.loadFixture(file), { evaluator: JSDOM ? fx.jsdomEvaluator(JSDOM) : null });
+        if (!r.ok) failed++;
+        console.log(`${r.ok ? "PASS" : "FAIL"} ${file}${r.ok ? "" : `\n  ${r.errors.join("\n  ")}`}`);
+      }
+      if (!JSDOM) console.log("(no jsdom — replayed recorded values only; hand-built fixtures need jsdom)");
+      process.exit(failed ? 1 : 0);
+    }
+    throw new Error(`unknown fixture subcommand: ${sub}`);
+  }
+
   if (cmd === "bootstrap") {
     const file = arg("--cookies");
     if (!file || file === true) throw new Error("bootstrap requires --cookies <file.json>");
@@ -234,7 +287,7 @@ async function main() {
     throw new Error(`unknown gemini subcommand: ${sub}`);
   }
 
-  console.error("usage: helmstack-social <health|bootstrap|linkedin post|linkedin engage|x post|x engage|gemini purge> [options]");
+  console.error("usage: helmstack-social <health|bootstrap|linkedin post|linkedin engage|x post|x engage|gemini purge|fixture record|fixture replay> [options]");
   process.exit(2);
 }
 
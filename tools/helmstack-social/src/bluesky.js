@@ -0,0 +1,377 @@
+"use strict";
+/**
+ * Bluesky — posting engine over the AT Protocol XRPC API.
+ *
+ * Like the Mastodon engine this needs no HelmStack browser session: the PDS
+ * (bsky.social or a self-hosted one) takes an app password and hands back a
+ * session JWT, and posts are plain `com.atproto.repo.createRecord` writes of
+ * `app.bsky.feed.post` records. Same class shape and result contracts as the
+ * other engines — post() → {posted, url}, reply() → {ok, url}, postThread() →
+ * {ok, urls} — so host adapters drive it the same way.
+ *
+ * How Bluesky is driven (the non-obvious bits):
+ *   LIMITS    — 300 GRAPHEMES per post (not chars, not bytes); a family emoji
+ *               is one. graphemeLength() counts with Intl.Segmenter, and
+ *               splitThread() packs long text into a reply chain on paragraph,
+ *               then sentence, then word boundaries.
+ *   FACETS    — a record's text is plain; links, mentions and hashtags are
+ *               only clickable if the record carries `facets` with UTF-8 BYTE
+ *               ranges. facets() computes them; a mention is linked only if its
+ *               handle resolves to a DID (unresolved ones stay plain text).
+ *   REPLIES   — a reply needs strong refs ({uri, cid}) to BOTH its parent and
+ *               the thread root. Refs for posts this engine made are cached;
+ *               anything else (a bsky.app URL or at:// URI) is looked up with
+ *               com.atproto.repo.getRecord, taking the root from its own reply.
+ *   CARDS     — a link card is an `app.bsky.embed.external` the CLIENT builds:
+ *               fetchCard() reads the page's og: tags and uploads og:image as a
+ *               blob (uploadBlob). A card that can't be built is dropped — the
+ *               post still goes out with its faceted link.
+ *   RATE LIMIT— 429 returns {reason:"rate_limited", retryAfter} and never
+ *               throws; the host decides whether to requeue.
+ */
+
+const MAX_GRAPHEMES = 300;
+const POST_NSID = "app.bsky.feed.post";
+// The PDS rejects blobs over ~1MB; anything larger is posted without a thumb.
+const MAX_THUMB_BYTES = 976 * 1024;
+
+const URL_RE = /https?:\/\/[^\s<>"']+/g;
+const MENTION_RE = /(^|[\s(])@([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+)/g;
+const TAG_RE = /(^|\s)#([^\s#\d\p{P}][^\s#]*)/gu;
+const TRAILING_PUNCT_RE = /[.,;:!?)\]'"]+$/;
+
+const segmenter = new Intl.Segmenter("en", { granularity: "grapheme" });
+
+/** Length in graphemes — the unit Bluesky's 300 limit is counted in. */
+function graphemeLength(text) {
+  return [...segmenter.segment(String(text || ""))].length;
+}
+
+/**
+ * Split text into parts of at most `limit` graphemes: whole paragraphs where
+ * they fit, else sentences, else words (a single over-long word is hard-cut).
+ * @returns {string[]}
+ */
+function splitThread(text, limit = MAX_GRAPHEMES) {
+  const body = String(text || "").trim();
+  if (!body) return [];
+  if (graphemeLength(body) <= limit) return [body];
+
+  const units = [];
+  for (const para of body.split(/\n\s*\n/)) {
+    const p = para.trim();
+    if (!p) continue;
+    if (graphemeLength(p) <= limit) { units.push({ text: p, sep: "\n\n" }); continue; }
+    for (const sentence of p.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [p]) {
+      const s = sentence.trim();
+      if (!s) continue;
+      if (graphemeLength(s) <= limit) { units.push({ text: s, sep: " " }); continue; }
+      for (const word of s.split(/\s+/)) {
+        const graphemes = [...segmenter.segment(word)].map((g) => g.segment);
+        for (let i = 0; i < graphemes.length; i += limit) units.push({ text: graphemes.slice(i, i + limit).join(""), sep: " " });
+      }
+    }
+  }
+
+  const parts = [];
+  let cur = "";
+  for (const u of units) {
+    const joined = cur ? `${cur}${u.sep}${u.text}` : u.text;
+    if (graphemeLength(joined) <= limit) { cur = joined; continue; }
+    if (cur) parts.push(cur);
+    cur = u.text;
+  }
+  if (cur) parts.push(cur);
+  return parts;
+}
+
+const byteOffset = (text, charIdx) => Buffer.byteLength(text.slice(0, charIdx), "utf8");
+
+/**
+ * Raw facet spans in `text` — links, mentions (handle, not yet a DID) and
+ * hashtags — with UTF-8 byte ranges. Pure; facets() resolves the mentions.
+ * @returns {{type:"link"|"mention"|"tag", value:string, byteStart:number, byteEnd:number}[]}
+ */
+function facetSpans(text) {
+  const s = String(text || "");
+  const spans = [];
+  for (const m of s.matchAll(URL_RE)) {
+    const value = m[0].replace(TRAILING_PUNCT_RE, "");
+    spans.push({ type: "link", value, byteStart: byteOffset(s, m.index), byteEnd: byteOffset(s, m.index + value.length) });
+  }
+  const inLink = (b) => spans.some((sp) => sp.type === "link" && b >= sp.byteStart && b < sp.byteEnd);
+  for (const m of s.matchAll(MENTION_RE)) {
+    const start = m.index + m[1].length;
+    const byteStart = byteOffset(s, start);
+    if (inLink(byteStart)) continue;
+    spans.push({ type: "mention", value: m[2], byteStart, byteEnd: byteOffset(s, start + 1 + m[2].length) });
+  }
+  for (const m of s.matchAll(TAG_RE)) {
+    const tag = m[2].replace(TRAILING_PUNCT_RE, "");
+    const start = m.index + m[1].length;
+    const byteStart = byteOffset(s, start);
+    if (!tag || inLink(byteStart)) continue;
+    spans.push({ type: "tag", value: tag, byteStart, byteEnd: byteOffset(s, start + 1 + tag.length) });
+  }
+  return spans.sort((a, b) => a.byteStart - b.byteStart);
+}
+
+/** Pull og:title / og:description / og:image (falling back to <title>) out of a page. */
+function parseCard(html) {
+  const h = String(html || "");
+  const decode = (v) => v
+    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"').replace(/&#0?39;|&apos;/g, "'");
+  const meta = (prop) => {
+    const a = h.match(new RegExp(`<meta[^>]+(?:property|name)=["']${prop}["'][^>]*content=["']([^"']*)["']`, "i"));
+    const b = a || h.match(new RegExp(`<meta[^>]+content=["']([^"']*)["'][^>]*(?:property|name)=["']${prop}["']`, "i"));
+    return b ? decode(b[1]).trim() : "";
+  };
+  const title = meta("og:title") || (h.match(/<title[^>]*>([^<]*)<\/title>/i) || [])[1] || "";
+  return { title: decode(title).trim(), description: meta("og:description") || meta("description"), image: meta("og:image") };
+}
+
+/** https://bsky.app/profile/<actor>/post/<rkey> or at://<did>/app.bsky.feed.post/<rkey> → {actor, rkey}. */
+function parsePostRef(target) {
+  const s = String(target || "").trim();
+  let m = s.match(/^at:\/\/([^/]+)\/app\.bsky\.feed\.post\/([^/?#]+)/);
+  if (m) return { actor: m[1], rkey: m[2] };
+  m = s.match(/^https?:\/\/[^/]+\/profile\/([^/]+)\/post\/([^/?#]+)/);
+  if (m) return { actor: m[1], rkey: m[2] };
+  return null;
+}
+
+class Bluesky {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.service]    PDS base URL (default env BLUESKY_SERVICE or https://bsky.social)
+   * @param {string} [opts.identifier] Handle or DID (default env BLUESKY_HANDLE)
+   * @param {string} [opts.password]   App password — never the account password (default env BLUESKY_APP_PASSWORD)
+   * @param {string} [opts.appView]    Web base for post URLs (default https://bsky.app)
+   * @param {string[]} [opts.langs]    Record langs (default ["en"])
+   * @param {number} [opts.timeout]    Request timeout ms (default 20000)
+   * @param {(msg:string)=>void} [opts.log] Progress logger (default console.log).
+   */
+  constructor({ service, identifier, password, appView = "https://bsky.app", langs = ["en"], timeout = 20000, log } = {}) {
+    this.service = String(service || process.env.BLUESKY_SERVICE || "https://bsky.social").replace(/\/$/, "");
+    this.identifier = identifier || process.env.BLUESKY_HANDLE || "";
+    this.password = password || process.env.BLUESKY_APP_PASSWORD || "";
+    this.appView = appView.replace(/\/$/, "");
+    this.langs = langs;
+    this.timeout = timeout;
+    this.log = log || ((m) => console.log(`[bluesky] ${m}`));
+    this._session = null;
+    this._refs = new Map(); // post URL / at:// URI → {uri, cid, root}
+  }
+
+  async _fetch(url, init = {}) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), this.timeout);
+    try {
+      return await fetch(url, { ...init, signal: ctrl.signal });
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  /**
+   * One XRPC call. `body` is JSON unless `raw` (Buffer) is given for a blob.
+   * @returns {Promise<{status:number, ok:boolean, data:any, retryAfter:string|null}>}
+   */
+  async _xrpc(method, nsid, { params = null, body, raw = null, contentType = null, auth = true } = {}) {
+    const qs = params ? `?${new URLSearchParams(params)}` : "";
+    const headers = {};
+    if (auth && this._session) headers.Authorization = `Bearer ${this._session.accessJwt}`;
+    if (raw) headers["Content-Type"] = contentType || "application/octet-stream";
+    else if (body !== undefined) headers["Content-Type"] = "application/json";
+    const res = await this._fetch(`${this.service}/xrpc/${nsid}${qs}`, {
+      method,
+      headers,
+      ...(raw ? { body: raw } : body !== undefined ? { body: JSON.stringify(body) } : {}),
+    });
+    const text = await res.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+    return { status: res.status, ok: res.ok, data, retryAfter: res.headers.get("retry-after") };
+  }
+
+  /** Map a failed response to a short reason string. */
+  _reason(r) {
+    if (r.status === 429) return "rate_limited";
+    if (r.status === 401 || (r.data && /ExpiredToken|InvalidToken|AuthenticationRequired/.test(r.data.error || ""))) return `auth:${r.status}`;
+    return `http_${r.status}${r.data && r.data.error ? `:${r.data.error}` : ""}`;
+  }
+
+  /** Create (once) and return the session {did, handle, accessJwt}, or null. Doubles as a session check. */
+  async login() {
+    if (this._session) return this._session;
+    if (!this.identifier || !this.password) return null;
+    const r = await this._xrpc("POST", "com.atproto.server.createSession", {
+      body: { identifier: this.identifier, password: this.password }, auth: false,
+    }).catch(() => null);
+    this._session = r && r.ok && r.data && r.data.accessJwt ? r.data : null;
+    return this._session;
+  }
+
+  async sessionOk() { return !!(await this.login()); }
+
+  /** Web URL for one of our post URIs. */
+  postUrl(uri) {
+    const rkey = String(uri).split("/").pop();
+    const who = (this._session && (this._session.handle || this._session.did)) || "";
+    return `${this.appView}/profile/${who}/post/${rkey}`;
+  }
+
+  async resolveHandle(handle) {
+    if (/^did:/.test(handle)) return handle;
+    const r = await this._xrpc("GET", "com.atproto.identity.resolveHandle", { params: { handle } }).catch(() => null);
+    return r && r.ok && r.data ? r.data.did || null : null;
+  }
+
+  /**
+   * Facets for `text`: links and hashtags as-is, mentions whose handle resolves
+   * to a DID. Returns [] (not undefined) when there are none.
+   */
+  async facets(text) {
+    const out = [];
+    for (const sp of facetSpans(text)) {
+      const index = { byteStart: sp.byteStart, byteEnd: sp.byteEnd };
+      if (sp.type === "link") out.push({ index, features: [{ $type: "app.bsky.richtext.facet#link", uri: sp.value }] });
+      else if (sp.type === "tag") out.push({ index, features: [{ $type: "app.bsky.richtext.facet#tag", tag: sp.value }] });
+      else {
+        const did = await this.resolveHandle(sp.value);
+        if (did) out.push({ index, features: [{ $type: "app.bsky.richtext.facet#mention", did }] });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Build an app.bsky.embed.external link card for `url` from its og: tags,
+   * uploading og:image as the thumb. null if the page can't be read.
+   */
+  async fetchCard(url) {
+    let card;
+    try {
+      const res = await this._fetch(url, { headers: { Accept: "text/html" } });
+      if (!res.ok) return null;
+      card = parseCard(await res.text());
+    } catch { return null; }
+    if (!card.title) return null;
+    const external = { uri: url, title: card.title.slice(0, 300), description: (card.description || "").slice(0, 1000) };
+    if (card.image) {
+      try {
+        const img = await this._fetch(new URL(card.image, url).toString());
+        const bytes = img.ok ? Buffer.from(await img.arrayBuffer()) : null;
+        if (bytes && bytes.length && bytes.length <= MAX_THUMB_BYTES) {
+          const up = await this._xrpc("POST", "com.atproto.repo.uploadBlob", {
+            raw: bytes, contentType: img.headers.get("content-type") || "image/jpeg",
+          });
+          if (up.ok && up.data && up.data.blob) external.thumb = up.data.blob;
+        }
+      } catch { /* a card without a thumb is still a card */ }
+    }
+    return { $type: "app.bsky.embed.external", external };
+  }
+
+  /**
+   * Strong refs {root, parent} for replying to `target` (post URL, at:// URI,
+   * or a ref object from a previous post()). null if it can't be resolved.
+   */
+  async replyRefs(target) {
+    const cached = this._refs.get(String(target));
+    if (cached) return { root: cached.root || { uri: cached.uri, cid: cached.cid }, parent: { uri: cached.uri, cid: cached.cid } };
+    const ref = parsePostRef(target);
+    if (!ref) return null;
+    const repo = await this.resolveHandle(ref.actor);
+    if (!repo) return null;
+    const r = await this._xrpc("GET", "com.atproto.repo.getRecord", {
+      params: { repo, collection: POST_NSID, rkey: ref.rkey },
+    }).catch(() => null);
+    if (!r || !r.ok || !r.data || !r.data.cid) return null;
+    const parent = { uri: r.data.uri, cid: r.data.cid };
+    const root = (r.data.value && r.data.value.reply && r.data.value.reply.root) || parent;
+    return { root, parent };
+  }
+
+  /**
+   * Publish one post.
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {boolean} [opts.dryRun]   validate (length, session, facets, card) but don't post
+   * @param {object}  [opts.reply]    {root, parent} strong refs (see replyRefs)
+   * @param {string}  [opts.embedUrl] build a link card for this URL
+   * @returns {Promise<{posted:boolean, url?:string, uri?:string, cid?:string, reason?:string, dryRun?:boolean, retryAfter?:string}>}
+   */
+  async post(text, { dryRun = false, reply = null, embedUrl = null } = {}) {
+    const body = String(text || "").trim();
+    if (!body) return { posted: false, reason: "empty" };
+    const len = graphemeLength(body);
+    if (len > MAX_GRAPHEMES) return { posted: false, reason: `too_long:${len}>${MAX_GRAPHEMES}` };
+    if (!(await this.login())) return { posted: false, reason: "auth:no_session" };
+
+    const record = { $type: POST_NSID, text: body, createdAt: new Date().toISOString(), langs: this.langs };
+    const facets = await this.facets(body);
+    if (facets.length) record.facets = facets;
+    if (reply) record.reply = reply;
+    if (embedUrl) {
+      const card = await this.fetchCard(embedUrl);
+      if (card) record.embed = card;
+      else this.log(`no link card for ${embedUrl} — posting without`);
+    }
+    if (dryRun) {
+      this.log(`DRY RUN — ${len}/${MAX_GRAPHEMES} graphemes, ${facets.length} facet(s)${record.embed ? ", card" : ""}${reply ? ", reply" : ""}, not posting`);
+      return { posted: false, reason: "dry_run", dryRun: true };
+    }
+
+    const r = await this._xrpc("POST", "com.atproto.repo.createRecord", {
+      body: { repo: this._session.did, collection: POST_NSID, record },
+    }).catch((err) => ({ ok: false, status: 0, data: { error: err.message } }));
+    if (!r.ok || !r.data || !r.data.uri) {
+      return { posted: false, reason: this._reason(r), ...(r.retryAfter ? { retryAfter: r.retryAfter } : {}) };
+    }
+    const url = this.postUrl(r.data.uri);
+    const ref = { uri: r.data.uri, cid: r.data.cid, root: reply ? reply.root : null };
+    this._refs.set(url, ref);
+    this._refs.set(r.data.uri, ref);
+    this.log(`posted: ${url}`);
+    return { posted: true, url, uri: r.data.uri, cid: r.data.cid };
+  }
+
+  /**
+   * Reply to a post by bsky.app URL or at:// URI.
+   * @returns {Promise<{ok:boolean, url?:string, uri?:string, reason?:string, dryRun?:boolean}>}
+   */
+  async reply(target, text, { dryRun = false, ...opts } = {}) {
+    if (!(await this.login())) return { ok: false, reason: "auth:no_session" };
+    const refs = await this.replyRefs(target);
+    if (!refs) return { ok: false, reason: "reply_target_unresolved" };
+    const r = await this.post(text, { ...opts, dryRun, reply: refs });
+    if (r.dryRun) return { ok: false, reason: "dry_run", dryRun: true };
+    return r.posted ? { ok: true, url: r.url, uri: r.uri } : { ok: false, reason: r.reason, retryAfter: r.retryAfter };
+  }
+
+  /**
+   * Post a self-thread: parts[0] as an original (or a reply to `inReplyTo`),
+   * each later part replying to the previous one under the same root. Stops at
+   * the first failure. `embedUrl` cards part 1 only. `onPart(i, {url, uri})`
+   * fires as each lands.
+   * @returns {Promise<{ok:boolean, urls:string[], reason?:string, dryRun?:boolean}>}
+   */
+  async postThread(parts, { dryRun = false, inReplyTo = null, embedUrl = null, onPart = null } = {}) {
+    const urls = [];
+    let prev = inReplyTo;
+    for (let i = 0; i < parts.length; i++) {
+      const opts = { dryRun, ...(i === 0 && embedUrl ? { embedUrl } : {}) };
+      const r = prev ? await this.reply(prev, parts[i], opts) : await this.post(parts[i], opts);
+      if (r.dryRun) return { ok: false, dryRun: true, urls };
+      if (!(r.ok || r.posted)) return { ok: false, reason: `part${i + 1}:${r.reason}`, urls };
+      urls.push(r.url);
+      prev = r.url;
+      if (onPart) await onPart(i, { url: r.url, uri: r.uri });
+    }
+    return { ok: true, urls };
+  }
+}
+
+module.exports = { Bluesky, graphemeLength, splitThread, facetSpans, parseCard, MAX_GRAPHEMES };
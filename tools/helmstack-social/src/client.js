@@ -6,6 +6,9 @@
  * Covers the surface social automation needs: tabs, navigation, JS evaluation,
  * text/key/mouse input (CDP-level, so it reaches cross-origin iframes), cookies,
  * and screenshots. Uses global fetch (Node 18+).
+ *
+ * With `recorder` (fixtures.js Recorder) every call, plus a DOM snapshot after
+ * each evaluate, is captured for offline replay.
  */
 
 class HelmStackClient {
@@ -14,14 +17,16 @@ class HelmStackClient {
    * @param {string} [opts.url]    Base URL (default env HELMSTACK_URL or http://127.0.0.1:7070)
    * @param {string} [opts.token]  Bearer token (default env HELMSTACK_AUTH_TOKEN)
    * @param {number} [opts.timeout] Default request timeout ms (default 30000)
+   * @param {import('./fixtures').Recorder} [opts.recorder] Capture calls into a fixture
    */
-  constructor({ url, token, timeout } = {}) {
+  constructor({ url, token, timeout, recorder } = {}) {
     this.url = (url || process.env.HELMSTACK_URL || "http://127.0.0.1:7070").replace(/\/$/, "");
     this.token = token || process.env.HELMSTACK_AUTH_TOKEN || "";
     this.defaultTimeout = timeout || 30000;
+    this.recorder = recorder || null;
   }
 
-  async request(method, path, body, { timeout } = {}) {
+  async request(method, path, body, { timeout, record = true } = {}) {
     const ctrl = new AbortController();
     const t = setTimeout(() => ctrl.abort(), timeout || this.defaultTimeout);
     try {
@@ -41,6 +46,7 @@ class HelmStackClient {
         const msg = data && data.error ? data.error : `HTTP ${res.status}`;
         throw new Error(`helmstack ${method} ${path}: ${msg}`);
       }
+      if (this.recorder && record) this.recorder.requested(method, path, body, data);
       return data;
     } finally {
       clearTimeout(t);
@@ -68,9 +74,13 @@ class HelmStackClient {
 
   // ── Evaluation ──────────────────────────────────────────────────────────────
   /** Evaluate a raw JS expression in the page; returns the value. */
-  async evaluate(id, expression, { timeout } = {}) {
-    const out = await this.request("POST", `/api/tabs/${id}/evaluate`, { expression }, { timeout });
-    return out ? out.value : null;
+  async evaluate(id, expression, { timeout, record = true } = {}) {
+    const rec = record ? this.recorder : null;
+    if (rec) await rec.beforeEvaluate(this, id, expression);
+    const out = await this.request("POST", `/api/tabs/${id}/evaluate`, { expression }, { timeout, record: false });
+    const value = out ? out.value : null;
+    if (rec) await rec.evaluated(this, id, expression, value);
+    return value;
   }
 
   /** Evaluate a function with JSON-serialisable args (puppeteer-style). */
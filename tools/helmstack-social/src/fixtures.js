@@ -0,0 +1,382 @@
+"use strict";
+/**
+ * Fixtures — record a live engine run, replay it offline.
+ *
+ * Selector and GraphQL breakage used to surface only in production, as an
+ * empty timeline or a quote that "couldn't find the retweet button". A fixture
+ * is one engine call captured against the real site:
+ *
+ *   {
+ *     name, recorded_at,
+ *     call:    { engine: "x"|"linkedin", options, method, args },
+ *     expect:  { min_items, max_items, fields, contains, excludes, match },
+ *     tabs:    [{ id, url }]                 — the tab list when recording began
+ *     cookies: [{ name, value, domain }]
+ *     pages:   { "<url>": "<outerHTML>" }    — DOM snapshot after each evaluate
+ *     network: [{ url, method, status, body }] — fetches made from inside the page
+ *     interactions: [{ method, path, body, response }
+ *                  | { method: "EVALUATE", url, expression, value }]
+ *   }
+ *
+ * RECORDING — pass `recorder: new Recorder()` to HelmStackClient. Every API
+ * call is logged; each evaluate also snapshots the page and the in-page fetches
+ * it made (a fetch wrapper is installed before network-bound expressions).
+ *
+ * REPLAY — createReplayServer(fixture) is a stand-in for the HelmStack agent
+ * API. Tabs, navigation and cookies are simulated; an evaluate is answered
+ *   1. with an `evaluator` (jsdomEvaluator — the DOM library is injected, this
+ *      package stays dependency-free): the expression runs against the page
+ *      snapshot for the tab's URL, with window.fetch served from `network`.
+ *      This runs the CURRENT engine code against the canned page, so a
+ *      selector change is checked against real markup;
+ *   2. otherwise with the recorded value for that URL + expression.
+ * Anything with no recording is a miss (HTTP 404, listed in `misses`).
+ *
+ * runFixture(fixture, opts) drives the recorded call through a replay server
+ * and checks `expect`. Re-record a fixture when X/LinkedIn change markup: the
+ * live call comes back empty, the fixture keeps its min_items, and the fixture
+ * test fails instead of the timeline going silently empty.
+ */
+
+const http = require("http");
+const fs = require("fs");
+
+/** Fixture key for a page: the URL without its hash. */
+const pageKey = (url) => String(url || "").replace(/#.*$/, "");
+/** API path with the tab id abstracted, so recordings replay against any tab. */
+const routeOf = (path) => String(path).replace(/^\/api\/tabs\/[^/]+\//, "/api/tabs/:tab/");
+
+const NETWORK_EXPR = /\bfetch\(/;
+const NET_HOOK = `(function(){ if(window.__hsNet) return true; window.__hsNet=[]; var f=window.fetch;
+  window.fetch=async function(u,o){ var r=await f.apply(this,arguments);
+    try{ var c=r.clone(); var e={url:String(u&&u.url||u), method:(o&&o.method)||"GET", status:r.status, body:null};
+      window.__hsNet.push(e); c.text().then(function(t){ e.body=t.slice(0,500000); }); }catch(_){}
+    return r; };
+  return true; })()`;
+const NET_DRAIN = `(function(){ var n=window.__hsNet||[]; window.__hsNet=[]; return JSON.stringify(n); })()`;
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+class Recorder {
+  constructor({ name = "" } = {}) {
+    this.fixture = {
+      name, recorded_at: new Date().toISOString(),
+      call: null, expect: null, tabs: null, cookies: [], pages: {}, network: [], interactions: [],
+    };
+  }
+
+  /** Called by HelmStackClient.request() after every successful call. */
+  requested(method, path, body, response) {
+    const route = routeOf(path);
+    if (method === "GET" && route === "/api/tabs") {
+      if (!this.fixture.tabs) this.fixture.tabs = (response || []).map((t) => ({ id: t.id, url: t.url }));
+      return;
+    }
+    if (method === "GET" && route === "/api/tabs/:tab/cookies") {
+      this.fixture.cookies = response || [];
+      return;
+    }
+    // Tab lifecycle and navigation are simulated by the replay server.
+    if (route === "/api/tabs" || route === "/api/tabs/:tab/navigate" || /^\/api\/tabs\/[^/]+$/.test(path)) return;
+    this.fixture.interactions.push({ method, path: route, body: body === undefined ? null : body, response });
+  }
+
+  /** Hook run before an evaluate: network-bound expressions get the fetch recorder. */
+  async beforeEvaluate(client, tab, expression) {
+    if (NETWORK_EXPR.test(expression)) await client.evaluate(tab, NET_HOOK, { record: false }).catch(() => {});
+  }
+
+  /** Called by HelmStackClient.evaluate(): log the value, snapshot the page and its fetches. */
+  async evaluated(client, tab, expression, value) {
+    const url = pageKey(await client.tabUrl(tab).catch(() => ""));
+    this.fixture.interactions.push({ method: "EVALUATE", url, expression, value });
+    const html = await client.evaluate(tab, "document.documentElement.outerHTML", { record: false }).catch(() => null);
+    if (url && html) this.fixture.pages[url] = html;
+    if (NETWORK_EXPR.test(expression)) {
+      let net = [];
+      try { net = JSON.parse(await client.evaluate(tab, NET_DRAIN, { record: false })); } catch {}
+      this.fixture.network.push(...net.filter((n) => n.body != null));
+    }
+  }
+
+  /** Finish with the call that was recorded and the expectation derived from its live result. */
+  finish(call, result) {
+    this.fixture.call = call;
+    this.fixture.expect = expectFrom(result);
+    return this.fixture;
+  }
+
+  save(file) {
+    fs.writeFileSync(file, JSON.stringify(this.fixture, null, 2) + "\n");
+  }
+}
+
+/**
+ * The expectation a recording pins: an array result keeps at least as many
+ * items as it had (min 1 — recording an empty scrape is itself a failure) and
+ * the fields every item filled in; an object result keeps its scalar fields.
+ */
+function expectFrom(result) {
+  if (Array.isArray(result)) {
+    const first = result[0] || {};
+    const fields = Object.keys(first).filter((k) => result.every((r) => r && r[k] !== "" && r[k] != null));
+    return { min_items: Math.max(1, result.length), fields };
+  }
+  const match = {};
+  for (const [k, v] of Object.entries(result || {})) if (v === null || typeof v !== "object") match[k] = v;
+  return { match };
+}
+
+// ── Expectations ──────────────────────────────────────────────────────────────
+const subsetOf = (want, got) => got != null && Object.entries(want).every(([k, v]) => got[k] === v);
+
+/** Check a result against a fixture's `expect`. @returns {string[]} failures (empty = pass) */
+function checkExpect(result, expect = {}) {
+  const errors = [];
+  if (expect.match && !subsetOf(expect.match, result)) {
+    errors.push(`expected ${JSON.stringify(expect.match)}, got ${JSON.stringify(result)}`);
+  }
+  if (expect.min_items != null || expect.max_items != null || expect.fields || expect.contains || expect.excludes) {
+    if (!Array.isArray(result)) return [...errors, `expected an array, got ${JSON.stringify(result)}`];
+    if (expect.min_items != null && result.length < expect.min_items) errors.push(`expected ≥${expect.min_items} items, got ${result.length}`);
+    if (expect.max_items != null && result.length > expect.max_items) errors.push(`expected ≤${expect.max_items} items, got ${result.length}`);
+    for (const f of expect.fields || []) {
+      const empty = result.filter((r) => !r || r[f] === "" || r[f] == null).length;
+      if (empty) errors.push(`${empty}/${result.length} items missing "${f}"`);
+    }
+    for (const want of expect.contains || []) {
+      if (!result.some((r) => subsetOf(want, r))) errors.push(`no item matches ${JSON.stringify(want)}`);
+    }
+    for (const bad of expect.excludes || []) {
+      if (result.some((r) => subsetOf(bad, r))) errors.push(`an item matches excluded ${JSON.stringify(bad)}`);
+    }
+  }
+  return errors;
+}
+
+// ── DOM evaluation (injected DOM library) ─────────────────────────────────────
+/**
+ * Evaluate expressions against page snapshots with jsdom: pass the JSDOM class
+ * (`require("jsdom").JSDOM`). One window per page URL is kept for the replay,
+ * so stamps (data-hs-idx), focus and inserted text persist between calls like
+ * they do in a real tab. Layout-only APIs the engines touch are stubbed, and
+ * the fixture's non-httpOnly cookies are readable from document.cookie (the
+ * engines take their CSRF tokens from there).
+ */
+function jsdomEvaluator(JSDOM) {
+  const windows = new Map();
+  const open = async ({ html, url, network = [], cookies = [], onMiss = () => {} }) => {
+    const key = `${url}\n${html.length}`;
+    if (windows.has(key)) return windows.get(key);
+    const dom = new JSDOM(html, { url: url || "about:blank", runScripts: "outside-only", pretendToBeVisual: true });
+    const w = dom.window;
+    const loaded = new Promise((r) => w.addEventListener("load", r));
+    const host = w.location.hostname;
+    for (const c of cookies) {
+      const domain = String(c.domain || "").replace(/^\./, "");
+      if (!c.httpOnly && (!domain || host === domain || host.endsWith(`.${domain}`))) w.document.cookie = `${c.name}=${c.value}`;
+    }
+    Object.defineProperty(w.HTMLElement.prototype, "innerText", {
+      configurable: true,
+      get() { return this.textContent; },
+      set(v) { this.textContent = v; },
+    });
+    w.scrollBy = w.scrollTo = () => {};
+    w.HTMLElement.prototype.scrollIntoView = function () {};
+    w.fetch = async (input, opts = {}) => {
+      const target = String((input && input.url) || input);
+      const hit = network.find((n) => n.url === target && (n.method || "GET") === (opts.method || "GET"))
+        || network.find((n) => n.url.split("?")[0] === target.split("?")[0]);
+      if (!hit) { onMiss(`fetch ${target}`); throw new TypeError(`replay: no recorded response for ${target}`); }
+      const status = hit.status || 200;
+      // clone() lets the Recorder's fetch hook read the body, as it does in a real tab.
+      const response = () => ({ ok: status >= 200 && status < 300, status, text: async () => hit.body, json: async () => JSON.parse(hit.body), clone: response });
+      return response();
+    };
+    windows.set(key, w);
+    await loaded;
+    return w;
+  };
+  return {
+    /** @param {{html, url, expression, network?, cookies?, onMiss?}} page */
+    async evaluate(page) {
+      return (await open(page)).eval(page.expression);
+    },
+    /** Text input into the focused element (the insert-text endpoint). */
+    async insertText(page) {
+      const w = await open(page);
+      const el = w.document.activeElement;
+      if (!el || el === w.document.body) return;
+      if ("value" in el) el.value += page.text; else el.textContent += page.text;
+    },
+    close() {
+      for (const w of windows.values()) w.close();
+      windows.clear();
+    },
+  };
+}
+
+// ── Replay server ─────────────────────────────────────────────────────────────
+/**
+ * A local stand-in for the HelmStack agent API serving one fixture.
+ * @param {object} fixture
+ * @param {object} [opts]
+ * @param {object} [opts.evaluator] jsdomEvaluator(JSDOM) — evaluate against page snapshots
+ * @returns {{ start():Promise<string>, stop():Promise<void>, misses:string[], actions:object[] }}
+ */
+function createReplayServer(fixture, { evaluator = null } = {}) {
+  let opened = 0;
+  const tabs = (fixture.tabs && fixture.tabs.length ? fixture.tabs : [{ id: "replay-1", url: "about:blank" }])
+    .map((t) => ({ id: String(t.id), url: t.url, status: "complete" }));
+  const queues = new Map();
+  const evalQueues = new Map();
+  for (const it of fixture.interactions || []) {
+    const map = it.method === "EVALUATE" ? evalQueues : queues;
+    const key = it.method === "EVALUATE" ? `${pageKey(it.url)}\n${it.expression}` : `${it.method} ${it.path}`;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(it);
+  }
+  const misses = [];
+  const actions = [];
+
+  /** Next recording for a key; the last one repeats (polls, scroll loops). */
+  const take = (map, key) => {
+    const q = map.get(key);
+    if (!q || !q.length) return undefined;
+    return q.length > 1 ? q.shift() : q[0];
+  };
+
+  async function evaluate(tab, expression) {
+    const url = pageKey(tab.url);
+    const html = fixture.pages && fixture.pages[url];
+    if (evaluator && html) {
+      return evaluator.evaluate({
+        html, url, expression, network: fixture.network || [], cookies: fixture.cookies || [], onMiss: (m) => misses.push(m),
+      });
+    }
+    let hit = take(evalQueues, `${url}\n${expression}`);
+    if (!hit) {
+      for (const [key, q] of evalQueues) if (key.endsWith(`\n${expression}`) && q.length) { hit = take(evalQueues, key); break; }
+    }
+    if (!hit) {
+      misses.push(`evaluate on ${url || "(no url)"}: ${expression.replace(/\s+/g, " ").slice(0, 80)}`);
+      const err = new Error("replay: no recording for this evaluate");
+      err.status = 404;
+      throw err;
+    }
+    return hit.value;
+  }
+
+  async function handle(method, path, body) {
+    const route = routeOf(path);
+    const tabId = (path.match(/^\/api\/tabs\/([^/]+)/) || [])[1];
+    const tab = tabs.find((t) => t.id === tabId);
+
+    if (method === "GET" && path === "/api/health") return { ok: true, replay: fixture.name || true };
+    if (method === "GET" && path === "/api/tabs") return tabs;
+    if (method === "POST" && path === "/api/tabs") {
+      tabs.push({ id: `opened-${++opened}`, url: body.url, status: "complete" });
+      return tabs;
+    }
+    if (method === "DELETE" && /^\/api\/tabs\/[^/]+$/.test(path) && tab) {
+      tabs.splice(tabs.indexOf(tab), 1);
+      return { ok: true };
+    }
+    if (tabId && !tab) {
+      const err = new Error(`unknown tab ${tabId}`);
+      err.status = 404;
+      throw err;
+    }
+    if (method === "POST" && route === "/api/tabs/:tab/navigate") {
+      tab.url = body.url;
+      return { ok: true };
+    }
+    if (method === "GET" && route === "/api/tabs/:tab/cookies") return fixture.cookies || [];
+    if (method === "POST" && route === "/api/tabs/:tab/evaluate") return { value: await evaluate(tab, body.expression) };
+    if (method === "POST" && route === "/api/tabs/:tab/insert-text" && evaluator && fixture.pages?.[pageKey(tab.url)]) {
+      await evaluator.insertText({ html: fixture.pages[pageKey(tab.url)], url: pageKey(tab.url), cookies: fixture.cookies || [], text: body.text });
+    }
+
+    const hit = take(queues, `${method} ${route}`);
+    if (hit) return hit.response;
+    if (method !== "GET" && tab) {
+      // Input and cookie writes: acknowledge and keep, so a test can inspect them.
+      actions.push({ route, body });
+      return { ok: true };
+    }
+    misses.push(`${method} ${route}`);
+    const err = new Error(`replay: no recording for ${method} ${route}`);
+    err.status = 404;
+    throw err;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => { raw += c; });
+    req.on("end", async () => {
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch {}
+      try {
+        const out = await handle(req.method, req.url, body);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(out === undefined ? null : out));
+      } catch (err) {
+        res.writeHead(err.status || 500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: err.message }));
+      }
+    });
+  });
+
+  return {
+    misses,
+    actions,
+    start: () => new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    stop: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+// ── Running a fixture ─────────────────────────────────────────────────────────
+function loadFixture(file) {
+  return JSON.parse(fs.readFileSync(file, "utf-8"));
+}
+
+/**
+ * Replay a fixture's call offline and check its expectation.
+ * @param {object} fixture
+ * @param {object} [opts]
+ * @param {object} [opts.evaluator] jsdomEvaluator(JSDOM) — run the engine against the page snapshots
+ * @param {object} [opts.engines]   engine classes by name (default: X and LinkedIn)
+ * @returns {Promise<{ok:boolean, errors:string[], result:any, misses:string[]}>}
+ */
+async function runFixture(fixture, { evaluator = null, engines = null } = {}) {
+  const { HelmStackClient } = require("./client");
+  const classes = engines || { x: require("./x").X, linkedin: require("./linkedin").LinkedIn };
+  const call = fixture.call || {};
+  const Engine = classes[call.engine];
+  if (!Engine) return { ok: false, errors: [`unknown engine "${call.engine}"`], result: null, misses: [] };
+  if (!evaluator && !(fixture.interactions || []).some((i) => i.method === "EVALUATE")) {
+    return { ok: false, errors: ["no recorded evaluate values — a hand-built fixture needs a DOM evaluator"], result: null, misses: [] };
+  }
+
+  const server = createReplayServer(fixture, { evaluator });
+  const url = await server.start();
+  let result = null;
+  const errors = [];
+  try {
+    const client = new HelmStackClient({ url, token: "replay", timeout: 10000 });
+    const engine = new Engine(client, { ...(call.options || {}), log: () => {}, health: false });
+    await engine.ensureTab();
+    result = await engine[call.method](...(call.args || []));
+    errors.push(...checkExpect(result, fixture.expect));
+  } catch (err) {
+    errors.push(`${call.method} threw: ${err.message}`);
+  } finally {
+    await server.stop();
+    if (evaluator && evaluator.close) evaluator.close();
+  }
+  if (server.misses.length) errors.push(`unrecorded calls: ${[...new Set(server.misses)].join("; ")}`);
+  return { ok: errors.length === 0, errors, result, misses: server.misses };
+}
+
+module.exports = {
+  Recorder, createReplayServer, jsdomEvaluator, runFixture, loadFixture, checkExpect, expectFrom, pageKey,
+};
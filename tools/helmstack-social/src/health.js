@@ -0,0 +1,316 @@
+"use strict";
+/**
+ * Engine health — classify why an engine call failed and keep a per-method
+ * health score.
+ *
+ * An engine call that fails usually just returns a reason string or an empty
+ * list, so "X.scrapeTimeline returned nothing" ends up in the host log as an
+ * empty result. A monitored engine wraps its public methods. When a call
+ * fails, or a scrape comes back empty, the monitor probes the tab and files the
+ * failure under one class:
+ *
+ *   login_wall         — the session is gone (login page, auth wall, no CSRF cookie)
+ *   rate_limited       — the platform is throttling or flagged the action as automated
+ *   composer_not_open  — the compose box / editor never appeared
+ *   selector_missing   — a button or the page's expected content isn't in the DOM
+ *   post_unconfirmed   — the post was submitted but never showed up
+ *   other              — anything else (the raw reason is kept)
+ *
+ * Each failure keeps a screenshot and a trimmed DOM excerpt. Outcomes roll up
+ * into a score per `platform.method` in one JSON ledger that host apps read:
+ * runner/watchdog.js, the Telegram /health command, and runner/lib/x_control.js,
+ * which suppresses only the failing capability.
+ *
+ * Monitoring is on when HELMSTACK_HEALTH_PATH is set (or a HealthMonitor is
+ * passed as the engine's `health` option); `health: false` turns it off.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const WINDOW = 20;           // outcomes kept per method
+const DECAY = 0.85;          // weight of each older outcome relative to the next
+const FAILING_STREAK = 3;    // consecutive failures that mark a method failing
+const KEEP_CAPTURES = 40;    // screenshots kept in the capture dir
+const EXCERPT_CHARS = 3000;
+const LOCK_WAIT_MS = 2000;   // how long record() waits for another process's write
+const LOCK_STALE_MS = 10_000; // a lock this old was left by a process that died mid-write
+
+const FAILURES = ["login_wall", "rate_limited", "composer_not_open", "selector_missing", "post_unconfirmed", "other"];
+
+// Results that are a policy decision or a caller error, not an engine failure.
+const NEUTRAL = /^(dry_run|skipped_|already_|bad_url|no_image|no_video|empty_text)/;
+
+// Reason strings the engines return, most specific first.
+const REASON_CLASSES = [
+  [/no_csrf_cookie|login|authwall|session_(absent|expired)|not_logged_in/i, "login_wall"],
+  [/anti_automation|rate.?limit|daily.*limit|over the .*limit|too many|automated|spam|http_429|api_429/i, "rate_limited"],
+  [/compose_box_not_found|editor_not_found|quote_menu_not_found|composer_not_open/i, "composer_not_open"],
+  [/unconfirmed/i, "post_unconfirmed"],
+  [/_not_found|no_post|no_comment_btn|button_disabled|no_queryid/i, "selector_missing"],
+];
+
+// Per-platform page signals, checked in the tab after a failure.
+const PAGE_SIGNALS = {
+  x: {
+    loginPath: "^/(login|logout|i/flow/(login|signup))",
+    loginSelector: '[data-testid="loginButton"], [data-testid="LoginForm_Login_Button"], input[autocomplete="username"]',
+    rateText: "rate limit exceeded|over the daily limit|temporarily (limited|restricted)|try again later",
+  },
+  linkedin: {
+    loginPath: "^/(login|authwall|checkpoint|uas/)",
+    loginSelector: "input#session_key, form.login__form",
+    rateText: "too many requests|reached the weekly invitation limit|temporarily restricted",
+  },
+};
+
+/** Failure class for an engine reason string (before any page probe). */
+function classifyReason(reason) {
+  const r = String(reason || "");
+  for (const [re, cls] of REASON_CLASSES) if (re.test(r)) return cls;
+  return "other";
+}
+
+/**
+ * Final class for a failure: what the page shows wins over the reason string,
+ * since "compose_box_not_found" on a login page is a login problem.
+ */
+function classify(reason, probe = null) {
+  if (probe && probe.loginWall) return "login_wall";
+  if (probe && probe.rateLimited) return "rate_limited";
+  const cls = classifyReason(reason);
+  if (cls === "other" && probe && probe.missing && probe.missing.length) return "selector_missing";
+  return cls;
+}
+
+/**
+ * Did a call succeed? `spec.kind` is "list" (a scrape: non-empty array = ok) or
+ * "action" (posted/ok = ok). Returns { ok } / { ok:false, reason } / { ok:false,
+ * empty:true } for an empty scrape (a failure only if the page probe finds a
+ * problem), or null when the result says nothing about engine health — a dry
+ * run never touched the page, so it neither clears nor extends a streak.
+ */
+function outcomeOf(spec, result, error) {
+  if (error) return { ok: false, reason: `threw:${String(error.message || error).slice(0, 160)}` };
+  if (spec.kind === "list") {
+    if (Array.isArray(result) && result.length) return { ok: true };
+    return { ok: false, empty: true, reason: "empty_result" };
+  }
+  if (!result || typeof result !== "object") return { ok: false, reason: "no_result" };
+  if (result.dryRun) return null;
+  if (result.posted || result.ok) return { ok: true };
+  if (NEUTRAL.test(String(result.reason || ""))) return null;
+  return { ok: false, reason: String(result.reason || "unknown") };
+}
+
+/**
+ * One in-page look at the tab: login wall, rate-limit banner, which of the
+ * expected selectors are missing, and a DOM excerpt with scripts/styles/svg
+ * stripped.
+ */
+async function probePage(client, tab, platform, expect = []) {
+  const signals = PAGE_SIGNALS[platform] || {};
+  return client.evalFn(tab, (sig, expected, maxChars) => {
+    const text = (document.body && document.body.innerText) || "";
+    const loginWall = (!!sig.loginPath && new RegExp(sig.loginPath, "i").test(location.pathname))
+      || (!!sig.loginSelector && !!document.querySelector(sig.loginSelector));
+    const rateLimited = !!sig.rateText && new RegExp(sig.rateText, "i").test(text.slice(0, 20000));
+    const missing = expected.filter((s) => { try { return !document.querySelector(s); } catch { return true; } });
+    const root = (document.querySelector("main, [role=main]") || document.body || document.documentElement).cloneNode(true);
+    root.querySelectorAll("script, style, svg, noscript, link").forEach((n) => n.remove());
+    const excerpt = root.outerHTML.replace(/\s+/g, " ").slice(0, maxChars);
+    return { url: location.href, title: document.title, loginWall, rateLimited, missing, excerpt };
+  }, signals, expect, EXCERPT_CHARS);
+}
+
+/** PNG bytes from whatever shape the screenshot endpoint returns. */
+function screenshotBytes(shot) {
+  const b64 = typeof shot === "string" ? shot : shot && (shot.data || shot.image || shot.png || shot.screenshot);
+  if (!b64 || typeof b64 !== "string") return null;
+  return Buffer.from(b64.replace(/^data:image\/\w+;base64,/, ""), "base64");
+}
+
+/** Weighted success rate (newest counts most), status and failure streak. */
+function scoreOf(outcomes) {
+  let num = 0, den = 0, w = 1;
+  for (let i = outcomes.length - 1; i >= 0; i--, w *= DECAY) {
+    num += w * (outcomes[i].ok ? 1 : 0);
+    den += w;
+  }
+  let streak = 0;
+  for (let i = outcomes.length - 1; i >= 0 && !outcomes[i].ok; i--) streak++;
+  const score = den ? Math.round((num / den) * 1000) / 1000 : null;
+  let status = "ok";
+  if (streak >= FAILING_STREAK || (outcomes.length >= 5 && score < 0.4)) status = "failing";
+  else if (outcomes.length >= 3 && score < 0.7) status = "degraded";
+  return { score, status, streak, n: outcomes.length };
+}
+
+/**
+ * Run fn while holding `<file>.lock`, so two processes recording at once don't
+ * each rewrite the ledger from the same old copy and drop the other's outcome.
+ */
+function withLock(file, fn) {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) { fs.unlinkSync(lock); continue; }
+      } catch { continue; } // released between our open and stat
+      if (Date.now() > deadline) throw new Error(`health ledger is locked: ${lock}`);
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+    }
+  }
+  try { return fn(); } finally { try { fs.unlinkSync(lock); } catch {} }
+}
+
+function load(file = process.env.HELMSTACK_HEALTH_PATH) {
+  try { return JSON.parse(fs.readFileSync(file, "utf-8")); } catch { return { methods: {} }; }
+}
+
+/** Methods as rows, worst first: [{ key, status, score, streak, n, failure, last_failure }]. */
+function summarize(state) {
+  const rank = { failing: 0, degraded: 1, ok: 2 };
+  return Object.entries((state && state.methods) || {})
+    .map(([key, m]) => ({
+      key, status: m.status, score: m.score, streak: m.streak, n: m.n,
+      failure: m.last_failure ? m.last_failure.failure : null,
+      last_failure: m.last_failure || null, last_ok_at: m.last_ok_at || null,
+    }))
+    .sort((a, b) => (rank[a.status] - rank[b.status]) || ((a.score ?? 1) - (b.score ?? 1)));
+}
+
+/**
+ * Is a method failing recently enough to hold off on it? A failing method is
+ * suppressed for `cooldownMs` after its last failure; after that one attempt
+ * goes through, and its outcome either clears the streak or restarts the
+ * cooldown.
+ */
+function suppressed(entry, { cooldownMs = 2 * 3600_000, now = Date.now() } = {}) {
+  if (!entry || entry.status !== "failing" || !entry.last_failure) return false;
+  return now - new Date(entry.last_failure.at).getTime() < cooldownMs;
+}
+
+class HealthMonitor {
+  /**
+   * @param {object} [opts]
+   * @param {string} opts.file          Ledger path (JSON)
+   * @param {string} [opts.captureDir]  Screenshot dir (default <ledger dir>/engine_failures)
+   */
+  constructor({ file, captureDir } = {}) {
+    this.file = file;
+    this.captureDir = captureDir || path.join(path.dirname(file), "engine_failures");
+  }
+
+  /** A monitor on HELMSTACK_HEALTH_PATH, or null when it isn't set. */
+  static fromEnv() {
+    return process.env.HELMSTACK_HEALTH_PATH ? new HealthMonitor({ file: process.env.HELMSTACK_HEALTH_PATH }) : null;
+  }
+
+  /**
+   * Append one outcome for `platform.method` and re-score it. `failure` is
+   * { failure, reason, url, screenshot, dom } for a failed call. The ledger is
+   * read and rewritten under a lock, since several engine processes share it.
+   */
+  record(platform, method, ok, failure = null, now = new Date()) {
+    return withLock(this.file, () => this._record(platform, method, ok, failure, now));
+  }
+
+  _record(platform, method, ok, failure, now) {
+    const state = load(this.file);
+    state.methods = state.methods || {};
+    const key = `${platform}.${method}`;
+    const entry = state.methods[key] || { outcomes: [], failures: {} };
+    const at = now.toISOString();
+    entry.outcomes = [...(entry.outcomes || []), { at, ok, ...(ok ? {} : { failure: failure.failure }) }].slice(-WINDOW);
+    if (ok) entry.last_ok_at = at;
+    else {
+      entry.failures = entry.failures || {};
+      entry.failures[failure.failure] = (entry.failures[failure.failure] || 0) + 1;
+      entry.last_failure = { at, ...failure };
+    }
+    Object.assign(entry, scoreOf(entry.outcomes));
+    state.methods[key] = entry;
+    state.updated_at = at;
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, this.file);
+    return entry;
+  }
+
+  /** Save a screenshot of the tab; returns its path or null. Oldest captures are pruned. */
+  async capture(client, tab, key) {
+    try {
+      const bytes = screenshotBytes(await client.screenshot(tab));
+      if (!bytes || !bytes.length) return null;
+      fs.mkdirSync(this.captureDir, { recursive: true });
+      const file = path.join(this.captureDir, `${key}-${new Date().toISOString().replace(/[:.]/g, "-")}.png`);
+      fs.writeFileSync(file, bytes);
+      const all = fs.readdirSync(this.captureDir).filter((f) => f.endsWith(".png")).sort(
+        (a, b) => fs.statSync(path.join(this.captureDir, a)).mtimeMs - fs.statSync(path.join(this.captureDir, b)).mtimeMs);
+      for (const old of all.slice(0, Math.max(0, all.length - KEEP_CAPTURES))) fs.unlinkSync(path.join(this.captureDir, old));
+      return file;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Classify one call's result/error and record it. Never throws. */
+  async observe(engine, platform, method, spec, result, error) {
+    try {
+      const out = outcomeOf(spec, result, error);
+      if (!out) return null;
+      if (out.ok) return this.record(platform, method, true);
+      const probe = engine.tab ? await probePage(engine.c, engine.tab, platform, spec.expect || []).catch(() => null) : null;
+      // An empty scrape of a healthy page is just an empty feed.
+      if (out.empty && !(probe && (probe.loginWall || probe.rateLimited || probe.missing.length))) {
+        return probe ? this.record(platform, method, true) : null;
+      }
+      const failure = classify(out.reason, probe);
+      const key = `${platform}.${method}`;
+      const screenshot = engine.tab ? await this.capture(engine.c, engine.tab, key) : null;
+      if (engine.log) engine.log(`${method} failed: ${failure} (${out.reason})`);
+      return this.record(platform, method, false, {
+        failure,
+        reason: out.reason,
+        url: probe ? probe.url : null,
+        missing: probe ? probe.missing : [],
+        screenshot,
+        dom: probe ? probe.excerpt : null,
+      });
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Wrap an engine's public methods so each call is observed. `specs` maps a
+ * method name to { kind: "list"|"action", expect?: [selectors the page should
+ * have] }. The wrapped method returns/throws exactly what the original did.
+ */
+function monitor(engine, platform, specs, health) {
+  if (!health) return engine;
+  for (const [method, spec] of Object.entries(specs)) {
+    const orig = engine[method];
+    if (typeof orig !== "function") continue;
+    engine[method] = async function monitored(...args) {
+      let result, error;
+      try { result = await orig.apply(engine, args); } catch (err) { error = err; }
+      await health.observe(engine, platform, method, spec, result, error);
+      if (error) throw error;
+      return result;
+    };
+  }
+  return engine;
+}
+
+module.exports = {
+  HealthMonitor, monitor, classify, classifyReason, outcomeOf, scoreOf, summarize, suppressed, load,
+  FAILURES,
+};
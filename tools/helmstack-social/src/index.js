@@ -15,7 +15,11 @@ const { LinkedIn, FEED_URL } = require("./linkedin");
 const { X, X_HOME_URL } = require("./x");
 const { FB, FB_HOME_URL } = require("./fb");
 const { Gemini, GEMINI_URL } = require("./gemini");
+const { Mastodon, statusLength: mastodonStatusLength } = require("./mastodon");
+const { Bluesky, graphemeLength, splitThread: blueskySplit } = require("./bluesky");
 const session = require("./session");
+const fixtures = require("./fixtures");
+const health = require("./health");
 
 module.exports = {
   HelmStackClient,
@@ -23,7 +27,14 @@ module.exports = {
   X,
   FB,
   Gemini,
+  Mastodon,
+  mastodonStatusLength,
+  Bluesky,
+  graphemeLength,
+  blueskySplit,
   session,
+  fixtures,
+  health,
   LINKEDIN_FEED_URL: FEED_URL,
   X_HOME_URL,
   FB_HOME_URL,
@@ -30,8 +30,19 @@
  */
 
 const { mapLimit } = require("./util");
+const { HealthMonitor, monitor } = require("./health");
 
 const FEED_URL = "https://www.linkedin.com/feed/";
+// Methods whose outcomes feed the engine health ledger (health.js); see x.js.
+const MONITORED = {
+  post: { kind: "action" },
+  comment: { kind: "action" },
+  reshare: { kind: "action" },
+  replyToNotification: { kind: "action" },
+  fetchFeedCandidates: { kind: "list" },
+  scrapeFeed: { kind: "list", expect: ["div[role=listitem]"] },
+  scrapeNotifications: { kind: "list", expect: ["main"] },
+};
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const norm = (s) => String(s || "").replace(/\s+/g, " ").trim();
 
@@ -42,12 +53,15 @@ class LinkedIn {
    * @param {string} [opts.ownHandleHint] Lowercase name substring used to skip
    *   the account's own posts during engagement (e.g. "sebastian hunter").
    * @param {(msg:string)=>void} [opts.log] Progress logger (default console.log).
+   * @param {import('./health').HealthMonitor|false} [opts.health] Failure
+   *   classification + health ledger (default: HELMSTACK_HEALTH_PATH if set)
    */
-  constructor(client, { ownHandleHint = "", log } = {}) {
+  constructor(client, { ownHandleHint = "", log, health } = {}) {
     this.c = client;
     this.ownHandleHint = ownHandleHint.toLowerCase();
     this.log = log || ((m) => console.log(`[linkedin] ${m}`));
     this.tab = null;
+    monitor(this, "linkedin", MONITORED, health === undefined ? HealthMonitor.fromEnv() : health);
   }
 
   async _eval(body, timeout = 20000) {
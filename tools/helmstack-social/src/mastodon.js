@@ -0,0 +1,210 @@
+"use strict";
+/**
+ * Mastodon — posting engine over the standard Mastodon REST API.
+ *
+ * Unlike the X/LinkedIn engines this one needs no HelmStack browser session:
+ * Mastodon (and API-compatible ActivityPub servers — GoToSocial, Akkoma,
+ * Pleroma) exposes a documented, token-authed REST API, so the engine talks to
+ * the instance directly with global fetch. It keeps the same class shape and
+ * result contracts as the other engines — post() → {posted, url}, reply() →
+ * {ok, url}, postThread() → {ok, urls} — so host adapters drive it the same way.
+ *
+ * How Mastodon is driven (the non-obvious bits):
+ *   LIMITS      — the character limit is per instance (500 on stock Mastodon,
+ *                 often 5000+ elsewhere). maxChars() reads it from
+ *                 /api/v2/instance (configuration.statuses.max_characters),
+ *                 falling back to v1's max_toot_chars, then 500.
+ *   COUNTING    — statusLength() counts the way the server does: every URL is
+ *                 23 chars whatever its length, and a remote mention
+ *                 @user@domain counts only "@user".
+ *   REPLIES     — in_reply_to_id must be the status id ON OUR INSTANCE. A URL
+ *                 from our own instance carries it; a remote URL is resolved
+ *                 through /api/v2/search?resolve=true (federates it in).
+ *   RETRIES     — every POST carries an Idempotency-Key, so a timed-out request
+ *                 retried by the host can't double-post (the server dedupes the
+ *                 key for an hour).
+ *   RATE LIMIT  — 429 returns {reason:"rate_limited", retryAfter} and never
+ *                 throws; the host decides whether to requeue.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_MAX_CHARS = 500;
+const URL_CHARS = 23;
+const URL_RE = /https?:\/\/[^\s<>"']+/g;
+const REMOTE_MENTION_RE = /(^|[^/\w])@(\w+)@[\w.-]+\w/g;
+
+/** Server-side status length: URLs count 23, @user@domain counts as @user. */
+function statusLength(text) {
+  return String(text || "")
+    .replace(URL_RE, "x".repeat(URL_CHARS))
+    .replace(REMOTE_MENTION_RE, (_, pre, user) => `${pre}@${user}`)
+    .length;
+}
+
+class Mastodon {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.instance] Base URL (default env MASTODON_INSTANCE, e.g. https://mastodon.social)
+   * @param {string} [opts.token]    User access token with write:statuses + read:search
+   *                                 (default env MASTODON_ACCESS_TOKEN)
+   * @param {string} [opts.visibility] public | unlisted | private | direct (default "public")
+   * @param {number} [opts.timeout]  Request timeout ms (default 20000)
+   * @param {(msg:string)=>void} [opts.log] Progress logger (default console.log).
+   */
+  constructor({ instance, token, visibility = "public", timeout = 20000, log } = {}) {
+    this.instance = String(instance || process.env.MASTODON_INSTANCE || "").replace(/\/$/, "");
+    this.token = token || process.env.MASTODON_ACCESS_TOKEN || "";
+    this.visibility = visibility;
+    this.timeout = timeout;
+    this.log = log || ((m) => console.log(`[mastodon] ${m}`));
+    this._maxChars = null;
+    this._account = null;
+  }
+
+  async _request(method, path, body, { headers = {} } = {}) {
+    if (!this.instance) throw new Error("mastodon: no instance (set MASTODON_INSTANCE)");
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), this.timeout);
+    try {
+      const res = await fetch(`${this.instance}${path}`, {
+        method,
+        signal: ctrl.signal,
+        headers: {
+          ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+          ...headers,
+        },
+        ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+      });
+      const text = await res.text();
+      let data = null;
+      try { data = text ? JSON.parse(text) : null; } catch { data = text; }
+      return { status: res.status, ok: res.ok, data, retryAfter: res.headers.get("retry-after") };
+    } finally {
+      clearTimeout(t);
+    }
+  }
+
+  /** Map a failed response to a short reason string. */
+  _reason(r) {
+    if (r.status === 429) return "rate_limited";
+    if (r.status === 401 || r.status === 403) return `auth:${r.status}`;
+    if (r.status === 422) return `unprocessable:${(r.data && r.data.error) || "422"}`;
+    return `http_${r.status}${r.data && r.data.error ? `:${r.data.error}` : ""}`;
+  }
+
+  /** The authenticated account ({id, acct, url, …}) or null. Doubles as a session check. */
+  async verify() {
+    if (this._account) return this._account;
+    const r = await this._request("GET", "/api/v1/accounts/verify_credentials").catch(() => null);
+    this._account = r && r.ok ? r.data : null;
+    return this._account;
+  }
+
+  async sessionOk() { return !!(await this.verify()); }
+
+  /** The instance's per-status character limit (cached). */
+  async maxChars() {
+    if (this._maxChars) return this._maxChars;
+    let n = null;
+    const v2 = await this._request("GET", "/api/v2/instance").catch(() => null);
+    if (v2 && v2.ok) n = v2.data && v2.data.configuration && v2.data.configuration.statuses && v2.data.configuration.statuses.max_characters;
+    if (!n) {
+      const v1 = await this._request("GET", "/api/v1/instance").catch(() => null);
+      if (v1 && v1.ok) n = v1.data && (v1.data.max_toot_chars || (v1.data.configuration && v1.data.configuration.statuses && v1.data.configuration.statuses.max_characters));
+    }
+    this._maxChars = Number(n) || DEFAULT_MAX_CHARS;
+    return this._maxChars;
+  }
+
+  /**
+   * Resolve a status URL (ours or remote) or bare id to the id on OUR instance.
+   * @returns {Promise<string|null>}
+   */
+  async resolveStatusId(target) {
+    const s = String(target || "").trim();
+    if (/^\d+$/.test(s)) return s;
+    if (!/^https?:\/\//.test(s)) return null;
+    if (this.instance && s.startsWith(`${this.instance}/`)) {
+      const m = s.match(/\/(\d+)\/?$/);
+      if (m) return m[1];
+    }
+    const q = encodeURIComponent(s);
+    const r = await this._request("GET", `/api/v2/search?q=${q}&type=statuses&resolve=true&limit=1`).catch(() => null);
+    const hit = r && r.ok && r.data && Array.isArray(r.data.statuses) ? r.data.statuses[0] : null;
+    return hit ? String(hit.id) : null;
+  }
+
+  /**
+   * Publish a status.
+   * @param {string} text
+   * @param {object} [opts]
+   * @param {boolean} [opts.dryRun]       validate (length, auth) but don't post
+   * @param {string}  [opts.inReplyToId]  status id on our instance
+   * @param {string}  [opts.visibility]
+   * @param {string}  [opts.spoilerText]  content warning
+   * @param {string}  [opts.idempotencyKey] default: derived from text + reply target
+   * @returns {Promise<{posted:boolean, url?:string, id?:string, reason?:string, dryRun?:boolean, retryAfter?:string}>}
+   */
+  async post(text, { dryRun = false, inReplyToId = null, visibility = null, spoilerText = null, idempotencyKey = null } = {}) {
+    const body = String(text || "").trim();
+    if (!body) return { posted: false, reason: "empty" };
+    const limit = await this.maxChars();
+    const len = statusLength(body) + statusLength(spoilerText || "");
+    if (len > limit) return { posted: false, reason: `too_long:${len}>${limit}` };
+    if (dryRun) {
+      const ok = await this.sessionOk();
+      this.log(`DRY RUN — ${len}/${limit} chars${inReplyToId ? `, reply to ${inReplyToId}` : ""}${ok ? "" : " (token NOT valid)"}, not posting`);
+      return { posted: false, reason: "dry_run", dryRun: true };
+    }
+    const key = idempotencyKey || crypto.createHash("sha1").update(`${inReplyToId || ""}\n${body}`).digest("hex");
+    const r = await this._request("POST", "/api/v1/statuses", {
+      status: body,
+      visibility: visibility || this.visibility,
+      ...(inReplyToId ? { in_reply_to_id: String(inReplyToId) } : {}),
+      ...(spoilerText ? { spoiler_text: spoilerText } : {}),
+    }, { headers: { "Idempotency-Key": key } }).catch((err) => ({ ok: false, status: 0, data: { error: err.message } }));
+    if (!r.ok || !r.data || !r.data.id) {
+      return { posted: false, reason: this._reason(r), ...(r.retryAfter ? { retryAfter: r.retryAfter } : {}) };
+    }
+    this.log(`posted: ${r.data.url || r.data.uri}`);
+    return { posted: true, url: r.data.url || r.data.uri || null, id: String(r.data.id) };
+  }
+
+  /**
+   * Reply to a status by URL (ours or remote) or id.
+   * @returns {Promise<{ok:boolean, url?:string, id?:string, reason?:string, dryRun?:boolean}>}
+   */
+  async reply(target, text, { dryRun = false, ...opts } = {}) {
+    const inReplyToId = await this.resolveStatusId(target);
+    if (!inReplyToId) return { ok: false, reason: "reply_target_unresolved" };
+    const r = await this.post(text, { ...opts, dryRun, inReplyToId });
+    if (r.dryRun) return { ok: false, reason: "dry_run", dryRun: true };
+    return r.posted ? { ok: true, url: r.url, id: r.id } : { ok: false, reason: r.reason, retryAfter: r.retryAfter };
+  }
+
+  /**
+   * Post a self-thread: parts[0] as an original (or a reply to `inReplyTo`),
+   * each later part replying to the previous one. Stops at the first failure —
+   * a gap would break the chain. `onPart(i, {url, id})` fires as each lands so a
+   * host can record progress and resume.
+   * @returns {Promise<{ok:boolean, urls:string[], ids:string[], reason?:string, dryRun?:boolean}>}
+   */
+  async postThread(parts, { dryRun = false, inReplyTo = null, onPart = null } = {}) {
+    const urls = [], ids = [];
+    let prev = inReplyTo ? await this.resolveStatusId(inReplyTo) : null;
+    if (inReplyTo && !prev) return { ok: false, reason: "reply_target_unresolved", urls, ids };
+    for (let i = 0; i < parts.length; i++) {
+      const r = await this.post(parts[i], { dryRun, inReplyToId: prev });
+      if (r.dryRun) return { ok: false, dryRun: true, urls, ids };
+      if (!r.posted) return { ok: false, reason: `part${i + 1}:${r.reason}`, urls, ids };
+      urls.push(r.url); ids.push(r.id);
+      prev = r.id;
+      if (onPart) await onPart(i, { url: r.url, id: r.id });
+    }
+    return { ok: true, urls, ids };
+  }
+}
+
+module.exports = { Mastodon, statusLength, DEFAULT_MAX_CHARS };
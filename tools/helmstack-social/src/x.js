@@ -15,11 +15,24 @@
  */
 
 const { mapLimit } = require("./util");
+const { HealthMonitor, monitor } = require("./health");
 
 const HOME_URL = "https://x.com/home";
 // X's public web bearer (used by the logged-in web client). Auth is completed by
 // the session cookies + ct0 CSRF; this constant is the same for every web user.
 const X_WEB_BEARER = "AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs=1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA";
+// Methods whose outcomes feed the engine health ledger (health.js). `expect` is
+// what a working page must contain, checked when a call fails or comes back empty.
+const MONITORED = {
+  post: { kind: "action" },
+  quote: { kind: "action", expect: ["[data-testid='retweet']"] },
+  reply: { kind: "action", expect: ["article [data-testid='reply']"] },
+  retweet: { kind: "action" },
+  follow: { kind: "action" },
+  scrapeTimeline: { kind: "list", expect: ["article[data-testid=tweet]"] },
+  scrapeMentions: { kind: "list", expect: ["[data-testid='primaryColumn']"] },
+  searchX: { kind: "list", expect: ["[data-testid='primaryColumn']"] },
+};
 const COMPOSE_BOX = '[data-testid="tweetTextarea_0"]';
 const POST_BUTTON = '[data-testid="tweetButton"], [data-testid="tweetButtonInline"]';
 
@@ -51,13 +64,16 @@ class X {
    *   ticks every 10 min) adopt and navigate the shared tab mid-flow otherwise.
    *   Call close() when done.
    * @param {(msg:string)=>void} [opts.log]
+   * @param {import('./health').HealthMonitor|false} [opts.health] Failure
+   *   classification + health ledger (default: HELMSTACK_HEALTH_PATH if set)
    */
-  constructor(client, { ownHandle = "SebastianHunts", dedicatedTab = false, log } = {}) {
+  constructor(client, { ownHandle = "SebastianHunts", dedicatedTab = false, log, health } = {}) {
     this.c = client;
     this.handle = ownHandle;
     this.dedicated = dedicatedTab;
     this.log = log || ((m) => console.log(`[x] ${m}`));
     this.tab = null;
+    monitor(this, "x", MONITORED, health === undefined ? HealthMonitor.fromEnv() : health);
   }
 
   async _eval(body, timeout = 20000) {
@@ -1,83 +1,90 @@
 'use strict';
 
-const utils = require('../runner/lib/narrative_tracker_utils.js');
+const narrative = require('../runner/lib/narrative_tactics.js');
 
-const NARRATIVE_LEDGER_PATH = 'state/narrative_tactic_ledger.jsonl';
+const NARRATIVE_LEDGER_PATH = narrative.LEDGER_STATE_PATH;
+
+function readLedger(context) {
+  let content = '';
+  try {
+    content = context.readState(NARRATIVE_LEDGER_PATH) || '';
+  } catch (e) {
+    if (e.code !== 'ENOENT' && !/not found/i.test(e.message)) throw e;
+  }
+  return { content, ledger: narrative.parseLedger(content) };
+}
 
 function logTactic(payload, context) {
-  const { isValid, error } = utils.validateLogPayload(payload);
-  if (!isValid) {
-    return { success: false, error };
+  const tactic = narrative.resolve(payload.tactic || payload.tacticId || payload.tacticLabel);
+  if (!tactic) {
+    return { success: false, error: `Unknown tactic "${payload.tactic || payload.tacticId}". Use operation "tactics" to list valid ids.` };
+  }
+  if (!payload.contentSnippet) {
+    return { success: false, error: 'Missing required field in payload: contentSnippet' };
+  }
+  if (payload.confidence !== undefined &&
+      (typeof payload.confidence !== 'number' || payload.confidence < 0 || payload.confidence > 1)) {
+    return { success: false, error: 'Confidence must be a number between 0 and 1.' };
+  }
+  if (payload.purpose && !narrative.taxonomy().purposes.includes(payload.purpose)) {
+    return { success: false, error: `Invalid purpose. Must be one of: ${narrative.taxonomy().purposes.join(', ')}` };
   }
 
-  const newEvent = utils.createEvent(payload);
+  const entry = narrative.makeEntry({
+    tactic: tactic.id,
+    confidence: payload.confidence,
+    origin: 'agent',
+    source: 'agent',
+    content_id: payload.contentId,
+    source_url: payload.sourceUrl,
+    actor: typeof payload.actor === 'object' && payload.actor ? payload.actor.id : payload.actor,
+    snippet: payload.contentSnippet,
+    narrative_id: payload.narrativeId,
+    purpose: payload.purpose,
+    analysis: payload.reasoning,
+    source_event_id: payload.sourceEventId,
+    cycle: context.cycle,
+  });
 
   try {
-    const ledgerContent = context.readState(NARRATIVE_LEDGER_PATH) || '';
-    const newLedgerContent = ledgerContent + (ledgerContent ? '\n' : '') + JSON.stringify(newEvent);
-    context.writeState(NARRATIVE_LEDGER_PATH, newLedgerContent);
-    return { success: true, eventId: newEvent.eventId };
+    const { content } = readLedger(context);
+    const newContent = (content ? content.trimEnd() + '\n' : '') + JSON.stringify(entry) + '\n';
+    context.writeState(NARRATIVE_LEDGER_PATH, newContent);
+    return { success: true, eventId: entry.id, tactic: tactic.id };
   } catch (e) {
     return { success: false, error: `Failed to write to ledger: ${e.message}` };
   }
 }
 
 function traceTactic(payload, ledger) {
-  const { isValid, error } = utils.validateTracePayload(payload);
-  if (!isValid) {
-    return { success: false, error };
+  if (!payload.eventId) {
+    return { success: false, error: 'Missing required field in payload: eventId' };
   }
-
-  const sourceEvent = ledger.find(event => event.eventId === payload.eventId);
-  if (!sourceEvent) {
+  const trace = narrative.trace(ledger, payload.eventId);
+  if (!trace) {
     return { success: false, error: `Event with ID ${payload.eventId} not found.` };
   }
-
-  const propagations = ledger.filter(event => event.sourceEventId === payload.eventId);
-
-  return {
-    success: true,
-    trace: {
-      source: sourceEvent,
-      propagations: propagations,
-    },
-  };
+  return { success: true, trace };
 }
 
 function summarize(payload, ledger) {
-  const { isValid, error } = utils.validateSummarizePayload(payload);
-  if (!isValid) {
-    return { success: false, error };
-  }
-
+  const sinceMs = Date.now() - (Number(payload.days) || 30) * 86400_000;
   if (payload.type === 'actor') {
-    const actorEvents = ledger.filter(event => event.actor && event.actor.id === payload.id);
-    const summary = actorEvents.reduce((acc, event) => {
-      acc[event.tacticId] = (acc[event.tacticId] || 0) + 1;
-      return acc;
-    }, {});
-    return { success: true, summary: { actorId: payload.id, tactics: summary } };
+    if (!payload.id) return { success: false, error: 'Missing required field in payload: id (for type actor)' };
+    return { success: true, summary: { actorId: payload.id, ...narrative.summarize(narrative.query({ sinceMs, actor: payload.id }, ledger)) } };
   }
-
   if (payload.type === 'tactic') {
-    const tacticEvents = ledger.filter(event => event.tacticId === payload.id);
-    const summary = tacticEvents.reduce((acc, event) => {
-      if (event.actor && event.actor.id) {
-        acc[event.actor.id] = (acc[event.actor.id] || 0) + 1;
-      }
-      return acc;
-    }, {});
-    return { success: true, summary: { tacticId: payload.id, actors: summary } };
+    if (!payload.id) return { success: false, error: 'Missing required field in payload: id (for type tactic)' };
+    return { success: true, summary: { tacticId: payload.id, ...narrative.summarize(narrative.query({ sinceMs, tactic: payload.id }, ledger)) } };
   }
-
-  return { success: false, error: 'Invalid summary type.' };
+  return { success: true, summary: narrative.summarize(narrative.query({ sinceMs }, ledger)) };
 }
 
 module.exports = {
   name: 'narrative_tracker',
   description:
-    "Logs, traces, and analyzes narrative manipulation tactics. Use 'log' to record a new tactic deployment, 'trace' to see its propagation, and 'summarize' to get statistics on actors or tactics.",
-  version: '1.0.0',
+    "Detects, logs, traces, and analyzes narrative manipulation tactics against the shared taxonomy and ledger. Use 'detect' to scan a text (tactic, span, confidence), 'tactics' to list valid tactic ids, 'log' to record a deployment you observed, 'trace' to see its propagation, and 'summarize' for statistics overall or by actor/tactic (the ledger also holds the detector's findings from scraped posts).",
+  version: '2.0.0',
   tags: ['narrative', 'analysis', 'attribution'],
 
   capabilities: {
@@ -91,21 +98,33 @@ module.exports = {
     properties: {
       operation: {
         type: 'string',
-        enum: ['log', 'trace', 'summarize'],
-        description: "The operation to perform: 'log' a new tactic, 'trace' its spread, or 'summarize' usage.",
+        enum: ['detect', 'tactics', 'log', 'trace', 'summarize'],
+        description: "The operation to perform: 'detect' tactics in a text, list 'tactics', 'log' a new deployment, 'trace' its spread, or 'summarize' usage.",
       },
       payload: {
         type: 'object',
         description:
-          'Data for the operation. For "log", include tactic details. For "trace", include "eventId". For "summarize", include "type" (\'actor\' or \'tactic\') and "id".',
+          'Data for the operation. For "detect", include "text". For "log", include "tactic" (id or name), "contentSnippet", and optionally "actor", "contentId", "sourceUrl", "reasoning", "confidence" (0-1), "purpose", "narrativeId", "sourceEventId". For "trace", include "eventId". For "summarize", optionally "type" (\'actor\' or \'tactic\') with "id", and "days" (default 30).',
       },
     },
-    required: ['operation', 'payload'],
+    required: ['operation'],
   },
 
   execute(args, context) {
-    const { operation, payload } = args;
+    const { operation } = args;
+    const payload = args.payload || {};
 
+    if (operation === 'detect') {
+      if (!payload.text) return { success: false, error: 'Missing required field in payload: text' };
+      return { success: true, detections: narrative.detect(String(payload.text)) };
+    }
+    if (operation === 'tactics') {
+      return {
+        success: true,
+        tactics: narrative.taxonomy().tactics.map(t => ({ id: t.id, name: t.name, category: t.category, description: t.description })),
+        purposes: narrative.taxonomy().purposes,
+      };
+    }
     if (operation === 'log') {
       return logTactic(payload, context);
     }
@@ -113,8 +132,7 @@ module.exports = {
     // For trace and summarize, we need to read the ledger first.
     let ledger;
     try {
-      const ledgerContent = context.readState(NARRATIVE_LEDGER_PATH) || '';
-      ledger = utils.parseLedger(ledgerContent);
+      ledger = readLedger(context).ledger;
     } catch (e) {
       return { success: false, error: `Failed to read ledger: ${e.message}` };
     }
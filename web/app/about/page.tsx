@@ -495,6 +495,26 @@ export default async function AboutPage() {
               </table>
               <FundingProgress targetUsd={funding.annualTotalUsd} walletAddress={funding.walletAddress} />
             </div>
+            {funding.costPerOutput.length > 0 && (
+              <>
+                <p>
+                  That is a burn rate of about ${funding.monthlyBurnUsd.toLocaleString()} a month. Model
+                  inference per thing produced, averaged over the last {funding.outputWindowDays ?? 30} days:
+                </p>
+                <div className="fund-card">
+                  <table className="fund-table">
+                    <tbody>
+                      {funding.costPerOutput.map((o) => (
+                        <tr key={o.type}>
+                          <td>{o.label} <span className="fund-muted">({o.count} made)</span></td>
+                          <td className="fund-amt">${o.avgUsd < 0.1 ? o.avgUsd.toFixed(3) : o.avgUsd.toFixed(2)} each</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
           </>
         )}
 
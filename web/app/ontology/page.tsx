@@ -1,7 +1,7 @@
 
 import fs from "fs";
 import path from "path";
-import { readOntology, type Axis } from "@/lib/readOntology";
+import { readOntology, readEvidenceVerdicts, type Axis } from "@/lib/readOntology";
 import { readStances } from "@/lib/readStances";
 import AxisBar from "@/components/AxisBar";
 import StanceBar from "@/components/StanceBar";
@@ -84,6 +84,18 @@ export default async function OntologyPage() {
 
   const totalEvidence = axes.reduce((s, a) => s + (a.evidence_log?.length ?? 0), 0);
 
+  // Why evidence was turned away: which gate, and the latest few with reasons.
+  const verdicts = readEvidenceVerdicts();
+  const rejected = verdicts.filter(v => v.verdict === "rejected");
+  const rejectedByGate = Object.entries(
+    rejected.reduce<Record<string, number>>((acc, v) => {
+      const g = v.gate ?? "unknown";
+      acc[g] = (acc[g] ?? 0) + 1;
+      return acc;
+    }, {})
+  ).sort((a, b) => b[1] - a[1]);
+  const latestRejected = rejected.slice(-8).reverse();
+
   return (
     <>
       <div className="ontology-meta">
@@ -165,6 +177,24 @@ export default async function OntologyPage() {
             ))}
           </div>
 
+          {rejected.length > 0 && (
+            <div style={{ margin: "1.5rem 0", border: "1px solid #1e2022", padding: "0.75rem" }}>
+              <div style={{ fontSize: "10px", color: "#8b99aa", textTransform: "uppercase", letterSpacing: "0.1em", marginBottom: "0.5rem" }}>
+                evidence gate · {rejected.length} of the last {verdicts.length} observations rejected ·{" "}
+                {rejectedByGate.map(([gate, n]) => `${gate.replace(/_/g, " ")} ${n}`).join(" · ")}
+              </div>
+              {latestRejected.map((v, i) => (
+                <div key={`${v.run_id}-${i}`} style={{ fontSize: "12px", marginBottom: "0.35rem" }}>
+                  <span style={{ color: "#c0846b" }}>{(v.gate ?? "unknown").replace(/_/g, " ")}</span>
+                  {" · "}
+                  <span style={{ color: "#8b99aa" }}>{axisLabelById.get(v.axis_id ?? "") ?? v.axis_id ?? "—"}</span>
+                  {" — "}
+                  {v.reason}
+                </div>
+              ))}
+            </div>
+          )}
+
           {inactiveAxes.length > 0 && (
             <div className="ontology-seeded">
               <div className="ontology-section-label">Seeded — no observations yet</div>
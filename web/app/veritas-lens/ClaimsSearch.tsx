@@ -1,7 +1,7 @@
 "use client";
 
 import { useState, useMemo } from "react";
-import { VerifiedClaim, ScoringBreakdown, InvestigationData } from "../../lib/readVerification";
+import { VerifiedClaim, ScoringBreakdown, InvestigationData, ClaimTransition } from "../../lib/readVerification";
 import CopyLinkButton from "../../components/CopyLinkButton";
 
 // ── parseSummary ─────────────────────────────────────────────────────────────
@@ -154,6 +154,48 @@ function InvestigationSection({ inv }: { inv: InvestigationData }) {
   );
 }
 
+const STATUS_COLORS: Record<string, string> = {
+  supported: "#4ade80", refuted: "#f87171", contested: "#fbbf24", unverified: "#94a3b8", expired: "#64748b",
+};
+const METHOD_LABELS: Record<string, string> = {
+  web_search: "web search", live_web_search: "on-demand check", auto_score: "auto-score", reverify: "re-check", rescore: "rescore",
+  lifecycle: "expiry", deep_investigation: "investigation",
+};
+
+const shortDate = (iso: string) =>
+  new Date(iso).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+
+function TimelineSection({ timeline, flipCount }: { timeline: ClaimTransition[]; flipCount: number }) {
+  return (
+    <details className="verify-timeline">
+      <summary className="verify-timeline-toggle">
+        Status history
+        <span className="verify-timeline-badge">
+          {timeline.length} {timeline.length === 1 ? "change" : "changes"}
+          {flipCount > 0 && <> · {flipCount} verdict {flipCount === 1 ? "flip" : "flips"}</>}
+        </span>
+      </summary>
+      <ol className="verify-timeline-list">
+        {timeline.map((t, i) => {
+          const flip = (t.from === "supported" || t.from === "refuted") && (t.to === "supported" || t.to === "refuted") && t.from !== t.to;
+          return (
+            <li key={i} className={`verify-timeline-item${flip ? " verify-timeline-item--flip" : ""}`}>
+              <span className="verify-timeline-date">{shortDate(t.at)}</span>
+              <span className="verify-timeline-change">
+                {t.from && <><span style={{ color: STATUS_COLORS[t.from] }}>{t.from}</span> → </>}
+                <span style={{ color: STATUS_COLORS[t.to] }}>{t.to}</span>
+                {t.confidence != null && <span className="verify-timeline-conf"> {Math.round(t.confidence * 100)}%</span>}
+              </span>
+              {t.method && <span className="verify-timeline-method">{METHOD_LABELS[t.method] ?? t.method.replace(/_/g, " ")}</span>}
+              {t.notes && <span className="verify-timeline-notes">{parseSummary(t.notes).slice(0, 240)}</span>}
+            </li>
+          );
+        })}
+      </ol>
+    </details>
+  );
+}
+
 function ConfidenceBar({ score, breakdown }: { score: number; breakdown: ScoringBreakdown }) {
   const pct = Math.round(score * 100);
   const barColor = pct >= 75 ? "#4ade80" : pct >= 50 ? "#fbbf24" : pct >= 25 ? "#fb923c" : "#f87171";
@@ -249,6 +291,9 @@ function ClaimCard({ claim }: { claim: VerifiedClaim }) {
         </div>
       )}
       {claim.investigation && <InvestigationSection inv={claim.investigation} />}
+      {claim.timeline && claim.timeline.length > 0 && (
+        <TimelineSection timeline={claim.timeline} flipCount={claim.flip_count ?? 0} />
+      )}
       {claim.evidence_urls && claim.evidence_urls.length > 0 && (
         <div className="verify-claim-evidence">
           <span className="verify-claim-evidence-label">Evidence:</span>
@@ -273,6 +318,10 @@ function ClaimCard({ claim }: { claim: VerifiedClaim }) {
         {claim.category && (
           <span className="verify-claim-category">{claim.category.replace(/_/g, " ")}</span>
         )}
+        {(claim.flip_count ?? 0) > 0 && <span className="verify-claim-flipped">Verdict flipped</span>}
+        {claim.next_check_at && claim.status !== "expired" && (
+          <span className="verify-claim-date">Next check: {shortDate(claim.next_check_at)}</span>
+        )}
         <CopyLinkButton url={`/veritas-lens#${claim.claim_id}`} />
       </div>
     </div>
@@ -32,6 +32,26 @@ export default async function VerifiedPage() {
         </p>
       </header>
 
+      {data.flips && data.flips.length > 0 && (
+        <section className="verify-flips">
+          <h3 className="verify-flips-title">Verdict flips</h3>
+          <p className="verify-flips-description">
+            Claims whose verdict reversed when re-checked as the story developed.
+          </p>
+          <ul className="verify-flips-list">
+            {data.flips.slice(0, 5).map((f) => (
+              <li key={`${f.claim_id}-${f.at}`} className="verify-flips-item">
+                <span className="verify-flips-change">{f.from} → {f.to}</span>
+                <a href={`#${f.claim_id}`} className="verify-flips-claim">{f.claim_text}</a>
+                <span className="verify-flips-date">
+                  {new Date(f.at).toLocaleDateString("en-US", { month: "short", day: "numeric" })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
       <ClaimsSearch claims={claims} />
 
       <div className="verify-methodology">
@@ -44,6 +64,8 @@ export default async function VerifiedPage() {
           <strong>Refuted</strong> when web search finds counter-evidence,
           or <strong>Contested</strong> when sources disagree.
           Unresolved claims expire based on category (72h for breaking news, 7d for diplomatic, 30d for structural).
+          Claims are re-checked on a decaying schedule — open claims every few hours, settled verdicts
+          less often the longer they hold — and every status change is kept in the claim&rsquo;s history.
         </p>
       </div>
     </div>
@@ -1,25 +1,41 @@
 import { cachedReadFileSync } from "./fileCache";
 
 export type FundingItem = { label: string; annualUsd: number };
+export type OutputCost = { type: string; label: string; avgUsd: number; count: number };
 export type Funding = {
   annualTotalUsd: number;
+  monthlyBurnUsd: number;
   items: FundingItem[];
+  costPerOutput: OutputCost[];
+  outputWindowDays: number | null;
   walletAddress: string | null;
   generatedAt: string | null;
 };
 
+// Display order + labels for the artifact types runner/lib/cost_meter attributes
+// LLM spend to. Types not listed here (outbox gate runs etc.) are not shown.
+const OUTPUT_LABELS: [string, string][] = [
+  ["journal", "Journal entry"],
+  ["article", "Article"],
+  ["report", "Research report"],
+  ["reply", "Reply"],
+];
+
 const round = (n: number) => Math.round(n);
 
 /**
  * Reads the operating-cost self-model (state/operating_cost.json, written by
  * runner/lib/operating_cost.js) + the tip wallet address and produces an
  * annualized cost breakdown for the website's funding section. Monthly figures
- * are ×12; LLM spend is metered, hosting/domain are fixed config.
+ * are ×12; LLM spend is metered, hosting/domain are fixed config. Cost per
+ * output (LLM spend per journal / article / report / reply) sits next to the
+ * monthly burn rate.
  */
 export function readFunding(): Funding {
   let oc: {
     monthly_usd?: { llm?: number; fixed?: number; total?: number };
     fixed_breakdown?: { host?: number; domain?: number; vercel?: number; other?: number };
+    cost_per_output?: { window_days?: number; by_type?: Record<string, { count?: number; avg_usd?: number | null }> };
     generated_at?: string;
   } | null = null;
   let tw: { address?: string } | null = null;
@@ -42,9 +58,19 @@ export function readFunding(): Funding {
 
   const annualTotalUsd = round((m.total ?? 0) * 12);
 
+  const byType = oc?.cost_per_output?.by_type ?? {};
+  const costPerOutput: OutputCost[] = [];
+  for (const [type, label] of OUTPUT_LABELS) {
+    const c = byType[type];
+    if (c && c.count && typeof c.avg_usd === "number") costPerOutput.push({ type, label, avgUsd: c.avg_usd, count: c.count });
+  }
+
   return {
     annualTotalUsd,
+    monthlyBurnUsd: round(m.total ?? 0),
     items,
+    costPerOutput,
+    outputWindowDays: oc?.cost_per_output?.window_days ?? null,
     walletAddress: tw?.address ?? null,
     generatedAt: oc?.generated_at ?? null,
   };
@@ -73,9 +73,12 @@ export interface SebastiansTake {
 export interface IntelligenceExport {
   topic: string;
   topic_label: string;
+  topic_title?: string;
+  topic_kind?: string;
   generated_at: string;
   source_count: number;
   claim_count: number;
+  category_order?: string[];
   categories: Record<string, Category>;
   contradictions: Contradiction[];
   source_summary: {
@@ -89,13 +92,41 @@ export interface IntelligenceExport {
   sebastians_take: SebastiansTake;
 }
 
+export interface IntelligenceTopicEntry {
+  id: string;
+  label: string;
+  title: string;
+  kind: string;
+  claim_count: number;
+  source_count: number;
+  generated_at: string;
+}
+
 // ── Reader ────────────────────────────────────────────────────────────────────
+// runner/intelligence/export.js writes state/intelligence/<topic>.json plus an
+// index.json. Before multi-topic there was one state/intelligence_export.json;
+// it is still served for its own topic until the next export replaces it.
+
+export async function listIntelligenceTopics(): Promise<IntelligenceTopicEntry[]> {
+  try {
+    const raw = cachedReadFileSync("state/intelligence/index.json");
+    return (JSON.parse(raw).topics ?? []) as IntelligenceTopicEntry[];
+  } catch {
+    return [];
+  }
+}
 
-export async function readIntelligence(): Promise<IntelligenceExport | null> {
+export async function readIntelligence(topic: string): Promise<IntelligenceExport | null> {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(topic)) return null;
   try {
-    const raw = cachedReadFileSync("state/intelligence_export.json");
+    const raw = cachedReadFileSync(`state/intelligence/${topic}.json`);
     return JSON.parse(raw) as IntelligenceExport;
   } catch {
-    return null;
+    try {
+      const legacy = JSON.parse(cachedReadFileSync("state/intelligence_export.json")) as IntelligenceExport;
+      return legacy.topic === topic ? legacy : null;
+    } catch {
+      return null;
+    }
   }
 }
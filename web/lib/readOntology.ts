@@ -68,3 +68,38 @@ export function readBeliefState() {
     return null;
   }
 }
+
+/** One per-entry decision from apply_ontology_delta.js (state/evidence_verdicts.json). */
+export interface EvidenceVerdict {
+  run_id: string;
+  ts: string;
+  axis_id: string | null;
+  source: string;
+  content: string;
+  pole_alignment: "left" | "right" | null;
+  verdict: "accepted" | "rejected";
+  gate: string | null;
+  reason: string | null;
+  trust_weight: number;
+  diversity_weight: number | null;
+  effective_weight: number | null;
+  stance_confidence: number | null;
+  projected: {
+    score_before: number;
+    score_after: number;
+    confidence_before: number;
+    confidence_after: number;
+    drift_capped: boolean;
+  } | null;
+}
+
+export function readEvidenceVerdicts(): EvidenceVerdict[] {
+  const filePath = path.join(DATA_ROOT, "state/evidence_verdicts.json");
+  try {
+    const raw = fs.readFileSync(filePath, "utf-8");
+    if (!raw.trim()) return [];
+    return (JSON.parse(raw).verdicts ?? []) as EvidenceVerdict[];
+  } catch {
+    return [];
+  }
+}
@@ -53,10 +53,30 @@ export interface InvestigationData {
   created_at: string;
 }
 
+export type ClaimStatus = "supported" | "refuted" | "contested" | "unverified" | "expired";
+
+/** One status transition from claim_audit_log (oldest first in `timeline`). */
+export interface ClaimTransition {
+  at: string;
+  from: ClaimStatus | null;
+  to: ClaimStatus;
+  confidence: number | null;
+  method: string | null;
+  notes: string | null;
+}
+
+export interface VerdictFlip {
+  claim_id: string;
+  claim_text: string;
+  from: ClaimStatus;
+  to: ClaimStatus;
+  at: string;
+}
+
 export interface VerifiedClaim {
   claim_id: string;
   claim_text: string;
-  status: "supported" | "refuted" | "contested" | "unverified" | "expired";
+  status: ClaimStatus;
   confidence_score: number;
   display_score?: number;
   scoring_breakdown: ScoringBreakdown;
@@ -77,6 +97,9 @@ export interface VerifiedClaim {
   web_search_summary: string | null;
   investigation_depth?: string;
   investigation?: InvestigationData;
+  next_check_at?: string | null;
+  timeline?: ClaimTransition[];
+  flip_count?: number;
 }
 
 export interface VerificationStats {
@@ -86,11 +109,13 @@ export interface VerificationStats {
   contested: number;
   unverified: number;
   expired: number;
+  flipped?: number;
 }
 
 export interface VerificationExport {
   generated_at: string;
   stats: VerificationStats;
+  flips?: VerdictFlip[];
   claims: VerifiedClaim[];
 }
 
@@ -105,6 +130,8 @@ export async function readVerification(): Promise<VerificationExport | null> {
     data.claims = data.claims.filter(
       (c) => (c.display_score ?? c.confidence_score) >= MIN_DISPLAY_SCORE,
     );
+    const shown = new Set(data.claims.map((c) => c.claim_id));
+    data.flips = (data.flips ?? []).filter((f) => shown.has(f.claim_id));
     return data;
   } catch {
     return null;
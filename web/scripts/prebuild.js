@@ -26,6 +26,7 @@ for (const d of contentDirs) {
 // State — only the specific files the web app reads
 const STATE_FILES = [
   "ontology.json",
+  "evidence_verdicts.json",
   "arweave_log.json",
   "intelligence_export.json",
   "belief_state.json",
@@ -53,6 +54,15 @@ for (const f of STATE_FILES) {
 }
 console.log(`[prebuild] state: copied ${stateCount}/${STATE_FILES.length} files → ${stateDst}`);
 
+// State directories the web app reads — copied wholesale (per-topic intelligence exports)
+const STATE_DIRS = ["intelligence"];
+for (const d of STATE_DIRS) {
+  const src = path.join(stateSrc, d);
+  if (!fs.existsSync(src)) continue;
+  fs.cpSync(src, path.join(stateDst, d), { recursive: true, force: true });
+  console.log(`[prebuild] state/${d}: copied (${fs.readdirSync(src).length} files)`);
+}
+
 // daily/ belief reports
 const dailySrc = path.resolve(cwd, "..", "daily");
 const dailyDst = path.resolve(cwd, "data", "daily");